@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../src/logger');
+const WhitelistManager = require('../src/whitelist-manager');
+const CacheManager = require('../src/cache-manager');
+const CacheBundle = require('../src/cache-bundle');
+
+// 設定ファイルとキャッシュディレクトリのパス（プロキシ本体と同じ）
+const CONFIG_PATH = path.resolve(__dirname, '..', 'config', 'proxy-config.json');
+const CACHE_DIR = path.resolve(__dirname, '..', 'cache');
+
+const USAGE = [
+    '使い方:',
+    '  node scripts/cache-bundle.js export <出力ファイル> [--host=<ホスト>] [--prefix=<URL>] [--max-age=<秒>]',
+    '  node scripts/cache-bundle.js import <バンドルファイル>'
+].join('\n');
+
+// --name=value 形式のオプションを解析
+function parseOptions(args) {
+    const options = {};
+    for (const arg of args) {
+        const match = arg.match(/^--([a-z-]+)=(.*)$/);
+        if (!match) {
+            throw new TypeError(`不明な引数です: ${arg}`);
+        }
+        options[match[1]] = match[2];
+    }
+    return options;
+}
+
+async function main(args) {
+    const [command, file, ...rest] = args;
+    if (!['export', 'import'].includes(command) || !file) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const logger = new Logger(Logger.getLogLevelFromEnv());
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    const whitelistManager = new WhitelistManager(logger);
+    whitelistManager.loadFromConfig(config);
+    const cacheManager = new CacheManager(CACHE_DIR, logger, config.cache);
+    await cacheManager.initialize();
+    const cacheBundle = new CacheBundle(cacheManager, logger, {
+        getRule: url => whitelistManager.getRuleForUrl(url)
+    });
+
+    if (command === 'export') {
+        const options = parseOptions(rest);
+        // 選択条件の誤りは出力ファイルを作る前に検出する
+        const selection = cacheBundle.normalizeSelection({
+            host: options.host,
+            prefix: options.prefix,
+            maxAge: options['max-age']
+        });
+        let result;
+        try {
+            result = await cacheBundle.exportBundle(fs.createWriteStream(file), selection);
+        } catch (err) {
+            // 書き出し途中のファイルは残さない
+            await fs.promises.unlink(file).catch(() => {});
+            throw err;
+        }
+        console.log(`${result.entries}件のエントリ（${cacheManager.formatBytes(result.bytes)}）を ${file} に書き出しました`);
+    } else {
+        const result = await cacheBundle.importBundle(fs.createReadStream(file));
+        console.log(`${result.entries}件のエントリ（${cacheManager.formatBytes(result.bytes)}）を読み込みました（既存の方が新しいためスキップ: ${result.skipped}件）`);
+    }
+    await cacheManager.close();
+    return 0;
+}
+
+// スクリプトが直接実行された場合に実行
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exit(code);
+    }).catch(err => {
+        console.error('キャッシュのバンドル処理に失敗しました:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
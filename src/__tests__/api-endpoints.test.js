@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ApiEndpoints = require('../api-endpoints');
+const FileDirectory = require('../file-directory');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('ApiEndpoints', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let fileDir;
+
+  // 管理APIへのリクエストを送り、応答のステータスとボディを返す
+  const request = (api, url, method = 'GET', body = '') => new Promise(resolve => {
+    const req = Object.assign(Readable.from([Buffer.from(body)]), { url, method, headers: { host: 'localhost:8000' } });
+    const res = {
+      headersSent: false,
+      writableEnded: false,
+      writeHead(statusCode) {
+        this.statusCode = statusCode;
+        this.headersSent = true;
+      },
+      end(data = '') {
+        this.writableEnded = true;
+        resolve({ statusCode: this.statusCode, body: String(data) });
+      }
+    };
+    expect(api.handleRequest(req, res)).toBe(true);
+  });
+
+  beforeEach(async () => {
+    fileDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-endpoints-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(fileDir, { recursive: true, force: true });
+  });
+
+  test('バンドルの読み込みはbundle.fileDir内のファイルとリクエストボディだけを受け付ける', async () => {
+    const cacheBundle = {
+      importBundle: jest.fn(async (stream) => {
+        let bytes = 0;
+        for await (const chunk of stream) {
+          bytes += chunk.length;
+        }
+        return { entries: 1, skipped: 0, bytes };
+      })
+    };
+    const api = new ApiEndpoints({
+      logger,
+      cacheManager: { formatBytes: bytes => `${bytes} B` },
+      cacheBundle,
+      bundleFiles: new FileDirectory(fileDir, 'bundle.fileDir')
+    });
+    await fs.writeFile(path.join(fileDir, 'bundle.tar.gz'), 'bundle');
+    await fs.symlink('/etc/hostname', path.join(fileDir, 'link.tar.gz'));
+
+    expect(await request(api, '/import?file=bundle.tar.gz')).toMatchObject({ statusCode: 200, body: expect.stringContaining('"bytes":6') });
+    expect(await request(api, '/import', 'POST', 'posted')).toMatchObject({ statusCode: 200, body: expect.stringContaining('"bytes":6') });
+    for (const file of ['/etc/passwd', '../outside.tar.gz', 'link.tar.gz']) {
+      expect(await request(api, `/import?file=${encodeURIComponent(file)}`)).toMatchObject({
+        statusCode: 400, body: expect.stringContaining('bundle.fileDir')
+      });
+    }
+    expect(cacheBundle.importBundle).toHaveBeenCalledTimes(2);
+
+    // ディレクトリを設定していない場合はfileを受け付けない
+    const unconfigured = new ApiEndpoints({ logger, cacheBundle, bundleFiles: new FileDirectory(undefined, 'bundle.fileDir') });
+    expect((await request(unconfigured, '/import?file=bundle.tar.gz')).statusCode).toBe(400);
+  });
+
+  test('HARの読み込みはhar.fileDir内のファイルだけを受け付け、解析できないHARの内容をエラーメッセージに含めない', async () => {
+    const HarConverter = require('../har-converter');
+    const cacheManager = { formatBytes: bytes => `${bytes} B` };
+    const harConverter = new HarConverter(cacheManager, logger);
+    jest.spyOn(harConverter, 'importEntry').mockResolvedValue(4);
+    const api = new ApiEndpoints({
+      logger,
+      cacheManager,
+      harConverter,
+      harFiles: new FileDirectory(fileDir, 'har.fileDir')
+    });
+    await fs.writeFile(path.join(fileDir, 'session.har'), JSON.stringify({ log: { entries: [{}] } }));
+    await fs.writeFile(path.join(fileDir, 'secret.har'), 'root:x:0:0:root:/root:/bin/bash');
+
+    expect(await request(api, '/har-import?file=session.har')).toMatchObject({ statusCode: 200, body: expect.stringContaining('"entries":1') });
+    expect(await request(api, '/har-import?file=%2Fetc%2Fpasswd')).toMatchObject({ statusCode: 400, body: expect.stringContaining('har.fileDir') });
+    const invalid = await request(api, '/har-import?file=secret.har');
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body).not.toContain('root:x');
+    expect((await request(api, '/har-import', 'POST', 'root:x:0:0')).body).not.toContain('root:x');
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const CacheManager = require('../cache-manager');
+const CachePurger = require('../cache-purger');
+const CacheEvictor = require('../cache-evictor');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('BlobStore', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  const save = (url, body) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+    url, statusCode: 200, headers: {}
+  }, Buffer.from(body));
+  const read = async (manager, url) => (await manager.readBody(await manager.getCache(url))).toString();
+  const listBlobs = async () => {
+    const blobDir = path.join(cacheDir, '.blobs');
+    const shards = await fs.readdir(blobDir).catch(() => []);
+    return (await Promise.all(shards.map(shard => fs.readdir(path.join(blobDir, shard))))).flat();
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'blob-store-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('同じ内容のボディを1つだけ保存し、最後の参照が削除されたときにボディを削除する', async () => {
+    const body = 'x'.repeat(1000);
+    await save('http://example.com/v1/app.js', body);
+    await save('http://mirror.example.com/app.js', body);
+    // ストリームで書き込んだボディも共有する
+    const writer = cacheManager.createCacheWriter(cacheManager.getCacheFileName('http://example.com/app.js'));
+    await pipeline(Readable.from([Buffer.from(body)]), writer);
+    expect(await writer.commit({ url: 'http://example.com/app.js', statusCode: 200, headers: {} })).toBe(true);
+    await save('http://example.com/other.js', 'other');
+
+    expect(await listBlobs()).toHaveLength(2);
+    const metadata = JSON.parse(await fs.readFile(`${cacheManager.getCacheFileName('http://example.com/app.js')}.cache`, 'utf8'));
+    expect(metadata.blob).toMatch(/^[0-9a-f]{64}$/);
+    expect(metadata.href).toBeUndefined();
+    expect((await cacheManager.getCacheStats()).dedupe).toMatchObject({
+      blobs: 2, references: 4, storedBytes: 1005, referencedBytes: 3005, savedBytes: 2000
+    });
+
+    // ほかのエントリが参照しているボディは残す
+    const purger = new CachePurger(cacheManager, logger);
+    const purged = await purger.purgeUrl('http://example.com/v1/app.js');
+    expect(purged).toMatchObject({ files: 1, entries: 1 });
+    expect(await read(cacheManager, 'http://mirror.example.com/app.js')).toBe(body);
+
+    // 上書きで参照されなくなったボディは削除する
+    await save('http://example.com/other.js', 'changed');
+    expect(await listBlobs()).toHaveLength(2);
+
+    await purger.purgeHost('mirror.example.com');
+    const evictor = new CacheEvictor(cacheManager, logger, { maxEntries: 1 });
+    await fs.utimes(`${cacheManager.getCacheFileName('http://example.com/app.js')}.cache`, new Date(0), new Date(0));
+    const evicted = await evictor.evict();
+    expect(evicted.evictedEntries).toBe(1);
+    expect(evicted.evictedBytes).toBeGreaterThan(1000);
+    expect(await listBlobs()).toHaveLength(1);
+    expect(cacheManager.getDedupeStats()).toMatchObject({ blobs: 1, references: 1, savedBytes: 0 });
+  });
+
+  test('起動時に参照数を作り直して参照されていないボディを削除し、以前の形式のエントリも読み込める', async () => {
+    await save('http://example.com/a.css', 'same');
+    await save('http://example.com/b.css', 'same');
+    await save('http://example.com/c.css', 'orphan');
+    // 参照数を記録していたプロセスの外で.cacheファイルだけが削除されたエントリ
+    await fs.unlink(`${cacheManager.getCacheFileName('http://example.com/c.css')}.cache`);
+    // ボディをエントリごとのファイルに保存していた以前の形式のエントリ
+    const legacyFile = cacheManager.getCacheFileName('http://example.com/legacy.css');
+    await fs.writeFile(legacyFile, 'legacy');
+    await fs.writeFile(`${legacyFile}.cache`, JSON.stringify({
+      url: 'http://example.com/legacy.css', statusCode: 200, headers: {}, href: path.basename(legacyFile)
+    }));
+    const past = new Date(Date.now() - 60000);
+    for (const blob of await listBlobs()) {
+      await fs.utimes(path.join(cacheDir, '.blobs', blob.slice(0, 2), blob), past, past);
+    }
+
+    const restarted = new CacheManager(cacheDir, logger, {});
+    await restarted.initialize();
+    expect(await listBlobs()).toHaveLength(1);
+    expect(restarted.getDedupeStats()).toMatchObject({ blobs: 1, references: 2, savedBytes: 4 });
+    expect(await read(restarted, 'http://example.com/b.css')).toBe('same');
+    expect(await read(restarted, 'http://example.com/legacy.css')).toBe('legacy');
+
+    // 以前の形式のエントリは上書き時に共有するボディへ移り、エントリごとのボディファイルは削除される
+    await restarted.saveCache(legacyFile, { url: 'http://example.com/legacy.css', statusCode: 200, headers: {} }, Buffer.from('same'));
+    expect(await restarted.fileExists(legacyFile)).toBe(false);
+    expect(restarted.getDedupeStats()).toMatchObject({ blobs: 1, references: 3, savedBytes: 8 });
+
+    await new CachePurger(restarted, logger).purgeHost('example.com');
+    expect(await listBlobs()).toEqual([]);
+  });
+});
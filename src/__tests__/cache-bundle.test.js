@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const CacheManager = require('../cache-manager');
+const CacheBundle = require('../cache-bundle');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheBundle', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let workDir;
+  let source;
+  let bundleFile;
+
+  const save = (cacheManager, url, body, requestHeaders = null, headers = {}) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+    url, statusCode: 200, headers: requestHeaders ? { ...headers, vary: 'Accept-Language' } : headers
+  }, Buffer.from(body), requestHeaders);
+
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cache-bundle-test-'));
+    source = new CacheManager(path.join(workDir, 'source'), logger, {});
+    await source.initialize();
+    bundleFile = path.join(workDir, 'bundle.tar.gz');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('ホスト・前方一致・経過時間で選んだエントリを書き出し、別のキー形式のキャッシュに読み込む', async () => {
+    await save(source, 'http://example.com/img/a.png?b=2&a=1', 'png', null, { 'surrogate-key': 'img' });
+    await save(source, 'http://example.com/img/page', 'ja', { 'accept-language': 'ja' });
+    await save(source, 'http://example.com/img/page', 'en', { 'accept-language': 'en' });
+    await save(source, 'http://example.com/css/site.css', 'css');
+    await save(source, 'http://example.org/img/other.png', 'other');
+    // 古いエントリはmaxAgeで除外する
+    const old = source.getCacheFileName('http://example.com/img/old.png');
+    await source.saveCache(old, { url: 'http://example.com/img/old.png', statusCode: 200, headers: {}, storedAt: Date.now() - 7200 * 1000 }, Buffer.from('old'));
+
+    const exported = await new CacheBundle(source, logger).exportBundle(fs.createWriteStream(bundleFile), {
+      host: 'EXAMPLE.com', prefix: 'http://example.com/img/', maxAge: '3600'
+    });
+    expect(exported).toEqual({ entries: 3, bytes: 7 });
+
+    // 読み込み先はクエリを並べ替えない（キャッシュキーの形式が異なる）
+    const target = new CacheManager(path.join(workDir, 'target'), logger, { queryNormalization: { sortParams: false } });
+    await target.initialize();
+    const bundle = new CacheBundle(target, logger);
+    expect(await bundle.importBundle(fs.createReadStream(bundleFile))).toEqual({ entries: 3, skipped: 0, bytes: 7 });
+
+    // キャッシュキーは読み込み先の形式でURLから生成し直す
+    const png = await target.lookupCache(target.getCacheFileName('http://example.com/img/a.png?b=2&a=1'), {});
+    expect((await target.readBody(png)).toString()).toBe('png');
+    expect(await target.isCached('http://example.com/img/a.png?a=1&b=2')).toBe(false);
+    const en = await target.lookupCache(target.getCacheFileName('http://example.com/img/page'), { 'accept-language': 'en' });
+    expect((await target.readBody(en)).toString()).toBe('en');
+    expect(await target.isCached('http://example.com/css/site.css')).toBe(false);
+    expect(target.tagIndex.getStats()).toEqual({ tags: 1, entries: 1 });
+
+    // 読み込み先の方が新しいエントリは上書きしない
+    expect(await bundle.importBundle(fs.createReadStream(bundleFile))).toEqual({ entries: 0, skipped: 3, bytes: 0 });
+    expect(() => bundle.normalizeSelection({ maxAge: '-1' })).toThrow('Invalid maxAge');
+  });
+
+  test('チェックサムが一致しないバンドルはキャッシュに保存しない', async () => {
+    await save(source, 'http://example.com/a', 'aaaa');
+    await save(source, 'http://example.com/b', 'bbbb');
+    await new CacheBundle(source, logger).exportBundle(fs.createWriteStream(bundleFile));
+
+    // 2つ目のエントリのボディを書き換える
+    const archive = zlib.gunzipSync(fs.readFileSync(bundleFile));
+    archive[archive.indexOf('bbbb')] = 'x'.charCodeAt(0);
+    fs.writeFileSync(bundleFile, zlib.gzipSync(archive));
+
+    const target = new CacheManager(path.join(workDir, 'target'), logger, {});
+    await target.initialize();
+    await expect(new CacheBundle(target, logger).importBundle(fs.createReadStream(bundleFile)))
+      .rejects.toThrow('チェックサムが一致しません');
+    expect(await target.isCached('http://example.com/a')).toBe(false);
+    // 展開用のディレクトリも一時ファイルも残さない（キャッシュの索引と一時ファイルのディレクトリだけがある）
+    expect((await fs.promises.readdir(path.join(workDir, 'target'))).sort()).toEqual(['.index', '.tmp']);
+    expect(await fs.promises.readdir(target.tempDir)).toEqual([]);
+    expect(target.cacheIndex.getStats().entries).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CacheManager = require('../cache-manager');
+const CacheEvictor = require('../cache-evictor');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheEvictor', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  // 最終アクセス時刻を指定してエントリを保存する
+  const saveEntry = async (url, body, accessedAt, requestHeaders = null, headers = {}) => {
+    const cacheFile = cacheManager.getCacheFileName(url);
+    await cacheManager.saveCache(cacheFile, { url, statusCode: 200, headers }, Buffer.from(body), requestHeaders);
+    const entryFile = requestHeaders
+      ? cacheManager.getVariantCacheFileName(cacheFile, cacheManager.policy.selectVaryHeaders(['accept-language'], requestHeaders))
+      : cacheFile;
+    await fs.utimes(`${entryFile}.cache`, new Date(accessedAt), new Date(accessedAt));
+    cacheManager.cacheIndex.touch(entryFile, accessedAt);
+    return cacheFile;
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-evictor-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('エントリ数の上限を超えた分を最終アクセスの古い順に削除する', async () => {
+    const now = Date.now();
+    await saveEntry('http://example.com/old.js', 'old', now - 30000);
+    await saveEntry('http://example.com/middle.js', 'middle', now - 20000);
+    await saveEntry('http://example.com/new.js', 'new', now - 10000);
+
+    // 参照されたエントリは最近使われたものとして残る
+    await cacheManager.getCache('http://example.com/old.js');
+
+    const evictor = new CacheEvictor(cacheManager, logger, { maxEntries: 2 });
+    const result = await evictor.evict();
+
+    expect(result.evictedEntries).toBe(1);
+    expect(await cacheManager.isCached('http://example.com/middle.js')).toBe(false);
+    expect(await cacheManager.fileExists(cacheManager.getCacheFileName('http://example.com/middle.js'))).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/old.js')).toBe(true);
+    expect(await cacheManager.isCached('http://example.com/new.js')).toBe(true);
+    expect(evictor.getStats()).toMatchObject({ runs: 1, evictedEntries: 1, totalEntries: 2 });
+  });
+
+  test('サイズの上限を超えた場合はバリアントも削除し、不要になったVary情報を消す', async () => {
+    const now = Date.now();
+    const varyHeaders = { vary: 'Accept-Language' };
+    const pageFile = await saveEntry('http://example.com/page.html', 'x'.repeat(1000), now - 20000, { 'accept-language': 'ja' }, varyHeaders);
+    await saveEntry('http://example.com/recent.html', 'y'.repeat(1000), now - 10000);
+
+    const evictor = new CacheEvictor(cacheManager, logger, { maxSize: 1500 });
+    const result = await evictor.evict();
+
+    expect(result.evictedEntries).toBe(1);
+    expect(result.evictedBytes).toBeGreaterThan(1000);
+    expect(await cacheManager.fileExists(`${pageFile}.vary`)).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/recent.html')).toBe(true);
+  });
+
+  test('上限が設定されていない場合は何も削除しない', async () => {
+    await saveEntry('http://example.com/a.js', 'a', Date.now());
+    const evictor = new CacheEvictor(cacheManager, logger, {});
+    expect(evictor.isEnabled()).toBe(false);
+    expect(await evictor.evict()).toEqual({ evictedEntries: 0, evictedBytes: 0 });
+    expect(await cacheManager.isCached('http://example.com/a.js')).toBe(true);
+  });
+});
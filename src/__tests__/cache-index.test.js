@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CacheManager = require('../cache-manager');
+const CachePurger = require('../cache-purger');
+const CacheEvictor = require('../cache-evictor');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheIndex', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  const save = (manager, url, body, headers = {}) => manager.saveCache(manager.getCacheFileName(url), {
+    url, statusCode: 200, headers
+  }, Buffer.from(body));
+  const urls = (manager) => manager.cacheIndex.list().map(entry => entry.url).sort();
+  const readLog = async () => (await fs.readFile(path.join(cacheDir, '.index', 'entries.jsonl'), 'utf8')).trim().split('\n');
+  const restart = async () => {
+    const restarted = new CacheManager(cacheDir, logger, {});
+    jest.spyOn(restarted, 'rebuildCacheIndex');
+    await restarted.initialize();
+    return restarted;
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-index-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('保存・パージ・容量管理の削除を索引に反映し、正常終了後は走査せずに読み込み、異常終了後はディスクから作り直す', async () => {
+    await save(cacheManager, 'http://example.com/a.js', 'aaaa', { 'content-type': 'application/javascript' });
+    await save(cacheManager, 'http://example.com/b.css', 'bb');
+    await save(cacheManager, 'http://other.example.com:8080/c', 'c');
+    await save(cacheManager, 'http://other.example.com:8080/d', 'dddddd');
+
+    expect(cacheManager.cacheIndex.get(cacheManager.getCacheFileName('http://example.com/a.js'))).toMatchObject({
+      url: 'http://example.com/a.js', status: 200, contentType: 'application/javascript', size: 4
+    });
+    const stats = await cacheManager.getCacheStats();
+    expect(stats).toMatchObject({ entries: 4, totalFiles: 8 });
+    expect(cacheManager.cacheIndex.query({ host: 'other.example.com', sort: 'size' }).entries.map(entry => entry.url))
+      .toEqual(['http://other.example.com:8080/d', 'http://other.example.com:8080/c']);
+    expect(cacheManager.cacheIndex.query({ prefix: 'http://example.com/', sort: 'url', limit: 1, offset: 1 }))
+      .toMatchObject({ total: 2, entries: [{ url: 'http://example.com/b.css', key: expect.stringMatching(/^example\.com\//) }] });
+    expect(() => cacheManager.cacheIndex.query({ sort: 'status' })).toThrow(TypeError);
+
+    await new CachePurger(cacheManager, logger).purgeUrl('http://example.com/b.css');
+    // 最近アクセスされていないエントリから削除する
+    cacheManager.cacheIndex.touch(cacheManager.getCacheFileName('http://other.example.com:8080/c'), 0);
+    const evicted = await new CacheEvictor(cacheManager, logger, { maxEntries: 2 }).evict();
+    expect(evicted.evictedEntries).toBe(1);
+    expect(urls(cacheManager)).toEqual(['http://example.com/a.js', 'http://other.example.com:8080/d']);
+
+    // 正常終了した場合はログをそのまま読み込む
+    await cacheManager.close();
+    let restarted = await restart();
+    expect(restarted.rebuildCacheIndex).not.toHaveBeenCalled();
+    expect(urls(restarted)).toEqual(['http://example.com/a.js', 'http://other.example.com:8080/d']);
+    expect((await restarted.getCacheStats()).entries).toBe(2);
+
+    // 終了の記録がない場合（異常終了）はディスクのエントリから作り直す
+    await save(restarted, 'http://example.com/e.js', 'e');
+    await fs.unlink(`${restarted.getCacheFileName('http://example.com/a.js')}.cache`);
+    await restarted.cacheIndex.sync();
+    restarted = await restart();
+    expect(restarted.rebuildCacheIndex).toHaveBeenCalled();
+    expect(urls(restarted)).toEqual(['http://example.com/e.js', 'http://other.example.com:8080/d']);
+    expect(restarted.cacheIndex.get(restarted.getCacheFileName('http://example.com/e.js'))).toMatchObject({ size: 1, status: 200 });
+  });
+
+  test('ほかのプロセスが追記したエントリを取り込み、ログが長くなったら現在のエントリだけに書き直す', async () => {
+    await save(cacheManager, 'http://example.com/a', 'a');
+    await cacheManager.cacheIndex.sync();
+
+    // 同じキャッシュディレクトリを使う別のプロセス（CLIによる読み込みなど）
+    const other = new CacheManager(cacheDir, logger, {});
+    await other.initialize();
+    await save(other, 'http://example.com/b', 'b');
+    await other.invalidateCache(other.getCacheFileName('http://example.com/a'));
+    await other.cacheIndex.sync();
+
+    await cacheManager.cacheIndex.sync();
+    expect(urls(cacheManager)).toEqual(['http://example.com/b']);
+    expect((await cacheManager.getCacheStats()).entries).toBe(1);
+
+    // 同じエントリの上書きでログが長くなったら書き直す
+    const cacheFile = cacheManager.getCacheFileName('http://example.com/b');
+    const entry = cacheManager.cacheIndex.get(cacheFile);
+    for (let i = 0; i < 10001; i++) {
+      cacheManager.cacheIndex.set(cacheFile, { ...entry, storedAt: i });
+    }
+    await cacheManager.cacheIndex.sync();
+    await cacheManager.cacheIndex.sync();
+    const lines = await readLog();
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toMatchObject({ op: 'set', url: 'http://example.com/b', storedAt: 10000 });
+    expect(cacheManager.cacheIndex.getStats()).toEqual({ entries: 1, logLines: 2 });
+
+    // 書き直したログもほかのプロセスが読み直せる
+    await other.cacheIndex.sync();
+    expect(other.cacheIndex.get(cacheFile)).toMatchObject({ storedAt: 10000 });
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const CacheManager = require('../cache-manager');
+const CacheLayout = require('../cache-layout');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheLayout', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  const hash = (algorithm, value) => crypto.createHash(algorithm).update(value).digest('hex');
+  // 以前のバージョンと同じMD5のキャッシュファイルパス
+  const md5CacheFile = (url) => cacheManager.getCacheFileName(url).replace(hash('sha256', url), hash('md5', url));
+  const save = (url, body, options = {}) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+    url, statusCode: 200, headers: options.headers || {}, storedAt: options.storedAt
+  }, Buffer.from(body), options.requestHeaders || null);
+  const read = async (manager, url, requestHeaders = {}) => {
+    const cache = await manager.getCache(url, requestHeaders);
+    return cache && (await manager.readBody(cache)).toString();
+  };
+  const restart = async (options = {}) => {
+    const restarted = new CacheManager(cacheDir, logger, options);
+    await restarted.initialize();
+    return restarted;
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-layout-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('MD5のキャッシュキーで保存されたエントリ・バリアント・以前の形式のボディを移行して読み込める', async () => {
+    expect(path.basename(cacheManager.getCacheFileName('http://example.com/app.js'))).toBe(`app-${hash('sha256', 'http://example.com/app.js')}.js`);
+
+    // 以前のバージョンが保存したディレクトリを再現する
+    await save('http://example.com/app.js', 'app');
+    await fs.rename(`${cacheManager.getCacheFileName('http://example.com/app.js')}.cache`, `${md5CacheFile('http://example.com/app.js')}.cache`);
+    await save('http://example.com/page', 'ja', { headers: { vary: 'Accept-Language' }, requestHeaders: { 'accept-language': 'ja' } });
+    const sha256Page = cacheManager.getCacheFileName('http://example.com/page');
+    const md5Page = md5CacheFile('http://example.com/page');
+    await fs.rename(`${sha256Page}.vary`, `${md5Page}.vary`);
+    await fs.rename(
+      `${cacheManager.getVariantCacheFileName(sha256Page, { 'accept-language': 'ja' })}.cache`,
+      `${md5Page}-${hash('md5', 'accept-language:ja')}.cache`
+    );
+    const legacyFile = md5CacheFile('http://example.com/legacy.css');
+    await fs.writeFile(legacyFile, 'legacy');
+    await fs.writeFile(`${legacyFile}.cache`, JSON.stringify({
+      url: 'http://example.com/legacy.css', statusCode: 200, headers: {}, href: path.basename(legacyFile)
+    }));
+
+    const restarted = await restart();
+    const layout = new CacheLayout(restarted, logger);
+    expect(await layout.migrate()).toEqual({ migrated: 4, replaced: 0, failed: 0 });
+    expect(JSON.parse(await fs.readFile(path.join(cacheDir, '.layout.json'), 'utf8'))).toEqual({ version: 2, keyHash: 'sha256' });
+
+    expect(await read(restarted, 'http://example.com/app.js')).toBe('app');
+    expect(await read(restarted, 'http://example.com/page', { 'accept-language': 'ja' })).toBe('ja');
+    expect(await read(restarted, 'http://example.com/page', { 'accept-language': 'en' })).toBeNull();
+    expect(await read(restarted, 'http://example.com/legacy.css')).toBe('legacy');
+    const files = await fs.readdir(path.join(cacheDir, 'example.com'));
+    expect(files.filter(file => file.includes(hash('md5', 'http://example.com/legacy.css')))).toEqual([]);
+    expect(files).toHaveLength(5);
+    // ボディの参照は移行先のエントリに引き継がれる
+    expect(restarted.getDedupeStats()).toMatchObject({ blobs: 2, references: 2 });
+    const purged = await restarted.invalidateCache(restarted.getCacheFileName('http://example.com/page'));
+    expect(purged).toMatchObject({ entries: 1 });
+    expect(restarted.getDedupeStats()).toMatchObject({ blobs: 1, references: 1 });
+
+    // 形式を記録した後は移行しない
+    expect(await new CacheLayout(await restart(), logger).migrate()).toBeNull();
+  });
+
+  test('移行先に同じキーのエントリがある場合は保存時刻の新しいほうを残し、ハッシュ関数の変更でも移行する', async () => {
+    await save('http://example.com/new.js', 'saved after upgrade', { storedAt: 2000 });
+    await fs.writeFile(`${md5CacheFile('http://example.com/new.js')}.cache`, JSON.stringify({
+      url: 'http://example.com/new.js', statusCode: 200, headers: {}, storedAt: 1000, href: 'missing'
+    }));
+    await save('http://example.com/old.js', 'stale', { storedAt: 1000 });
+    await save('http://example.com/md5.js', 'fresh', { storedAt: 2000 });
+    await fs.rename(`${cacheManager.getCacheFileName('http://example.com/md5.js')}.cache`, `${md5CacheFile('http://example.com/old.js')}.cache`);
+    const oldMetadata = `${md5CacheFile('http://example.com/old.js')}.cache`;
+    await fs.writeFile(oldMetadata, (await fs.readFile(oldMetadata, 'utf8')).replace('md5.js', 'old.js'));
+
+    let restarted = await restart();
+    expect(await new CacheLayout(restarted, logger).migrate()).toEqual({ migrated: 1, replaced: 2, failed: 0 });
+    expect(await read(restarted, 'http://example.com/new.js')).toBe('saved after upgrade');
+    expect(await read(restarted, 'http://example.com/old.js')).toBe('fresh');
+    expect(restarted.getDedupeStats()).toMatchObject({ blobs: 2, references: 2 });
+
+    // 設定したハッシュ関数が変わった場合も移行する
+    restarted = await restart({ keyHash: 'sha3-256' });
+    expect(await new CacheLayout(restarted, logger).migrate()).toEqual({ migrated: 2, replaced: 0, failed: 0 });
+    expect(path.basename(restarted.getCacheFileName('http://example.com/old.js'))).toBe(`old-${hash('sha3-256', 'http://example.com/old.js')}.js`);
+    expect(await read(restarted, 'http://example.com/old.js')).toBe('fresh');
+    expect(new CacheManager(cacheDir, { warn: jest.fn() }, { keyHash: 'md5' }).keyHash).toBe('sha256');
+
+    // 新しいバージョンの形式は使用しない
+    await fs.writeFile(path.join(cacheDir, '.layout.json'), JSON.stringify({ version: 3, keyHash: 'sha256' }));
+    await expect(new CacheLayout(restarted, logger).migrate()).rejects.toThrow('形式が新しい');
+  });
+});
@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const CacheManager = require('../cache-manager');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheManager', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-manager-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, { defaultTtl: 0 });
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('304応答でメタデータのみ更新しボディを維持する', async () => {
+    const url = 'http://example.com/asset.js';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    await cacheManager.saveCache(cacheFile, {
+      url,
+      statusCode: 200,
+      headers: { etag: '"v1"', 'cache-control': 'max-age=60', age: '100' },
+      storedAt: Date.now() - 120000
+    }, Buffer.from('console.log(1);'));
+
+    const stale = await cacheManager.loadCache(cacheFile);
+    expect(cacheManager.isFresh(stale)).toBe(false);
+    expect(cacheManager.getConditionalHeaders(stale)).toEqual({ 'if-none-match': '"v1"' });
+
+    const refreshed = await cacheManager.refreshCache(cacheFile, stale, {
+      'cache-control': 'max-age=120',
+      'content-length': '0'
+    });
+    expect(cacheManager.isFresh(refreshed)).toBe(true);
+
+    const reloaded = await cacheManager.loadCache(cacheFile);
+    expect(reloaded.headers['cache-control']).toBe('max-age=120');
+    expect(reloaded.headers['content-length']).toBeUndefined();
+    expect(reloaded.headers.age).toBeUndefined();
+    expect((await cacheManager.readBody(reloaded)).toString()).toBe('console.log(1);');
+
+    expect(reloaded.size).toBe(Buffer.byteLength('console.log(1);'));
+
+    // 実行時の情報（ボディファイルのパス・サイズ）はメタデータに保存しない
+    const metadata = JSON.parse(await fs.readFile(`${cacheFile}.cache`, 'utf8'));
+    expect(metadata.data).toBeUndefined();
+    expect(metadata.bodyFile).toBeUndefined();
+    expect(metadata.size).toBeUndefined();
+  });
+
+  test('Varyで指定されたリクエストヘッダーごとにバリアントを保存・選択する', async () => {
+    const url = 'http://example.com/page.html';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    const save = (language, body) => cacheManager.saveCache(cacheFile, {
+      url,
+      statusCode: 200,
+      headers: { vary: 'Accept-Language', 'cache-control': 'max-age=60' }
+    }, Buffer.from(body), { 'accept-language': language });
+
+    await save('ja', 'こんにちは');
+    await save('en', 'hello');
+
+    const ja = await cacheManager.lookupCache(cacheFile, { 'Accept-Language': 'ja' });
+    const en = await cacheManager.lookupCache(cacheFile, { 'accept-language': 'en' });
+    expect((await cacheManager.readBody(ja)).toString()).toBe('こんにちは');
+    expect((await cacheManager.readBody(en)).toString()).toBe('hello');
+    expect(en.varyHeaders).toEqual({ 'accept-language': 'en' });
+    expect(await cacheManager.lookupCache(cacheFile, { 'accept-language': 'fr' })).toBeNull();
+
+    // 304応答による更新も同じバリアントに反映される
+    await cacheManager.refreshCache(cacheFile, en, { 'cache-control': 'max-age=120' });
+    const refreshed = await cacheManager.lookupCache(cacheFile, { 'accept-language': 'en' });
+    expect(refreshed.headers['cache-control']).toBe('max-age=120');
+    expect((await cacheManager.readBody(refreshed)).toString()).toBe('hello');
+
+    // Varyがなくなった場合はURL単位のエントリに戻る
+    await cacheManager.saveCache(cacheFile, {
+      url,
+      statusCode: 200,
+      headers: { 'cache-control': 'max-age=60' }
+    }, Buffer.from('plain'), { 'accept-language': 'ja' });
+    const plain = await cacheManager.lookupCache(cacheFile, { 'accept-language': 'en' });
+    expect((await cacheManager.readBody(plain)).toString()).toBe('plain');
+  });
+
+  test('一時ファイルを経由して保存し、以前のプロセスが残した一時ファイルを起動時に削除する', async () => {
+    const url = 'http://example.com/app.js';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    await cacheManager.saveCache(cacheFile, { url, statusCode: 200, headers: {} }, Buffer.from('app'));
+    const dir = path.dirname(cacheFile);
+    expect((await fs.readdir(dir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+
+    // 書き込み途中で終了したプロセスの一時ファイル
+    const orphan = cacheManager.getTempFileName(cacheFile);
+    expect(path.dirname(orphan)).toBe(cacheManager.tempDir);
+    await fs.writeFile(orphan, 'partial');
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(orphan, past, past);
+    // 起動後に作成された一時ファイルは書き込み中として残す
+    const writing = cacheManager.getTempFileName(`${cacheFile}.cache`);
+    await fs.writeFile(writing, '{}');
+
+    expect(await cacheManager.removeOrphanedTempFiles()).toBe(1);
+    expect(await cacheManager.fileExists(orphan)).toBe(false);
+    expect(await cacheManager.fileExists(writing)).toBe(true);
+    expect((await cacheManager.readBody(await cacheManager.loadCache(cacheFile))).toString()).toBe('app');
+  });
+
+  test('Set-Cookieを除いて保存し、以前に保存されたエントリのSet-Cookieも応答に含めない', async () => {
+    const url = 'http://example.com/session';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    const headers = { 'content-type': 'text/html', 'set-cookie': ['sid=secret'] };
+    await cacheManager.saveCache(cacheFile, { url, statusCode: 200, headers }, Buffer.from('page'));
+    expect(headers['set-cookie']).toEqual(['sid=secret']);
+    expect((await cacheManager.loadCache(cacheFile)).headers).toEqual({ 'content-type': 'text/html' });
+    expect(cacheManager.getPrivacyStats()).toMatchObject({ setCookie: 'strip', setCookieStripped: 1 });
+
+    // Set-Cookieを除く前に保存されたメタデータ
+    const metadata = JSON.parse(await fs.readFile(`${cacheFile}.cache`, 'utf8'));
+    metadata.headers['Set-Cookie'] = ['sid=legacy'];
+    await fs.writeFile(`${cacheFile}.cache`, JSON.stringify(metadata));
+    expect((await cacheManager.loadCache(cacheFile)).headers['Set-Cookie']).toBeUndefined();
+
+    expect(cacheManager.isStorableForRequest({ authorization: 'Basic dXNlcg==' }, {})).toBe(false);
+    expect(cacheManager.getPrivacyStats().credentialsBypassed).toBe(1);
+  });
+
+  test('メモリキャッシュに載せたエントリはファイルを読まずに応答し、保存時に読み直す', async () => {
+    const memoryManager = new CacheManager(cacheDir, logger, { memory: { maxSize: 1024, maxObjectSize: 16 } });
+    const url = 'http://example.com/small.css';
+    const cacheFile = memoryManager.getCacheFileName(url);
+    await memoryManager.saveCache(cacheFile, { url, statusCode: 200, headers: {} }, Buffer.from('body{}'));
+
+    const first = await memoryManager.lookupCache(cacheFile);
+    expect(first.body.toString()).toBe('body{}');
+    // 2回目はメモリから応答するので、ボディファイルがなくても読める
+    await fs.unlink(first.bodyFile);
+    const second = await memoryManager.lookupCache(cacheFile);
+    expect((await memoryManager.readBody(second)).toString()).toBe('body{}');
+    expect(memoryManager.getMemoryStats()).toMatchObject({ hits: 1, misses: 1, entries: 1, size: 6 });
+
+    await memoryManager.saveCache(cacheFile, { url, statusCode: 200, headers: {} }, Buffer.from('p{}'));
+    expect((await memoryManager.readBody(await memoryManager.lookupCache(cacheFile))).toString()).toBe('p{}');
+
+    // 上限より大きなボディはメモリに載せずファイルから読む
+    const largeUrl = 'http://example.com/large.css';
+    const largeFile = memoryManager.getCacheFileName(largeUrl);
+    await memoryManager.saveCache(largeFile, { url: largeUrl, statusCode: 200, headers: {} }, Buffer.alloc(17));
+    expect((await memoryManager.lookupCache(largeFile)).body).toBeUndefined();
+    expect(memoryManager.getMemoryStats().entries).toBe(1);
+  });
+
+  test('Accept-Encodingではバリアントを分けず、圧縮したボディを受け入れないクライアントには全体を展開して応答する', async () => {
+    const url = 'http://example.com/app.css';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    const body = zlib.gzipSync('a{}');
+    const headers = { vary: 'Accept-Encoding', 'content-encoding': 'gzip', 'cache-control': 'max-age=60' };
+    await cacheManager.saveCache(cacheFile, { url, statusCode: 200, headers }, body, { 'accept-encoding': 'br, gzip, deflate' });
+    expect(await cacheManager.fileExists(`${cacheFile}.vary`)).toBe(false);
+
+    const cache = await cacheManager.lookupCache(cacheFile, { 'accept-encoding': 'identity' });
+    const gzip = cacheManager.getResponseHead('GET', { 'accept-encoding': 'gzip', range: 'bytes=0-1' }, 200, cache.headers, cache.size);
+    expect(gzip).toMatchObject({ statusCode: 206, start: 0, end: 1, createTransform: null });
+
+    const identity = cacheManager.getResponseHead('GET', { range: 'bytes=0-1' }, 200, cache.headers, cache.size);
+    expect(identity).toMatchObject({ statusCode: 200, start: 0, end: body.length - 1 });
+    expect(identity.headers['content-encoding']).toBeUndefined();
+    expect(identity.createTransform).toEqual(expect.any(Function));
+  });
+
+  test('受信中の全体レスポンスからRangeの要求範囲だけを切り出し、全体のサイズが分からない場合は全体を応答する', async () => {
+    const headers = { 'content-type': 'video/mp4', 'content-length': '10' };
+    const slice = async (response) => {
+      const chunks = [];
+      for await (const chunk of Readable.from([Buffer.from('0123'), Buffer.from('4567'), Buffer.from('89')]).pipe(response.createTransform())) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString();
+    };
+
+    const partial = cacheManager.getStreamingResponseHead('GET', { range: 'bytes=3-5' }, 200, headers);
+    expect(partial).toMatchObject({ statusCode: 206, headers: { 'content-range': 'bytes 3-5/10', 'content-length': '3' } });
+    expect(await slice(partial)).toBe('345');
+    expect(await slice(cacheManager.getStreamingResponseHead('GET', { range: 'bytes=-2' }, 200, headers))).toBe('89');
+
+    const unsatisfiable = cacheManager.getStreamingResponseHead('GET', { range: 'bytes=10-' }, 200, headers);
+    expect(unsatisfiable).toMatchObject({ statusCode: 416, headers: { 'content-range': 'bytes */10' } });
+    expect(await slice(unsatisfiable)).toBe('');
+
+    const unknownSize = cacheManager.getStreamingResponseHead('GET', { range: 'bytes=3-5' }, 200, { 'content-type': 'video/mp4' });
+    expect(unknownSize).toMatchObject({ statusCode: 200, createTransform: null });
+    expect(cacheManager.getStreamingResponseHead('GET', {}, 200, headers)).toMatchObject({ statusCode: 200, createTransform: null });
+  });
+
+  test('安全でないメソッドの成功応答でURLとLocationのキャッシュを無効化する', async () => {
+    const headers = { vary: 'Accept-Language', 'cache-control': 'max-age=60' };
+    const save = (url, language) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+      url, statusCode: 200, headers
+    }, Buffer.from(url), { 'accept-language': language });
+    await save('http://example.com/items', 'ja');
+    await save('http://example.com/items', 'en');
+    await save('http://example.com/items/1', 'ja');
+    await save('http://example.com/other', 'ja');
+
+    expect(await cacheManager.invalidateForUnsafeRequest('POST', 'http://example.com/items', 500)).toBe(0);
+    expect(await cacheManager.invalidateForUnsafeRequest('GET', 'http://example.com/items', 200)).toBe(0);
+
+    const removed = await cacheManager.invalidateForUnsafeRequest('POST', 'http://example.com/items', 201, {
+      location: '/items/1'
+    });
+    // 2バリアントの.cache＋共有している1つのボディ＋.vary、1バリアントの.cache＋ボディ＋.vary
+    expect(removed).toBe(7);
+    expect(await cacheManager.isCached('http://example.com/items')).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/items/1')).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/other')).toBe(true);
+  });
+
+  test('ルールのignoreQueryが指定された場合はクエリ文字列をキャッシュキーに含めない', () => {
+    const rule = { domain: 'example.com', ignoreQuery: true };
+    expect(cacheManager.getCacheFileName('http://example.com/a.png?v=1', {}, rule))
+      .toBe(cacheManager.getCacheFileName('http://example.com/a.png?v=2', {}, rule));
+    expect(cacheManager.getCacheFileName('http://example.com/a.png?v=1'))
+      .not.toBe(cacheManager.getCacheFileName('http://example.com/a.png?v=2'));
+  });
+
+  test('クエリパラメータを並べ替え、除外するパラメータをキャッシュキーから取り除く', () => {
+    const normalizing = new CacheManager(cacheDir, logger, {
+      queryNormalization: { sortParams: true, ignoredParams: ['regex:^utm_', 'fbclid'] }
+    });
+    expect(normalizing.normalizeUrl('http://EXAMPLE.com/a?b=2&utm_source=x&a=1&fbclid=y'))
+      .toBe('http://example.com/a?a=1&b=2');
+    expect(normalizing.normalizeUrl('http://example.com/a?utm_medium=x')).toBe('http://example.com/a');
+    expect(normalizing.getCacheFileName('http://example.com/a?a=1&b=2'))
+      .toBe(normalizing.getCacheFileName('http://example.com/a?b=2&a=1&utm_campaign=z'));
+  });
+
+  test('正規化前のキーで保存されたエントリを新しいキーに移行して参照する', async () => {
+    const url = 'http://example.com/list?b=2&a=1';
+    // ボディをエントリごとのファイルに保存していた以前の形式のエントリ
+    const legacyFile = cacheManager.getCacheFileName(url);
+    await fs.mkdir(path.dirname(legacyFile), { recursive: true });
+    await fs.writeFile(legacyFile, 'legacy');
+    await fs.writeFile(`${legacyFile}.cache`, JSON.stringify({
+      url,
+      statusCode: 200,
+      headers: { 'cache-control': 'max-age=60' },
+      href: path.basename(legacyFile)
+    }));
+
+    const normalizing = new CacheManager(cacheDir, logger, { queryNormalization: { sortParams: true } });
+    const cacheFile = normalizing.getCacheFileName(url);
+    const cache = await normalizing.lookupCache(cacheFile);
+    expect((await normalizing.readBody(cache)).toString()).toBe('legacy');
+    expect(cache.href).toBe(path.basename(cacheFile));
+    expect(await normalizing.fileExists(`${cacheManager.getCacheFileName(url)}.cache`)).toBe(false);
+    expect(await normalizing.isCached('http://example.com/list?a=1&b=2')).toBe(true);
+  });
+
+  test('検証子のないキャッシュは条件付きヘッダーを生成しない', () => {
+    expect(cacheManager.getConditionalHeaders({ headers: {} })).toBeNull();
+    expect(cacheManager.getConditionalHeaders({
+      headers: { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+    })).toEqual({ 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+  });
+});
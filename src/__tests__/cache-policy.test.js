@@ -0,0 +1,197 @@
+const CachePolicy = require('../cache-policy');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CachePolicy', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let policy;
+
+  beforeEach(() => {
+    policy = new CachePolicy({ defaultTtl: 0, heuristicFraction: 0.1, heuristicMaxAge: 86400 }, logger);
+  });
+
+  test('no-storeとprivateのレスポンスは保存しない', () => {
+    expect(policy.isStorable(200, { 'cache-control': 'max-age=60' })).toBe(true);
+    expect(policy.isStorable(200, { 'cache-control': 'no-store' })).toBe(false);
+    expect(policy.isStorable(200, { 'cache-control': 'private, max-age=60' })).toBe(false);
+    expect(policy.isStorable(404, {})).toBe(false);
+  });
+
+  test('資格情報を含むリクエストへのレスポンスは共有キャッシュへの保存が明示されない限り保存しない', () => {
+    expect(policy.getPrivacyRejection({}, { 'cache-control': 'max-age=60' })).toBeNull();
+    expect(policy.getPrivacyRejection({ Authorization: 'Bearer t' }, { 'cache-control': 'max-age=60' })).toBe('credentials');
+    expect(policy.getPrivacyRejection({ cookie: 'sid=1' }, {})).toBe('credentials');
+    expect(policy.getPrivacyRejection({ authorization: 'Bearer t' }, { 'cache-control': 'public, max-age=60' })).toBeNull();
+    expect(policy.getPrivacyRejection({ authorization: 'Bearer t' }, { 'cache-control': 's-maxage=60' })).toBeNull();
+
+    // 既定ではSet-Cookieを除いて保存し、bypassの場合は保存しない
+    const headers = { 'Set-Cookie': ['sid=1'], 'content-type': 'text/html' };
+    expect(policy.getPrivacyRejection({}, headers)).toBeNull();
+    expect(policy.stripSetCookie(headers)).toEqual({ 'content-type': 'text/html' });
+    expect(headers['Set-Cookie']).toEqual(['sid=1']);
+    const bypass = new CachePolicy({ privacy: { credentialHeaders: ['X-Api-Key'], setCookie: 'bypass' } }, logger);
+    expect(bypass.getPrivacyRejection({}, headers)).toBe('set-cookie');
+    expect(bypass.getPrivacyRejection({ cookie: 'sid=1' }, {})).toBeNull();
+    expect(bypass.getPrivacyRejection({ 'x-api-key': 'k' }, {})).toBe('credentials');
+  });
+
+  test('Surrogate-KeyとCache-Tagからキャッシュタグを取得する', () => {
+    expect(policy.getCacheTags({ 'Surrogate-Key': 'page-1  product-9', 'cache-tag': 'product-9,Category-3' }))
+      .toEqual(['page-1', 'product-9', 'Category-3']);
+    expect(policy.getCacheTags({})).toEqual([]);
+    const custom = new CachePolicy({ tags: { headers: ['X-Tags'] } }, logger);
+    expect(custom.getCacheTags({ 'x-tags': 'a b', 'surrogate-key': 'c' })).toEqual(['a', 'b']);
+  });
+
+  test('GETのレスポンスのみ保存し、安全でないメソッドを判定する', () => {
+    expect(policy.isStorable(200, {}, 'GET')).toBe(true);
+    expect(policy.isStorable(200, {}, 'HEAD')).toBe(false);
+    expect(policy.isStorable(200, {}, 'POST')).toBe(false);
+    expect(policy.isCacheableMethod('HEAD')).toBe(true);
+    expect(policy.isCacheableMethod('PUT')).toBe(false);
+    expect(['POST', 'PUT', 'PATCH', 'DELETE'].every(method => policy.isUnsafeMethod(method))).toBe(true);
+    expect(policy.isUnsafeMethod('OPTIONS')).toBe(false);
+  });
+
+  test('Cache-Control: only-if-cachedのリクエストを判定する', () => {
+    expect(policy.isOnlyIfCached({ 'Cache-Control': 'only-if-cached' })).toBe(true);
+    expect(policy.isOnlyIfCached({ 'cache-control': 'max-stale=60, Only-If-Cached' })).toBe(true);
+    expect(policy.isOnlyIfCached({ 'cache-control': 'no-cache' })).toBe(false);
+    expect(policy.isOnlyIfCached({})).toBe(false);
+  });
+
+  test('RangeとIf-Rangeに応じてキャッシュ済みボディの送信範囲と応答ヘッダーを決定する', () => {
+    const headers = { etag: '"v1"', 'content-length': '10', 'content-type': 'text/plain' };
+    const respond = (requestHeaders, method = 'GET') => policy.getRangeResponseHead(method, requestHeaders, 200, headers, 10);
+
+    const partial = respond({ range: 'bytes=2-4' });
+    expect(partial).toMatchObject({ statusCode: 206, start: 2, end: 4 });
+    expect(partial.headers).toMatchObject({ 'content-range': 'bytes 2-4/10', 'content-length': '3' });
+    expect(respond({ range: 'bytes=-3' })).toMatchObject({ start: 7, end: 9 });
+    expect(respond({ range: 'bytes=8-100' })).toMatchObject({ start: 8, end: 9, headers: { 'content-range': 'bytes 8-9/10' } });
+
+    // 416はボディを送らない（endがstartより小さい）
+    const unsatisfiable = respond({ range: 'bytes=10-' });
+    expect(unsatisfiable).toMatchObject({ statusCode: 416, start: 0, end: -1 });
+    expect(unsatisfiable.headers).toMatchObject({ 'content-range': 'bytes */10', 'content-length': '0' });
+
+    // If-Rangeが一致しない場合・複数範囲・HEADは全体を返す
+    expect(respond({ range: 'bytes=2-4', 'if-range': '"v1"' }).statusCode).toBe(206);
+    expect(respond({ range: 'bytes=2-4', 'if-range': '"v2"' })).toMatchObject({ statusCode: 200, start: 0, end: 9 });
+    expect(respond({ range: 'bytes=0-1,4-5' }).statusCode).toBe(200);
+    expect(respond({ range: 'bytes=2-4' }, 'HEAD').statusCode).toBe(200);
+    const full = respond({});
+    expect(full.headers).toMatchObject({ 'accept-ranges': 'bytes', 'content-length': '10' });
+    expect(full).toMatchObject({ start: 0, end: 9 });
+  });
+
+  test('ホワイトリストのルールで保存するステータス・Content-Type・サイズを制限する', () => {
+    const rule = { cacheableStatuses: [200, 404], contentTypes: ['image/*', 'text/css'], maxObjectSize: 100 };
+    expect(policy.isStorable(404, { 'content-type': 'image/png' }, 'GET', rule)).toBe(true);
+    expect(policy.isStorable(200, { 'content-type': 'text/css; charset=utf-8' }, 'GET', rule)).toBe(true);
+    expect(policy.isStorable(200, { 'content-type': 'text/html' }, 'GET', rule)).toBe(false);
+    expect(policy.isStorable(200, { 'content-type': 'image/png', 'content-length': '101' }, 'GET', rule)).toBe(false);
+    expect(policy.isStorable(200, { 'content-type': 'image/png' }, 'GET', rule, 101)).toBe(false);
+    expect(policy.isStorable(410, { 'content-type': 'image/png' }, 'GET', rule)).toBe(false);
+  });
+
+  test('ホワイトリストのルールのttlと猶予期間で設定値を上書きする', () => {
+    const now = Date.now();
+    const rule = { ttl: 60, staleIfError: 30 };
+    expect(policy.getFreshnessLifetime(200, {}, rule)).toBe(60);
+    // オリジンの鮮度情報がある場合はルールより優先する
+    expect(policy.getFreshnessLifetime(200, { 'cache-control': 'max-age=10' }, rule)).toBe(10);
+
+    const cache = { statusCode: 200, headers: {}, storedAt: now - 70000 };
+    expect(policy.getFreshness(cache, now, rule)).toMatchObject({ fresh: false, staleIfError: true });
+    expect(policy.getFreshness(cache, now).staleIfError).toBe(false);
+  });
+
+  test('Varyのヘッダー名を正規化し、Vary: *は保存しない', () => {
+    expect(policy.getVaryHeaderNames({ vary: 'Accept-Encoding, accept-language,Accept-Encoding' }))
+      .toEqual(['accept-encoding', 'accept-language']);
+    expect(policy.selectVaryHeaders(['accept-language', 'accept-encoding'], { 'Accept-Language': ' ja ' }))
+      .toEqual({ 'accept-language': 'ja', 'accept-encoding': '' });
+    expect(policy.isStorable(200, { vary: '*' })).toBe(false);
+  });
+
+  test('s-maxage、max-age、Expiresの順で有効期間を決定する', () => {
+    const date = new Date('2024-01-01T00:00:00Z');
+    expect(policy.getFreshnessLifetime(200, { 'cache-control': 'max-age=60, s-maxage=120' })).toBe(120);
+    expect(policy.getFreshnessLifetime(200, { 'cache-control': 'max-age=60' })).toBe(60);
+    expect(policy.getFreshnessLifetime(200, {
+      date: date.toUTCString(),
+      expires: new Date(date.getTime() + 300000).toUTCString()
+    })).toBe(300);
+    expect(policy.getFreshnessLifetime(200, { expires: '0' })).toBe(0);
+    expect(policy.getFreshnessLifetime(200, { 'cache-control': 'no-cache, max-age=60' })).toBe(0);
+  });
+
+  test('Last-Modifiedからヒューリスティックに有効期間を決定する', () => {
+    const date = new Date('2024-01-11T00:00:00Z');
+    const lastModified = new Date('2024-01-01T00:00:00Z');
+    expect(policy.getFreshnessLifetime(200, {
+      date: date.toUTCString(),
+      'last-modified': lastModified.toUTCString()
+    })).toBe(86400);
+    expect(policy.getFreshnessLifetime(200, {})).toBe(0);
+  });
+
+  test('statusTtlsに設定したステータスコードを保存し、鮮度情報がなければステータスごとの有効期間を使う', () => {
+    const statusPolicy = new CachePolicy({ defaultTtl: 10, statusTtls: { 301: 86400, '404': 60, 304: 60, abc: 1, 410: -1 } }, logger);
+    expect(statusPolicy.getCacheableStatuses()).toEqual([200, 301, 404]);
+    expect(statusPolicy.isStorable(301, { location: '/new' })).toBe(true);
+    expect(statusPolicy.isStorable(404, { 'cache-control': 'no-store' })).toBe(false);
+    expect(statusPolicy.isStorable(410, {})).toBe(false);
+
+    // オリジンの鮮度情報を優先し、なければステータスごとの有効期間を使う
+    expect(statusPolicy.getFreshnessLifetime(404, { 'cache-control': 'max-age=5' })).toBe(5);
+    expect(statusPolicy.getFreshnessLifetime(404, { 'last-modified': new Date(0).toUTCString() })).toBe(60);
+    expect(statusPolicy.getFreshnessLifetime(301, {})).toBe(86400);
+    expect(statusPolicy.getFreshnessLifetime(200, {})).toBe(10);
+
+    // ルールのstatusTtlsは設定値を上書きし、保存するステータスコードにも加わる
+    const rule = { statusTtls: { 404: 5, 410: 30 } };
+    expect(statusPolicy.isStorable(410, {}, 'GET', rule)).toBe(true);
+    expect(statusPolicy.getFreshnessLifetime(404, {}, rule)).toBe(5);
+    expect(statusPolicy.getFreshnessLifetime(301, {}, rule)).toBe(86400);
+    // cacheableStatusesを指定したルールはそのステータスコードだけを保存する
+    expect(statusPolicy.isStorable(301, {}, 'GET', { cacheableStatuses: [200] })).toBe(false);
+
+    // ヒューリスティックが許されないステータスコードは既定の有効期間を使う
+    const lastModified = { date: new Date('2024-01-11T00:00:00Z').toUTCString(), 'last-modified': new Date('2024-01-01T00:00:00Z').toUTCString() };
+    expect(statusPolicy.getFreshnessLifetime(403, lastModified)).toBe(10);
+
+    // 204にはContent-Lengthを付けない
+    expect(statusPolicy.getRangeResponseHead('GET', {}, 204, { 'content-length': '0' }, 0).headers).toEqual({});
+  });
+
+  test('保存時刻とAgeヘッダーから鮮度を判定する', () => {
+    const now = Date.now();
+    const cache = {
+      statusCode: 200,
+      headers: { 'cache-control': 'max-age=60', age: '30' },
+      storedAt: now - 20000
+    };
+    expect(policy.getFreshness(cache, now)).toMatchObject({ fresh: true, age: 50, lifetime: 60 });
+    expect(policy.getFreshness(cache, now + 15000).fresh).toBe(false);
+  });
+
+  test('stale-while-revalidateとstale-if-errorの猶予期間を判定する', () => {
+    const now = Date.now();
+    const cache = {
+      statusCode: 200,
+      headers: { 'cache-control': 'max-age=10, stale-while-revalidate=30' },
+      storedAt: now - 20000
+    };
+    expect(policy.getFreshness(cache, now)).toMatchObject({ fresh: false, staleWhileRevalidate: true, staleIfError: false });
+    expect(policy.getFreshness(cache, now + 30000).staleWhileRevalidate).toBe(false);
+
+    // 設定値はオリジンの指定がない場合に使われる
+    const configured = new CachePolicy({ staleIfError: 60 }, logger);
+    expect(configured.getFreshness({ ...cache, headers: { 'cache-control': 'max-age=10' } }, now).staleIfError).toBe(true);
+
+    // must-revalidateが指定されている場合は期限切れキャッシュを返さない
+    const mustRevalidate = { ...cache, headers: { 'cache-control': 'max-age=10, must-revalidate, stale-if-error=60' } };
+    expect(configured.getFreshness(mustRevalidate, now)).toMatchObject({ staleWhileRevalidate: false, staleIfError: false });
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CacheManager = require('../cache-manager');
+const CachePurger = require('../cache-purger');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CachePurger', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+  let cachePurger;
+
+  const save = (url, body, requestHeaders = null, headers = {}) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+    url, statusCode: 200, headers: requestHeaders ? { ...headers, vary: 'Accept-Language' } : headers
+  }, Buffer.from(body), requestHeaders);
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-purger-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    cachePurger = new CachePurger(cacheManager, logger);
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('URLのバリアントをまとめて削除し、削除したエントリ数とバイト数を返す', async () => {
+    await save('http://example.com/page', 'ja', { 'accept-language': 'ja' });
+    await save('http://example.com/page', 'en', { 'accept-language': 'en' });
+    await save('http://example.com/other', 'other');
+
+    const result = await cachePurger.purgeUrl('http://example.com/page');
+    expect(result.entries).toBe(2);
+    // 2バリアント×（ボディ＋.cache）＋.vary
+    expect(result.files).toBe(5);
+    expect(result.bytes).toBeGreaterThan(4);
+    expect(await cacheManager.isCached('http://example.com/page')).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/other')).toBe(true);
+
+    expect(await cachePurger.purgeUrl('http://example.com/page')).toEqual({ files: 0, entries: 0, bytes: 0 });
+
+    // PURGEメソッドはループバックと設定したクライアントからだけ受け付ける
+    const restricted = new CachePurger(cacheManager, logger, { allowedClients: ['192.0.2.10'] });
+    expect(restricted.isAllowedClient('127.0.0.1')).toBe(true);
+    expect(restricted.isAllowedClient('::ffff:127.0.0.1')).toBe(true);
+    expect(restricted.isAllowedClient('::1')).toBe(true);
+    expect(restricted.isAllowedClient('::ffff:192.0.2.10')).toBe(true);
+    expect(restricted.isAllowedClient('192.0.2.11')).toBe(false);
+    expect(cachePurger.isAllowedClient('192.0.2.10')).toBe(false);
+    expect(cachePurger.isAllowedClient(undefined)).toBe(false);
+  });
+
+  test('前方一致・ホスト・正規表現で一致するエントリだけを削除する', async () => {
+    await save('http://example.com/img/a.png', 'a');
+    await save('http://example.com/img/sub/b.png', 'b', { 'accept-language': 'ja' });
+    await save('http://example.com/css/site.css', 'css');
+    await save('http://example.com:8080/app.js', 'app');
+    await save('http://cdn.example.org/lib.js?v=1', 'lib');
+    await save('http://cdn.example.org/lib.js?v=2', 'lib');
+
+    // 対象はエントリの索引から選び、.cacheファイルを読み込まない
+    const readFile = jest.spyOn(fs, 'readFile');
+    const prefix = await cachePurger.purgePrefix('http://EXAMPLE.com/img/');
+    expect(prefix.entries).toBe(2);
+    expect(readFile).not.toHaveBeenCalled();
+    readFile.mockRestore();
+    expect(await cacheManager.isCached('http://example.com/img/a.png')).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/css/site.css')).toBe(true);
+    // バリアントがなくなったURLのVary情報も削除される
+    const varyFile = `${cacheManager.getCacheFileName('http://example.com/img/sub/b.png')}.vary`;
+    expect(await cacheManager.fileExists(varyFile)).toBe(false);
+
+    const pattern = await cachePurger.purgePattern('lib\\.js\\?v=1$');
+    expect(pattern.entries).toBe(1);
+    expect(await cacheManager.isCached('http://cdn.example.org/lib.js?v=2')).toBe(true);
+    await expect(cachePurger.purgePattern('(')).rejects.toThrow(SyntaxError);
+
+    // ポートを省略したホストはすべてのポートが対象
+    const host = await cachePurger.purgeHost('Example.com');
+    expect(host.entries).toBe(2);
+    expect(host.bytes).toBeGreaterThan(0);
+    expect(await cacheManager.isCached('http://example.com:8080/app.js')).toBe(false);
+    expect(await cacheManager.isCached('http://cdn.example.org/lib.js?v=2')).toBe(true);
+  });
+
+  test('キャッシュタグが付いたエントリを削除し、起動時にはヘッダーから索引を作り直す', async () => {
+    await save('http://example.com/products/9', 'ja', { 'accept-language': 'ja' }, { 'surrogate-key': 'product-9 list' });
+    await save('http://example.com/products/9', 'en', { 'accept-language': 'en' }, { 'surrogate-key': 'product-9 list' });
+    await save('http://example.com/products', 'list', null, { 'cache-tag': 'list' });
+    await save('http://example.com/about', 'about', null, { 'cache-tag': 'static' });
+    // 再保存でタグが変わった場合は以前のタグから外れる
+    await save('http://example.com/about', 'about', null, {});
+    expect(cacheManager.tagIndex.getStats()).toEqual({ tags: 2, entries: 3 });
+
+    // 再起動後の状態（索引なし）から作り直す
+    const restarted = new CacheManager(cacheDir, logger, {});
+    await restarted.initialize();
+    expect(await restarted.rebuildTagIndex()).toBe(3);
+    const result = await new CachePurger(restarted, logger).purgeTags('product-9');
+    expect(result.entries).toBe(2);
+    // バリアントがなくなったURLのVary情報も削除される
+    expect(result.files).toBe(5);
+    expect(await restarted.fileExists(`${restarted.getCacheFileName('http://example.com/products/9')}.vary`)).toBe(false);
+    expect(restarted.tagIndex.getStats()).toEqual({ tags: 1, entries: 1 });
+
+    expect((await cachePurger.purgeTags(['list', 'unknown'])).entries).toBe(1);
+    expect(await cacheManager.isCached('http://example.com/products')).toBe(false);
+    expect(await cacheManager.isCached('http://example.com/about')).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const CacheManager = require('../cache-manager');
+const CacheWarmer = require('../cache-warmer');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheWarmer', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  const cacheManager = new CacheManager(os.tmpdir(), logger, {});
+
+  // オリジンの代わりにURLごとの応答を返す取得関数
+  const createFetch = (pages) => {
+    const fetch = jest.fn(async (url) => {
+      fetch.active++;
+      fetch.maxActive = Math.max(fetch.maxActive, fetch.active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      fetch.active--;
+      const page = pages[url];
+      if (!page) {
+        return { statusCode: 404, headers: {}, stream: Readable.from([]) };
+      }
+      // オリジンから取得したボディは受信しながら保存され、保存の結果はstoredで返る
+      const stored = page.stored ? Promise.resolve({ size: page.body.length }) : undefined;
+      return { statusCode: 200, headers: page.headers || {}, stream: Readable.from([Buffer.from(page.body)]), stored, fromCache: page.fromCache };
+    });
+    fetch.active = 0;
+    fetch.maxActive = 0;
+    return fetch;
+  };
+
+  test('サイトマップインデックスをたどり、同時実行数を制限して取得する', async () => {
+    const pages = {
+      'https://example.com/sitemap.xml': {
+        body: '<?xml version="1.0"?><sitemapindex><sitemap><loc>https://example.com/a.xml</loc></sitemap>'
+          + '<sitemap><loc><![CDATA[https://example.com/b.xml.gz]]></loc></sitemap></sitemapindex>'
+      },
+      'https://example.com/a.xml': {
+        body: '<urlset><url><loc>https://example.com/1?x=1&amp;y=2</loc></url><url><loc>https://example.com/2</loc></url>'
+          + '<url><loc>https://other.example.org/</loc></url><url><loc>https://example.com/missing</loc></url></urlset>'
+      },
+      // ファイル自体がgzipのサイトマップ
+      'https://example.com/b.xml.gz': {
+        body: zlib.gzipSync('<urlset><url><loc>https://example.com/2</loc></url><url><loc>https://example.com/3</loc></url></urlset>')
+      },
+      'https://example.com/1?x=1&y=2': { body: 'one', fromCache: true },
+      'https://example.com/2': { body: 'two' },
+      'https://example.com/3': { body: 'three', stored: true }
+    };
+    const fetch = createFetch(pages);
+    const warmer = new CacheWarmer(cacheManager, logger, { concurrency: 2, requestsPerSecond: 0 }, {
+      fetch,
+      isAllowed: url => url.startsWith('https://example.com/')
+    });
+
+    const job = warmer.start({ sitemap: 'https://example.com/sitemap.xml' });
+    const result = await job.done;
+    expect(result).toMatchObject({
+      state: 'completed',
+      discovered: 7,
+      fetched: 7,
+      hits: 1,
+      stored: 1,
+      notStored: 4,
+      failed: 1,
+      skipped: 1,
+      failures: [{ url: 'https://example.com/missing', error: 'HTTP 404' }]
+    });
+    expect(fetch.maxActive).toBe(2);
+    expect(warmer.getJobs()[0].id).toBe(job.id);
+  });
+
+  test('URLリストとクロールの深さに従って取得し、開始時の不正な指定はエラーにする', async () => {
+    const pages = {
+      'http://example.com/': {
+        body: '<a href="/docs/">docs</a><img src=\'logo.png\'><a href="https://cdn.example.net/x.js">x</a><a href="/#top">top</a>',
+        headers: { 'content-type': 'text/html' }
+      },
+      'http://example.com/docs/': { body: '<a href="intro">intro</a>', headers: { 'content-type': 'text/html' } },
+      'http://example.com/logo.png': { body: 'png' },
+      'http://example.com/docs/intro': { body: '<a href="/deep">deep</a>', headers: { 'content-type': 'text/html' } }
+    };
+    const warmer = new CacheWarmer(cacheManager, logger, { requestsPerSecond: 0 }, { fetch: createFetch(pages) });
+
+    const crawl = await warmer.start({ url: 'http://example.com/', depth: 2 }).done;
+    // 深さ2までのリンクだけをたどり、別オリジンとフラグメントだけが異なるURLは取得しない
+    expect(crawl).toMatchObject({ state: 'completed', fetched: 4, failed: 0, discovered: 4 });
+
+    // URLリストはwarmup.fileDir内のファイルだけを読み込む
+    const fileDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-warmer-test-'));
+    const listWarmer = new CacheWarmer(cacheManager, logger, { requestsPerSecond: 0, fileDir }, { fetch: createFetch(pages) });
+    await fs.writeFile(path.join(fileDir, 'urls.txt'), '# トップとロゴ\nhttp://example.com/\n\nhttp://example.com/logo.png\nDB_PASSWORD hunter2\n');
+    const list = await listWarmer.start({ file: 'urls.txt' }).done;
+    expect(list).toMatchObject({ fetched: 2, failed: 1 });
+    // URLでない行はファイルの内容を返さず行番号だけを記録する
+    expect(list.failures).toEqual([{ line: 5, error: '不正なURL' }]);
+    expect(JSON.stringify(list)).not.toContain('hunter2');
+
+    expect(() => warmer.start({})).toThrow(TypeError);
+    expect(() => warmer.start({ url: 'http://example.com/', depth: 9 })).toThrow(TypeError);
+    expect(() => warmer.start({ sitemap: 'not a url' })).toThrow('Invalid URL');
+    // fileDirの設定がない場合とfileDirの外を指す場合は読み込まない
+    expect(() => warmer.start({ file: path.join(fileDir, 'urls.txt') })).toThrow('warmup.fileDir');
+    expect(() => listWarmer.start({ file: '../secret.txt' })).toThrow(TypeError);
+    expect(() => listWarmer.start({ file: '/etc/passwd' })).toThrow(TypeError);
+    await fs.symlink('/etc/hostname', path.join(fileDir, 'link.txt'));
+    expect(await listWarmer.start({ file: 'link.txt' }).done).toMatchObject({ state: 'failed', fetched: 0 });
+    const missing = await listWarmer.start({ file: 'missing.txt' }).done;
+    expect(missing.state).toBe('failed');
+    await fs.rm(fileDir, { recursive: true, force: true });
+  });
+
+  test('オフラインモードではジョブを開始せず、実行中にオフラインモードになった後のURLは取得しない', async () => {
+    const pages = {
+      'https://example.com/': {
+        body: '<a href="/a">a</a><a href="/b">b</a>',
+        headers: { 'content-type': 'text/html' }
+      },
+      'https://example.com/a': { body: 'a' },
+      'https://example.com/b': { body: 'b' }
+    };
+    let offline = true;
+    const fetch = createFetch(pages);
+    const warmer = new CacheWarmer(cacheManager, logger, { concurrency: 1, requestsPerSecond: 0 }, {
+      fetch: jest.fn(async (url) => {
+        // 開始URLの取得中にオフラインモードに切り替える
+        offline = true;
+        return fetch(url);
+      }),
+      isOffline: () => offline
+    });
+
+    expect(() => warmer.start({ url: 'https://example.com/', depth: 1 })).toThrow('オフラインモード');
+    expect(warmer.getJobs()).toEqual([]);
+
+    offline = false;
+    const result = await warmer.start({ url: 'https://example.com/', depth: 1 }).done;
+    expect(result).toMatchObject({ state: 'completed', discovered: 3, fetched: 1, skipped: 2 });
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(['https://example.com/']);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const CacheManager = require('../cache-manager');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('CacheWriter', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let cacheDir;
+  let cacheManager;
+
+  // ストリームの内容をすべて読み込む
+  const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-writer-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('ストリームで書き込んだボディをバリアントとして保存し、範囲を指定して読み込める', async () => {
+    const url = 'http://example.com/video.mp4';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    const writer = cacheManager.createCacheWriter(cacheFile);
+    await pipeline(Readable.from([Buffer.from('0123'), Buffer.from('4567'), Buffer.from('89')]), writer);
+
+    const headers = { vary: 'Accept-Language', 'content-type': 'video/mp4' };
+    expect(await writer.commit({ url, statusCode: 200, headers }, { 'accept-language': 'ja' })).toBe(true);
+    expect(writer.size).toBe(10);
+    expect(await cacheManager.fileExists(writer.tempFile)).toBe(false);
+
+    const cache = await cacheManager.lookupCache(cacheFile, { 'accept-language': 'ja' });
+    expect(cache.bodyFile).toBe(writer.bodyFile);
+    expect(cache.size).toBe(10);
+    expect(await readStream(cacheManager.createBodyStream(cache))).toBe('0123456789');
+
+    const range = cacheManager.getRangeResponseHead('GET', { range: 'bytes=2-5' }, cache.statusCode, cache.headers, cache.size);
+    expect(range.statusCode).toBe(206);
+    expect(await readStream(cacheManager.createBodyStream(cache, range.start, range.end))).toBe('2345');
+  });
+
+  test('確定せずに破棄した場合は一時ファイルを削除し、キャッシュに残さない', async () => {
+    const url = 'http://example.com/large.bin';
+    const cacheFile = cacheManager.getCacheFileName(url);
+    const writer = cacheManager.createCacheWriter(cacheFile);
+    await new Promise((resolve, reject) => {
+      writer.write(Buffer.from('partial'), err => (err ? reject(err) : resolve()));
+    });
+    expect(await cacheManager.fileExists(writer.tempFile)).toBe(true);
+
+    await writer.discard();
+    expect(await cacheManager.fileExists(writer.tempFile)).toBe(false);
+    expect(await cacheManager.isCached(url)).toBe(false);
+    expect(await fs.readdir(cacheManager.tempDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const ContentEncoder = require('../content-encoder');
+const CachePolicy = require('../cache-policy');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('ContentEncoder', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  const policy = new CachePolicy({}, logger);
+
+  // 変換ストリームを通した結果を取得する
+  const transform = async (createTransform, body) => {
+    const chunks = [];
+    for await (const chunk of Readable.from([body]).pipe(createTransform())) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  test('保存したコーディングを受け入れないクライアントには展開して応答する', async () => {
+    const encoder = new ContentEncoder({}, logger, policy);
+    const body = zlib.gzipSync('hello');
+    const headers = { 'content-encoding': 'gzip', 'content-length': String(body.length), etag: '"v1"', vary: 'Origin' };
+
+    const accepted = encoder.negotiate({ 'accept-encoding': 'gzip, br' }, 200, headers, body.length);
+    expect(accepted.createTransform).toBeNull();
+    expect(accepted.headers).toMatchObject({ 'content-encoding': 'gzip', vary: 'origin, accept-encoding', etag: '"v1"' });
+
+    // Accept-Encodingがない、またはgzipを拒否するクライアントには展開したボディを返す
+    for (const requestHeaders of [{}, { 'Accept-Encoding': 'br, gzip;q=0' }]) {
+      const decoded = encoder.negotiate(requestHeaders, 200, headers, body.length);
+      expect(decoded.headers['content-encoding']).toBeUndefined();
+      expect(decoded.headers['content-length']).toBeUndefined();
+      expect(decoded.headers.etag).toBe('W/"v1"');
+      expect((await transform(decoded.createTransform, body)).toString()).toBe('hello');
+    }
+
+    // 未対応のコーディングはそのまま送る
+    expect(encoder.negotiate({}, 200, { 'content-encoding': 'zstd' }, 10).createTransform).toBeNull();
+  });
+
+  test('有効な場合は圧縮されていないテキストをクライアントが受け入れる方式で圧縮する', async () => {
+    const encoder = new ContentEncoder({ enabled: true, encodings: ['br', 'gzip'], minSize: 10 }, logger, policy);
+    const body = Buffer.from('body { color: red; }'.repeat(10));
+    const headers = { 'content-type': 'text/css', 'content-length': String(body.length) };
+
+    const gzip = encoder.negotiate({ 'accept-encoding': 'gzip, deflate' }, 200, headers, body.length);
+    expect(gzip.headers['content-encoding']).toBe('gzip');
+    expect(gzip.headers.vary).toBe('accept-encoding');
+    expect(zlib.gunzipSync(await transform(gzip.createTransform, body))).toEqual(body);
+
+    const br = encoder.negotiate({ 'accept-encoding': '*' }, 200, headers, body.length);
+    expect(br.headers['content-encoding']).toBe('br');
+    expect(zlib.brotliDecompressSync(await transform(br.createTransform, body))).toEqual(body);
+
+    // 対象外のContent-Type・小さなボディ・Rangeリクエスト・no-transformは圧縮しない
+    const accept = { 'accept-encoding': 'gzip' };
+    expect(encoder.negotiate(accept, 200, { 'content-type': 'image/png' }, body.length).createTransform).toBeNull();
+    expect(encoder.negotiate(accept, 200, headers, 5).createTransform).toBeNull();
+    expect(encoder.negotiate({ ...accept, range: 'bytes=0-9' }, 200, headers, body.length).createTransform).toBeNull();
+    expect(encoder.negotiate(accept, 200, { ...headers, 'cache-control': 'no-transform' }, body.length).createTransform).toBeNull();
+    expect(new ContentEncoder({}, logger, policy).negotiate(accept, 200, headers, body.length).createTransform).toBeNull();
+  });
+});
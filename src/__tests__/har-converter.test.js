@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const CacheManager = require('../cache-manager');
+const HarConverter = require('../har-converter');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('HarConverter', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let workDir;
+  let cacheManager;
+
+  const entry = (url, options = {}) => ({
+    startedDateTime: options.startedDateTime || new Date().toISOString(),
+    time: 120,
+    request: { method: options.method || 'GET', url, headers: options.requestHeaders || [] },
+    response: {
+      status: options.status || 200,
+      headers: options.headers || [{ name: 'Content-Type', value: 'text/plain' }],
+      content: options.content || { size: 5, mimeType: 'text/plain', text: 'hello' }
+    }
+  });
+
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'har-converter-test-'));
+    cacheManager = new CacheManager(workDir, logger, { queryNormalization: { sortParams: true } });
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('HARのレスポンスを正規化したURLで保存し、キャッシュ対象外のエントリはスキップする', async () => {
+    const converter = new HarConverter(cacheManager, logger, {
+      isAllowed: url => !url.includes('blocked.example')
+    });
+    const startedDateTime = '2024-01-15T10:00:00.000Z';
+    const result = await converter.importHar(JSON.stringify({
+      log: {
+        version: '1.2',
+        entries: [
+          entry('http://EXAMPLE.com/page?b=2&a=1#top', {
+            startedDateTime,
+            headers: [
+              { name: 'Content-Type', value: 'text/html' },
+              { name: 'Content-Encoding', value: 'gzip' },
+              { name: 'Content-Length', value: '40' },
+              { name: 'Vary', value: 'Accept-Language' }
+            ],
+            requestHeaders: [{ name: ':authority', value: 'example.com' }, { name: 'Accept-Language', value: 'ja' }],
+            content: { size: 9, mimeType: 'text/html', text: '<p>ja</p>' }
+          }),
+          entry('http://example.com/logo.png', {
+            headers: [{ name: 'Content-Type', value: 'image/png' }],
+            content: { size: 4, mimeType: 'image/png', text: Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64'), encoding: 'base64' }
+          }),
+          entry('data:image/png;base64,AAAA'),
+          entry('http://example.com/form', { method: 'POST' }),
+          entry('http://blocked.example/page'),
+          entry('http://example.com/private', { headers: [{ name: 'Cache-Control', value: 'no-store' }] }),
+          entry('http://example.com/no-body', { content: { size: 10, mimeType: 'text/plain' } })
+        ]
+      }
+    }));
+    expect(result).toEqual({ entries: 2, skipped: 5, bytes: 13 });
+
+    // プロキシと同じ正規化（ホスト名は小文字、フラグメントなし、クエリの並べ替え）でキャッシュを引ける
+    const page = await cacheManager.lookupCache(cacheManager.getCacheFileName('http://example.com/page?a=1&b=2'), { 'accept-language': 'ja' });
+    expect(page.url).toBe('http://example.com/page?b=2&a=1');
+    expect(page.storedAt).toBe(Date.parse(startedDateTime) + 120);
+    expect(page.headers['content-encoding']).toBeUndefined();
+    expect(page.headers['content-length']).toBe('9');
+    expect((await cacheManager.readBody(page)).toString()).toBe('<p>ja</p>');
+    expect(await cacheManager.lookupCache(cacheManager.getCacheFileName('http://example.com/page?a=1&b=2'), { 'accept-language': 'en' })).toBeNull();
+
+    const logo = await cacheManager.lookupCache(cacheManager.getCacheFileName('http://example.com/logo.png'), {});
+    expect([...await cacheManager.readBody(logo)]).toEqual([0x89, 0x50, 0x4e, 0x47]);
+    expect(await cacheManager.isCached('http://example.com/private')).toBe(false);
+
+    await expect(converter.importHar('{"log": {}}')).rejects.toThrow(SyntaxError);
+  });
+
+  test('ホストのキャッシュを展開したボディのHARとして書き出す', async () => {
+    const html = '<html>' + 'a'.repeat(200) + '</html>';
+    const gzipped = zlib.gzipSync(html);
+    await cacheManager.saveCache(cacheManager.getCacheFileName('http://example.com:8080/index.html'), {
+      url: 'http://example.com:8080/index.html',
+      statusCode: 200,
+      headers: { 'content-type': 'text/html; charset=utf-8', 'content-encoding': 'gzip', vary: 'Accept-Language' }
+    }, gzipped, { 'accept-language': 'ja' });
+    await cacheManager.saveCache(cacheManager.getCacheFileName('http://example.com/logo.png?v=1'), {
+      url: 'http://example.com/logo.png?v=1', statusCode: 200, headers: { 'content-type': 'image/png' }
+    }, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    await cacheManager.saveCache(cacheManager.getCacheFileName('http://example.org/other'), {
+      url: 'http://example.org/other', statusCode: 200, headers: { 'content-type': 'text/plain' }
+    }, Buffer.from('other'));
+
+    const converter = new HarConverter(cacheManager, logger, { version: '1.0.0' });
+    const har = await converter.exportHar('Example.com');
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.creator).toEqual({ name: 'CachingEdgeProxy', version: '1.0.0' });
+    const entries = Object.fromEntries(har.log.entries.map(e => [e.request.url, e]));
+    expect(Object.keys(entries).sort()).toEqual(['http://example.com/logo.png?v=1', 'http://example.com:8080/index.html']);
+
+    const page = entries['http://example.com:8080/index.html'];
+    expect(page.response.content).toMatchObject({ size: html.length, compression: html.length - gzipped.length, mimeType: 'text/html; charset=utf-8', text: html });
+    expect(page.response.bodySize).toBe(gzipped.length);
+    expect(page.request.headers).toEqual([{ name: 'accept-language', value: 'ja' }]);
+
+    const logo = entries['http://example.com/logo.png?v=1'];
+    expect(logo.response.content).toMatchObject({ encoding: 'base64', text: Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64') });
+    expect(logo.request.queryString).toEqual([{ name: 'v', value: '1' }]);
+
+    // 書き出したHARはそのまま読み込める
+    await fs.promises.rm(path.join(workDir, 'example.com'), { recursive: true, force: true });
+    expect(await converter.importHar(har)).toMatchObject({ entries: 2, skipped: 0 });
+    expect(await cacheManager.isCached('http://example.com/logo.png?v=1')).toBe(true);
+
+    await expect(converter.exportHar('')).rejects.toThrow(TypeError);
+  });
+});
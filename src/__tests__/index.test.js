@@ -44,7 +44,7 @@ const getCacheFileName = (requestUrl, headers = {}) => {
             url = new URL(`http://${host}${requestUrl}`);
         }
         const normalized = `${url.protocol}//${url.host}${url.pathname}`;
-        const hash = crypto.createHash('md5').update(normalized).digest('hex');
+        const hash = crypto.createHash('sha256').update(normalized).digest('hex');
         return path.resolve(CACHE_DIR, `${hash}.cache`);
     } catch (err) {
         console.error('URLの正規化エラー:', err, requestUrl);
@@ -424,7 +424,7 @@ describe('プロキシサーバーのテスト', () => {
             // キャッシュファイル名を生成
             const url = new URL(`http://${testDomain}/`);
             const normalizedUrl = `${url.protocol}//${url.host}${url.pathname}`;
-            const hash = crypto.createHash('md5').update(normalizedUrl).digest('hex');
+            const hash = crypto.createHash('sha256').update(normalizedUrl).digest('hex');
             
             // キャッシュディレクトリをチェック
             try {
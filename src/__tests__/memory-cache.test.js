@@ -0,0 +1,49 @@
+const MemoryCache = require('../memory-cache');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('MemoryCache', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  const select = entryKey => () => entryKey;
+
+  test('合計サイズの上限を超えると最終アクセスの古いエントリから削除する', () => {
+    const memoryCache = new MemoryCache(logger, { maxSize: 10, maxObjectSize: 8 });
+    expect(memoryCache.set('a', 'a', [], { url: 'a' }, Buffer.from('aaaa'))).toBe(true);
+    expect(memoryCache.set('b', 'b', [], { url: 'b' }, Buffer.from('bbbb'))).toBe(true);
+    // 上限より大きなボディは保持しない
+    expect(memoryCache.set('big', 'big', [], { url: 'big' }, Buffer.from('123456789'))).toBe(false);
+
+    // aを参照してからcを追加すると、最終アクセスの古いbが削除される
+    expect(memoryCache.lookup('a', select('a')).body.toString()).toBe('aaaa');
+    memoryCache.set('c', 'c', [], { url: 'c' }, Buffer.from('cccc'));
+    expect(memoryCache.lookup('b', select('b'))).toBeNull();
+    expect(memoryCache.lookup('c', select('c')).cache.url).toBe('c');
+
+    expect(memoryCache.getStats()).toEqual({
+      enabled: true,
+      maxSize: 10,
+      maxObjectSize: 8,
+      size: 8,
+      entries: 2,
+      hits: 2,
+      misses: 1,
+      evictions: 1
+    });
+  });
+
+  test('URL単位でVaryのバリアントをまとめて削除し、maxSizeが0の場合は保持しない', () => {
+    const memoryCache = new MemoryCache(logger, { maxSize: 100 });
+    memoryCache.set('page', 'page-ja', ['accept-language'], { url: 'page' }, Buffer.from('ja'));
+    memoryCache.set('page', 'page-en', ['accept-language'], { url: 'page' }, Buffer.from('en'));
+    expect(memoryCache.lookup('page', names => `page-${names.length}`)).toBeNull();
+    expect(memoryCache.lookup('page', select('page-en')).body.toString()).toBe('en');
+
+    memoryCache.deleteUrl('page');
+    expect(memoryCache.getStats()).toMatchObject({ size: 0, entries: 0 });
+    expect(memoryCache.urls.size).toBe(0);
+
+    const disabled = new MemoryCache(logger, { maxSize: 0 });
+    expect(disabled.set('a', 'a', [], {}, Buffer.from('a'))).toBe(false);
+    expect(disabled.lookup('a', select('a'))).toBeNull();
+    expect(disabled.getStats()).toMatchObject({ enabled: false, misses: 0 });
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CacheManager = require('../cache-manager');
+const OfflineMode = require('../offline-mode');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('OfflineMode', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  const rule = { pattern: 'example.com' };
+  let cacheDir;
+  let cacheManager;
+
+  const save = (url, headers) => cacheManager.saveCache(cacheManager.getCacheFileName(url), {
+    url, statusCode: 200, headers
+  }, Buffer.from('body'));
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'offline-mode-test-'));
+    cacheManager = new CacheManager(cacheDir, logger, {});
+    await cacheManager.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('オフラインモードまたはonly-if-cachedのリクエストをキャッシュのみで処理する', () => {
+    const offlineMode = new OfflineMode(cacheManager, logger);
+    expect(offlineMode.getCacheOnlyReason({})).toBeNull();
+    expect(offlineMode.getCacheOnlyReason({ 'Cache-Control': 'max-stale, only-if-cached' })).toBe('only-if-cached');
+
+    expect(offlineMode.setEnabled(true)).toBe(true);
+    expect(offlineMode.getCacheOnlyReason({})).toBe('offline');
+    expect(offlineMode.getStats().changedAt).not.toBeNull();
+    expect(offlineMode.setEnabled(false)).toBe(false);
+    expect(offlineMode.getCacheOnlyReason({ 'cache-control': 'no-cache' })).toBeNull();
+  });
+
+  test('期限切れを含むキャッシュで応答し、キャッシュがなければ504の理由をCache-Statusで示す', async () => {
+    const offlineMode = new OfflineMode(cacheManager, logger, true);
+    await save('http://example.com/fresh', { 'cache-control': 'max-age=60' });
+    await save('http://example.com/stale', { 'cache-control': 'max-age=0, must-revalidate' });
+    const lookup = (url, method = 'GET', whitelistRule = rule, reason = 'offline') =>
+      offlineMode.lookup(method, {}, cacheManager.getCacheFileName(url), whitelistRule, reason);
+
+    const fresh = await lookup('http://example.com/fresh');
+    expect(fresh.cacheStatus).toBe('HIT');
+    expect(fresh.headers['Cache-Status']).toMatch(/^CachingEdgeProxy; hit; ttl=(60|59); detail=offline$/);
+    const stale = await lookup('http://example.com/stale', 'HEAD');
+    expect(stale.cacheStatus).toBe('STALE');
+    expect(stale.cache.size).toBe(4);
+
+    const miss = await lookup('http://example.com/missing', 'GET', rule, 'only-if-cached');
+    expect(miss.cache).toBeNull();
+    expect(miss.headers['Cache-Status']).toBe('CachingEdgeProxy; detail="not cached (only-if-cached)"');
+    // ホワイトリスト対象外のホストとGET/HEAD以外のメソッドはキャッシュを参照しない
+    expect((await lookup('http://example.com/fresh', 'GET', null)).cache).toBeNull();
+    expect((await lookup('http://example.com/fresh', 'POST')).cache).toBeNull();
+
+    expect(offlineMode.getStats()).toMatchObject({ enabled: true, served: 2, staleServed: 1, misses: 3 });
+  });
+});
@@ -505,7 +505,7 @@ test('キャッシュファイルの確認', async () => {
         
         // キャッシュファイル名の生成関数
         const getCacheFileName = (normalizedUrl) => {
-            const hash = crypto.createHash('md5').update(normalizedUrl).digest('hex');
+            const hash = crypto.createHash('sha256').update(normalizedUrl).digest('hex');
             const url = new URL(normalizedUrl);
             const filePath = url.pathname;
             
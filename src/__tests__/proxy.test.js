@@ -120,7 +120,7 @@ const safelyKillServer = async (serverProcess) => {
 // キャッシュファイル名の生成
 const getCacheFileName = (requestUrl, headers = {}) => {
     const normalizedUrl = normalizeUrl(requestUrl, headers);
-    const hash = crypto.createHash('md5').update(normalizedUrl).digest('hex');
+    const hash = crypto.createHash('sha256').update(normalizedUrl).digest('hex');
     const url = new URL(requestUrl);
     const filePath = url.pathname;
     
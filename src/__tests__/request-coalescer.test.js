@@ -0,0 +1,92 @@
+const RequestCoalescer = require('../request-coalescer');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('RequestCoalescer', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+
+  test('実行中の取得が完了するまで同じキーのリクエストを待たせる', async () => {
+    const coalescer = new RequestCoalescer(logger);
+    const release = coalescer.begin('a');
+    expect(typeof release).toBe('function');
+    expect(coalescer.begin('a')).toBeNull();
+
+    let waited = false;
+    const waiting = coalescer.wait('a').then(result => {
+      waited = result;
+    });
+    await Promise.resolve();
+    expect(waited).toBe(false);
+
+    release();
+    await waiting;
+    expect(waited).toBe(true);
+    expect(coalescer.getPendingCount()).toBe(0);
+    expect(await coalescer.wait('a')).toBe(false);
+  });
+
+  test('取得が進んでいる間は最大待機時間を過ぎても待たせ続ける', async () => {
+    const coalescer = new RequestCoalescer(logger, { maxWait: 50 });
+    const release = coalescer.begin('a');
+    let waited = false;
+    const waiting = coalescer.wait('a').then(result => {
+      waited = result;
+    });
+
+    for (let i = 0; i < 6; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      coalescer.progress('a');
+    }
+    expect(waited).toBe(false);
+
+    release();
+    await waiting;
+    expect(waited).toBe(true);
+  });
+
+  test('取得が進まない場合は待機中のリクエストの1つだけに取得を引き継ぐ', async () => {
+    const coalescer = new RequestCoalescer(logger, { maxWait: 50 });
+    const release = coalescer.begin('a');
+    const woken = [];
+    const waiting = [1, 2, 3].map(id => coalescer.wait('a').then(() => woken.push(id)));
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(woken).toEqual([1]);
+    // 起こされたリクエストが取得を引き継ぎ、他のリクエストは引き続き待つ
+    const successor = coalescer.begin('a');
+    expect(typeof successor).toBe('function');
+    expect(coalescer.begin('a')).toBeNull();
+    release();
+    await Promise.resolve();
+    expect(woken).toEqual([1]);
+
+    successor();
+    await Promise.all(waiting);
+    expect(woken).toEqual([1, 2, 3]);
+    expect(coalescer.getPendingCount()).toBe(0);
+  });
+
+  test('取得に失敗した場合は待機中のリクエストの1つだけを解放する', async () => {
+    const coalescer = new RequestCoalescer(logger);
+    const release = coalescer.begin('a');
+    const woken = [];
+    const waiting = [1, 2].map(id => coalescer.wait('a').then(() => woken.push(id)));
+
+    release(true);
+    await waiting[0];
+    expect(woken).toEqual([1]);
+    coalescer.begin('a')();
+    await waiting[1];
+    expect(woken).toEqual([1, 2]);
+  });
+
+  test('引き継がれる前に元の取得が完了した場合は残りの待機も解放する', async () => {
+    const coalescer = new RequestCoalescer(logger, { maxWait: 50 });
+    const release = coalescer.begin('a');
+    const waiting = [coalescer.wait('a'), coalescer.wait('a')];
+
+    expect(await waiting[0]).toBe(true);
+    release();
+    expect(await waiting[1]).toBe(true);
+    expect(coalescer.getPendingCount()).toBe(0);
+  });
+});
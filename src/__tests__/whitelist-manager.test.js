@@ -0,0 +1,49 @@
+const WhitelistManager = require('../whitelist-manager');
+const { Logger, LOG_LEVEL } = require('../logger');
+
+describe('WhitelistManager', () => {
+  const logger = new Logger(LOG_LEVEL.ERROR);
+  let whitelistManager;
+
+  beforeEach(() => {
+    whitelistManager = new WhitelistManager(logger);
+    whitelistManager.loadFromConfig({
+      whitelistedDomains: [
+        'example.com',
+        'regex:(.+)\\.example\\.org',
+        {
+          domain: 'cdn.example.org',
+          ttl: 3600,
+          maxObjectSize: 1024,
+          cacheableStatuses: [200, 404],
+          statusTtls: { 404: 30, 999: 1 },
+          ignoreQuery: true,
+          contentTypes: ['Image/*']
+        },
+        { ttl: 60 }
+      ]
+    });
+  });
+
+  test('マッチしたルールを返し、対象外のホストにはnullを返す', () => {
+    expect(whitelistManager.isHostWhitelisted('example.com:443')).toEqual({ domain: 'example.com' });
+    expect(whitelistManager.isHostWhitelisted('www.example.org').domain).toBe('regex:(.+)\\.example\\.org');
+    expect(whitelistManager.isHostWhitelisted('other.com')).toBeNull();
+    expect(whitelistManager.isHostWhitelisted('')).toBeNull();
+    expect(whitelistManager.getRuleForUrl('not a url')).toBeNull();
+  });
+
+  test('オブジェクトのエントリからポリシーを読み込み、完全一致を正規表現より優先する', () => {
+    expect(whitelistManager.getRuleForUrl('https://cdn.example.org/a.png')).toEqual({
+      domain: 'cdn.example.org',
+      ttl: 3600,
+      maxObjectSize: 1024,
+      cacheableStatuses: [200, 404],
+      statusTtls: { 404: 30 },
+      ignoreQuery: true,
+      contentTypes: ['image/*']
+    });
+    // domainのないエントリは無視される
+    expect(whitelistManager.getAllDomains()).toEqual(['example.com', 'cdn.example.org']);
+  });
+});
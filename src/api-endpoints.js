@@ -1,5 +1,7 @@
 const fs = require('fs');
-const path = require('path');
+
+// キャッシュエントリの一覧で一度に返す件数の上限
+const MAX_LIST_LIMIT = 1000;
 
 /**
  * API エンドポイントハンドラー
@@ -12,6 +14,14 @@ class ApiEndpoints {
      * @param {Object} options.statsCollector 統計情報収集器
      * @param {Object} options.whitelistManager ホワイトリストマネージャー
      * @param {Object} options.cacheManager キャッシュマネージャー
+     * @param {Object} options.cacheEvictor キャッシュ容量管理（LRU削除）
+     * @param {Object} options.cachePurger キャッシュ削除（パージ）
+     * @param {Object} options.cacheWarmer キャッシュのウォームアップ
+     * @param {Object} options.offlineMode オフラインモード
+     * @param {Object} options.cacheBundle キャッシュのバンドル（書き出し・読み込み）
+     * @param {Object} options.bundleFiles /importのfileで読み込めるバンドルのディレクトリ（FileDirectory）
+     * @param {Object} options.harConverter HARの読み込み・書き出し
+     * @param {Object} options.harFiles /har-importのfileで読み込めるHARのディレクトリ（FileDirectory）
      * @param {string} options.cacheDir キャッシュディレクトリのパス
      */
     constructor(options) {
@@ -19,6 +29,14 @@ class ApiEndpoints {
         this.statsCollector = options.statsCollector;
         this.whitelistManager = options.whitelistManager;
         this.cacheManager = options.cacheManager;
+        this.cacheEvictor = options.cacheEvictor;
+        this.cachePurger = options.cachePurger;
+        this.cacheWarmer = options.cacheWarmer;
+        this.offlineMode = options.offlineMode;
+        this.cacheBundle = options.cacheBundle;
+        this.bundleFiles = options.bundleFiles;
+        this.harConverter = options.harConverter;
+        this.harFiles = options.harFiles;
         this.cacheDir = options.cacheDir;
         this.directHttpsRequest = options.directHttpsRequest;
     }
@@ -47,6 +65,24 @@ class ApiEndpoints {
         // キャッシュクリア
         if (this.handleCacheClear(req, res)) return true;
         
+        // キャッシュのパージ
+        if (this.handleCachePurge(req, res)) return true;
+        
+        // キャッシュのウォームアップ
+        if (this.handleWarmup(req, res)) return true;
+        
+        // オフラインモードの確認・切り替え
+        if (this.handleOfflineMode(req, res)) return true;
+        
+        // キャッシュのバンドルの書き出し・読み込み
+        if (this.handleCacheBundle(req, res)) return true;
+        
+        // HARの読み込み・書き出し
+        if (this.handleHar(req, res)) return true;
+        
+        // キャッシュエントリの一覧・索引の作り直し
+        if (this.handleCacheEntries(req, res)) return true;
+        
         // キャッシュチェック
         if (this.handleCacheCheck(req, res)) return true;
         
@@ -76,18 +112,27 @@ class ApiEndpoints {
                     httpRequests: rawStats.http.requests, // 追加のプロパティとして保持
                     httpsRequests: rawStats.https.requests, 
                     cacheHits: rawStats.http.cacheHits,
-                    cacheMisses: rawStats.http.cacheMisses
+                    cacheMisses: rawStats.http.cacheMisses,
+                    coalesced: rawStats.http.coalesced
                 },
                 httpsStats: {
                     connections: rawStats.https.connections,
                     cacheHits: rawStats.https.cacheHits,
                     cacheMisses: rawStats.https.cacheMisses,
-                    cacheSaves: rawStats.https.cacheSaves
+                    cacheSaves: rawStats.https.cacheSaves,
+                    coalesced: rawStats.https.coalesced
                 },
                 activeConnections: rawStats.activeConnections,
                 timestamp: rawStats.timestamp,
                 uptime: rawStats.uptime,
                 memoryUsage: rawStats.memoryUsage,
+                eviction: this.cacheEvictor ? this.cacheEvictor.getStats() : null,
+                memoryCache: this.cacheManager.getMemoryStats(),
+                privacy: this.cacheManager.getPrivacyStats(),
+                tags: this.cacheManager.tagIndex.getStats(),
+                dedupe: this.cacheManager.getDedupeStats(),
+                index: this.cacheManager.cacheIndex.getStats(),
+                offline: this.offlineMode.getStats(),
                 whitelistedDomains: this.whitelistManager.getAllDomains(),
                 whitelistedRegexPatterns: this.whitelistManager.getAllRegexPatterns()
             };
@@ -117,7 +162,7 @@ class ApiEndpoints {
         if (req.url === '/check-whitelist' && req.headers.host.includes('localhost')) {
             const host = req.headers['x-check-host'];
             if (host) {
-                const isWhitelisted = this.whitelistManager.isHostWhitelisted(host);
+                const rule = this.whitelistManager.isHostWhitelisted(host);
                 
                 // どのルールでマッチしたか確認
                 let matchedBy = 'none';
@@ -135,8 +180,9 @@ class ApiEndpoints {
                 res.writeHead(200, {'Content-Type': 'application/json'});
                 res.end(JSON.stringify({
                     host,
-                    isWhitelisted,
+                    isWhitelisted: Boolean(rule),
                     matchedBy,
+                    rule: rule ? { ...rule, regex: undefined } : null,
                     whitelistedDomains: this.whitelistManager.getAllDomains(),
                     whitelistedRegexPatterns: this.whitelistManager.getAllRegexPatterns()
                 }));
@@ -154,36 +200,365 @@ class ApiEndpoints {
      */
     handleCacheClear(req, res) {
         if (req.url === '/clear-cache' && req.headers.host.includes('localhost')) {
-            fs.readdir(this.cacheDir, (err, files) => {
-                if (err) {
-                    res.writeHead(500, {'Content-Type': 'text/plain'});
-                    res.end(`キャッシュディレクトリ読み取りエラー: ${err.message}`);
-                    return;
-                }
-                
-                let deleted = 0;
-                const errors = [];
-                
-                if (files.length === 0) {
+            // ホストごとのサブディレクトリも含めて削除する
+            this.cacheManager.clearAllCache()
+                .then(({ deletedCount, errors }) => {
                     res.writeHead(200, {'Content-Type': 'text/plain'});
-                    res.end('キャッシュファイルはありません');
-                    return;
-                }
-                
-                files.forEach(file => {
-                    try {
-                        fs.unlinkSync(path.join(this.cacheDir, file));
-                        deleted++;
-                    } catch (unlinkErr) {
-                        errors.push(`${file}: ${unlinkErr.message}`);
+                    if (deletedCount === 0 && errors.length === 0) {
+                        res.end('キャッシュファイルはありません');
+                        return;
                     }
+                    res.end(`${deletedCount}個のキャッシュファイルを削除しました。${errors.length > 0 ? `\nエラー: ${errors.join(', ')}` : ''}`);
+                })
+                .catch(err => {
+                    res.writeHead(500, {'Content-Type': 'text/plain'});
+                    res.end(`キャッシュディレクトリ読み取りエラー: ${err.message}`);
                 });
-                
-                res.writeHead(200, {'Content-Type': 'text/plain'});
-                res.end(`${deleted}個のキャッシュファイルを削除しました。${errors.length > 0 ? `\nエラー: ${errors.join(', ')}` : ''}`);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * キャッシュパージAPI（url・prefix・host・pattern・tagのいずれか1つで削除対象を指定）
+     */
+    handleCachePurge(req, res) {
+        if (req.url.startsWith('/purge') && req.headers.host.includes('localhost')) {
+            const params = new URL(`http://localhost${req.url}`).searchParams;
+            const targets = ['url', 'prefix', 'host', 'pattern', 'tag'].filter(name => params.get(name));
+            if (targets.length !== 1) {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end('url, prefix, host, pattern or tag parameter is required (only one)');
+                return true;
+            }
+            
+            const target = targets[0];
+            const value = params.get(target);
+            const purge = {
+                url: () => this.cachePurger.purgeUrl(value, this.whitelistManager.getRuleForUrl(value)),
+                prefix: () => this.cachePurger.purgePrefix(value),
+                host: () => this.cachePurger.purgeHost(value),
+                pattern: () => this.cachePurger.purgePattern(value),
+                tag: () => this.cachePurger.purgeTags(value)
+            }[target];
+            
+            // 同期的に発生する不正なURL・正規表現のエラーもcatchで扱う
+            Promise.resolve()
+                .then(purge)
+                .then(result => {
+                    res.writeHead(200, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        success: true,
+                        target,
+                        value,
+                        entries: result.entries,
+                        files: result.files,
+                        bytes: result.bytes,
+                        formattedBytes: this.cacheManager.formatBytes(result.bytes)
+                    }));
+                })
+                .catch(error => {
+                    // 不正なURL（TypeError）や正規表現（SyntaxError）は指定の誤り
+                    const invalid = error instanceof TypeError || error instanceof SyntaxError;
+                    res.writeHead(invalid ? 400 : 500, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        error: error.message,
+                        target,
+                        value
+                    }));
+                });
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * ウォームアップAPI（/warmupで開始、/warmup-statusで進捗を確認、/warmup-cancelで中止）
+     */
+    handleWarmup(req, res) {
+        if (!req.url.startsWith('/warmup') || !req.headers.host.includes('localhost')) {
+            return false;
+        }
+        const { pathname, searchParams } = new URL(`http://localhost${req.url}`);
+        const id = Number(searchParams.get('id'));
+        
+        if (pathname === '/warmup') {
+            try {
+                const job = this.cacheWarmer.start({
+                    sitemap: searchParams.get('sitemap'),
+                    file: searchParams.get('file'),
+                    url: searchParams.get('url'),
+                    depth: searchParams.get('depth') ?? undefined
+                });
+                res.writeHead(202, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(this.cacheWarmer.toJSON(job)));
+            } catch (error) {
+                // 不正なURL・ファイル・depthの指定（オフラインモードの場合は503）
+                res.writeHead(error instanceof TypeError ? 400 : 503, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify({ error: error.message }));
+            }
+            return true;
+        }
+        
+        if (pathname === '/warmup-status') {
+            const jobs = this.cacheWarmer.getJobs();
+            const job = searchParams.has('id') ? jobs.find(item => item.id === id) : null;
+            res.writeHead(searchParams.has('id') && !job ? 404 : 200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(searchParams.has('id') ? (job || { error: 'Job not found', id }) : { jobs }));
+            return true;
+        }
+        
+        if (pathname === '/warmup-cancel') {
+            const job = this.cacheWarmer.cancel(id);
+            res.writeHead(job ? 200 : 404, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(job ? this.cacheWarmer.toJSON(job) : { error: 'Job not found', id }));
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * オフラインモードAPI（enabled=true|falseで切り替え、指定がなければ現在の状態を返す）
+     */
+    handleOfflineMode(req, res) {
+        if (!req.url.startsWith('/offline') || !req.headers.host.includes('localhost')) {
+            return false;
+        }
+        const { pathname, searchParams } = new URL(`http://localhost${req.url}`);
+        if (pathname !== '/offline') {
+            return false;
+        }
+        
+        if (searchParams.has('enabled')) {
+            const enabled = { true: true, false: false }[searchParams.get('enabled')];
+            if (enabled === undefined) {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end('enabled parameter must be true or false');
+                return true;
+            }
+            this.offlineMode.setEnabled(enabled);
+        }
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(this.offlineMode.getStats()));
+        return true;
+    }
+    
+    /**
+     * キャッシュのバンドルAPI（/exportで書き出したバンドルを返し、/importでリクエストボディまたはfileのバンドルを読み込む）
+     */
+    handleCacheBundle(req, res) {
+        if (!req.headers.host.includes('localhost')) {
+            return false;
+        }
+        const { pathname, searchParams } = new URL(`http://localhost${req.url}`);
+        
+        if (pathname === '/export') {
+            let selection;
+            try {
+                selection = this.cacheBundle.normalizeSelection({
+                    host: searchParams.get('host'),
+                    prefix: searchParams.get('prefix'),
+                    maxAge: searchParams.get('maxAge')
+                });
+            } catch (error) {
+                // 不正なURL・maxAgeの指定
+                res.writeHead(400, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify({ error: error.message }));
+                return true;
+            }
+            const filename = `cache-bundle-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+            res.writeHead(200, {
+                'Content-Type': 'application/gzip',
+                'Content-Disposition': `attachment; filename="${filename}"`
+            });
+            // ヘッダーの送信後に失敗した場合は接続を切り、不完全なバンドルであることを伝える
+            this.cacheBundle.exportBundle(res, selection).catch(error => {
+                this.logger.error('キャッシュのバンドルの書き出しエラー:', error.message);
+                res.destroy();
             });
             return true;
         }
+        
+        if (pathname === '/import') {
+            const file = searchParams.get('file');
+            if (!file && req.method !== 'POST') {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end('POST the bundle as the request body or specify the file parameter');
+                return true;
+            }
+            if (file) {
+                req.resume();
+            }
+            // fileはbundle.fileDir内のバンドルだけを読み込む
+            const source = file
+                ? this.bundleFiles.realpath(file).then(bundleFile => fs.createReadStream(bundleFile))
+                : Promise.resolve(req);
+            source
+                .then(stream => this.cacheBundle.importBundle(stream))
+                .then(result => {
+                    res.writeHead(200, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        success: true,
+                        entries: result.entries,
+                        skipped: result.skipped,
+                        bytes: result.bytes,
+                        formattedBytes: this.cacheManager.formatBytes(result.bytes)
+                    }));
+                })
+                .catch(error => {
+                    // bundle.fileDirの外・読み込めないファイル・壊れたバンドル・チェックサムの不一致はいずれも指定されたバンドルの誤り
+                    res.writeHead(400, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * HAR API（/har-exportでホストのキャッシュをHARとして返し、/har-importでリクエストボディまたはfileのHARを読み込む）
+     */
+    handleHar(req, res) {
+        if (!req.headers.host.includes('localhost')) {
+            return false;
+        }
+        const { pathname, searchParams } = new URL(`http://localhost${req.url}`);
+        
+        if (pathname === '/har-export') {
+            const host = searchParams.get('host');
+            if (!host) {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end('Host parameter is required');
+                return true;
+            }
+            this.harConverter.exportHar(host)
+                .then(har => {
+                    res.writeHead(200, {
+                        'Content-Type': 'application/json',
+                        'Content-Disposition': `attachment; filename="${host.replace(/[^A-Za-z0-9.-]/g, '_')}.har"`
+                    });
+                    res.end(JSON.stringify(har, null, 2));
+                })
+                .catch(error => {
+                    this.logger.error('HARの書き出しエラー:', error.message);
+                    res.writeHead(500, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return true;
+        }
+        
+        if (pathname === '/har-import') {
+            const file = searchParams.get('file');
+            if (!file && req.method !== 'POST') {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end('POST the HAR as the request body or specify the file parameter');
+                return true;
+            }
+            let readHar;
+            if (file) {
+                req.resume();
+                // fileはhar.fileDir内のHARだけを読み込む
+                readHar = this.harFiles.realpath(file).then(harFile => fs.promises.readFile(harFile, 'utf8'));
+            } else {
+                // HARはJSONとして一括で解析するため、リクエストボディをすべて読み込む
+                readHar = new Promise((resolve, reject) => {
+                    const chunks = [];
+                    req.on('data', chunk => chunks.push(chunk));
+                    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+                    req.on('error', reject);
+                });
+            }
+            readHar
+                .then(text => this.harConverter.importHar(text))
+                .then(result => {
+                    res.writeHead(200, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        success: true,
+                        entries: result.entries,
+                        skipped: result.skipped,
+                        bytes: result.bytes,
+                        formattedBytes: this.cacheManager.formatBytes(result.bytes)
+                    }));
+                })
+                .catch(error => {
+                    // har.fileDirの外・読み込めないファイル・JSONとして解析できないHARは指定されたHARの誤り
+                    const status = error instanceof SyntaxError || error instanceof TypeError || error.code === 'ENOENT' || error.code === 'EISDIR' ? 400 : 500;
+                    if (status === 500) {
+                        this.logger.error('HARの読み込みエラー:', error.message);
+                    }
+                    res.writeHead(status, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * キャッシュエントリAPI（/cache-entriesで索引のエントリの一覧を返し、/cache-index-rebuildで索引をディスクから作り直す）
+     */
+    handleCacheEntries(req, res) {
+        if (!req.headers.host.includes('localhost')) {
+            return false;
+        }
+        const { pathname, searchParams } = new URL(`http://localhost${req.url}`);
+        
+        if (pathname === '/cache-entries') {
+            const limit = Number(searchParams.get('limit') ?? 100);
+            const offset = Number(searchParams.get('offset') ?? 0);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT || !Number.isInteger(offset) || offset < 0) {
+                res.writeHead(400, {'Content-Type': 'text/plain'});
+                res.end(`limit must be an integer between 1 and ${MAX_LIST_LIMIT} and offset must be a non-negative integer`);
+                return true;
+            }
+            this.cacheManager.cacheIndex.sync()
+                .then(() => {
+                    const { total, entries } = this.cacheManager.cacheIndex.query({
+                        host: searchParams.get('host'),
+                        prefix: searchParams.get('prefix'),
+                        sort: searchParams.get('sort') || undefined,
+                        limit,
+                        offset
+                    });
+                    res.writeHead(200, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        total,
+                        offset,
+                        limit,
+                        entries: entries.map(entry => ({
+                            key: entry.key,
+                            url: entry.url,
+                            status: entry.status,
+                            contentType: entry.contentType,
+                            size: entry.size,
+                            storedAt: new Date(entry.storedAt).toISOString(),
+                            lastAccess: new Date(entry.lastAccess).toISOString(),
+                            tags: entry.tags,
+                            varyHeaders: entry.varyHeaders
+                        }))
+                    }, null, 2));
+                })
+                .catch(error => {
+                    // 並べ替えの基準の誤り
+                    res.writeHead(error instanceof TypeError ? 400 : 500, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return true;
+        }
+        
+        if (pathname === '/cache-index-rebuild') {
+            this.cacheManager.rebuildCacheIndex()
+                .then(entries => {
+                    res.writeHead(200, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ success: true, entries }));
+                })
+                .catch(error => {
+                    this.logger.error('キャッシュの索引の作り直しエラー:', error.message);
+                    res.writeHead(500, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return true;
+        }
         return false;
     }
     
@@ -199,45 +574,34 @@ class ApiEndpoints {
                 return true;
             }
             
-            const cacheFile = this.cacheManager.getCacheFileName(urlParam);
-            fs.access(`${cacheFile}.cache`, fs.constants.F_OK, (err) => {
-                if (err) {
+            // Varyのあるエントリは呼び出し元のリクエストヘッダーに一致するバリアントを確認する
+            this.cacheManager.getCache(urlParam, req.headers, this.whitelistManager.getRuleForUrl(urlParam))
+                .then(cache => {
                     res.writeHead(200, {'Content-Type': 'application/json'});
-                    res.end(JSON.stringify({
-                        cached: false,
-                        url: urlParam,
-                        message: 'Cache not found'
-                    }));
-                    return;
-                }
-                
-                this.cacheManager.loadCache(cacheFile)
-                    .then(cache => {
-                        res.writeHead(200, {'Content-Type': 'application/json'});
-                        if (cache) {
-                            res.end(JSON.stringify({
-                                cached: true,
-                                url: urlParam,
-                                statusCode: cache.statusCode,
-                                contentType: cache.headers['content-type'],
-                                dataSize: cache.data ? Buffer.from(cache.data, 'base64').length : 'unknown'
-                            }));
-                        } else {
-                            res.end(JSON.stringify({
-                                cached: false,
-                                url: urlParam,
-                                message: 'Invalid cache data'
-                            }));
-                        }
-                    })
-                    .catch(error => {
-                        res.writeHead(500, {'Content-Type': 'application/json'});
+                    if (cache) {
                         res.end(JSON.stringify({
-                            error: error.message,
-                            url: urlParam
+                            cached: true,
+                            url: urlParam,
+                            statusCode: cache.statusCode,
+                            contentType: cache.headers['content-type'],
+                            dataSize: cache.size,
+                            varyHeaders: cache.varyHeaders
                         }));
-                    });
-            });
+                    } else {
+                        res.end(JSON.stringify({
+                            cached: false,
+                            url: urlParam,
+                            message: 'Cache not found'
+                        }));
+                    }
+                })
+                .catch(error => {
+                    res.writeHead(500, {'Content-Type': 'application/json'});
+                    res.end(JSON.stringify({
+                        error: error.message,
+                        url: urlParam
+                    }));
+                });
             return true;
         }
         return false;
@@ -256,14 +620,19 @@ class ApiEndpoints {
             }
             
             this.directHttpsRequest(urlParam)
-                .then(response => {
+                .then(async response => {
+                    // オリジンから取得したボディは読み捨て、キャッシュへの保存を待つ
+                    if (response.stream) {
+                        response.stream.resume();
+                    }
+                    const stored = await response.stored;
                     res.writeHead(200, {'Content-Type': 'application/json'});
                     res.end(JSON.stringify({
                         success: true,
                         url: urlParam,
                         statusCode: response.statusCode,
                         contentType: response.headers['content-type'],
-                        dataSize: response.data.length,
+                        dataSize: stored ? stored.size : (response.stream ? 'unknown' : response.size),
                         fromCache: response.fromCache
                     }));
                 })
@@ -286,6 +655,10 @@ class ApiEndpoints {
         if (req.url === '/' && req.headers.host.includes('localhost')) {
             res.writeHead(200, {'Content-Type': 'text/html'});
             const stats = this.statsCollector.getStats();
+            const eviction = this.cacheEvictor ? this.cacheEvictor.getStats() : { totalSize: 0, maxSize: 0, totalEntries: 0, evictedEntries: 0, evictedBytes: 0 };
+            const memoryCache = this.cacheManager.getMemoryStats();
+            const privacy = this.cacheManager.getPrivacyStats();
+            const offline = this.offlineMode.getStats();
             res.end(`
                 <html>
                 <head>
@@ -303,6 +676,12 @@ class ApiEndpoints {
                 </head>
                 <body>
                     <h1>プロキシキャッシュサーバー</h1>
+                    <div class="card">
+                        <h2>動作モード: ${offline.enabled ? 'オフライン（キャッシュのみで応答）' : 'オンライン'}</h2>
+                        <p>${offline.enabled ? `オリジンには接続せず、キャッシュがないリクエストには504を返します（${offline.changedAt} から）` : 'キャッシュがないリクエストはオリジンから取得します'}</p>
+                        <p>キャッシュのみで応答: ${offline.served}件（うち期限切れ: ${offline.staleServed}件） / キャッシュなしで504: ${offline.misses}件</p>
+                        <p><a href="/offline?enabled=${!offline.enabled}">${offline.enabled ? 'オンラインに戻す' : 'オフラインモードにする'}</a></p>
+                    </div>
                     <div class="card">
                         <h2>統計情報</h2>
                         <div class="stats">
@@ -311,6 +690,7 @@ class ApiEndpoints {
                                 <p>リクエスト: ${stats.http.requests}</p>
                                 <p>キャッシュヒット: ${stats.http.cacheHits}</p>
                                 <p>キャッシュミス: ${stats.http.cacheMisses}</p>
+                                <p>集約: ${stats.http.coalesced}</p>
                             </div>
                             <div class="stat-box">
                                 <h3>HTTPS</h3>
@@ -318,12 +698,31 @@ class ApiEndpoints {
                                 <p>キャッシュヒット: ${stats.https.cacheHits}</p>
                                 <p>キャッシュミス: ${stats.https.cacheMisses}</p>
                                 <p>キャッシュ保存: ${stats.https.cacheSaves}</p>
+                                <p>集約: ${stats.https.coalesced}</p>
                             </div>
                             <div class="stat-box">
                                 <h3>接続情報</h3>
                                 <p>アクティブ接続: ${stats.activeConnections}</p>
                                 <p>稼働時間: ${Math.floor(stats.uptime / 60)} 分</p>
                             </div>
+                            <div class="stat-box">
+                                <h3>キャッシュ容量</h3>
+                                <p>使用量: ${this.cacheManager.formatBytes(eviction.totalSize)} / ${eviction.maxSize ? this.cacheManager.formatBytes(eviction.maxSize) : '無制限'}</p>
+                                <p>エントリ数: ${eviction.totalEntries}</p>
+                                <p>LRU削除: ${eviction.evictedEntries}件 (${this.cacheManager.formatBytes(eviction.evictedBytes)})</p>
+                            </div>
+                            <div class="stat-box">
+                                <h3>メモリキャッシュ</h3>
+                                <p>使用量: ${this.cacheManager.formatBytes(memoryCache.size)} / ${memoryCache.enabled ? this.cacheManager.formatBytes(memoryCache.maxSize) : '無効'}</p>
+                                <p>エントリ数: ${memoryCache.entries}</p>
+                                <p>ヒット: ${memoryCache.hits} / ミス: ${memoryCache.misses}</p>
+                            </div>
+                            <div class="stat-box">
+                                <h3>プライバシー保護</h3>
+                                <p>資格情報付きで保存せず: ${privacy.credentialsBypassed}</p>
+                                <p>Set-Cookieで保存せず: ${privacy.setCookieBypassed}</p>
+                                <p>Set-Cookie除去: ${privacy.setCookieStripped}</p>
+                            </div>
                         </div>
                     </div>
                     
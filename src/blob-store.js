@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// ボディの保存先（キャッシュディレクトリ内のドットで始まる内部データ用ディレクトリ）
+const BLOB_DIR = '.blobs';
+
+// SHA-256ダイジェスト（16進数）
+const DIGEST_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * ボディ保存クラス - レスポンスのボディをSHA-256ダイジェストをキーとして保存し、同じ内容のボディを共有する
+ * エントリごとの参照をメモリ上で数え、参照がなくなったボディを削除する
+ */
+class BlobStore {
+    /**
+     * BlobStore コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     */
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.logger = cacheManager.logger;
+        this.dir = path.join(cacheManager.CACHE_DIR, BLOB_DIR);
+        // エントリのキャッシュファイルパス → 参照するボディのダイジェスト
+        this.entries = new Map();
+        // ダイジェスト → サイズと参照数（保存中で.cacheファイルをまだ書いていない参照を含む）
+        this.blobs = new Map();
+        // 削除中のボディ（同じ内容を保存する場合は削除の完了を待ってから書き直す）
+        this.deleting = new Map();
+        // 保存済みのエントリから参照数を数え終えるまでは、参照数が0になってもボディを削除しない
+        this.indexed = false;
+    }
+
+    /**
+     * ボディのダイジェストとして正しい形式か判定
+     * @param {*} value 判定する値
+     * @returns {boolean} 16進数のSHA-256ダイジェストならtrue
+     */
+    isDigest(value) {
+        return typeof value === 'string' && DIGEST_PATTERN.test(value);
+    }
+
+    /**
+     * ボディのファイルパスを取得
+     * @param {string} digest SHA-256ダイジェスト
+     * @returns {string} ボディのファイルパス
+     */
+    getPath(digest) {
+        if (!this.isDigest(digest)) {
+            throw new TypeError(`不正なボディのダイジェストです: ${digest}`);
+        }
+        return path.join(this.dir, digest.slice(0, 2), digest);
+    }
+
+    /**
+     * ボディを保存して参照を1つ確保する（同じ内容のボディがあれば書き込まずに共有する）
+     * @param {Buffer} data ボディ
+     * @returns {Promise<string>} ボディのダイジェスト
+     */
+    async add(data) {
+        const digest = crypto.createHash('sha256').update(data).digest('hex');
+        this.retain(digest, data.length);
+        try {
+            if (!await this.reuse(digest)) {
+                const blobFile = this.getPath(digest);
+                await fs.promises.mkdir(path.dirname(blobFile), { recursive: true });
+                await this.cacheManager.writeFileAtomic(blobFile, data);
+            }
+        } catch (err) {
+            await this.release(digest);
+            throw err;
+        }
+        return digest;
+    }
+
+    /**
+     * 一時ファイルに書き込んだボディを保存して参照を1つ確保する（一時ファイルは移動または削除する）
+     * @param {string} tempFile ボディを書き込んだ一時ファイルのパス
+     * @param {string|null} digest 書き込み時に計算したダイジェスト（nullの場合はファイルを読んで計算する）
+     * @returns {Promise<string>} ボディのダイジェスト
+     */
+    async addFile(tempFile, digest = null) {
+        if (!digest) {
+            const hash = crypto.createHash('sha256');
+            await pipeline(fs.createReadStream(tempFile), hash);
+            digest = hash.digest('hex');
+        }
+        const { size } = await fs.promises.stat(tempFile);
+        this.retain(digest, size);
+        try {
+            if (await this.reuse(digest)) {
+                await fs.promises.unlink(tempFile);
+            } else {
+                const blobFile = this.getPath(digest);
+                await fs.promises.mkdir(path.dirname(blobFile), { recursive: true });
+                await fs.promises.rename(tempFile, blobFile);
+                await fs.promises.chmod(blobFile, 0o666);
+            }
+        } catch (err) {
+            await this.release(digest);
+            throw err;
+        }
+        return digest;
+    }
+
+    /**
+     * 同じ内容のボディが保存済みなら共有する
+     * @param {string} digest ボディのダイジェスト
+     * @returns {Promise<boolean>} 保存済みのボディを使う場合はtrue
+     */
+    async reuse(digest) {
+        await this.deleting.get(digest);
+        try {
+            // 更新時刻は起動時の不要なボディの削除で、ほかのプロセスが使い始めたボディを残すために使う
+            const now = new Date();
+            await fs.promises.utimes(this.getPath(digest), now, now);
+            return true;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * ボディの参照数を1つ増やす
+     * @param {string} digest ボディのダイジェスト
+     * @param {number} size ボディのサイズ
+     */
+    retain(digest, size) {
+        const blob = this.blobs.get(digest);
+        if (blob) {
+            blob.refs++;
+        } else {
+            this.blobs.set(digest, { size, refs: 1 });
+        }
+    }
+
+    /**
+     * ボディのサイズを取得
+     * @param {string} digest ボディのダイジェスト
+     * @returns {number} ボディのサイズ（参照されていない場合や起動時の参照数の作り直し前は0）
+     */
+    getSize(digest) {
+        const blob = this.blobs.get(digest);
+        return blob ? blob.size : 0;
+    }
+
+    /**
+     * ボディの参照数を1つ減らし、参照がなくなったボディを削除
+     * @param {string} digest ボディのダイジェスト
+     * @returns {Promise<number>} 削除したボディのサイズ（削除しなかった場合は0）
+     */
+    async release(digest) {
+        const blob = this.blobs.get(digest);
+        if (!blob) {
+            return 0;
+        }
+        blob.refs--;
+        if (blob.refs > 0 || !this.indexed) {
+            return 0;
+        }
+        this.blobs.delete(digest);
+        const deleting = fs.promises.unlink(this.getPath(digest)).then(() => blob.size, (err) => {
+            if (err.code !== 'ENOENT') {
+                this.logger.error(`ボディの削除エラー: ${digest}`, err.message);
+            }
+            return 0;
+        });
+        this.deleting.set(digest, deleting);
+        try {
+            return await deleting;
+        } finally {
+            if (this.deleting.get(digest) === deleting) {
+                this.deleting.delete(digest);
+            }
+        }
+    }
+
+    /**
+     * エントリが参照するボディを登録（確保済みの参照をエントリに割り当て、以前のボディの参照は解放する）
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @param {string} digest addで確保したボディのダイジェスト
+     * @returns {Promise<number>} 削除した以前のボディのサイズ
+     */
+    async set(entryKey, digest) {
+        const previous = this.entries.get(entryKey);
+        this.entries.set(entryKey, digest);
+        return previous ? await this.release(previous) : 0;
+    }
+
+    /**
+     * エントリの参照を解放
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @returns {Promise<number>} 削除したボディのサイズ（ほかのエントリが参照している場合は0）
+     */
+    async delete(entryKey) {
+        const digest = this.entries.get(entryKey);
+        if (!digest) {
+            return 0;
+        }
+        this.entries.delete(entryKey);
+        return await this.release(digest);
+    }
+
+    /**
+     * エントリのキャッシュファイルパスの変更を反映（キャッシュキーの移行用）
+     * @param {string} fromKey 変更前のキャッシュファイルパス
+     * @param {string} toKey 変更後のキャッシュファイルパス
+     */
+    rename(fromKey, toKey) {
+        const digest = this.entries.get(fromKey);
+        if (digest) {
+            this.entries.delete(fromKey);
+            this.entries.set(toKey, digest);
+        }
+    }
+
+    /**
+     * 保存済みのエントリの参照からボディの参照数を作り直し、参照されていないボディを削除する（起動時の復旧処理）
+     * @param {Map<string, string>} references エントリのキャッシュファイルパス → ボディのダイジェスト
+     * @param {number} createdAt これより前に更新されたボディだけを削除する（ほかのプロセスが保存中のボディを残す）
+     * @returns {Promise<number>} 削除したボディの数
+     */
+    async rebuild(references, createdAt) {
+        // 走査中に保存されたエントリはすでに数えているので、走査時点の参照で上書きしない
+        references.forEach((digest, entryKey) => {
+            if (!this.entries.has(entryKey)) {
+                this.entries.set(entryKey, digest);
+                this.retain(digest, 0);
+            }
+        });
+
+        let removed = 0;
+        let shards = [];
+        try {
+            shards = await fs.promises.readdir(this.dir);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error('ボディのディレクトリ読み取りエラー:', err);
+            }
+        }
+        for (const shard of shards) {
+            let files;
+            try {
+                files = await fs.promises.readdir(path.join(this.dir, shard));
+            } catch (err) {
+                continue;
+            }
+            for (const digest of files.filter(file => this.isDigest(file))) {
+                const blobFile = this.getPath(digest);
+                try {
+                    const stats = await fs.promises.stat(blobFile);
+                    const blob = this.blobs.get(digest);
+                    if (blob && blob.refs > 0) {
+                        blob.size = stats.size;
+                    } else if (stats.mtimeMs < createdAt) {
+                        await fs.promises.unlink(blobFile);
+                        this.blobs.delete(digest);
+                        removed++;
+                    }
+                } catch (err) {
+                    if (err.code !== 'ENOENT') {
+                        this.logger.error(`ボディの確認エラー: ${blobFile}`, err);
+                    }
+                }
+            }
+        }
+        this.indexed = true;
+        return removed;
+    }
+
+    /**
+     * すべての参照を削除（キャッシュのクリア用）
+     */
+    clear() {
+        this.entries.clear();
+        this.blobs.clear();
+    }
+
+    /**
+     * ボディの共有による削減量を取得
+     * @returns {{blobs: number, references: number, storedBytes: number, referencedBytes: number, savedBytes: number}} ボディ数・参照数・保存しているバイト数・エントリが参照するバイト数の合計・削減したバイト数
+     */
+    getStats() {
+        let storedBytes = 0;
+        let referencedBytes = 0;
+        this.blobs.forEach(({ size, refs }) => {
+            storedBytes += size;
+            referencedBytes += size * refs;
+        });
+        return {
+            blobs: this.blobs.size,
+            references: this.entries.size,
+            storedBytes,
+            referencedBytes,
+            savedBytes: referencedBytes - storedBytes
+        };
+    }
+}
+
+module.exports = BlobStore;
@@ -0,0 +1,48 @@
+const { Transform } = require('stream');
+
+/**
+ * バイト範囲ストリーム - 受信中のボディから指定した範囲のバイトだけを通す
+ */
+class ByteRangeStream extends Transform {
+    /**
+     * ByteRangeStream コンストラクタ
+     * @param {number} start 範囲の開始位置
+     * @param {number} end 範囲の終了位置（この位置を含む。startより小さい場合は何も通さない）
+     */
+    constructor(start, end) {
+        super();
+        this.rangeStart = start;
+        this.rangeEnd = end;
+        this.position = 0;
+        this.done = false;
+        if (end < start) {
+            this.finishRange();
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        if (!this.done) {
+            const chunkStart = this.position;
+            this.position += chunk.length;
+            const from = Math.max(this.rangeStart - chunkStart, 0);
+            const to = Math.min(this.rangeEnd - chunkStart + 1, chunk.length);
+            if (from < to) {
+                this.push(chunk.subarray(from, to));
+            }
+            if (this.position > this.rangeEnd) {
+                this.finishRange();
+            }
+        }
+        callback();
+    }
+
+    /**
+     * 範囲を通し終えたら入力の終わりを待たずに出力を終える（残りの入力は読み捨てる）
+     */
+    finishRange() {
+        this.done = true;
+        this.push(null);
+    }
+}
+
+module.exports = ByteRangeStream;
@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// バンドルの形式名とバージョン（manifest.jsonに記録し、読み込み時に確認する）
+const BUNDLE_FORMAT = 'caching-edge-proxy-cache-bundle';
+const BUNDLE_VERSION = 1;
+
+// tarのブロックサイズ
+const BLOCK_SIZE = 512;
+
+// バンドルに含めてよいファイル名（それ以外のファイルを含むアーカイブは読み込まない）
+const BUNDLE_FILE_PATTERN = /^(manifest\.json|entries\/\d+\.(json|body))$/;
+
+/**
+ * キャッシュのバンドルクラス - 選択したエントリ（.cacheのメタデータとボディ）をマニフェストとチェックサム付きの
+ * 1つのアーカイブ（tar.gz）に書き出し、別のプロキシのキャッシュに読み込む
+ */
+class CacheBundle {
+    /**
+     * CacheBundle コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} hooks 外部の処理
+     * @param {Function} hooks.getRule URLのホワイトリストのルールを返す関数（読み込み時のキャッシュキーの生成に使用）
+     */
+    constructor(cacheManager, logger, hooks = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.getRule = hooks.getRule || (() => null);
+    }
+
+    /**
+     * 書き出すエントリの選択条件を検証して正規化
+     * @param {Object} selection 選択条件
+     * @param {string} selection.host ホスト名（ポートを省略した場合はすべてのポートが対象）
+     * @param {string} selection.prefix URLの前方部分（スキームとホストを含む）
+     * @param {number|string} selection.maxAge 保存してからの経過秒数の上限
+     * @returns {{host: string|null, prefix: string|null, maxAge: number|null}} 正規化した選択条件（不正な場合はTypeError）
+     */
+    normalizeSelection(selection = {}) {
+        const normalized = { host: null, prefix: null, maxAge: null };
+        if (selection.host) {
+            normalized.host = String(selection.host).trim().toLowerCase();
+        }
+        if (selection.prefix) {
+            // 保存時と同じ形式（ホスト名は小文字）に揃えて比較する
+            const parsed = new URL(selection.prefix);
+            normalized.prefix = `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search}`;
+        }
+        if (selection.maxAge !== undefined && selection.maxAge !== null && selection.maxAge !== '') {
+            const maxAge = Number(selection.maxAge);
+            if (!Number.isInteger(maxAge) || maxAge < 0) {
+                throw new TypeError(`Invalid maxAge: ${selection.maxAge}`);
+            }
+            normalized.maxAge = maxAge;
+        }
+        return normalized;
+    }
+
+    /**
+     * エントリが選択条件に一致するか判定
+     * @param {Object} cache 索引のエントリの情報または.cacheファイルのメタデータ（urlとstoredAtを使う）
+     * @param {Object} selection normalizeSelectionで正規化した選択条件
+     * @param {number} now 現在時刻（エポックミリ秒）
+     * @returns {boolean} 一致すればtrue
+     */
+    matchesSelection(cache, selection, now = Date.now()) {
+        if (typeof cache.url !== 'string') {
+            return false;
+        }
+        if (selection.host) {
+            let host;
+            try {
+                host = new URL(cache.url).host.toLowerCase();
+            } catch (err) {
+                return false;
+            }
+            if (host !== selection.host && !host.startsWith(`${selection.host}:`)) {
+                return false;
+            }
+        }
+        if (selection.prefix && !cache.url.startsWith(selection.prefix)) {
+            return false;
+        }
+        if (selection.maxAge !== null && (!cache.storedAt || now - cache.storedAt > selection.maxAge * 1000)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 選択条件に一致するエントリをバンドルとして書き出す
+     * @param {stream.Writable} output 書き出し先（ファイルやHTTPレスポンス）
+     * @param {Object} selection 選択条件（normalizeSelectionを参照）
+     * @returns {Promise<{entries: number, bytes: number}>} 書き出したエントリ数とボディの合計バイト数
+     */
+    async exportBundle(output, selection = {}) {
+        const normalized = this.normalizeSelection(selection);
+        const entries = await this.collectEntries(normalized);
+        const result = { entries: 0, bytes: 0 };
+        await pipeline(this.generateArchive(entries, normalized, result), zlib.createGzip(), output);
+        this.logger.info(`キャッシュのバンドルを書き出しました: ${result.entries}件（${this.cacheManager.formatBytes(result.bytes)}）`);
+        return result;
+    }
+
+    /**
+     * エントリの索引から選択条件に一致するエントリを取得（一致したエントリの.cacheファイルだけを読み込む）
+     * @param {Object} selection normalizeSelectionで正規化した選択条件
+     * @returns {Promise<Array<{cache: Object, bodyFile: string}>>} エントリのメタデータとボディファイルのパス
+     */
+    async collectEntries(selection) {
+        const { cacheIndex } = this.cacheManager;
+        const entries = [];
+        const now = Date.now();
+
+        // ほかのプロセスが保存したエントリも対象にする
+        await cacheIndex.sync();
+        for (const entry of cacheIndex.list()) {
+            if (!this.matchesSelection(entry, selection, now)) {
+                continue;
+            }
+            const metadataFile = `${entry.cacheFile}.cache`;
+            try {
+                const cache = JSON.parse(await fs.promises.readFile(metadataFile, 'utf8'));
+                const bodyFile = this.cacheManager.getBodyFile(entry.cacheFile, cache);
+                if (bodyFile && await this.cacheManager.fileExists(bodyFile)) {
+                    entries.push({ cache, bodyFile });
+                }
+            } catch (err) {
+                this.logger.debug(`キャッシュのメタデータを読み込めません: ${metadataFile}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * バンドルのtarアーカイブを生成（エントリごとのメタデータとボディ、最後にチェックサムを含むマニフェスト）
+     * @param {Array<{cache: Object, bodyFile: string}>} entries 書き出すエントリ
+     * @param {Object} selection 選択条件（マニフェストに記録する）
+     * @param {{entries: number, bytes: number}} result 書き出したエントリ数とバイト数を加算する
+     * @returns {AsyncGenerator<Buffer>} アーカイブのデータ
+     */
+    async *generateArchive(entries, selection, result) {
+        const manifestEntries = [];
+
+        for (const { cache, bodyFile } of entries) {
+            let stats;
+            try {
+                stats = await fs.promises.stat(bodyFile);
+            } catch (err) {
+                // 走査後に削除されたエントリは書き出さない
+                continue;
+            }
+            const id = manifestEntries.length + 1;
+            // ボディの保存先は読み込み先で決め直すので含めない
+            const { href, blob, ...metadata } = cache;
+            const metadataData = Buffer.from(JSON.stringify(metadata, null, 2));
+            yield* this.generateFile(`entries/${id}.json`, metadataData.length, [metadataData]);
+
+            // ボディは走査時のサイズまで読みながらチェックサムを計算する
+            const hash = crypto.createHash('sha256');
+            const chunks = async function* () {
+                for await (const chunk of fs.createReadStream(bodyFile, { end: stats.size - 1 })) {
+                    hash.update(chunk);
+                    yield chunk;
+                }
+            };
+            yield* this.generateFile(`entries/${id}.body`, stats.size, stats.size > 0 ? chunks() : []);
+
+            manifestEntries.push({
+                id,
+                url: cache.url,
+                statusCode: cache.statusCode,
+                storedAt: cache.storedAt || null,
+                varyHeaders: cache.varyHeaders || null,
+                size: stats.size,
+                sha256: hash.digest('hex'),
+                metadataSha256: crypto.createHash('sha256').update(metadataData).digest('hex')
+            });
+            result.entries++;
+            result.bytes += stats.size;
+        }
+
+        const manifest = Buffer.from(JSON.stringify({
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            selection,
+            entries: manifestEntries
+        }, null, 2));
+        yield* this.generateFile('manifest.json', manifest.length, [manifest]);
+        // アーカイブの終端（空のブロック2つ）
+        yield Buffer.alloc(BLOCK_SIZE * 2);
+    }
+
+    /**
+     * tarアーカイブの1ファイル分（ヘッダー・データ・ブロック境界までの埋め草）を生成
+     * @param {string} name ファイル名
+     * @param {number} size データのバイト数
+     * @param {Iterable<Buffer>|AsyncIterable<Buffer>} chunks データ
+     * @returns {AsyncGenerator<Buffer>} アーカイブのデータ
+     */
+    async *generateFile(name, size, chunks) {
+        yield this.createTarHeader(name, size);
+        let written = 0;
+        for await (const chunk of chunks) {
+            written += chunk.length;
+            yield chunk;
+        }
+        if (written !== size) {
+            throw new Error(`書き出し中にファイルのサイズが変わりました: ${name}`);
+        }
+        const padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding > 0) {
+            yield Buffer.alloc(padding);
+        }
+    }
+
+    /**
+     * tar（ustar形式）のファイルヘッダーを作成
+     * @param {string} name ファイル名（100バイト以内）
+     * @param {number} size データのバイト数
+     * @returns {Buffer} 512バイトのヘッダー
+     */
+    createTarHeader(name, size) {
+        const header = Buffer.alloc(BLOCK_SIZE);
+        const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+        header.write(name, 0, 100, 'utf8');
+        header.write(octal(0o644, 8), 100);
+        header.write(octal(0, 8), 108);
+        header.write(octal(0, 8), 116);
+        header.write(octal(size, 12), 124);
+        header.write(octal(Math.floor(Date.now() / 1000), 12), 136);
+        // チェックサムは欄を空白として計算する
+        header.write(' '.repeat(8), 148);
+        header.write('0', 156);
+        header.write('ustar\0', 257);
+        header.write('00', 263);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+        return header;
+    }
+
+    /**
+     * tarのファイルヘッダーを解析
+     * @param {Buffer} header 512バイトのヘッダー
+     * @returns {{name: string, size: number, type: string}|null} ファイル名・サイズ・種別（終端のブロックの場合はnull）
+     */
+    parseTarHeader(header) {
+        if (header.every(byte => byte === 0)) {
+            return null;
+        }
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '').trim();
+        const expected = parseInt(field(148, 8), 8);
+        const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 0x20 : byte), 0);
+        if (checksum !== expected) {
+            throw new Error('バンドルのtarヘッダーが壊れています');
+        }
+        return {
+            name: field(0, 100),
+            size: parseInt(field(124, 12), 8),
+            type: field(156, 1) || '0'
+        };
+    }
+
+    /**
+     * バンドルを読み込み、チェックサムを確認してからキャッシュに保存する
+     * キャッシュキーは読み込み先のCacheManagerでURLから生成し直す（バージョン間のキー形式の違いを吸収する）
+     * @param {stream.Readable} input バンドルの読み込み元（ファイルやHTTPリクエスト）
+     * @returns {Promise<{entries: number, skipped: number, bytes: number}>} 保存したエントリ数、既存のエントリの方が新しいため保存しなかった数、保存したボディの合計バイト数
+     */
+    async importBundle(input) {
+        // 展開先はキャッシュディレクトリ内（保存時にリネームで移動できる）のドットで始まるディレクトリ
+        const stagingDir = path.join(this.cacheManager.CACHE_DIR, `.import-${crypto.randomBytes(6).toString('hex')}`);
+        await fs.promises.mkdir(stagingDir, { recursive: true });
+        try {
+            const files = await pipeline(input, zlib.createGunzip(), source => this.extractArchive(source, stagingDir));
+            const manifest = await this.verifyBundle(files);
+
+            const result = { entries: 0, skipped: 0, bytes: 0 };
+            for (const entry of manifest.entries) {
+                const stored = await this.importEntry(
+                    files.get(`entries/${entry.id}.json`).path,
+                    files.get(`entries/${entry.id}.body`).path
+                );
+                if (stored) {
+                    result.entries++;
+                    result.bytes += entry.size;
+                } else {
+                    result.skipped++;
+                }
+            }
+            this.logger.info(`キャッシュのバンドルを読み込みました: ${result.entries}件（${this.cacheManager.formatBytes(result.bytes)}）、スキップ: ${result.skipped}件`);
+            return result;
+        } finally {
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * tarアーカイブを展開用ディレクトリに展開
+     * @param {AsyncIterable<Buffer>} source 展開済み（gunzip後）のアーカイブのデータ
+     * @param {string} stagingDir 展開先のディレクトリ
+     * @returns {Promise<Map<string, {path: string, size: number, sha256: string}>>} アーカイブ内のファイル名ごとの展開先・サイズ・チェックサム
+     */
+    async extractArchive(source, stagingDir) {
+        const files = new Map();
+        let buffer = Buffer.alloc(0);
+        let current = null;
+        let ended = false;
+
+        for await (const chunk of source) {
+            buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+            while (!ended) {
+                if (current) {
+                    // データを展開先のファイルに書き込み、ブロック境界までの埋め草を読み飛ばす
+                    if (current.remaining > 0) {
+                        const data = buffer.subarray(0, Math.min(current.remaining, buffer.length));
+                        if (data.length === 0) {
+                            break;
+                        }
+                        await current.handle.write(data);
+                        current.hash.update(data);
+                        current.remaining -= data.length;
+                        buffer = buffer.subarray(data.length);
+                        if (current.remaining > 0) {
+                            break;
+                        }
+                    }
+                    if (buffer.length < current.padding) {
+                        break;
+                    }
+                    buffer = buffer.subarray(current.padding);
+                    await current.handle.close();
+                    files.set(current.name, { path: current.path, size: current.size, sha256: current.hash.digest('hex') });
+                    current = null;
+                }
+
+                if (buffer.length < BLOCK_SIZE) {
+                    break;
+                }
+                const header = this.parseTarHeader(buffer.subarray(0, BLOCK_SIZE));
+                buffer = buffer.subarray(BLOCK_SIZE);
+                if (!header) {
+                    ended = true;
+                    break;
+                }
+                if (header.type !== '0' || !BUNDLE_FILE_PATTERN.test(header.name) || files.has(header.name) || isNaN(header.size)) {
+                    throw new Error(`バンドルに不正なファイルが含まれています: ${header.name}`);
+                }
+                // アーカイブ内のファイル名をそのままパスに使わない
+                const filePath = path.join(stagingDir, header.name.replace('/', '-'));
+                current = {
+                    name: header.name,
+                    path: filePath,
+                    size: header.size,
+                    remaining: header.size,
+                    padding: (BLOCK_SIZE - (header.size % BLOCK_SIZE)) % BLOCK_SIZE,
+                    hash: crypto.createHash('sha256'),
+                    handle: await fs.promises.open(filePath, 'w', 0o666)
+                };
+            }
+        }
+
+        if (current) {
+            await current.handle.close();
+            throw new Error(`バンドルが途中で切れています: ${current.name}`);
+        }
+        return files;
+    }
+
+    /**
+     * マニフェストの形式と各エントリのファイル・サイズ・チェックサムを確認
+     * @param {Map<string, {path: string, size: number, sha256: string}>} files 展開したファイル
+     * @returns {Promise<Object>} マニフェスト（不正な場合はError）
+     */
+    async verifyBundle(files) {
+        if (!files.has('manifest.json')) {
+            throw new Error('バンドルにmanifest.jsonがありません');
+        }
+        const manifest = JSON.parse(await fs.promises.readFile(files.get('manifest.json').path, 'utf8'));
+        if (manifest.format !== BUNDLE_FORMAT || manifest.version !== BUNDLE_VERSION || !Array.isArray(manifest.entries)) {
+            throw new Error(`対応していないバンドルの形式です: ${manifest.format} ${manifest.version}`);
+        }
+        for (const entry of manifest.entries) {
+            const metadata = files.get(`entries/${entry.id}.json`);
+            const body = files.get(`entries/${entry.id}.body`);
+            if (!metadata || !body) {
+                throw new Error(`バンドルにエントリのファイルがありません: ${entry.url}`);
+            }
+            if (metadata.sha256 !== entry.metadataSha256 || body.sha256 !== entry.sha256 || body.size !== entry.size) {
+                throw new Error(`バンドルのチェックサムが一致しません: ${entry.url}`);
+            }
+        }
+        return manifest;
+    }
+
+    /**
+     * 展開したエントリをキャッシュに保存（読み込み先に同じか新しいエントリがある場合は保存しない）
+     * @param {string} metadataFile 展開したメタデータのパス
+     * @param {string} bodyFile 展開したボディのパス
+     * @returns {Promise<boolean>} 保存したらtrue
+     */
+    async importEntry(metadataFile, bodyFile) {
+        const cacheHeader = JSON.parse(await fs.promises.readFile(metadataFile, 'utf8'));
+        const cacheFile = this.cacheManager.getCacheFileName(cacheHeader.url, {}, this.getRule(cacheHeader.url));
+        // Varyのバリアントは書き出し元と同じ選択ヘッダーの値で保存する
+        const requestHeaders = cacheHeader.varyHeaders || {};
+
+        const existing = await this.cacheManager.lookupCache(cacheFile, requestHeaders);
+        if (existing && existing.storedAt >= (cacheHeader.storedAt || 0)) {
+            this.logger.debug(`既存のキャッシュの方が新しいため読み込みません: ${cacheHeader.url}`);
+            return false;
+        }
+
+        const tempFile = this.cacheManager.getTempFileName(cacheFile);
+        await fs.promises.mkdir(path.dirname(tempFile), { recursive: true });
+        await fs.promises.rename(bodyFile, tempFile);
+        if (!await this.cacheManager.saveCacheFromFile(cacheFile, cacheHeader, tempFile, requestHeaders)) {
+            await fs.promises.unlink(tempFile).catch(() => {});
+            throw new Error(`キャッシュの保存に失敗しました: ${cacheHeader.url}`);
+        }
+        return true;
+    }
+}
+
+module.exports = CacheBundle;
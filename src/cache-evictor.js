@@ -0,0 +1,161 @@
+const fs = require('fs');
+
+/**
+ * キャッシュ容量管理クラス - 上限を超えたときに最終アクセスの古いエントリから削除する（LRU）
+ */
+class CacheEvictor {
+    /**
+     * CacheEvictor コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} options キャッシュ設定（config.cache）
+     * @param {number} options.maxSize キャッシュ全体の最大サイズ（バイト、0は無制限）
+     * @param {number} options.maxEntries 最大エントリ数（0は無制限）
+     * @param {number} options.evictionInterval 削除処理の実行間隔（秒）
+     */
+    constructor(cacheManager, logger, options = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.maxSize = options.maxSize ?? 0;
+        this.maxEntries = options.maxEntries ?? 0;
+        this.evictionInterval = options.evictionInterval ?? 60;
+        this.timer = null;
+        this.running = false;
+        this.stats = {
+            runs: 0,
+            evictedEntries: 0,
+            evictedBytes: 0,
+            lastRunAt: null,
+            lastEvictedEntries: 0,
+            totalSize: 0,
+            totalEntries: 0
+        };
+    }
+
+    /**
+     * 容量の上限が設定されているか
+     * @returns {boolean} 上限があればtrue
+     */
+    isEnabled() {
+        return this.maxSize > 0 || this.maxEntries > 0;
+    }
+
+    /**
+     * 定期的な削除処理を開始
+     */
+    start() {
+        if (!this.isEnabled() || this.timer) {
+            return;
+        }
+        this.logger.info(`キャッシュ容量管理を開始: 最大サイズ=${this.maxSize ? this.cacheManager.formatBytes(this.maxSize) : '無制限'}, 最大エントリ数=${this.maxEntries || '無制限'}`);
+        this.evict();
+        this.timer = setInterval(() => this.evict(), this.evictionInterval * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * 定期的な削除処理を停止
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * エントリの索引からエントリ一覧を作成（キャッシュディレクトリは走査しない）
+     * @returns {Promise<{entries: Array<Object>, totalSize: number}>} エントリ一覧と合計サイズ（共有しているボディは1回だけ数える）
+     */
+    async scan() {
+        const { cacheIndex, blobStore } = this.cacheManager;
+        await cacheIndex.sync();
+        // .cacheファイルと以前の形式のエントリごとのボディを1エントリとして扱う（共有しているボディは合計に別に加える）
+        const entries = cacheIndex.list().map(entry => ({
+            cacheFile: entry.cacheFile,
+            size: entry.fileSize,
+            lastAccess: entry.lastAccess,
+            variant: Boolean(entry.varyHeaders)
+        }));
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0) + blobStore.getStats().storedBytes;
+        return { entries, totalSize };
+    }
+
+    /**
+     * 上限を超えている分だけ最終アクセスの古いエントリを削除
+     * @returns {Promise<{evictedEntries: number, evictedBytes: number}>} 削除結果
+     */
+    async evict() {
+        const result = { evictedEntries: 0, evictedBytes: 0 };
+        if (!this.isEnabled() || this.running) {
+            return result;
+        }
+        this.running = true;
+
+        try {
+            const { entries, totalSize } = await this.scan();
+            // 削除したバリアントのURLのVary情報（すべてのバリアントがなくなったら削除する）
+            const varyFiles = new Set();
+            let currentSize = totalSize;
+            let currentEntries = entries.length;
+
+            entries.sort((a, b) => a.lastAccess - b.lastAccess);
+            for (const entry of entries) {
+                const overSize = this.maxSize > 0 && currentSize > this.maxSize;
+                const overEntries = this.maxEntries > 0 && currentEntries > this.maxEntries;
+                if (!overSize && !overEntries) {
+                    break;
+                }
+
+                await fs.promises.unlink(`${entry.cacheFile}.cache`).catch(() => {});
+                await fs.promises.unlink(entry.cacheFile).catch(() => {});
+                this.cacheManager.memoryCache.delete(entry.cacheFile);
+                this.cacheManager.tagIndex.delete(entry.cacheFile);
+                this.cacheManager.cacheIndex.delete(entry.cacheFile);
+                if (entry.variant) {
+                    varyFiles.add(`${this.cacheManager.getBaseCacheFileName(entry.cacheFile)}.vary`);
+                }
+                // ほかのエントリと共有しているボディは残るので、最後の参照を削除したときだけボディの分が減る
+                const size = entry.size + await this.cacheManager.blobStore.delete(entry.cacheFile);
+                currentSize -= size;
+                currentEntries--;
+                result.evictedEntries++;
+                result.evictedBytes += size;
+                this.logger.debug(`LRUによりキャッシュを削除: ${entry.cacheFile}`);
+            }
+
+            if (result.evictedEntries > 0) {
+                await this.cacheManager.removeOrphanedVaryFiles([...varyFiles]);
+                this.logger.info(`キャッシュ容量超過のため${result.evictedEntries}件（${this.cacheManager.formatBytes(result.evictedBytes)}）を削除しました`);
+            }
+
+            this.stats.runs++;
+            this.stats.evictedEntries += result.evictedEntries;
+            this.stats.evictedBytes += result.evictedBytes;
+            this.stats.lastRunAt = new Date().toISOString();
+            this.stats.lastEvictedEntries = result.evictedEntries;
+            this.stats.totalSize = currentSize;
+            this.stats.totalEntries = currentEntries;
+        } catch (err) {
+            this.logger.error('キャッシュ削除処理エラー:', err);
+        } finally {
+            this.running = false;
+        }
+        return result;
+    }
+
+    /**
+     * 削除処理の統計情報を取得
+     * @returns {Object} 統計情報
+     */
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            maxSize: this.maxSize,
+            maxEntries: this.maxEntries,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CacheEvictor;
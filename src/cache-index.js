@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 索引の保存先（キャッシュディレクトリ内のドットで始まる内部データ用ディレクトリ）
+const INDEX_DIR = '.index';
+const INDEX_FILE = 'entries.jsonl';
+
+// ログの形式のバージョン（先頭行に記録し、異なる場合はディスクから作り直す）
+const INDEX_VERSION = 1;
+
+// ログの行数がこの行数とエントリ数の2倍の両方を超えたら、現在のエントリだけのログに書き直す
+const COMPACTION_MIN_LINES = 10000;
+
+// 一覧の並べ替えの基準
+const SORT_KEYS = ['lastAccess', 'storedAt', 'size', 'url'];
+
+/**
+ * キャッシュの索引クラス - すべてのエントリの情報（URL・サイズ・保存時刻・最終アクセス時刻・ステータス・Content-Type・タグ）を
+ * メモリ上に保持し、変更を追記型のログ（JSON Lines）に記録する
+ * 正常に終了したときのログは次回の起動時にそのまま読み込み、そうでない場合はディスクのエントリから作り直す
+ */
+class CacheIndex {
+    /**
+     * CacheIndex コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     */
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.logger = cacheManager.logger;
+        this.dir = path.join(cacheManager.CACHE_DIR, INDEX_DIR);
+        this.file = path.join(this.dir, INDEX_FILE);
+        // エントリのキャッシュファイルパス → エントリの情報
+        this.entries = new Map();
+        // ログに書き込んだプロセスの識別子（ほかのプロセスが追記した行だけを反映するために使う）
+        this.writerId = crypto.randomBytes(4).toString('hex');
+        // ログの読み書きは1つずつ順に行う
+        this.queue = Promise.resolve();
+        // 追記を待っている行（まとめて書き込む）
+        this.pending = [];
+        this.flushScheduled = false;
+        this.compactionScheduled = false;
+        // 読み込み済みのログのファイル（inode）・位置と行数
+        this.ino = null;
+        this.offset = 0;
+        this.lines = 0;
+        // 作り直し中に変更されたエントリ（走査時点の内容で上書きしない）
+        this.modified = null;
+    }
+
+    /**
+     * エントリのキャッシュファイルパスをログに記録するキー（キャッシュディレクトリからの相対パス）に変換
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @returns {string} 索引のキー
+     */
+    toKey(entryKey) {
+        return path.relative(this.cacheManager.CACHE_DIR, entryKey).split(path.sep).join('/');
+    }
+
+    /**
+     * 索引のキーをエントリのキャッシュファイルパスに変換
+     * @param {string} key 索引のキー
+     * @returns {string} エントリのキャッシュファイルパス
+     */
+    fromKey(key) {
+        return path.join(this.cacheManager.CACHE_DIR, ...key.split('/'));
+    }
+
+    /**
+     * ログの読み書きを順に実行する
+     * @param {Function} task 実行する処理
+     * @returns {Promise<*>} 処理の結果（エラーの場合はnull）
+     */
+    enqueue(task) {
+        const run = this.queue.then(task).catch(err => {
+            this.logger.error('キャッシュの索引の読み書きエラー:', err.message);
+            return null;
+        });
+        this.queue = run;
+        return run;
+    }
+
+    /**
+     * 保存済みのログを読み込む（起動時の処理）
+     * @returns {Promise<boolean>} 前回正常に終了したときのログをすべて読み込めた場合はtrue（falseの場合はディスクから作り直す）
+     */
+    async load() {
+        this.entries.clear();
+        this.ino = null;
+        this.offset = 0;
+        this.lines = 0;
+        const result = await this.enqueue(() => this.readLog());
+        return Boolean(result && result.closed && !result.invalid);
+    }
+
+    /**
+     * ログのうち読み込んでいない部分を反映する（ほかのプロセスが書き直した場合は全体を読み直す）
+     * @returns {Promise<{lines: number, closed: boolean, invalid: boolean}|null>} 反映した行数・正常終了の記録で終わっているか・不正な行があったか
+     */
+    async readLog() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.file, 'r');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            return null;
+        }
+        try {
+            const { ino, size } = await handle.stat();
+            const reload = ino !== this.ino || size < this.offset;
+            const start = reload ? 0 : this.offset;
+            const buffer = Buffer.alloc(size - start);
+            await handle.read(buffer, 0, buffer.length, start);
+            // 書き込み途中の行は次回に読む
+            const end = buffer.lastIndexOf(0x0a) + 1;
+
+            let previous = null;
+            if (reload) {
+                previous = this.entries;
+                this.entries = new Map();
+                this.lines = 0;
+            }
+            const result = this.applyLines(buffer.toString('utf8', 0, end), reload);
+            // メモリ上だけで更新している最終アクセス時刻は読み直しても戻さない
+            if (previous) {
+                this.entries.forEach((entry, entryKey) => {
+                    const current = previous.get(entryKey);
+                    if (current && current.lastAccess > entry.lastAccess) {
+                        entry.lastAccess = current.lastAccess;
+                    }
+                });
+            }
+            this.ino = ino;
+            this.offset = start + end;
+            this.lines += result.lines;
+            return result;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * ログの行を索引に反映
+     * @param {string} text 改行区切りのログ
+     * @param {boolean} includeOwn このプロセスが書き込んだ行も反映する
+     * @returns {{lines: number, closed: boolean, invalid: boolean}} 反映結果
+     */
+    applyLines(text, includeOwn) {
+        const result = { lines: 0, closed: false, invalid: false };
+        for (const line of text.split('\n')) {
+            if (!line) {
+                continue;
+            }
+            result.lines++;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (err) {
+                result.invalid = true;
+                continue;
+            }
+            if (record.version !== undefined && record.version !== INDEX_VERSION) {
+                result.invalid = true;
+            }
+            result.closed = record.op === 'close';
+            if (includeOwn || record.w !== this.writerId) {
+                this.applyRecord(record);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * ログの1行を索引に反映
+     * @param {Object} record ログの行
+     */
+    applyRecord(record) {
+        if (typeof record.key !== 'string') {
+            return;
+        }
+        const { op, key, w, ...entry } = record;
+        if (op === 'set') {
+            this.entries.set(this.fromKey(key), entry);
+        } else if (op === 'delete') {
+            this.entries.delete(this.fromKey(key));
+        }
+    }
+
+    /**
+     * ログに行を追記する（まとめて書き込む）
+     * @param {Object} record ログの行
+     */
+    append(record) {
+        this.pending.push(JSON.stringify({ ...record, w: this.writerId }));
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            this.enqueue(() => this.writePending());
+        }
+    }
+
+    /**
+     * 追記を待っている行をログに書き込む
+     */
+    async writePending() {
+        this.flushScheduled = false;
+        const lines = this.pending.splice(0);
+        if (lines.length === 0) {
+            return;
+        }
+        // キャッシュのクリアなどでログがない場合は形式のバージョンから書き始める
+        if (this.lines === 0) {
+            lines.unshift(JSON.stringify({ version: INDEX_VERSION }));
+        }
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(this.file, `${lines.join('\n')}\n`);
+        this.lines += lines.length;
+
+        if (!this.compactionScheduled && this.lines > COMPACTION_MIN_LINES && this.lines > this.entries.size * 2) {
+            this.compactionScheduled = true;
+            this.compact();
+        }
+    }
+
+    /**
+     * 現在のエントリだけのログに書き直す
+     * @param {boolean} closing 終了時の書き直し（次回の起動時にそのまま読み込めることを記録する）
+     * @returns {Promise<void>}
+     */
+    compact(closing = false) {
+        return this.enqueue(async () => {
+            this.compactionScheduled = false;
+            // ほかのプロセスが追記した行を取り込んでから書き直す
+            await this.readLog();
+            // 追記を待っている変更はメモリ上のエントリに含まれている
+            this.pending = [];
+            const lines = [JSON.stringify({ version: INDEX_VERSION })];
+            this.entries.forEach((entry, entryKey) => {
+                lines.push(JSON.stringify({ op: 'set', key: this.toKey(entryKey), ...entry, w: this.writerId }));
+            });
+            if (closing) {
+                lines.push(JSON.stringify({ op: 'close', w: this.writerId }));
+            }
+            const data = `${lines.join('\n')}\n`;
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await this.cacheManager.writeFileAtomic(this.file, data);
+            this.ino = (await fs.promises.stat(this.file)).ino;
+            this.offset = Buffer.byteLength(data);
+            this.lines = lines.length;
+            this.logger.debug(`キャッシュの索引のログを書き直しました: ${this.entries.size}件`);
+        });
+    }
+
+    /**
+     * 追記を待っている変更を書き込み、ほかのプロセスの変更を反映する（統計・一覧・容量管理の前に呼ぶ）
+     * @returns {Promise<void>}
+     */
+    async sync() {
+        await this.enqueue(async () => {
+            await this.writePending();
+            await this.readLog();
+        });
+    }
+
+    /**
+     * 終了時にログを書き直し、次回の起動時にディスクを走査せずに読み込めるようにする
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this.compact(true);
+    }
+
+    /**
+     * エントリの情報を登録（以前の情報は置き換える）
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @param {Object} entry エントリの情報
+     */
+    set(entryKey, entry) {
+        this.entries.set(entryKey, entry);
+        this.modified?.add(entryKey);
+        this.append({ op: 'set', key: this.toKey(entryKey), ...entry });
+    }
+
+    /**
+     * エントリの登録を削除
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     */
+    delete(entryKey) {
+        this.modified?.add(entryKey);
+        if (this.entries.delete(entryKey)) {
+            this.append({ op: 'delete', key: this.toKey(entryKey) });
+        }
+    }
+
+    /**
+     * エントリのキャッシュファイルパスの変更を反映（キャッシュキーの移行用）
+     * @param {string} fromKey 変更前のキャッシュファイルパス
+     * @param {string} toKey 変更後のキャッシュファイルパス
+     */
+    rename(fromKey, toKey) {
+        const entry = this.entries.get(fromKey);
+        if (entry) {
+            this.delete(fromKey);
+            this.set(toKey, entry);
+        }
+    }
+
+    /**
+     * エントリの最終アクセス時刻を更新（ログには書き直しと終了時に記録する）
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @param {number} accessedAt アクセス時刻
+     */
+    touch(entryKey, accessedAt = Date.now()) {
+        const entry = this.entries.get(entryKey);
+        if (entry) {
+            entry.lastAccess = accessedAt;
+        }
+    }
+
+    /**
+     * エントリの情報を取得
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @returns {Object|undefined} エントリの情報
+     */
+    get(entryKey) {
+        return this.entries.get(entryKey);
+    }
+
+    /**
+     * すべてのエントリを取得
+     * @returns {Array<Object>} キャッシュファイルパス（cacheFile）と索引のキー（key）を含むエントリの情報
+     */
+    list() {
+        return [...this.entries].map(([cacheFile, entry]) => ({ cacheFile, key: this.toKey(cacheFile), ...entry }));
+    }
+
+    /**
+     * 条件に一致するエントリを並べ替えて取得（一覧表示用）
+     * @param {Object} options 条件
+     * @param {string} options.host ホスト名（ポートを省略した場合はすべてのポートが対象）
+     * @param {string} options.prefix URLの前方一致
+     * @param {string} options.sort 並べ替えの基準（lastAccess・storedAt・sizeは降順、urlは昇順）
+     * @param {number} options.limit 取得する件数
+     * @param {number} options.offset 読み飛ばす件数
+     * @returns {{total: number, entries: Array<Object>}} 条件に一致した件数と取得したエントリ
+     */
+    query({ host = null, prefix = null, sort = 'lastAccess', limit = 100, offset = 0 } = {}) {
+        if (!SORT_KEYS.includes(sort)) {
+            throw new TypeError(`sortは${SORT_KEYS.join('・')}のいずれかで指定してください`);
+        }
+        const target = host ? host.toLowerCase() : null;
+        const entries = this.list().filter(entry => {
+            // 索引のキーの先頭はホストのディレクトリ
+            const entryHost = entry.key.split('/')[0].toLowerCase();
+            if (target && entryHost !== target && !entryHost.startsWith(`${target}:`)) {
+                return false;
+            }
+            return !prefix || entry.url.startsWith(prefix);
+        });
+        entries.sort(sort === 'url'
+            ? (a, b) => a.url.localeCompare(b.url)
+            : (a, b) => b[sort] - a[sort]);
+        return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+    }
+
+    /**
+     * ディスクの走査を始める前に呼び、走査中に変更されたエントリを記録する
+     */
+    beginRebuild() {
+        this.modified = new Set();
+    }
+
+    /**
+     * ディスクを走査して作ったエントリで索引を置き換え、ログを書き直す
+     * @param {Map<string, Object>} entries エントリのキャッシュファイルパス → エントリの情報
+     * @returns {Promise<number>} 索引のエントリ数
+     */
+    async replace(entries) {
+        // 走査中に保存・削除されたエントリは走査時点の内容で上書きしない
+        const modified = this.modified || new Set();
+        modified.forEach(entryKey => {
+            const entry = this.entries.get(entryKey);
+            if (entry) {
+                entries.set(entryKey, entry);
+            } else {
+                entries.delete(entryKey);
+            }
+        });
+        this.modified = null;
+        this.entries = entries;
+        await this.compact();
+        return this.entries.size;
+    }
+
+    /**
+     * すべてのエントリを削除（キャッシュのクリア用、ログは続けて書き直す）
+     */
+    clear() {
+        this.entries.clear();
+        this.pending = [];
+    }
+
+    /**
+     * 索引の統計情報を取得
+     * @returns {{entries: number, logLines: number}} エントリ数・ログの行数
+     */
+    getStats() {
+        return {
+            entries: this.entries.size,
+            logLines: this.lines
+        };
+    }
+}
+
+module.exports = CacheIndex;
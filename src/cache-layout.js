@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// キャッシュディレクトリの形式のバージョン
+// 1: MD5のキャッシュキー（.layout.jsonなし）、2: 設定したハッシュ関数のキャッシュキー
+const LAYOUT_VERSION = 2;
+
+/**
+ * キャッシュディレクトリの形式の管理クラス - キャッシュキーの形式（バージョン・ハッシュ関数）を記録し、
+ * 以前の形式で保存されたエントリを起動時に現在のキャッシュキーへ移行する
+ */
+class CacheLayout {
+    /**
+     * CacheLayout コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} hooks 外部の処理
+     * @param {Function} hooks.getRule URLのホワイトリストのルールを返す関数（キャッシュキーの生成に使用）
+     */
+    constructor(cacheManager, logger, hooks = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.getRule = hooks.getRule || (() => null);
+    }
+
+    /**
+     * キャッシュディレクトリに記録された形式を読み込む
+     * @returns {Promise<{version: number, keyHash: string}>} 形式（記録がない場合はMD5の形式）
+     */
+    async readLayout() {
+        try {
+            const layout = JSON.parse(await fs.promises.readFile(this.cacheManager.layoutFile, 'utf8'));
+            return { version: Number(layout.version) || 1, keyHash: layout.keyHash || 'md5' };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error('キャッシュディレクトリの形式の読み込みエラー:', err.message);
+            }
+            return { version: 1, keyHash: 'md5' };
+        }
+    }
+
+    /**
+     * 以前の形式のキャッシュキーで保存されたエントリを現在のキャッシュキーに移行する（起動時の処理）
+     * エントリのURLとVaryの二次キーからキャッシュキーを計算し直すので、ボディは移さずにそのまま使う
+     * @returns {Promise<{migrated: number, replaced: number, failed: number}|null>} 移行したファイル数、
+     *   移行先に新しいエントリがあったため削除した数、移行できなかった数（形式が現在と同じ場合はnull）
+     */
+    async migrate() {
+        const layout = await this.readLayout();
+        if (layout.version > LAYOUT_VERSION) {
+            throw new Error(`キャッシュディレクトリの形式が新しいため使用できません: バージョン${layout.version}`);
+        }
+        if (layout.version === LAYOUT_VERSION && layout.keyHash === this.cacheManager.keyHash) {
+            return null;
+        }
+
+        this.logger.info(`キャッシュキーを移行します: ${layout.keyHash} -> ${this.cacheManager.keyHash}`);
+        const result = { migrated: 0, replaced: 0, failed: 0 };
+        const processDir = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    this.logger.error(`ディレクトリ読み取りエラー: ${dir}`, err);
+                    result.failed++;
+                }
+                return;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    // ドットで始まるディレクトリは内部データ用なので対象外
+                    if (!entry.name.startsWith('.')) {
+                        await processDir(fullPath);
+                    }
+                    continue;
+                }
+                try {
+                    if (entry.name.endsWith('.vary')) {
+                        await this.migrateVaryFile(fullPath, result);
+                    } else if (entry.name.endsWith('.cache')) {
+                        await this.migrateEntry(fullPath, result);
+                    }
+                } catch (err) {
+                    if (err.code !== 'ENOENT') {
+                        this.logger.error(`キャッシュキーの移行エラー: ${fullPath}`, err.message);
+                        result.failed++;
+                    }
+                }
+            }
+        };
+
+        await processDir(this.cacheManager.CACHE_DIR);
+        // 移行できなかったエントリがある場合は、次回の起動時にやり直すため形式を記録しない
+        if (result.failed > 0) {
+            this.logger.warn(`キャッシュキーを移行できなかったファイルがあります: ${result.failed}件`);
+        } else {
+            await this.cacheManager.writeFileAtomic(this.cacheManager.layoutFile, JSON.stringify({
+                version: LAYOUT_VERSION,
+                keyHash: this.cacheManager.keyHash
+            }, null, 2));
+        }
+        this.logger.info(`キャッシュキーを移行しました: ${result.migrated}件、新しいエントリを優先: ${result.replaced}件`);
+        return result;
+    }
+
+    /**
+     * URLのキャッシュファイルパスを現在のキャッシュキーで計算
+     * @param {string} url エントリのURL
+     * @returns {string} URLのキャッシュファイルパス
+     */
+    getCacheFile(url) {
+        return this.cacheManager.getCacheFileName(url, {}, this.getRule(url));
+    }
+
+    /**
+     * URLのVary情報（.varyファイル）を移行
+     * @param {string} varyFile .varyファイルのパス
+     * @param {{migrated: number, replaced: number, failed: number}} result 加算する移行結果
+     */
+    async migrateVaryFile(varyFile, result) {
+        const { url } = JSON.parse(await fs.promises.readFile(varyFile, 'utf8'));
+        if (!url) {
+            throw new Error('Vary情報にURLがありません');
+        }
+        const target = `${this.getCacheFile(url)}.vary`;
+        if (target === varyFile) {
+            return;
+        }
+        // 移行中に保存されたVary情報があればそちらを使う
+        if (await this.cacheManager.fileExists(target)) {
+            await fs.promises.unlink(varyFile);
+            result.replaced++;
+            return;
+        }
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.rename(varyFile, target);
+        result.migrated++;
+    }
+
+    /**
+     * エントリ（.cacheファイルとエントリごとのボディファイル）を移行
+     * @param {string} metadataFile .cacheファイルのパス
+     * @param {{migrated: number, replaced: number, failed: number}} result 加算する移行結果
+     */
+    async migrateEntry(metadataFile, result) {
+        const source = metadataFile.slice(0, -'.cache'.length);
+        const cache = JSON.parse(await fs.promises.readFile(metadataFile, 'utf8'));
+        if (!cache.url) {
+            throw new Error('メタデータにURLがありません');
+        }
+        const cacheFile = this.getCacheFile(cache.url);
+        const target = cache.varyHeaders
+            ? this.cacheManager.getVariantCacheFileName(cacheFile, cache.varyHeaders)
+            : cacheFile;
+        if (target === source) {
+            return;
+        }
+        if (!cache.storedAt) {
+            cache.storedAt = (await fs.promises.stat(metadataFile)).mtimeMs;
+        }
+
+        const removed = { files: 0, entries: 0, bytes: 0 };
+        const existing = await this.readStoredAt(`${target}.cache`);
+        if (existing !== null) {
+            result.replaced++;
+            // 移行中にプロキシが保存したエントリなど、移行先のほうが新しい場合は移行元を削除する
+            if (existing >= cache.storedAt) {
+                await this.cacheManager.removeCacheFile(metadataFile, removed);
+                if (!cache.blob) {
+                    await fs.promises.unlink(source).catch(() => {});
+                }
+                return;
+            }
+            await this.cacheManager.removeCacheFile(`${target}.cache`, removed);
+            await fs.promises.unlink(target).catch(() => {});
+        }
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        // ボディ保存の共有前のエントリはエントリごとのボディファイルも移す
+        if (!cache.blob && cache.href) {
+            await fs.promises.rename(path.join(path.dirname(source), cache.href), target);
+            cache.href = path.basename(target);
+        }
+        await this.cacheManager.writeFileAtomic(`${target}.cache`, JSON.stringify(cache, null, 2));
+        await fs.promises.unlink(metadataFile);
+        this.cacheManager.renameEntry(source, target);
+        result.migrated++;
+    }
+
+    /**
+     * .cacheファイルの保存時刻を読み込む
+     * @param {string} metadataFile .cacheファイルのパス
+     * @returns {Promise<number|null>} 保存時刻（ファイルがない場合はnull）
+     */
+    async readStoredAt(metadataFile) {
+        try {
+            const cache = JSON.parse(await fs.promises.readFile(metadataFile, 'utf8'));
+            return cache.storedAt || (await fs.promises.stat(metadataFile)).mtimeMs;
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            // 破損した移行先は移行元で置き換える
+            return 0;
+        }
+    }
+}
+
+module.exports = CacheLayout;
@@ -1,7 +1,35 @@
 const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const crypto = require('crypto');
 const { URL } = require('url');
+const CachePolicy = require('./cache-policy');
+const CacheWriter = require('./cache-writer');
+const MemoryCache = require('./memory-cache');
+const ContentEncoder = require('./content-encoder');
+const ByteRangeStream = require('./byte-range-stream');
+const TagIndex = require('./tag-index');
+const BlobStore = require('./blob-store');
+const CacheIndex = require('./cache-index');
+
+// 正規化前のキャッシュキーを保持する件数の上限
+const MAX_LEGACY_CACHE_FILES = 1000;
+
+// 書き込み中の一時ファイルを置くディレクトリ（起動時にこのディレクトリだけを片付ける）
+const TEMP_DIR = '.tmp';
+
+// 書き込み中の一時ファイル名（<ファイル名>.<ランダムな16進数>.tmp）
+const TEMP_FILE_PATTERN = /\.[0-9a-f]{12}\.tmp$/;
+
+// メモリキャッシュから応答したエントリの最終アクセス時刻をファイルに記録する間隔（ミリ秒）
+const MEMORY_ACCESS_RECORD_INTERVAL = 60000;
+
+// キャッシュキーに使えるハッシュ関数（ファイル名の長さとパターンを揃えるため、いずれも256ビット）
+const KEY_HASHES = ['sha256', 'sha512-256', 'sha3-256'];
+const DEFAULT_KEY_HASH = 'sha256';
+
+// キャッシュディレクトリの形式（キャッシュキーのハッシュ関数など）を記録するファイル
+const LAYOUT_FILE = '.layout.json';
 
 /**
  * キャッシュ管理クラス
@@ -10,14 +38,83 @@ class CacheManager {
     /**
      * @param {string} cacheDir キャッシュディレクトリのパス
      * @param {Object} logger ロガーインスタンス
+     * @param {Object} options キャッシュ設定（config.cache）
+     * @param {Object} options.queryNormalization キャッシュキーのクエリ文字列の正規化設定
+     * @param {boolean} options.queryNormalization.sortParams パラメータを名前順に並べ替える
+     * @param {string[]} options.queryNormalization.ignoredParams キャッシュキーから除外するパラメータ名（'regex:'で始まる場合は正規表現）
+     * @param {Object} options.memory メモリキャッシュの設定（maxSize・maxObjectSize）
+     * @param {Object} options.compression 応答時の圧縮の設定（enabled・encodings・minSize・contentTypes）
+     * @param {Object} options.privacy 資格情報を含むリクエストとSet-Cookieの扱い（credentialHeaders・setCookie）
+     * @param {Object} options.tags キャッシュタグの設定（headers）
+     * @param {string} options.keyHash キャッシュキーのハッシュ関数（sha256・sha512-256・sha3-256）
      */
-    constructor(cacheDir, logger) {
+    constructor(cacheDir, logger, options = {}) {
         this.CACHE_DIR = cacheDir;
         this.logger = logger;
+        this.policy = new CachePolicy(options, logger);
+
+        this.keyHash = DEFAULT_KEY_HASH;
+        if (options.keyHash !== undefined) {
+            if (KEY_HASHES.includes(options.keyHash)) {
+                this.keyHash = options.keyHash;
+            } else {
+                logger.warn(`無効なキャッシュキーのハッシュ関数の設定を無視します: ${options.keyHash}`);
+            }
+        }
+        // キャッシュキーの形式が変わったときに起動時の移行で使う
+        this.layoutFile = path.join(cacheDir, LAYOUT_FILE);
+        this.tempDir = path.join(cacheDir, TEMP_DIR);
+
+        const queryNormalization = options.queryNormalization || {};
+        this.sortQueryParams = queryNormalization.sortParams === true;
+        this.ignoredQueryParams = this.compileParamMatchers(queryNormalization.ignoredParams || []);
+        // 正規化後のキャッシュファイル → 正規化前の形式のキャッシュファイル（既存エントリの移行用）
+        this.legacyCacheFiles = new Map();
+        // これより前に書き込まれた一時ファイルは以前のプロセスが残したもの
+        this.createdAt = Date.now();
+        // 小さなエントリをメモリに保持してディスクの読み込みを省く
+        this.memoryCache = new MemoryCache(logger, options.memory || {});
+        // 保存したコーディングとクライアントのAccept-Encodingの違いを応答時に吸収する
+        this.encoder = new ContentEncoder(options.compression || {}, logger, this.policy);
+        // Surrogate-Key / Cache-Tagのタグからエントリを引く索引（タグ単位のパージに使う）
+        this.tagIndex = new TagIndex();
+        // 同じ内容のボディを共有するため、ボディはSHA-256ダイジェストをキーとして保存する
+        this.blobStore = new BlobStore(this);
+        // すべてのエントリの情報を保持する索引（統計・一覧・容量管理でディレクトリを走査しないために使う）
+        this.cacheIndex = new CacheIndex(this);
+        // 利用者間で共有してはいけないレスポンスを保存しなかった・Set-Cookieを除いた件数
+        this.privacyStats = {
+            credentialsBypassed: 0,
+            setCookieBypassed: 0,
+            setCookieStripped: 0
+        };
+    }
+
+    /**
+     * 除外するクエリパラメータの指定を判定関数に変換
+     * @param {string[]} params パラメータ名または'regex:'で始まる正規表現
+     * @returns {Array<Function>} パラメータ名を受け取り、除外する場合にtrueを返す関数の配列
+     */
+    compileParamMatchers(params) {
+        const matchers = [];
+        params.forEach(param => {
+            if (param.startsWith('regex:')) {
+                const pattern = param.substring(6);
+                try {
+                    const regex = new RegExp(pattern);
+                    matchers.push(name => regex.test(name));
+                } catch (err) {
+                    this.logger.error(`無効な正規表現パターン: ${pattern}`, err);
+                }
+            } else {
+                matchers.push(name => name === param);
+            }
+        });
+        return matchers;
     }
 
     /**
-     * キャッシュディレクトリを初期化
+     * キャッシュディレクトリを初期化し、エントリの索引を読み込んで（前回正常に終了していない場合はディスクから作り直して）ボディの参照数を数える
      */
     async initialize() {
         try {
@@ -28,15 +125,30 @@ class CacheManager {
             this.logger.error('キャッシュディレクトリの初期化エラー:', err);
             throw err;
         }
+        if (await this.cacheIndex.load()) {
+            this.logger.info(`キャッシュの索引を読み込みました: ${this.cacheIndex.entries.size}件`);
+        } else {
+            await this.rebuildCacheIndex();
+        }
+        await this.rebuildBlobIndex();
+    }
+
+    /**
+     * 終了時の処理（次回の起動時にディスクを走査せずに索引を読み込めるよう記録する）
+     */
+    async close() {
+        await this.cacheIndex.close();
     }
     
     /**
      * URLを正規化
      * @param {string} requestUrl リクエストURL
      * @param {Object} headers リクエストヘッダー
+     * @param {Object} rule ホワイトリストのルール（ignoreQueryの場合はクエリを含めない）
+     * @param {boolean} normalizeQuery クエリ文字列を正規化する（falseの場合はそのまま使う）
      * @returns {string} 正規化されたURL
      */
-    normalizeUrl(requestUrl, headers = {}) {
+    normalizeUrl(requestUrl, headers = {}, rule = null, normalizeQuery = true) {
         try {
             let url;
             if (requestUrl.startsWith('http://') || requestUrl.startsWith('https://')) {
@@ -45,8 +157,14 @@ class CacheManager {
                 const host = headers.host || 'localhost';
                 url = new URL(requestUrl.startsWith('/') ? `http://${host}${requestUrl}` : `http://${host}/${requestUrl}`);
             }
-            // クエリパラメータも含めて正規化URLを生成
-            const normalized = `${url.protocol}//${url.host}${url.pathname}${url.search}`;
+            // クエリパラメータも含めて正規化URLを生成（ホスト名はURLの解析時に小文字化される）
+            let search = url.search;
+            if (rule?.ignoreQuery) {
+                search = '';
+            } else if (normalizeQuery) {
+                search = this.normalizeQuery(url.search);
+            }
+            const normalized = `${url.protocol}//${url.host}${url.pathname}${search}`;
             return normalized;
         } catch (err) {
             this.logger.error('URLの正規化エラー:', err, requestUrl);
@@ -54,15 +172,72 @@ class CacheManager {
         }
     }
     
+    /**
+     * クエリ文字列を正規化（除外パラメータの削除・並べ替え）
+     * @param {string} search クエリ文字列（先頭の'?'を含む）
+     * @returns {string} 正規化されたクエリ文字列（パラメータがなければ空文字列）
+     */
+    normalizeQuery(search) {
+        if (!search || (!this.sortQueryParams && this.ignoredQueryParams.length === 0)) {
+            return search;
+        }
+
+        const params = new URLSearchParams(search);
+        const names = [...new Set(params.keys())];
+        const ignored = names.filter(name => this.ignoredQueryParams.some(matches => matches(name)));
+        // 変更がない場合は元の表記のまま使う
+        if (ignored.length === 0 && !this.sortQueryParams) {
+            return search;
+        }
+
+        ignored.forEach(name => params.delete(name));
+        if (this.sortQueryParams) {
+            params.sort();
+        }
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
     /**
      * キャッシュファイル名を生成
      * @param {string} requestUrl リクエストURL
      * @param {Object} headers リクエストヘッダー
+     * @param {Object} rule ホワイトリストのルール
      * @returns {string} キャッシュファイルパス
      */
-    getCacheFileName(requestUrl, headers = {}) {
-        const normalizedUrl = this.normalizeUrl(requestUrl, headers);
-        const hash = crypto.createHash('md5').update(normalizedUrl).digest('hex');
+    getCacheFileName(requestUrl, headers = {}, rule = null) {
+        const normalizedUrl = this.normalizeUrl(requestUrl, headers, rule);
+        const cacheFile = this.buildCacheFileName(requestUrl, normalizedUrl);
+
+        // クエリ文字列をそのまま使っていた以前のキーと異なる場合は、既存エントリの移行用に記録する
+        const legacyCacheFile = this.buildCacheFileName(requestUrl, this.normalizeUrl(requestUrl, headers, null, false));
+        if (legacyCacheFile !== cacheFile) {
+            this.legacyCacheFiles.delete(cacheFile);
+            this.legacyCacheFiles.set(cacheFile, legacyCacheFile);
+            if (this.legacyCacheFiles.size > MAX_LEGACY_CACHE_FILES) {
+                this.legacyCacheFiles.delete(this.legacyCacheFiles.keys().next().value);
+            }
+        }
+        return cacheFile;
+    }
+
+    /**
+     * キャッシュキーのハッシュを計算
+     * @param {string} key 正規化URLまたはVaryの二次キー
+     * @returns {string} 設定したハッシュ関数による16進数のハッシュ
+     */
+    hashKey(key) {
+        return crypto.createHash(this.keyHash).update(key).digest('hex');
+    }
+
+    /**
+     * 正規化URLのハッシュからキャッシュファイルパスを組み立てる
+     * @param {string} requestUrl リクエストURL（保存先ディレクトリとファイル名に使用）
+     * @param {string} normalizedUrl 正規化されたURL（ハッシュに使用）
+     * @returns {string} キャッシュファイルパス
+     */
+    buildCacheFileName(requestUrl, normalizedUrl) {
+        const hash = this.hashKey(normalizedUrl);
         const url = new URL(requestUrl);
         const filePath = url.pathname;
         
@@ -74,6 +249,192 @@ class CacheManager {
         
         return path.join(this.CACHE_DIR, url.host, dirPath, `${filename}`);
     }
+
+    /**
+     * Varyの二次キーに対応するバリアントのキャッシュファイル名を生成
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @param {Object} varyHeaders Varyで指定されたリクエストヘッダーの値
+     * @returns {string} バリアントのキャッシュファイルパス
+     */
+    getVariantCacheFileName(cacheFile, varyHeaders) {
+        const secondaryKey = Object.keys(varyHeaders).sort()
+            .map(name => `${name}:${varyHeaders[name]}`)
+            .join('\n');
+        const hash = this.hashKey(secondaryKey);
+        const { dir, name, ext } = path.parse(cacheFile);
+        return path.join(dir, `${name}-${hash}${ext}`);
+    }
+
+    /**
+     * バリアントのキャッシュファイルパスからURLのキャッシュファイルパスを求める
+     * @param {string} variantFile バリアントのキャッシュファイルパス
+     * @returns {string} URLのキャッシュファイルパス（.varyファイルの保存先）
+     */
+    getBaseCacheFileName(variantFile) {
+        const { dir, name, ext } = path.parse(variantFile);
+        return path.join(dir, `${name.replace(/-[0-9a-f]{64}$/, '')}${ext}`);
+    }
+
+    /**
+     * URLのVary情報（.varyファイル）を読み込む
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @returns {Promise<string[]|null>} Varyのヘッダー名（Varyのないエントリはnull）
+     */
+    async loadVaryIndex(cacheFile) {
+        try {
+            const data = await fs.promises.readFile(`${cacheFile}.vary`, 'utf8');
+            const varyIndex = JSON.parse(data);
+            return Array.isArray(varyIndex.vary) ? varyIndex.vary : null;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error('Vary情報の読み込みエラー:', err);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * リクエストに対応するキャッシュを検索してロード（Varyのバリアント選択を含む）
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {Promise<Object|null>} キャッシュデータまたはnull
+     */
+    async lookupCache(cacheFile, requestHeaders = {}) {
+        // メモリキャッシュにあればファイルを読まずに応答する
+        const memoryEntry = this.memoryCache.lookup(
+            cacheFile, varyHeaderNames => this.selectEntryFile(cacheFile, varyHeaderNames, requestHeaders)
+        );
+        if (memoryEntry) {
+            if (Date.now() - memoryEntry.lastRecordedAt >= MEMORY_ACCESS_RECORD_INTERVAL) {
+                // ディスクのLRU削除で使う最終アクセス時刻は間隔をあけて記録する（完了は待たない）
+                memoryEntry.lastRecordedAt = Date.now();
+                this.recordAccess(memoryEntry.entryKey);
+            }
+            this.logger.debug('メモリキャッシュから応答:', memoryEntry.cache.url);
+            return { ...memoryEntry.cache, body: memoryEntry.body };
+        }
+
+        await this.migrateLegacyEntry(cacheFile);
+
+        const varyHeaderNames = await this.loadVaryIndex(cacheFile) || [];
+        const entryFile = this.selectEntryFile(cacheFile, varyHeaderNames, requestHeaders);
+        if (entryFile !== cacheFile) {
+            this.logger.debug(`Varyバリアントを検索: ${entryFile}`);
+        }
+
+        if (!await this.fileExists(`${entryFile}.cache`)) {
+            return null;
+        }
+        await this.recordAccess(entryFile);
+        const cache = await this.loadCache(entryFile);
+        if (!cache || !this.memoryCache.accepts(cache.size)) {
+            return cache;
+        }
+
+        // 小さなエントリはボディごとメモリキャッシュに載せる
+        try {
+            const body = await fs.promises.readFile(cache.bodyFile);
+            cache.size = body.length;
+            this.memoryCache.set(cacheFile, entryFile, varyHeaderNames, cache, body);
+            return { ...cache, body };
+        } catch (err) {
+            this.logger.debug(`メモリキャッシュへの読み込みエラー: ${entryFile}`, err.message);
+            return cache;
+        }
+    }
+
+    /**
+     * Varyのヘッダー名とリクエストヘッダーからエントリのキャッシュファイルパスを決定
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @param {string[]} varyHeaderNames Varyのヘッダー名（Varyがない場合は空配列）
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {string} エントリのキャッシュファイルパス
+     */
+    selectEntryFile(cacheFile, varyHeaderNames, requestHeaders) {
+        if (varyHeaderNames.length === 0) {
+            return cacheFile;
+        }
+        return this.getVariantCacheFileName(cacheFile, this.policy.selectVaryHeaders(varyHeaderNames, requestHeaders));
+    }
+
+    /**
+     * クエリ文字列を正規化する前のキーで保存されたエントリを新しいキーに移行
+     * @param {string} cacheFile 正規化後のキャッシュファイルパス
+     * @returns {Promise<boolean>} 移行したらtrue
+     */
+    async migrateLegacyEntry(cacheFile) {
+        const legacyCacheFile = this.legacyCacheFiles.get(cacheFile);
+        if (!legacyCacheFile) {
+            return false;
+        }
+        this.legacyCacheFiles.delete(cacheFile);
+        if (await this.fileExists(`${cacheFile}.cache`) || await this.fileExists(`${cacheFile}.vary`)) {
+            return false;
+        }
+
+        const dir = path.dirname(legacyCacheFile);
+        const legacyName = path.parse(legacyCacheFile).name;
+        const newName = path.parse(cacheFile).name;
+        const pattern = this.getEntryFilePattern(legacyCacheFile);
+        try {
+            const files = (await fs.promises.readdir(dir)).filter(file => pattern.test(file));
+            if (files.length === 0) {
+                return false;
+            }
+
+            // ボディ・.vary・バリアントのファイル名の先頭部分を新しいキーに置き換える
+            for (const file of files) {
+                const source = path.join(dir, file);
+                const target = path.join(dir, `${newName}${file.slice(legacyName.length)}`);
+                if (file.endsWith('.cache')) {
+                    // メタデータはエントリごとのボディのファイル名（href）を書き換えて移す
+                    const cache = JSON.parse(await fs.promises.readFile(source, 'utf8'));
+                    if (!cache.storedAt) {
+                        cache.storedAt = (await fs.promises.stat(source)).mtimeMs;
+                    }
+                    if (!cache.blob) {
+                        cache.href = path.basename(target, '.cache');
+                    }
+                    await this.writeFileAtomic(target, JSON.stringify(cache, null, 2));
+                    await fs.promises.unlink(source);
+                    this.renameEntry(source.slice(0, -'.cache'.length), target.slice(0, -'.cache'.length));
+                } else {
+                    await fs.promises.rename(source, target);
+                }
+            }
+            this.logger.info(`以前の形式のキャッシュキーを移行しました: ${legacyCacheFile} -> ${cacheFile}`);
+            return true;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error('キャッシュキーの移行エラー:', err);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * エントリのキャッシュファイルパスの変更をボディの参照と索引に反映（キャッシュキーの移行用）
+     * @param {string} fromFile 変更前のキャッシュファイルパス
+     * @param {string} toFile 変更後のキャッシュファイルパス
+     */
+    renameEntry(fromFile, toFile) {
+        this.blobStore.rename(fromFile, toFile);
+        this.cacheIndex.rename(fromFile, toFile);
+    }
+
+    /**
+     * エントリの最終アクセス時刻を記録（索引と.cacheファイルのatimeを更新、LRU削除に使用）
+     * @param {string} cacheFile エントリのキャッシュファイルパス
+     */
+    async recordAccess(cacheFile) {
+        this.cacheIndex.touch(cacheFile);
+        try {
+            const stats = await fs.promises.stat(`${cacheFile}.cache`);
+            await fs.promises.utimes(`${cacheFile}.cache`, new Date(), stats.mtime);
+        } catch (err) {
+            this.logger.debug(`最終アクセス時刻の更新エラー: ${cacheFile}`, err.message);
+        }
+    }
     
     /**
      * キャッシュをロード
@@ -84,12 +445,20 @@ class CacheManager {
         try {
             const data = await fs.promises.readFile(`${cacheFile}.cache`, 'utf8');
             const cache = JSON.parse(data);
-            if(cache.href){
-                const cacheDir = path.dirname(cacheFile);
-                const filename = path.join(cacheDir, cache.href);
-                const body = await fs.promises.readFile(filename);
-                cache.data = body.toString('base64');
+            // 保存時刻のない旧形式のキャッシュはメタデータの更新時刻で代用
+            if (!cache.storedAt) {
+                const stats = await fs.promises.stat(`${cacheFile}.cache`);
+                cache.storedAt = stats.mtimeMs;
+            }
+            // ボディはメモリに読み込まず、応答時にファイルからストリームで送る
+            cache.bodyFile = this.getBodyFile(cacheFile, cache);
+            if (!cache.bodyFile) {
+                this.logger.debug(`ボディファイルのないキャッシュは使用しません: ${cacheFile}`);
+                return null;
             }
+            // Set-Cookieを除く前に保存されたエントリからも応答しない
+            cache.headers = this.policy.stripSetCookie(cache.headers);
+            cache.size = (await fs.promises.stat(cache.bodyFile)).size;
 
             this.logger.debug('キャッシュをロードしました:', cache.url);
             return cache;
@@ -97,6 +466,9 @@ class CacheManager {
             this.logger.error('キャッシュの読み込みエラー:', err);
             
             // キャッシュファイルが破損している場合は削除する
+            this.memoryCache.delete(cacheFile);
+            this.cacheIndex.delete(cacheFile);
+            await this.blobStore.delete(cacheFile);
             try {
                 this.logger.error(`破損したキャッシュファイルを削除: ${cacheFile}`);
                 await fs.promises.unlink(cacheFile);
@@ -109,33 +481,726 @@ class CacheManager {
         }
     }
     
+    /**
+     * エントリのボディファイルのパスを取得
+     * @param {string} cacheFile エントリのキャッシュファイルパス
+     * @param {Object} cache .cacheファイルの内容
+     * @returns {string|null} ボディファイルのパス（ボディの参照がない場合はnull）
+     */
+    getBodyFile(cacheFile, cache) {
+        if (cache.blob) {
+            return this.blobStore.getPath(cache.blob);
+        }
+        // ボディ保存の共有前に保存されたエントリはエントリごとのボディファイルを使う
+        return cache.href ? path.join(path.dirname(cacheFile), cache.href) : null;
+    }
+
     /**
      * キャッシュを保存
      * @param {string} cacheFile キャッシュファイルパス
      * @param {Object} cacheHeader キャッシュヘッダー情報
-     * @param {Buffer} body レスポンスボディ
+     * @param {Buffer|null} body レスポンスボディ（nullの場合はメタデータのみ更新）
+     * @param {Object|null} requestHeaders リクエストヘッダー（指定時はVaryに応じたバリアントとして保存）
      * @returns {Promise<boolean>} 保存成功したらtrue
      */
-    async saveCache(cacheFile, cacheHeader, body) {
+    async saveCache(cacheFile, cacheHeader, body, requestHeaders = null) {
+        let digest = null;
         try {
+            if (requestHeaders) {
+                cacheFile = await this.prepareVariant(cacheFile, cacheHeader, requestHeaders);
+            }
             const cacheDir = path.dirname(cacheFile);
-            const filename = path.basename(cacheFile);
             await fs.promises.mkdir(cacheDir, { recursive: true });
             await fs.promises.chmod(cacheDir, 0o777);
-            cacheHeader.href = filename;
-            await fs.promises.writeFile(`${cacheFile}.cache`, JSON.stringify(cacheHeader, null, 2));
-            await fs.promises.writeFile(cacheFile, body);
-            await fs.promises.chmod(`${cacheFile}.cache`, 0o666);
-            await fs.promises.chmod(cacheFile, 0o666);
+            // Set-Cookieは他の利用者に渡さないよう保存しない
+            const headers = this.policy.stripSetCookie(cacheHeader.headers);
+            if (headers !== cacheHeader.headers) {
+                cacheHeader.headers = headers;
+                this.privacyStats.setCookieStripped++;
+            }
+            if (!cacheHeader.storedAt) {
+                cacheHeader.storedAt = Date.now();
+            }
+            // ボディを先に確定し、メタデータは最後に置き換える（ボディが揃うまでエントリは参照されない）
+            // ボディがnullの場合は既存のボディをそのまま使う
+            if (body !== null) {
+                digest = await this.blobStore.add(body);
+                cacheHeader.blob = digest;
+            }
+            if (cacheHeader.blob) {
+                delete cacheHeader.href;
+            } else {
+                cacheHeader.href = path.basename(cacheFile);
+            }
+            const metadata = JSON.stringify(cacheHeader, null, 2);
+            await this.writeFileAtomic(`${cacheFile}.cache`, metadata);
+            if (digest) {
+                await this.assignBlob(cacheFile, digest);
+            }
+            // メモリ上の古い内容は次の参照時にディスクから読み直す
+            this.memoryCache.delete(cacheFile);
+            this.tagIndex.set(cacheFile, this.policy.getCacheTags(cacheHeader.headers));
+            this.cacheIndex.set(cacheFile, await this.createIndexEntry(cacheFile, cacheHeader, Buffer.byteLength(metadata), Date.now()));
 
-            this.logger.debug('キャッシュを保存しました:', cacheHeader.url, `${cacheFile}.cache`,`${cacheFile}`);
+            this.logger.debug('キャッシュを保存しました:', cacheHeader.url, `${cacheFile}.cache`, digest || '');
             return true;
         } catch (err) {
             this.logger.error('キャッシュの保存エラー:', err);
+            if (digest) {
+                await this.blobStore.release(digest);
+            }
             return false;
         }
     }
+
+    /**
+     * 索引に登録するエントリの情報を作成
+     * @param {string} cacheFile エントリのキャッシュファイルパス
+     * @param {Object} cache .cacheファイルの内容
+     * @param {number} metadataSize .cacheファイルのサイズ
+     * @param {number} lastAccess 最終アクセス時刻
+     * @returns {Promise<Object>} エントリの情報（sizeはボディのサイズ、fileSizeは共有するボディを除くエントリのファイルのサイズ）
+     */
+    async createIndexEntry(cacheFile, cache, metadataSize, lastAccess) {
+        // 起動時の作り直しではボディのサイズがまだ分からないので、ファイルから求める
+        const size = (cache.blob && this.blobStore.getSize(cache.blob))
+            || await fs.promises.stat(this.getBodyFile(cacheFile, cache)).then(stats => stats.size, () => 0);
+        const entry = {
+            url: cache.url,
+            status: cache.statusCode,
+            contentType: (cache.headers && cache.headers['content-type']) || null,
+            size,
+            fileSize: metadataSize + (cache.blob ? 0 : size),
+            storedAt: cache.storedAt,
+            lastAccess,
+            tags: this.policy.getCacheTags(cache.headers || {}),
+            blob: cache.blob || null
+        };
+        if (cache.varyHeaders) {
+            entry.varyHeaders = cache.varyHeaders;
+        }
+        return entry;
+    }
+
+    /**
+     * 保存したボディをエントリに割り当て、以前のボディの参照を解放する
+     * @param {string} cacheFile エントリのキャッシュファイルパス
+     * @param {string} digest 参照を確保したボディのダイジェスト
+     */
+    async assignBlob(cacheFile, digest) {
+        await this.blobStore.set(cacheFile, digest);
+        // ボディ保存の共有前のエントリごとのボディファイルは参照されなくなる
+        await fs.promises.unlink(cacheFile).catch(() => {});
+    }
     
+    /**
+     * 書き込み用の一時ファイルのパスを生成
+     * @param {string} filePath 書き込み先のファイルパス
+     * @returns {string} 一時ファイルのディレクトリ内のパス（キャッシュディレクトリと同じファイルシステムなのでリネームで置き換えられる）
+     */
+    getTempFileName(filePath) {
+        return path.join(this.tempDir, `${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    }
+
+    /**
+     * 一時ファイルに書き込んでからリネームしてファイルを置き換える（書き込み途中の内容は参照されない）
+     * @param {string} filePath 書き込み先のファイルパス
+     * @param {Buffer|string} data 書き込む内容
+     */
+    async writeFileAtomic(filePath, data) {
+        const tempFile = this.getTempFileName(filePath);
+        try {
+            await fs.promises.mkdir(this.tempDir, { recursive: true });
+            await fs.promises.writeFile(tempFile, data);
+            await fs.promises.chmod(tempFile, 0o666);
+            await fs.promises.rename(tempFile, filePath);
+        } catch (err) {
+            await fs.promises.unlink(tempFile).catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * 以前のプロセスが書き込み途中で残した一時ファイルを削除（起動時の復旧処理、一時ファイルのディレクトリだけを調べる）
+     * @returns {Promise<number>} 削除したファイル数
+     */
+    async removeOrphanedTempFiles() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.tempDir);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error(`ディレクトリ読み取りエラー: ${this.tempDir}`, err);
+            }
+            return 0;
+        }
+
+        let removed = 0;
+        for (const file of files.filter(name => TEMP_FILE_PATTERN.test(name))) {
+            const fullPath = path.join(this.tempDir, file);
+            try {
+                // 起動後に作成された一時ファイルは書き込み中の可能性があるので残す
+                const stats = await fs.promises.stat(fullPath);
+                if (stats.mtimeMs >= this.createdAt) {
+                    continue;
+                }
+                await fs.promises.unlink(fullPath);
+                removed++;
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    this.logger.error(`一時ファイルの削除エラー: ${fullPath}`, err);
+                }
+            }
+        }
+        if (removed > 0) {
+            this.logger.info(`書き込み途中で残された一時ファイルを${removed}件削除しました`);
+        }
+        return removed;
+    }
+
+    /**
+     * エントリの索引に記録したタグからキャッシュタグの索引を作り直す（起動時の復旧処理）
+     * @returns {Promise<number>} タグが付いたエントリ数
+     */
+    async rebuildTagIndex() {
+        this.cacheIndex.entries.forEach((entry, entryKey) => {
+            this.tagIndex.set(entryKey, entry.tags || []);
+        });
+        const { entries } = this.tagIndex.getStats();
+        if (entries > 0) {
+            this.logger.info(`キャッシュタグの索引を作成しました: ${entries}件`);
+        }
+        return entries;
+    }
+
+    /**
+     * キャッシュディレクトリの.cacheファイルを走査してエントリの索引を作り直し、ログを書き直す
+     * （前回正常に終了しなかった場合の起動時の復旧処理、および管理APIからの作り直し）
+     * @returns {Promise<number>} 索引のエントリ数
+     */
+    async rebuildCacheIndex() {
+        const entries = new Map();
+        this.cacheIndex.beginRebuild();
+
+        const processDir = async (dir) => {
+            let dirEntries;
+            try {
+                dirEntries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    this.logger.error(`ディレクトリ読み取りエラー: ${dir}`, err);
+                }
+                return;
+            }
+
+            for (const entry of dirEntries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    // ドットで始まるディレクトリは内部データ用なので対象外
+                    if (!entry.name.startsWith('.')) {
+                        await processDir(fullPath);
+                    }
+                    continue;
+                }
+                if (!entry.name.endsWith('.cache')) {
+                    continue;
+                }
+                const cacheFile = fullPath.slice(0, -'.cache'.length);
+                try {
+                    const data = await fs.promises.readFile(fullPath, 'utf8');
+                    const cache = JSON.parse(data);
+                    const stats = await fs.promises.stat(fullPath);
+                    if (!cache.storedAt) {
+                        cache.storedAt = stats.mtimeMs;
+                    }
+                    entries.set(cacheFile, await this.createIndexEntry(
+                        cacheFile, cache, Buffer.byteLength(data), Math.max(stats.atimeMs, stats.mtimeMs)
+                    ));
+                } catch (err) {
+                    this.logger.debug(`キャッシュのメタデータを読み込めません: ${fullPath}`);
+                }
+            }
+        };
+
+        await processDir(this.CACHE_DIR);
+        const count = await this.cacheIndex.replace(entries);
+        this.logger.info(`キャッシュの索引を作成しました: ${count}件`);
+        return count;
+    }
+
+    /**
+     * エントリの索引に記録したボディからボディの参照数を作り直し、参照されていないボディを削除する（起動時の復旧処理）
+     * @returns {Promise<number>} 削除したボディの数
+     */
+    async rebuildBlobIndex() {
+        const references = new Map();
+        this.cacheIndex.entries.forEach((entry, entryKey) => {
+            if (this.blobStore.isDigest(entry.blob)) {
+                references.set(entryKey, entry.blob);
+            }
+        });
+
+        const removed = await this.blobStore.rebuild(references, this.createdAt);
+        if (removed > 0) {
+            this.logger.info(`参照されていないボディを${removed}件削除しました`);
+        }
+        return removed;
+    }
+
+    /**
+     * 一時ファイルに書き込んだボディをキャッシュとして保存（一時ファイルはボディファイルに移動する）
+     * @param {string} cacheFile キャッシュファイルパス
+     * @param {Object} cacheHeader キャッシュヘッダー情報
+     * @param {string} tempFile ボディを書き込んだ一時ファイルのパス
+     * @param {Object|null} requestHeaders リクエストヘッダー（指定時はVaryに応じたバリアントとして保存）
+     * @param {string|null} digest 書き込み時に計算したボディのSHA-256ダイジェスト（nullの場合はファイルから計算する）
+     * @returns {Promise<string|null>} 保存したボディファイルのパス（失敗した場合はnull）
+     */
+    async saveCacheFromFile(cacheFile, cacheHeader, tempFile, requestHeaders = null, digest = null) {
+        try {
+            if (requestHeaders) {
+                cacheFile = await this.prepareVariant(cacheFile, cacheHeader, requestHeaders);
+            }
+            cacheHeader.blob = await this.blobStore.addFile(tempFile, digest);
+            if (!await this.saveCache(cacheFile, cacheHeader, null)) {
+                await this.blobStore.release(cacheHeader.blob);
+                return null;
+            }
+            await this.assignBlob(cacheFile, cacheHeader.blob);
+            return this.blobStore.getPath(cacheHeader.blob);
+        } catch (err) {
+            this.logger.error('キャッシュの保存エラー:', err);
+            return null;
+        }
+    }
+
+    /**
+     * ボディを一時ファイルに書き込むキャッシュ書き込みストリームを作成
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @returns {CacheWriter} 書き込みストリーム（commitでキャッシュとして確定する）
+     */
+    createCacheWriter(cacheFile) {
+        return new CacheWriter(this, cacheFile, this.getTempFileName(cacheFile));
+    }
+
+    /**
+     * キャッシュ済みボディの読み込みストリームを作成
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {number} start 読み込み開始位置（バイト）
+     * @param {number} end 読み込み終了位置（バイト、この位置を含む）
+     * @returns {stream.Readable} 読み込みストリーム
+     */
+    createBodyStream(cache, start = 0, end = cache.size - 1) {
+        // メモリキャッシュから取得したエントリはメモリ上のボディを使う
+        if (cache.body) {
+            return Readable.from([cache.body.subarray(start, end + 1)]);
+        }
+        return fs.createReadStream(cache.bodyFile, { start, end });
+    }
+
+    /**
+     * キャッシュ済みボディをすべて読み込む
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @returns {Promise<Buffer>} ボディ
+     */
+    async readBody(cache) {
+        return cache.body || fs.promises.readFile(cache.bodyFile);
+    }
+
+    /**
+     * Varyに応じてバリアントの保存先を決定し、URLのVary情報を更新
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @param {Object} cacheHeader キャッシュヘッダー情報（varyHeadersを設定する）
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {Promise<string>} エントリの保存先パス
+     */
+    async prepareVariant(cacheFile, cacheHeader, requestHeaders) {
+        // Vary情報が変わる可能性があるのでURLのエントリをメモリから削除する
+        this.memoryCache.deleteUrl(cacheFile);
+        // コンテンツコーディングは応答時にクライアントに合わせて変換するので、Accept-Encodingではバリアントを分けない
+        const varyHeaderNames = this.policy.getVaryHeaderNames(cacheHeader.headers)
+            .filter(name => name !== 'accept-encoding');
+        if (varyHeaderNames.length === 0) {
+            // Varyがなくなった場合は古いVary情報を削除してURL単位のキーに戻す
+            await fs.promises.unlink(`${cacheFile}.vary`).catch(() => {});
+            delete cacheHeader.varyHeaders;
+            return cacheFile;
+        }
+
+        await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+        await this.writeFileAtomic(`${cacheFile}.vary`, JSON.stringify({
+            url: cacheHeader.url,
+            vary: varyHeaderNames
+        }, null, 2));
+
+        // Varyのない旧エントリは参照されなくなるので削除
+        await fs.promises.unlink(`${cacheFile}.cache`).catch(() => {});
+        await fs.promises.unlink(cacheFile).catch(() => {});
+        this.cacheIndex.delete(cacheFile);
+        await this.blobStore.delete(cacheFile);
+
+        cacheHeader.varyHeaders = this.policy.selectVaryHeaders(varyHeaderNames, requestHeaders);
+        return this.getVariantCacheFileName(cacheFile, cacheHeader.varyHeaders);
+    }
+
+    /**
+     * キャッシュから応答できるリクエストメソッドか判定
+     * @param {string} method リクエストメソッド
+     * @returns {boolean} GET/HEADならtrue
+     */
+    isCacheableMethod(method) {
+        return this.policy.isCacheableMethod(method);
+    }
+
+    /**
+     * リクエストがキャッシュからの応答のみを求めているか判定
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {boolean} Cache-Control: only-if-cachedならtrue
+     */
+    isOnlyIfCached(requestHeaders) {
+        return this.policy.isOnlyIfCached(requestHeaders);
+    }
+
+    /**
+     * レスポンスをキャッシュに保存してよいか判定
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers レスポンスヘッダー
+     * @param {string} method リクエストメソッド
+     * @param {Object} rule ホワイトリストのルール
+     * @param {number} bodySize ボディのサイズ
+     * @returns {boolean} 保存可能ならtrue
+     */
+    isStorable(statusCode, headers, method = 'GET', rule = null, bodySize = null) {
+        return this.policy.isStorable(statusCode, headers, method, rule, bodySize);
+    }
+
+    /**
+     * リクエストの資格情報とSet-Cookieから、共有キャッシュに保存してよいか判定
+     * @param {Object} requestHeaders クライアントのリクエストヘッダー
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {boolean} 保存可能ならtrue
+     */
+    isStorableForRequest(requestHeaders, headers) {
+        const rejection = this.policy.getPrivacyRejection(requestHeaders, headers);
+        if (rejection === 'credentials') {
+            this.privacyStats.credentialsBypassed++;
+        } else if (rejection === 'set-cookie') {
+            this.privacyStats.setCookieBypassed++;
+        }
+        return rejection === null;
+    }
+
+    /**
+     * キャッシュエントリの鮮度情報を取得
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {{fresh: boolean, age: number, lifetime: number}} 鮮度情報
+     */
+    getFreshness(cache, rule = null) {
+        return this.policy.getFreshness(cache, Date.now(), rule);
+    }
+
+    /**
+     * キャッシュエントリが新鮮か確認
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {boolean} 有効期限内ならtrue
+     */
+    isFresh(cache, rule = null) {
+        const freshness = this.getFreshness(cache, rule);
+        if (!freshness.fresh) {
+            this.logger.debug(`キャッシュの有効期限切れ: ${cache.url}, 経過=${freshness.age}秒, 有効期間=${freshness.lifetime}秒`);
+        }
+        return freshness.fresh;
+    }
+
+    /**
+     * 期限切れキャッシュを返しつつバックグラウンドで更新してよいか確認（stale-while-revalidate）
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {boolean} 期限切れキャッシュで応答可能ならtrue
+     */
+    canServeStaleWhileRevalidate(cache, rule = null) {
+        return this.getFreshness(cache, rule).staleWhileRevalidate;
+    }
+
+    /**
+     * オリジンのエラー時に期限切れキャッシュを返してよいか確認（stale-if-error）
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {boolean} 期限切れキャッシュで応答可能ならtrue
+     */
+    canServeStaleIfError(cache, rule = null) {
+        return this.getFreshness(cache, rule).staleIfError;
+    }
+
+    /**
+     * 期限切れキャッシュの再検証用に条件付きリクエストヘッダーを取得
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @returns {Object|null} If-None-Match / If-Modified-Since ヘッダー（検証子がない場合はnull）
+     */
+    getConditionalHeaders(cache) {
+        return this.policy.getConditionalHeaders(cache);
+    }
+
+    /**
+     * Range / If-Range に応じてキャッシュ済みボディの送信範囲と応答ヘッダーを決定
+     * @param {string} method リクエストメソッド
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {number} statusCode 保存済みのステータスコード
+     * @param {Object} headers 保存済みのレスポンスヘッダー
+     * @param {number} size 保存済みのボディのサイズ
+     * @returns {{statusCode: number, headers: Object, start: number, end: number}} 応答内容と送信範囲（endを含む）
+     */
+    getRangeResponseHead(method, requestHeaders, statusCode, headers, size) {
+        return this.policy.getRangeResponseHead(method, requestHeaders, statusCode, headers, size);
+    }
+
+    /**
+     * キャッシュ済みボディでの応答内容を決定（Accept-Encodingに合わせたコーディングの変換とRangeを含む）
+     * コーディングを変換する場合はRangeを無視して全体を応答する
+     * @param {string} method リクエストメソッド
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {number} statusCode 保存済みのステータスコード
+     * @param {Object} headers 保存済みのレスポンスヘッダー
+     * @param {number} size 保存済みのボディのサイズ
+     * @returns {{statusCode: number, headers: Object, start: number, end: number, createTransform: Function|null}} 応答内容・送信範囲・変換ストリームを作成する関数
+     */
+    getResponseHead(method, requestHeaders, statusCode, headers, size) {
+        const encoding = this.encoder.negotiate(requestHeaders, statusCode, headers, size);
+        if (encoding.createTransform) {
+            return { statusCode, headers: encoding.headers, start: 0, end: size - 1, createTransform: encoding.createTransform };
+        }
+        return {
+            ...this.getRangeResponseHead(method, requestHeaders, statusCode, encoding.headers, size),
+            createTransform: null
+        };
+    }
+
+    /**
+     * オリジンから受信中のレスポンスをクライアントのAccept-Encodingに合わせて転送する方法を決定
+     * @param {Object} requestHeaders クライアントのリクエストヘッダー
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers オリジンのレスポンスヘッダー
+     * @returns {{headers: Object, createTransform: Function|null}} 応答ヘッダーと変換ストリームを作成する関数
+     */
+    negotiateContentEncoding(requestHeaders, statusCode, headers) {
+        const contentLength = parseInt(this.policy.getHeader(headers, 'content-length'), 10);
+        return this.encoder.negotiate(requestHeaders, statusCode, headers, isNaN(contentLength) ? null : contentLength);
+    }
+
+    /**
+     * オリジンから受信中のレスポンスでの応答内容を決定（Accept-Encodingに合わせた変換とRangeの切り出しを含む）
+     * Rangeには全体のサイズ（Content-Length）が分かる200の場合だけ、受信しながら要求範囲を切り出して応答する
+     * @param {string} method リクエストメソッド
+     * @param {Object} requestHeaders クライアントのリクエストヘッダー
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers オリジンのレスポンスヘッダー
+     * @returns {{statusCode: number, headers: Object, createTransform: Function|null}} 応答内容と変換ストリームを作成する関数
+     */
+    getStreamingResponseHead(method, requestHeaders, statusCode, headers) {
+        const size = parseInt(this.policy.getHeader(headers, 'content-length'), 10);
+        if (method !== 'GET' || statusCode !== 200 || !this.policy.getHeader(requestHeaders, 'range') || isNaN(size)) {
+            return { statusCode, ...this.negotiateContentEncoding(requestHeaders, statusCode, headers) };
+        }
+        const response = this.getResponseHead(method, requestHeaders, statusCode, headers, size);
+        const createTransform = response.createTransform
+            || (response.statusCode === 200 ? null : () => new ByteRangeStream(response.start, response.end));
+        return { statusCode: response.statusCode, headers: response.headers, createTransform };
+    }
+
+    /**
+     * キャッシュするレスポンスの取得時にオリジンへ送るAccept-Encodingを設定（圧縮された表現を保存する）
+     * @param {Object} headers オリジンへのリクエストヘッダー（変更される）
+     * @returns {Object} 同じヘッダーオブジェクト
+     */
+    setOriginAcceptEncoding(headers) {
+        Object.keys(headers).forEach(name => {
+            if (name.toLowerCase() === 'accept-encoding') {
+                delete headers[name];
+            }
+        });
+        headers['accept-encoding'] = this.encoder.getOriginAcceptEncoding();
+        return headers;
+    }
+
+    /**
+     * 304 Not Modified を受けてキャッシュのメタデータのみを更新
+     * @param {string} cacheFile キャッシュファイルパス
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {Object} notModifiedHeaders 304レスポンスのヘッダー
+     * @returns {Promise<Object|null>} 更新後のキャッシュ（失敗した場合はnull）
+     */
+    async refreshCache(cacheFile, cache, notModifiedHeaders) {
+        const { data, bodyFile, size, body, ...stored } = cache;
+        // Varyのバリアントはリクエスト時の二次キーから保存先を求める
+        if (cache.varyHeaders) {
+            cacheFile = this.getVariantCacheFileName(cacheFile, cache.varyHeaders);
+        }
+        const cacheHeader = {
+            ...stored,
+            headers: this.policy.mergeNotModifiedHeaders(cache.headers, notModifiedHeaders),
+            storedAt: Date.now()
+        };
+
+        const saved = await this.saveCache(cacheFile, cacheHeader, null);
+        if (!saved) {
+            return null;
+        }
+        this.logger.debug('キャッシュを再検証しました:', cache.url);
+        return { ...cacheHeader, data, bodyFile, size, body };
+    }
+
+    /**
+     * HEADレスポンスで保存済みGETレスポンスのメタデータを更新
+     * @param {string} cacheFile キャッシュファイルパス
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @param {number} statusCode HEADレスポンスのステータスコード
+     * @param {Object} headHeaders HEADレスポンスのヘッダー
+     * @returns {Promise<boolean>} 更新したらtrue
+     */
+    async freshenWithHeadResponse(cacheFile, cache, statusCode, headHeaders) {
+        if (statusCode !== cache.statusCode || !this.policy.matchesStoredResponse(cache.headers, headHeaders)) {
+            return false;
+        }
+        return await this.refreshCache(cacheFile, cache, headHeaders) !== null;
+    }
+
+    /**
+     * URLのキャッシュエントリに属するファイル名（Varyのバリアント・.cache・.varyを含む）のパターンを取得
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @returns {RegExp} ファイル名のパターン
+     */
+    getEntryFilePattern(cacheFile) {
+        const { name, ext } = path.parse(cacheFile);
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // バリアントのファイル名にはVaryの二次キーのハッシュ（256ビット）が付く
+        return new RegExp(`^${escape(name)}(-[0-9a-f]{64})?${escape(ext)}(\\.cache|\\.vary)?$`);
+    }
+
+    /**
+     * URLのキャッシュエントリ（Varyのバリアントを含む）を削除
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除したファイル数・エントリ数・バイト数
+     */
+    async invalidateCache(cacheFile) {
+        const dir = path.dirname(cacheFile);
+        this.memoryCache.deleteUrl(cacheFile);
+        // 以前の形式のキーで保存されたエントリも削除する
+        const patterns = [cacheFile, this.legacyCacheFiles.get(cacheFile)]
+            .filter(Boolean)
+            .map(file => this.getEntryFilePattern(file));
+
+        const result = { files: 0, entries: 0, bytes: 0 };
+        try {
+            const files = await fs.promises.readdir(dir);
+            for (const file of files.filter(file => patterns.some(pattern => pattern.test(file)))) {
+                await this.removeCacheFile(path.join(dir, file), result);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error('キャッシュ無効化エラー:', err);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * キャッシュのファイルを削除し、削除したファイル数・エントリ数（.cacheファイルの数）・バイト数を加算
+     * .cacheファイルを削除した場合は、ほかのエントリが参照していないボディも削除する
+     * @param {string} filePath 削除するファイルのパス
+     * @param {{files: number, entries: number, bytes: number}} result 加算する削除結果
+     * @returns {Promise<boolean>} 削除した場合はtrue（すでに存在しない場合はfalse）
+     */
+    async removeCacheFile(filePath, result) {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            await fs.promises.unlink(filePath);
+            result.files++;
+            result.bytes += stats.size;
+            if (filePath.endsWith('.cache')) {
+                result.entries++;
+                this.tagIndex.delete(filePath.slice(0, -'.cache'.length));
+                this.cacheIndex.delete(filePath.slice(0, -'.cache'.length));
+                const blobSize = await this.blobStore.delete(filePath.slice(0, -'.cache'.length));
+                if (blobSize > 0) {
+                    result.files++;
+                    result.bytes += blobSize;
+                }
+            }
+            return true;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * バリアントがすべて削除されたURLのVary情報を削除
+     * @param {string[]} varyFiles .varyファイルのパス
+     * @param {{files: number, entries: number, bytes: number}} result 加算する削除結果
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async removeOrphanedVaryFiles(varyFiles, result = { files: 0, entries: 0, bytes: 0 }) {
+        for (const varyFile of varyFiles) {
+            const cacheFile = varyFile.slice(0, -'.vary'.length);
+            const pattern = this.getEntryFilePattern(cacheFile);
+            try {
+                const files = await fs.promises.readdir(path.dirname(cacheFile));
+                if (!files.some(file => file.endsWith('.cache') && pattern.test(file))) {
+                    await this.removeCacheFile(varyFile, result);
+                }
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    this.logger.error(`Vary情報の削除エラー: ${varyFile}`, err);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 安全でないメソッドのリクエストが成功した場合に対象URLのキャッシュを無効化 (RFC 9111 4.4)
+     * @param {string} method リクエストメソッド
+     * @param {string} requestUrl リクエストURL
+     * @param {number} statusCode レスポンスのステータスコード
+     * @param {Object} responseHeaders レスポンスヘッダー
+     * @param {Object} rule ホワイトリストのルール（キャッシュキーの生成に使用）
+     * @returns {Promise<number>} 削除したファイル数
+     */
+    async invalidateForUnsafeRequest(method, requestUrl, statusCode, responseHeaders = {}, rule = null) {
+        if (!this.policy.isUnsafeMethod(method) || statusCode < 200 || statusCode >= 400) {
+            return 0;
+        }
+
+        // Location / Content-Location が同じホストを指す場合はそのURLも無効化する
+        const targetUrls = new Set([requestUrl]);
+        const requestHost = new URL(requestUrl).host;
+        ['location', 'content-location'].forEach(name => {
+            const value = this.policy.getHeader(responseHeaders, name);
+            if (!value) return;
+            try {
+                const target = new URL(value, requestUrl);
+                if (target.host === requestHost) {
+                    targetUrls.add(target.href);
+                }
+            } catch (err) {
+                this.logger.debug(`無効な${name}ヘッダー: ${value}`);
+            }
+        });
+
+        let removed = 0;
+        for (const url of targetUrls) {
+            removed += (await this.invalidateCache(this.getCacheFileName(url, {}, rule))).files;
+        }
+        if (removed > 0) {
+            this.logger.info(`${method}リクエストによりキャッシュを無効化しました: ${[...targetUrls].join(', ')}`);
+        }
+        return removed;
+    }
+
     /**
      * ファイルが存在するか確認
      * @param {string} filePath ファイルパス
@@ -157,9 +1222,11 @@ class CacheManager {
      */
     async checkAndRepairCacheFile(cacheFile) {
         try {
-            // ファイルが存在するか確認
-            const exists = await this.fileExists(cacheFile);
+            // メタデータが存在するか確認
+            const exists = await this.fileExists(`${cacheFile}.cache`);
             if (!exists) {
+                // ほかのプロセスが削除したエントリは索引からも除く
+                this.cacheIndex.delete(cacheFile);
                 return false;
             }
             
@@ -169,21 +1236,24 @@ class CacheManager {
                 const cache = JSON.parse(data);
                 
                 // 必要なプロパティがすべて存在するか確認
-                if (!cache.url || !cache.statusCode || !cache.headers || !cache.href) {
+                const bodyFile = this.getBodyFile(cacheFile, cache);
+                if (!cache.url || !cache.statusCode || !cache.headers || !bodyFile) {
                     this.logger.warn(`キャッシュファイル形式不正: ${cacheFile} - 削除します`);
-                    await fs.promises.unlink(cacheFile);
+                    await fs.promises.unlink(cacheFile).catch(() => {});
                     await fs.promises.unlink(`${cacheFile}.cache`);
+                    this.cacheIndex.delete(cacheFile);
+                    await this.blobStore.delete(cacheFile);
                     return false;
                 }
                 
                 // キャッシュファイルの存在チェック
                 try {
-                    const cacheDir = path.dirname(cacheFile);
-                    const bodyFile = path.join(cacheDir, cache.href);
                     await fs.promises.access(bodyFile);
                 } catch (accessErr) {
                     this.logger.warn(`キャッシュボディファイルが見つかりません: ${cacheFile} - 削除します`);
                     await fs.promises.unlink(`${cacheFile}.cache`);
+                    this.cacheIndex.delete(cacheFile);
+                    await this.blobStore.delete(cacheFile);
                     return false;
                 }
                 
@@ -192,6 +1262,8 @@ class CacheManager {
                 // JSON解析エラー - ファイルが破損している
                 this.logger.warn(`キャッシュファイルのJSON解析エラー: ${cacheFile} - 削除します`);
                 await fs.promises.unlink(`${cacheFile}.cache`);
+                this.cacheIndex.delete(cacheFile);
+                await this.blobStore.delete(cacheFile);
                 try {
                     await fs.promises.unlink(cacheFile);
                 } catch (e) {
@@ -203,6 +1275,7 @@ class CacheManager {
             this.logger.error(`キャッシュファイルチェックエラー: ${cacheFile}`, err);
             
             // エラー発生時もファイル削除を試行
+            this.cacheIndex.delete(cacheFile);
             try {
                 await fs.promises.unlink(`${cacheFile}.cache`);
                 await fs.promises.unlink(cacheFile);
@@ -221,23 +1294,9 @@ class CacheManager {
      */
     async cleanupCorruptedCacheFiles(maxFiles = 100) {
         try {
-            // キャッシュディレクトリが存在しない場合は作成
-            await fs.promises.mkdir(this.CACHE_DIR, { recursive: true });
-            
-            // キャッシュディレクトリ内のすべてのファイルと再帰的にサブディレクトリを取得
-            const getAllFiles = async (dir) => {
-                const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
-                const files = await Promise.all(dirents.map((dirent) => {
-                    const res = path.resolve(dir, dirent.name);
-                    return dirent.isDirectory() ? getAllFiles(res) : res;
-                }));
-                return files.flat();
-            };
-            
-            const files = await getAllFiles(this.CACHE_DIR);
-            
-            // .cacheファイルのみをフィルタリング
-            const cacheFiles = files.filter(file => file.endsWith('.cache'));
+            // ディレクトリを走査せず、エントリの索引から対象を選ぶ
+            await this.cacheIndex.sync();
+            const cacheFiles = [...this.cacheIndex.entries.keys()];
             
             let checkedCount = 0;
             let removedCount = 0;
@@ -249,10 +1308,7 @@ class CacheManager {
             
             for (const cacheFile of filesToCheck) {
                 checkedCount++;
-                // キャッシュファイルのパスから.cacheを取り除いたパスを生成
-                const dataFile = cacheFile.replace(/\.cache$/, '');
-                
-                const isValid = await this.checkAndRepairCacheFile(dataFile);
+                const isValid = await this.checkAndRepairCacheFile(cacheFile);
                 if (!isValid) {
                     removedCount++;
                 }
@@ -270,6 +1326,10 @@ class CacheManager {
      * キャッシュディレクトリ内のすべてのファイルをクリア
      */
     async clearAllCache() {
+        this.memoryCache.clear();
+        this.tagIndex.clear();
+        this.blobStore.clear();
+        this.cacheIndex.clear();
         try {
             // 再帰的にファイルを削除する関数
             const removeFiles = async (directory) => {
@@ -280,6 +1340,12 @@ class CacheManager {
 
                     for (const file of files) {
                         const fullPath = path.join(directory, file);
+                        // キャッシュディレクトリの形式の記録は残す（消すと次回の起動時に移行をやり直す）
+                        // エントリの索引のログはクリア後に書き直す
+                        // 一時ファイルは書き込み中の可能性があるので残す（残ったものは次回の起動時に片付ける）
+                        if (fullPath === this.layoutFile || fullPath === this.cacheIndex.dir || fullPath === this.tempDir) {
+                            continue;
+                        }
                         const stats = await fs.promises.stat(fullPath);
                         
                         if (stats.isDirectory()) {
@@ -312,6 +1378,7 @@ class CacheManager {
             };
             
             const result = await removeFiles(this.CACHE_DIR);
+            await this.cacheIndex.compact();
             this.logger.info(`キャッシュクリア: ${result.deletedCount}ファイルを削除しました。エラー: ${result.errors.length}件`);
             return result;
         } catch (err) {
@@ -321,53 +1388,39 @@ class CacheManager {
     }
 
     /**
-     * キャッシュの状態統計を取得
+     * キャッシュの状態統計を取得（エントリの索引から集計し、ボディの共有による削減量を含む）
      * @returns {Promise<Object>} キャッシュ統計情報
      */
     async getCacheStats() {
-        try {
-            let totalFiles = 0;
-            let totalSize = 0;
-            
-            const processDir = async (dir) => {
-                try {
-                    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-                    
-                    for (const entry of entries) {
-                        const fullPath = path.join(dir, entry.name);
-                        
-                        if (entry.isDirectory()) {
-                            await processDir(fullPath);
-                        } else {
-                            totalFiles++;
-                            try {
-                                const stats = await fs.promises.stat(fullPath);
-                                totalSize += stats.size;
-                            } catch (err) {
-                                this.logger.error(`ファイル情報取得エラー: ${fullPath}`, err);
-                            }
-                        }
-                    }
-                } catch (err) {
-                    this.logger.error(`ディレクトリ読み取りエラー: ${dir}`, err);
-                }
-            };
-            
-            await processDir(this.CACHE_DIR);
-            
-            return {
-                totalFiles,
-                totalSize,
-                formattedSize: this.formatBytes(totalSize)
-            };
-        } catch (err) {
-            this.logger.error('キャッシュ統計情報取得エラー:', err);
-            return {
-                totalFiles: 0,
-                totalSize: 0,
-                formattedSize: '0 B'
-            };
-        }
+        await this.cacheIndex.sync();
+        const dedupe = this.getDedupeStats();
+        // 共有しているボディは1回だけ数え、以前の形式のエントリはエントリごとのボディファイルを数える
+        let totalFiles = dedupe.blobs;
+        let totalSize = dedupe.storedBytes;
+        this.cacheIndex.entries.forEach(entry => {
+            totalFiles += entry.blob ? 1 : 2;
+            totalSize += entry.fileSize;
+        });
+
+        return {
+            entries: this.cacheIndex.entries.size,
+            totalFiles,
+            totalSize,
+            formattedSize: this.formatBytes(totalSize),
+            dedupe
+        };
+    }
+
+    /**
+     * 同じ内容のボディの共有による削減量を取得
+     * @returns {Object} ボディ数・参照数・保存しているバイト数・エントリが参照するバイト数の合計・削減したバイト数
+     */
+    getDedupeStats() {
+        const stats = this.blobStore.getStats();
+        return {
+            ...stats,
+            formattedSavedBytes: this.formatBytes(stats.savedBytes)
+        };
     }
     
     /**
@@ -388,27 +1441,48 @@ class CacheManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
     }
 
+    /**
+     * メモリキャッシュの統計情報を取得
+     * @returns {Object} 統計情報（ヒット・ミス数を含む）
+     */
+    getMemoryStats() {
+        return this.memoryCache.getStats();
+    }
+
+    /**
+     * 資格情報とSet-Cookieの扱いの設定と件数を取得
+     * @returns {Object} 統計情報
+     */
+    getPrivacyStats() {
+        return {
+            credentialHeaders: this.policy.credentialHeaders,
+            setCookie: this.policy.setCookie,
+            ...this.privacyStats
+        };
+    }
+
     /**
      * URLがキャッシュされているか確認
      * @param {string} url 確認するURL
+     * @param {Object} rule ホワイトリストのルール
      * @returns {Promise<boolean>} キャッシュが存在すればtrue
      */
-    async isCached(url) {
-        const cacheFile = this.getCacheFileName(url);
-        return await this.fileExists(`${cacheFile}.cache`);
+    async isCached(url, rule = null) {
+        const cacheFile = this.getCacheFileName(url, {}, rule);
+        await this.migrateLegacyEntry(cacheFile);
+        return await this.fileExists(`${cacheFile}.cache`) || await this.fileExists(`${cacheFile}.vary`);
     }
 
     /**
      * キャッシュを取得
      * @param {string} url 取得するURL
+     * @param {Object} requestHeaders リクエストヘッダー（Varyのバリアント選択に使用）
+     * @param {Object} rule ホワイトリストのルール
      * @returns {Promise<Object|null>} キャッシュオブジェクトまたはnull
      */
-    async getCache(url) {
-        const cacheFile = this.getCacheFileName(url);
-        if (await this.fileExists(`${cacheFile}.cache`)) {
-            return await this.loadCache(cacheFile);
-        }
-        return null;
+    async getCache(url, requestHeaders = {}, rule = null) {
+        const cacheFile = this.getCacheFileName(url, {}, rule);
+        return await this.lookupCache(cacheFile, requestHeaders);
     }
 }
 
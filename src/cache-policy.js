@@ -0,0 +1,572 @@
+// Last-Modifiedからヒューリスティックに有効期間を決めてよいステータスコード (RFC 9110 15.1)
+const HEURISTICALLY_CACHEABLE_STATUSES = [200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501];
+
+/**
+ * HTTPキャッシュポリシークラス - Cache-Control / Expires に基づく保存可否と鮮度の判定 (RFC 9111)
+ */
+class CachePolicy {
+    /**
+     * CachePolicy コンストラクタ
+     * @param {Object} options ポリシー設定
+     * @param {number} options.defaultTtl 鮮度情報がない場合の有効期間（秒）
+     * @param {number} options.heuristicFraction Last-Modifiedからの経過時間に掛けるヒューリスティック係数
+     * @param {number} options.heuristicMaxAge ヒューリスティック鮮度の上限（秒）
+     * @param {number} options.staleWhileRevalidate 期限切れ後にバックグラウンド更新しながら応答できる期間（秒）
+     * @param {number} options.staleIfError オリジンエラー時に期限切れキャッシュで応答できる期間（秒）
+     * @param {Object} options.statusTtls 200以外に保存するステータスコードと鮮度情報がない場合の有効期間（秒）
+     * @param {Object} options.privacy 資格情報を含むリクエストとSet-Cookieの扱い
+     * @param {string[]} options.privacy.credentialHeaders 資格情報とみなすリクエストヘッダー
+     * @param {string} options.privacy.setCookie Set-Cookieを含むレスポンスの扱い（'strip': 除いて保存、'bypass': 保存しない）
+     * @param {Object} options.tags キャッシュタグの設定
+     * @param {string[]} options.tags.headers キャッシュタグを列挙するレスポンスヘッダー
+     * @param {Object} logger ロガーインスタンス
+     */
+    constructor(options = {}, logger) {
+        this.logger = logger;
+        this.defaultTtl = options.defaultTtl ?? 0;
+        this.heuristicFraction = options.heuristicFraction ?? 0.1;
+        this.heuristicMaxAge = options.heuristicMaxAge ?? 86400;
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
+        this.staleIfError = options.staleIfError ?? 0;
+        this.statusTtls = CachePolicy.normalizeStatusTtls(options.statusTtls, logger);
+
+        const privacy = options.privacy || {};
+        this.credentialHeaders = (privacy.credentialHeaders || ['authorization', 'cookie']).map(name => name.toLowerCase());
+        this.setCookie = privacy.setCookie === 'bypass' ? 'bypass' : 'strip';
+
+        const tags = options.tags || {};
+        this.tagHeaders = (tags.headers || ['surrogate-key', 'cache-tag']).map(name => name.toLowerCase());
+    }
+
+    /**
+     * ステータスコードごとの有効期間の設定を検証して正規化
+     * @param {Object} statusTtls ステータスコードをキーとした有効期間（秒）
+     * @param {Object} logger ロガーインスタンス
+     * @returns {Object} 有効なステータスコードと有効期間（0以上の秒数）だけを含むオブジェクト
+     */
+    static normalizeStatusTtls(statusTtls, logger) {
+        const normalized = {};
+        Object.entries(statusTtls || {}).forEach(([status, ttl]) => {
+            const statusCode = Number(status);
+            // 1xx・206・304は完全なレスポンスではないので保存できない
+            const storable = Number.isInteger(statusCode) && statusCode >= 200 && statusCode <= 599 && ![206, 304].includes(statusCode);
+            if (!storable || typeof ttl !== 'number' || ttl < 0) {
+                logger.warn(`無効なステータスコードの有効期間の設定を無視します: ${status}=${ttl}`);
+                return;
+            }
+            normalized[statusCode] = ttl;
+        });
+        return normalized;
+    }
+
+    /**
+     * 保存するステータスコードを取得
+     * ルールのcacheableStatusesがなければ、200と有効期間を設定したステータスコードを保存する
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {number[]} ステータスコード
+     */
+    getCacheableStatuses(rule = null) {
+        if (rule?.cacheableStatuses) {
+            return rule.cacheableStatuses;
+        }
+        const statuses = [...Object.keys(this.statusTtls), ...Object.keys(rule?.statusTtls || {})].map(Number);
+        return [...new Set([200, ...statuses])];
+    }
+
+    /**
+     * ステータスコードに設定された有効期間を取得（ルールの設定を優先する）
+     * @param {number} statusCode ステータスコード
+     * @param {Object} rule ホワイトリストのルール
+     * @returns {number|null} 有効期間（秒、設定がない場合はnull）
+     */
+    getStatusTtl(statusCode, rule = null) {
+        return rule?.statusTtls?.[statusCode] ?? this.statusTtls[statusCode] ?? null;
+    }
+
+    /**
+     * ヘッダー値を取得（大文字小文字を区別しない）
+     * @param {Object} headers ヘッダーオブジェクト
+     * @param {string} name ヘッダー名
+     * @returns {string|undefined} ヘッダー値
+     */
+    getHeader(headers, name) {
+        if (!headers) return undefined;
+        const lowerName = name.toLowerCase();
+        for (const key of Object.keys(headers)) {
+            if (key.toLowerCase() === lowerName) {
+                const value = headers[key];
+                return Array.isArray(value) ? value.join(', ') : value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Cache-Controlヘッダーを解析
+     * @param {Object} headers ヘッダーオブジェクト
+     * @returns {Object} ディレクティブ名をキーとしたオブジェクト（値なしのディレクティブはtrue）
+     */
+    parseCacheControl(headers) {
+        const directives = {};
+        const value = this.getHeader(headers, 'cache-control');
+        if (!value) return directives;
+
+        value.split(',').forEach(part => {
+            const [name, ...rest] = part.trim().split('=');
+            if (!name) return;
+            const directiveValue = rest.join('=').trim().replace(/^"(.*)"$/, '$1');
+            directives[name.toLowerCase()] = directiveValue === '' ? true : directiveValue;
+        });
+        return directives;
+    }
+
+    /**
+     * 秒数のディレクティブ値を数値に変換
+     * @param {string|boolean|undefined} value ディレクティブ値
+     * @returns {number|null} 秒数（不正な値の場合はnull）
+     */
+    parseSeconds(value) {
+        if (value === undefined || value === true) return null;
+        const seconds = parseInt(value, 10);
+        return isNaN(seconds) || seconds < 0 ? null : seconds;
+    }
+
+    /**
+     * HTTP日付ヘッダーをミリ秒に変換
+     * @param {Object} headers ヘッダーオブジェクト
+     * @param {string} name ヘッダー名
+     * @returns {number|null} エポックミリ秒（不正な値の場合はnull）
+     */
+    parseDate(headers, name) {
+        const value = this.getHeader(headers, name);
+        if (!value) return null;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * キャッシュから応答できるリクエストメソッドか判定（HEADはGETのキャッシュから応答する）
+     * @param {string} method リクエストメソッド
+     * @returns {boolean} GET/HEADならtrue
+     */
+    isCacheableMethod(method) {
+        return method === 'GET' || method === 'HEAD';
+    }
+
+    /**
+     * 安全でない（キャッシュを無効化する）リクエストメソッドか判定
+     * @param {string} method リクエストメソッド
+     * @returns {boolean} 安全でないメソッドならtrue
+     */
+    isUnsafeMethod(method) {
+        return !['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(method);
+    }
+
+    /**
+     * リクエストがキャッシュからの応答のみを求めているか判定（オリジンに転送せず、なければ504を返す）
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {boolean} Cache-Control: only-if-cachedならtrue
+     */
+    isOnlyIfCached(requestHeaders) {
+        return Boolean(this.parseCacheControl(requestHeaders)['only-if-cached']);
+    }
+
+    /**
+     * レスポンスをキャッシュに保存してよいか判定
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers レスポンスヘッダー
+     * @param {string} method リクエストメソッド（ボディを持つGETのレスポンスのみ保存する）
+     * @param {Object} rule ホワイトリストのルール（保存するステータス・Content-Type・サイズの制限）
+     * @param {number} bodySize ボディのサイズ（Content-Lengthがない場合の判定に使う）
+     * @returns {boolean} 保存可能ならtrue
+     */
+    isStorable(statusCode, headers, method = 'GET', rule = null, bodySize = null) {
+        if (method !== 'GET' || !this.getCacheableStatuses(rule).includes(statusCode)) {
+            return false;
+        }
+
+        if (rule?.contentTypes && !this.matchesContentType(this.getHeader(headers, 'content-type'), rule.contentTypes)) {
+            this.logger.debug(`キャッシュ保存対象外のContent-Type: ${this.getHeader(headers, 'content-type')}`);
+            return false;
+        }
+
+        if (rule?.maxObjectSize !== undefined) {
+            const contentLength = parseInt(this.getHeader(headers, 'content-length'), 10);
+            const size = bodySize ?? (isNaN(contentLength) ? null : contentLength);
+            if (size !== null && size > rule.maxObjectSize) {
+                this.logger.debug(`最大サイズ(${rule.maxObjectSize}バイト)を超えるためキャッシュ保存対象外: ${size}バイト`);
+                return false;
+            }
+        }
+
+        const cacheControl = this.parseCacheControl(headers);
+        if (cacheControl['no-store'] || cacheControl['private']) {
+            this.logger.debug(`キャッシュ保存対象外のCache-Control: ${this.getHeader(headers, 'cache-control')}`);
+            return false;
+        }
+
+        // Vary: * はリクエストごとに内容が変わるため保存できない
+        if (this.getVaryHeaderNames(headers).includes('*')) {
+            this.logger.debug('Vary: * のためキャッシュ保存対象外');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * リクエストの資格情報とSet-Cookieから、共有キャッシュに保存できない理由を判定 (RFC 9111 3.5)
+     * 資格情報を含むリクエストへのレスポンスは、public・s-maxage・must-revalidateで共有キャッシュへの保存が明示されない限り保存しない
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {string|null} 保存できない理由（'credentials': 資格情報、'set-cookie': Set-Cookie）、保存できる場合はnull
+     */
+    getPrivacyRejection(requestHeaders, headers) {
+        const credentialHeader = this.credentialHeaders.find(name => this.getHeader(requestHeaders, name) !== undefined);
+        if (credentialHeader) {
+            const cacheControl = this.parseCacheControl(headers);
+            if (!cacheControl['public'] && cacheControl['s-maxage'] === undefined && !cacheControl['must-revalidate']) {
+                this.logger.debug(`資格情報（${credentialHeader}）を含むリクエストのためキャッシュ保存対象外`);
+                return 'credentials';
+            }
+        }
+        if (this.setCookie === 'bypass' && this.getHeader(headers, 'set-cookie') !== undefined) {
+            this.logger.debug('Set-Cookieを含むためキャッシュ保存対象外');
+            return 'set-cookie';
+        }
+        return null;
+    }
+
+    /**
+     * 保存・応答するヘッダーからSet-Cookieを除く（他の利用者にセッションを渡さない）
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {Object} Set-Cookieを除いた新しいヘッダーオブジェクト（含まない場合は同じオブジェクト）
+     */
+    stripSetCookie(headers) {
+        if (this.getHeader(headers, 'set-cookie') === undefined) {
+            return headers;
+        }
+        const stripped = {};
+        Object.entries(headers).forEach(([key, value]) => {
+            if (key.toLowerCase() !== 'set-cookie') {
+                stripped[key] = value;
+            }
+        });
+        return stripped;
+    }
+
+    /**
+     * レスポンスヘッダーからキャッシュタグを取得
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {string[]} タグ（重複を除く）
+     */
+    getCacheTags(headers) {
+        const tags = new Set();
+        this.tagHeaders.forEach(name => {
+            const value = this.getHeader(headers, name);
+            if (value !== undefined) {
+                this.parseCacheTags([].concat(value).join(',')).forEach(tag => tags.add(tag));
+            }
+        });
+        return [...tags];
+    }
+
+    /**
+     * キャッシュタグの一覧を解析（Surrogate-Keyは空白区切り、Cache-Tagはカンマ区切りのため、どちらも区切り文字として扱う）
+     * @param {string} value タグの一覧
+     * @returns {string[]} タグ
+     */
+    parseCacheTags(value) {
+        return value.split(/[\s,]+/).filter(Boolean);
+    }
+
+    /**
+     * Content-Typeが許可リストのいずれかに一致するか判定
+     * @param {string|undefined} contentType Content-Typeヘッダー値
+     * @param {string[]} patterns 許可するメディアタイプ（「image/」に続けて「*」を付けるとサブタイプを問わない）
+     * @returns {boolean} 一致すればtrue
+     */
+    matchesContentType(contentType, patterns) {
+        if (!contentType) return false;
+        const mediaType = contentType.split(';')[0].trim().toLowerCase();
+        return patterns.some(pattern => {
+            if (pattern === '*/*' || pattern === mediaType) return true;
+            return pattern.endsWith('/*') && mediaType.startsWith(pattern.slice(0, -1));
+        });
+    }
+
+    /**
+     * Varyヘッダーに列挙されたリクエストヘッダー名を取得
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {string[]} 小文字化・ソート済みのヘッダー名（Varyがない場合は空配列）
+     */
+    getVaryHeaderNames(headers) {
+        const value = this.getHeader(headers, 'vary');
+        if (!value) return [];
+        const names = value.split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name.length > 0);
+        return [...new Set(names)].sort();
+    }
+
+    /**
+     * Varyで指定されたリクエストヘッダーの値を取り出す（キャッシュの二次キー）
+     * @param {string[]} varyHeaderNames Varyのヘッダー名
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {Object} ヘッダー名をキーとした正規化済みの値
+     */
+    selectVaryHeaders(varyHeaderNames, requestHeaders) {
+        const selected = {};
+        varyHeaderNames.forEach(name => {
+            const value = this.getHeader(requestHeaders, name);
+            selected[name] = value === undefined ? '' : String(value).trim().replace(/\s+/g, ' ');
+        });
+        return selected;
+    }
+
+    /**
+     * レスポンスの鮮度有効期間を計算
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers レスポンスヘッダー
+     * @param {Object} rule ホワイトリストのルール（statusTtls・ttlで鮮度情報がない場合の有効期間を上書き）
+     * @returns {number} 有効期間（秒）
+     */
+    getFreshnessLifetime(statusCode, headers, rule = null) {
+        const cacheControl = this.parseCacheControl(headers);
+
+        // no-cacheは毎回の再検証が必要なので鮮度0として扱う
+        if (cacheControl['no-cache']) {
+            return 0;
+        }
+
+        // 共有キャッシュではs-maxageがmax-ageより優先される
+        const sMaxAge = this.parseSeconds(cacheControl['s-maxage']);
+        if (sMaxAge !== null) return sMaxAge;
+
+        const maxAge = this.parseSeconds(cacheControl['max-age']);
+        if (maxAge !== null) return maxAge;
+
+        const expires = this.getHeader(headers, 'expires');
+        if (expires !== undefined) {
+            const expiresTime = this.parseDate(headers, 'expires');
+            // 不正なExpires（"0"など）は期限切れとして扱う
+            if (expiresTime === null) return 0;
+            const dateTime = this.parseDate(headers, 'date') ?? Date.now();
+            return Math.max(0, Math.floor((expiresTime - dateTime) / 1000));
+        }
+
+        // ステータスコードごとの有効期間（否定応答は短く、恒久的なリダイレクトは長くなど）
+        const statusTtl = this.getStatusTtl(statusCode, rule);
+        if (statusTtl !== null) return statusTtl;
+
+        // Last-Modifiedがあればヒューリスティックに鮮度を決定（ヒューリスティックを許すステータスコードのみ）
+        const lastModified = this.parseDate(headers, 'last-modified');
+        if (lastModified !== null && HEURISTICALLY_CACHEABLE_STATUSES.includes(statusCode)) {
+            const dateTime = this.parseDate(headers, 'date') ?? Date.now();
+            const heuristic = Math.floor((dateTime - lastModified) / 1000 * this.heuristicFraction);
+            return Math.max(0, Math.min(heuristic, this.heuristicMaxAge));
+        }
+
+        return rule?.ttl ?? this.defaultTtl;
+    }
+
+    /**
+     * キャッシュエントリの現在の経過時間を計算
+     * @param {Object} cache キャッシュメタデータ
+     * @param {number} now 現在時刻（エポックミリ秒）
+     * @returns {number} 経過時間（秒）
+     */
+    getCurrentAge(cache, now = Date.now()) {
+        const storedAt = cache.storedAt || now;
+        const dateTime = this.parseDate(cache.headers, 'date');
+        const apparentAge = dateTime !== null ? Math.max(0, (storedAt - dateTime) / 1000) : 0;
+        const ageValue = this.parseSeconds(this.getHeader(cache.headers, 'age')) || 0;
+        const residentTime = Math.max(0, (now - storedAt) / 1000);
+        return Math.floor(Math.max(apparentAge, ageValue) + residentTime);
+    }
+
+    /**
+     * 再検証用の条件付きリクエストヘッダーを生成
+     * @param {Object} cache キャッシュメタデータ
+     * @returns {Object|null} 条件付きヘッダー（ETag/Last-Modifiedがない場合はnull）
+     */
+    getConditionalHeaders(cache) {
+        const conditionalHeaders = {};
+        const etag = this.getHeader(cache.headers, 'etag');
+        const lastModified = this.getHeader(cache.headers, 'last-modified');
+        if (etag) {
+            conditionalHeaders['if-none-match'] = etag;
+        }
+        if (lastModified) {
+            conditionalHeaders['if-modified-since'] = lastModified;
+        }
+        return Object.keys(conditionalHeaders).length > 0 ? conditionalHeaders : null;
+    }
+
+    /**
+     * HEADレスポンスが保存済みのGETレスポンスと同じ表現を指しているか判定
+     * @param {Object} storedHeaders 保存済みのレスポンスヘッダー
+     * @param {Object} headHeaders HEADレスポンスのヘッダー
+     * @returns {boolean} 検証子が一致すればtrue
+     */
+    matchesStoredResponse(storedHeaders, headHeaders) {
+        const storedLength = this.getHeader(storedHeaders, 'content-length');
+        const headLength = this.getHeader(headHeaders, 'content-length');
+        if (storedLength !== undefined && headLength !== undefined && storedLength !== headLength) {
+            return false;
+        }
+
+        const storedEtag = this.getHeader(storedHeaders, 'etag');
+        const headEtag = this.getHeader(headHeaders, 'etag');
+        if (storedEtag || headEtag) {
+            return storedEtag === headEtag;
+        }
+
+        const storedLastModified = this.getHeader(storedHeaders, 'last-modified');
+        return Boolean(storedLastModified) && storedLastModified === this.getHeader(headHeaders, 'last-modified');
+    }
+
+    /**
+     * If-Rangeの条件が保存済みレスポンスと一致するか判定（ETagは強い比較のみ）
+     * @param {string} ifRange If-Rangeヘッダー値
+     * @param {Object} headers 保存済みのレスポンスヘッダー
+     * @returns {boolean} 一致すればtrue
+     */
+    matchesIfRange(ifRange, headers) {
+        const value = ifRange.trim();
+        if (value.startsWith('"') || value.startsWith('W/')) {
+            const etag = this.getHeader(headers, 'etag');
+            return !value.startsWith('W/') && Boolean(etag) && !etag.startsWith('W/') && etag === value;
+        }
+        const lastModified = this.getHeader(headers, 'last-modified');
+        return Boolean(lastModified) && Date.parse(lastModified) === Date.parse(value);
+    }
+
+    /**
+     * Rangeヘッダーを解析して応答するバイト範囲を決定 (RFC 9110 14.2)
+     * @param {string} rangeHeader Rangeヘッダー値
+     * @param {number} size ボディのサイズ
+     * @returns {{start: number, end: number}|null|false} バイト範囲（無視する場合はnull、満たせない場合はfalse）
+     */
+    parseRange(rangeHeader, size) {
+        const match = /^bytes=(.+)$/i.exec(rangeHeader.trim());
+        // 複数範囲には対応せず、全体を返す
+        if (!match || match[1].includes(',')) return null;
+
+        const rangeMatch = /^(\d*)-(\d*)$/.exec(match[1].trim());
+        if (!rangeMatch || (rangeMatch[1] === '' && rangeMatch[2] === '')) return null;
+
+        if (rangeMatch[1] === '') {
+            // サフィックス指定（末尾からNバイト）
+            const suffixLength = parseInt(rangeMatch[2], 10);
+            if (suffixLength === 0 || size === 0) return false;
+            return { start: Math.max(0, size - suffixLength), end: size - 1 };
+        }
+
+        const start = parseInt(rangeMatch[1], 10);
+        if (rangeMatch[2] !== '' && parseInt(rangeMatch[2], 10) < start) return null;
+        if (start >= size) return false;
+        const end = rangeMatch[2] === '' ? size - 1 : parseInt(rangeMatch[2], 10);
+        return { start, end: Math.min(end, size - 1) };
+    }
+
+    /**
+     * Range / If-Range に応じてキャッシュ済みボディから応答するステータス・ヘッダー・バイト範囲を決定
+     * @param {string} method リクエストメソッド
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {number} statusCode 保存済みのステータスコード
+     * @param {Object} headers 保存済みのレスポンスヘッダー
+     * @param {number} size 保存済みのボディのサイズ
+     * @returns {{statusCode: number, headers: Object, start: number, end: number}} 応答内容（endがstartより小さい場合はボディなし）
+     */
+    getRangeResponseHead(method, requestHeaders, statusCode, headers, size) {
+        // 転送制御に関わるヘッダーは応答するボディに合わせて付け直す
+        const responseHeaders = {};
+        Object.entries(headers || {}).forEach(([key, value]) => {
+            if (!['content-length', 'transfer-encoding', 'content-range'].includes(key.toLowerCase())) {
+                responseHeaders[key] = value;
+            }
+        });
+        if (statusCode !== 200) {
+            // 204にはContent-Lengthを付けない
+            if (statusCode !== 204) {
+                responseHeaders['content-length'] = String(size);
+            }
+            return { statusCode, headers: responseHeaders, start: 0, end: size - 1 };
+        }
+        responseHeaders['accept-ranges'] = 'bytes';
+
+        const rangeHeader = this.getHeader(requestHeaders, 'range');
+        const ifRange = this.getHeader(requestHeaders, 'if-range');
+        const range = method === 'GET' && rangeHeader && (!ifRange || this.matchesIfRange(ifRange, headers))
+            ? this.parseRange(rangeHeader, size)
+            : null;
+
+        if (range === false) {
+            responseHeaders['content-range'] = `bytes */${size}`;
+            responseHeaders['content-length'] = '0';
+            return { statusCode: 416, headers: responseHeaders, start: 0, end: -1 };
+        }
+        if (range) {
+            responseHeaders['content-range'] = `bytes ${range.start}-${range.end}/${size}`;
+            responseHeaders['content-length'] = String(range.end - range.start + 1);
+            return { statusCode: 206, headers: responseHeaders, start: range.start, end: range.end };
+        }
+        responseHeaders['content-length'] = String(size);
+        return { statusCode, headers: responseHeaders, start: 0, end: size - 1 };
+    }
+
+    /**
+     * 304 Not Modifiedのヘッダーで保存済みヘッダーを更新
+     * @param {Object} storedHeaders 保存済みのレスポンスヘッダー
+     * @param {Object} notModifiedHeaders 304レスポンスのヘッダー
+     * @returns {Object} 更新後のヘッダー
+     */
+    mergeNotModifiedHeaders(storedHeaders, notModifiedHeaders) {
+        // 保存時のAgeは再検証で意味を失うため引き継がない
+        const { age, ...merged } = storedHeaders || {};
+        const ignored = ['content-length', 'transfer-encoding', 'connection', 'keep-alive', 'set-cookie'];
+        Object.entries(notModifiedHeaders || {}).forEach(([key, value]) => {
+            const lowerKey = key.toLowerCase();
+            if (!ignored.includes(lowerKey)) {
+                merged[lowerKey] = value;
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * キャッシュエントリの鮮度情報を取得
+     * @param {Object} cache キャッシュメタデータ
+     * @param {number} now 現在時刻（エポックミリ秒）
+     * @param {Object} rule ホワイトリストのルール（ttl・猶予期間の設定値を上書き）
+     * @returns {{fresh: boolean, age: number, lifetime: number, staleWhileRevalidate: boolean, staleIfError: boolean}} 鮮度情報
+     */
+    getFreshness(cache, now = Date.now(), rule = null) {
+        const lifetime = this.getFreshnessLifetime(cache.statusCode, cache.headers, rule);
+        const age = this.getCurrentAge(cache, now);
+        const fresh = lifetime > age;
+        const staleness = age - lifetime;
+
+        // must-revalidate等が指定されている場合は期限切れキャッシュを返してはならない
+        const cacheControl = this.parseCacheControl(cache.headers);
+        const revalidationRequired = Boolean(
+            cacheControl['must-revalidate'] || cacheControl['proxy-revalidate'] || cacheControl['no-cache']
+        );
+
+        // オリジンのディレクティブを優先し、なければルール・設定値の順に使う
+        const staleWhileRevalidate = this.parseSeconds(cacheControl['stale-while-revalidate'])
+            ?? rule?.staleWhileRevalidate ?? this.staleWhileRevalidate;
+        const staleIfError = this.parseSeconds(cacheControl['stale-if-error'])
+            ?? rule?.staleIfError ?? this.staleIfError;
+
+        return {
+            fresh,
+            age,
+            lifetime,
+            staleWhileRevalidate: !fresh && !revalidationRequired && staleness < staleWhileRevalidate,
+            staleIfError: !fresh && !revalidationRequired && staleness < staleIfError
+        };
+    }
+}
+
+module.exports = CachePolicy;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * キャッシュ削除（パージ）クラス - URL・URLの前方一致・ホスト・正規表現・キャッシュタグで指定したエントリを削除する
+ */
+class CachePurger {
+    /**
+     * CachePurger コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} options パージの設定（config.purge）
+     * @param {string[]} options.allowedClients PURGEメソッドを受け付けるクライアントのIPアドレス（ループバックは常に許可）
+     */
+    constructor(cacheManager, logger, options = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.allowedClients = new Set((options.allowedClients || []).map(address => this.normalizeAddress(address)));
+    }
+
+    /**
+     * プロキシのクライアントがPURGEメソッドでキャッシュを削除できるか判定
+     * @param {string} address クライアントのIPアドレス
+     * @returns {boolean} ループバックまたはallowedClientsのアドレスの場合はtrue
+     */
+    isAllowedClient(address) {
+        const normalized = this.normalizeAddress(address || '');
+        if (!net.isIP(normalized)) {
+            return false;
+        }
+        return normalized === '::1' || normalized.startsWith('127.') || this.allowedClients.has(normalized);
+    }
+
+    /**
+     * IPアドレスを比較できる形式に変換（IPv4射影アドレスはIPv4に戻す）
+     * @param {string} address IPアドレス
+     * @returns {string} 変換後のIPアドレス
+     */
+    normalizeAddress(address) {
+        return String(address).trim().toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    }
+
+    /**
+     * URLのキャッシュ（Varyのバリアントを含む）を削除
+     * @param {string} url 削除するURL
+     * @param {Object} rule ホワイトリストのルール（キャッシュキーの生成に使用）
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgeUrl(url, rule = null) {
+        const result = await this.cacheManager.invalidateCache(this.cacheManager.getCacheFileName(url, {}, rule));
+        return this.report(`URL: ${url}`, result);
+    }
+
+    /**
+     * URLが前方一致するキャッシュを削除
+     * @param {string} prefix URLの前方部分（スキームとホストを含む）
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgePrefix(prefix) {
+        const parsed = new URL(prefix);
+        // 保存時と同じ形式（ホスト名は小文字）に揃えて比較する
+        const normalizedPrefix = `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search}`;
+        return this.purgeMatching(`前方一致: ${normalizedPrefix}`, cacheIndex => cacheIndex.query({ prefix: normalizedPrefix, limit: Infinity }).entries);
+    }
+
+    /**
+     * ホストのキャッシュをすべて削除
+     * @param {string} host ホスト名（ポートを省略した場合はすべてのポートが対象）
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgeHost(host) {
+        const target = host.trim().toLowerCase();
+        return this.purgeMatching(`ホスト: ${target}`, cacheIndex => cacheIndex.query({ host: target, limit: Infinity }).entries);
+    }
+
+    /**
+     * URLが正規表現に一致するキャッシュを削除
+     * @param {string|RegExp} pattern 正規表現（不正な場合はSyntaxError）
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgePattern(pattern) {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+        return this.purgeMatching(`パターン: ${regex}`, cacheIndex => cacheIndex.list().filter(entry => regex.test(entry.url)));
+    }
+
+    /**
+     * キャッシュタグ（Surrogate-Key / Cache-Tag）が付いたエントリを削除
+     * @param {string|string[]} tags タグ（文字列の場合は空白またはカンマ区切りで複数指定できる）
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgeTags(tags) {
+        const tagList = typeof tags === 'string' ? this.cacheManager.policy.parseCacheTags(tags) : tags;
+        const entryKeys = new Set(tagList.flatMap(tag => this.cacheManager.tagIndex.get(tag)));
+        return this.purgeEntries(`タグ: ${tagList.join(' ')}`, entryKeys);
+    }
+
+    /**
+     * エントリの索引から選んだエントリを削除（ディレクトリを走査せず、.cacheファイルも読み込まない）
+     * @param {string} label ログに出力する削除対象の説明
+     * @param {Function} select 索引（CacheIndex）を受け取り、削除するエントリの情報を返す関数
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgeMatching(label, select) {
+        // ほかのプロセスが保存したエントリも対象にする
+        await this.cacheManager.cacheIndex.sync();
+        return this.purgeEntries(label, select(this.cacheManager.cacheIndex).map(entry => entry.cacheFile));
+    }
+
+    /**
+     * エントリ（ボディと.cacheファイル）を削除し、バリアントがなくなったURLのVary情報も削除
+     * @param {string} label ログに出力する削除対象の説明
+     * @param {Iterable<string>} cacheFiles 削除するエントリのキャッシュファイルパス
+     * @returns {Promise<{files: number, entries: number, bytes: number}>} 削除結果
+     */
+    async purgeEntries(label, cacheFiles) {
+        const result = { files: 0, entries: 0, bytes: 0 };
+        const dirs = new Set();
+
+        for (const cacheFile of cacheFiles) {
+            // .cacheファイルを先に削除し、ボディだけが残ったエントリを参照させない
+            this.cacheManager.memoryCache.delete(cacheFile);
+            try {
+                await this.cacheManager.removeCacheFile(`${cacheFile}.cache`, result);
+                await this.cacheManager.removeCacheFile(cacheFile, result);
+                dirs.add(path.dirname(cacheFile));
+            } catch (err) {
+                this.logger.error(`キャッシュ削除エラー: ${cacheFile}`, err);
+            }
+        }
+
+        // 削除したエントリと同じディレクトリにある、バリアントがなくなったURLのVary情報も削除する
+        const varyFiles = [];
+        for (const dir of dirs) {
+            const files = await fs.promises.readdir(dir).catch(() => []);
+            varyFiles.push(...files.filter(file => file.endsWith('.vary')).map(file => path.join(dir, file)));
+        }
+        await this.cacheManager.removeOrphanedVaryFiles(varyFiles, result);
+        return this.report(label, result);
+    }
+
+    /**
+     * 削除結果をログに出力
+     * @param {string} label 削除対象の説明
+     * @param {{files: number, entries: number, bytes: number}} result 削除結果
+     * @returns {{files: number, entries: number, bytes: number}} 削除結果
+     */
+    report(label, result) {
+        if (result.files > 0) {
+            this.logger.info(`キャッシュをパージしました（${label}）: ${result.entries}件（${this.cacheManager.formatBytes(result.bytes)}）`);
+        }
+        return result;
+    }
+}
+
+module.exports = CachePurger;
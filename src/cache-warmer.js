@@ -0,0 +1,451 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { URL } = require('url');
+const FileDirectory = require('./file-directory');
+
+// 保持する完了済みジョブの件数
+const MAX_FINISHED_JOBS = 10;
+// ジョブごとに保持する失敗の件数
+const MAX_FAILURES = 50;
+// サイトマップインデックスをたどる深さの上限
+const MAX_SITEMAP_NESTING = 3;
+
+/**
+ * キャッシュのウォームアップクラス - URLリスト・サイトマップ・クロールで集めたURLを事前に取得してキャッシュする
+ */
+class CacheWarmer {
+    /**
+     * CacheWarmer コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー（取得したボディの展開に使用）
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} options ウォームアップ設定（config.warmup）
+     * @param {number} options.concurrency 同時に取得するURLの数
+     * @param {number} options.requestsPerSecond 1秒あたりに開始する取得の上限（0は無制限）
+     * @param {number} options.maxUrls 1つのジョブで取得するURLの上限
+     * @param {number} options.maxDepth クロールでたどるリンクの深さの上限
+     * @param {number} options.maxBodySize サイトマップ・HTMLとして解析するボディの最大サイズ（バイト）
+     * @param {string} options.fileDir URLリストのファイルを置くディレクトリ（このディレクトリ内のファイルだけを読み込む）
+     * @param {Object} handlers 取得処理
+     * @param {Function} handlers.fetch URLを通常のキャッシュミスと同じ経路で取得してキャッシュする関数
+     * @param {Function} handlers.isAllowed URLがキャッシュ対象（ホワイトリスト）か判定する関数
+     * @param {Function} handlers.isOffline オフラインモード（オリジンに接続しない）か判定する関数
+     */
+    constructor(cacheManager, logger, options = {}, handlers = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.concurrency = Math.max(1, options.concurrency ?? 4);
+        this.requestsPerSecond = options.requestsPerSecond ?? 5;
+        this.maxUrls = options.maxUrls ?? 10000;
+        this.maxDepth = options.maxDepth ?? 3;
+        this.maxBodySize = options.maxBodySize ?? 5242880;
+        this.fileDir = new FileDirectory(options.fileDir, 'warmup.fileDir');
+        this.fetch = handlers.fetch;
+        this.isAllowed = handlers.isAllowed || (() => true);
+        this.isOffline = handlers.isOffline || (() => false);
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * ウォームアップのジョブを開始（完了を待たずにジョブを返す）
+     * @param {Object} source 取得するURLの指定（sitemap・file・urlのいずれか1つ）
+     * @param {string} source.sitemap サイトマップ（またはサイトマップインデックス）のURL
+     * @param {string} source.file 1行に1つのURLを書いたファイルのfileDirからの相対パス
+     * @param {string} source.url クロールを開始するURL
+     * @param {number} source.depth クロールでたどるリンクの深さ（0は開始URLのみ）
+     * @returns {Object} ジョブ（指定が不正な場合はTypeError、オフラインモードの場合はError）
+     */
+    start(source) {
+        if (this.isOffline()) {
+            throw new Error('オフラインモードのためウォームアップを開始できません');
+        }
+        const types = ['sitemap', 'file', 'url'].filter(type => source[type]);
+        if (types.length !== 1) {
+            throw new TypeError('sitemap、file、urlのいずれか1つを指定してください');
+        }
+        const type = types[0];
+        const depth = type === 'url' ? Number(source.depth ?? 0) : 0;
+        if (!Number.isInteger(depth) || depth < 0 || depth > this.maxDepth) {
+            throw new TypeError(`depthは0から${this.maxDepth}の整数で指定してください`);
+        }
+        if (type === 'file') {
+            this.fileDir.resolve(source.file);
+        } else {
+            new URL(source[type]);
+        }
+
+        const job = {
+            id: this.nextJobId++,
+            type,
+            source: source[type],
+            depth,
+            state: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null,
+            fetched: 0,
+            stored: 0,
+            hits: 0,
+            notStored: 0,
+            failed: 0,
+            skipped: 0,
+            failures: [],
+            queue: [],
+            seen: new Set(),
+            active: 0,
+            nextRequestAt: 0
+        };
+        job.done = new Promise(resolve => {
+            job.finish = resolve;
+        });
+        this.jobs.set(job.id, job);
+        this.removeFinishedJobs();
+
+        this.logger.info(`[ウォームアップ] ジョブ${job.id}を開始します: ${type} ${job.source}`);
+        this.enqueueSource(job)
+            .catch(err => {
+                job.state = 'failed';
+                job.error = err.message;
+                this.logger.error(`[ウォームアップ] ジョブ${job.id}の開始に失敗: ${err.message}`);
+            })
+            .finally(() => this.pump(job));
+        return job;
+    }
+
+    /**
+     * ジョブの取得元から最初のURLをキューに追加
+     * @param {Object} job ジョブ
+     */
+    async enqueueSource(job) {
+        if (job.type === 'sitemap') {
+            this.enqueue(job, { url: job.source, kind: 'sitemap', nesting: 0 });
+        } else if (job.type === 'url') {
+            this.enqueue(job, { url: job.source, kind: 'page', depth: 0 });
+        } else {
+            // シンボリックリンクでfileDirの外を指していないか、実際のパスで確かめる
+            const file = await this.fileDir.realpath(job.source);
+            const text = await fs.promises.readFile(file, 'utf8');
+            this.parseUrlList(text).forEach(({ url, line }) => this.enqueue(job, { url, kind: 'page', depth: job.depth, line }));
+        }
+    }
+
+    /**
+     * URLリストを解析（空行と「#」で始まる行は無視する）
+     * @param {string} text URLリストの内容
+     * @returns {Array<{url: string, line: number}>} URLと行番号
+     */
+    parseUrlList(text) {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ url: line.trim(), line: index + 1 }))
+            .filter(({ url }) => url && !url.startsWith('#'));
+    }
+
+    /**
+     * URLをキューに追加（重複・キャッシュ対象外・上限を超えたURLは数えるだけで追加しない）
+     * @param {Object} job ジョブ
+     * @param {Object} item キューの項目（url・kind・depth・nesting、URLリストの場合はline）
+     */
+    enqueue(job, item) {
+        let url;
+        try {
+            url = new URL(item.url);
+        } catch (err) {
+            // URLリストの行はファイルの内容を返さないよう行番号だけを記録する
+            if (item.line) {
+                this.recordFailure(job, null, '不正なURL', item.line);
+            } else {
+                this.recordFailure(job, item.url, '不正なURL');
+            }
+            return;
+        }
+        url.hash = '';
+        if (job.seen.has(url.href)) {
+            return;
+        }
+        if (!['http:', 'https:'].includes(url.protocol) || !this.isAllowed(url.href) || job.seen.size >= this.maxUrls) {
+            job.skipped++;
+            return;
+        }
+        job.seen.add(url.href);
+        job.queue.push({ ...item, url: url.href });
+    }
+
+    /**
+     * 同時実行数の上限までキューの取得を開始し、すべて終わったらジョブを完了する
+     * @param {Object} job ジョブ
+     */
+    pump(job) {
+        while (job.state === 'running' && job.active < this.concurrency && job.queue.length > 0) {
+            const item = job.queue.shift();
+            job.active++;
+            this.process(job, item)
+                .catch(err => this.recordFailure(job, item.url, err.message))
+                .finally(() => {
+                    job.active--;
+                    this.pump(job);
+                });
+        }
+        if (job.active === 0 && (job.queue.length === 0 || job.state !== 'running')) {
+            this.complete(job);
+        }
+    }
+
+    /**
+     * ジョブを完了状態にする
+     * @param {Object} job ジョブ
+     */
+    complete(job) {
+        if (job.finishedAt) {
+            return;
+        }
+        if (job.state === 'running') {
+            job.state = 'completed';
+        }
+        job.queue = [];
+        job.finishedAt = new Date().toISOString();
+        this.logger.info(`[ウォームアップ] ジョブ${job.id}が終了しました（${job.state}）: 取得${job.fetched}件、保存${job.stored}件、失敗${job.failed}件`);
+        job.finish(this.toJSON(job));
+    }
+
+    /**
+     * キューの項目を取得し、サイトマップやHTMLからURLを追加する
+     * @param {Object} job ジョブ
+     * @param {Object} item キューの項目
+     */
+    async process(job, item) {
+        await this.throttle(job);
+        if (job.state !== 'running') {
+            return;
+        }
+        // 実行中にオフラインモードになった場合は残りのURLを取得しない
+        if (this.isOffline()) {
+            job.skipped++;
+            return;
+        }
+
+        const response = await this.fetch(item.url);
+        job.fetched++;
+        if (response.statusCode >= 400) {
+            response.stream?.resume();
+            this.recordFailure(job, item.url, `HTTP ${response.statusCode}`);
+            return;
+        }
+        const contentType = this.cacheManager.policy.getHeader(response.headers, 'content-type') || '';
+        const parseLinks = item.depth < job.depth && response.statusCode === 200 && contentType.includes('html');
+        let body = null;
+        if (item.kind === 'sitemap' || parseLinks) {
+            body = await this.readBody(response);
+        } else {
+            // 解析しないボディは読み捨てる
+            response.stream?.resume();
+        }
+        // オリジンから取得したボディは受信しながら保存されるため、読み終えてから保存の結果を数える
+        if (response.fromCache) {
+            job.hits++;
+        } else if (response.stream && !await response.stored) {
+            job.notStored++;
+        } else {
+            job.stored++;
+        }
+
+        if (item.kind === 'sitemap') {
+            this.enqueueSitemap(job, item, body);
+        } else if (parseLinks) {
+            this.extractLinks(body, item.url)
+                .forEach(url => this.enqueue(job, { url, kind: 'page', depth: item.depth + 1 }));
+        }
+    }
+
+    /**
+     * サイトマップの<loc>をキューに追加（サイトマップインデックスの場合は子のサイトマップを追加）
+     * @param {Object} job ジョブ
+     * @param {Object} item サイトマップの項目
+     * @param {string} xml サイトマップの内容
+     */
+    enqueueSitemap(job, item, xml) {
+        const locations = this.parseSitemap(xml);
+        if (/<sitemapindex[\s>]/i.test(xml)) {
+            if (item.nesting >= MAX_SITEMAP_NESTING) {
+                this.recordFailure(job, item.url, 'サイトマップインデックスの入れ子が深すぎます');
+                return;
+            }
+            locations.forEach(url => this.enqueue(job, { url, kind: 'sitemap', nesting: item.nesting + 1 }));
+            return;
+        }
+        locations.forEach(url => this.enqueue(job, { url, kind: 'page', depth: job.depth }));
+    }
+
+    /**
+     * サイトマップから<loc>のURLを取得
+     * @param {string} xml サイトマップの内容
+     * @returns {string[]} URL
+     */
+    parseSitemap(xml) {
+        const locations = [];
+        const pattern = /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            locations.push(match[1]
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, "'")
+                .replace(/&amp;/g, '&'));
+        }
+        return locations;
+    }
+
+    /**
+     * HTMLからhref・src属性のリンクのうち、同じオリジンのものを取得
+     * @param {string} html HTMLの内容
+     * @param {string} baseUrl HTMLのURL（相対リンクの解決に使用）
+     * @returns {string[]} URL
+     */
+    extractLinks(html, baseUrl) {
+        const base = new URL(baseUrl);
+        const links = [];
+        const pattern = /\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            const value = (match[1] ?? match[2] ?? match[3]).replace(/&amp;/g, '&');
+            try {
+                const url = new URL(value, base);
+                if (url.origin === base.origin) {
+                    links.push(url.href);
+                }
+            } catch (err) {
+                // 解決できないリンクは無視する
+            }
+        }
+        return links;
+    }
+
+    /**
+     * 取得したレスポンスのボディを展開して文字列として読み込む（maxBodySizeを超えた分は読まない）
+     * @param {Object} response 取得結果（ボディファイルまたはストリーム）
+     * @returns {Promise<string>} ボディ
+     */
+    async readBody(response) {
+        const encoding = this.cacheManager.negotiateContentEncoding({}, response.statusCode, response.headers);
+        const source = response.stream || fs.createReadStream(response.bodyFile);
+        // 読み込みエラーが展開ストリームにも伝わるようpipelineでつなぐ
+        const stream = encoding.createTransform ? pipeline(source, encoding.createTransform(), () => {}) : source;
+
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= this.maxBodySize) {
+                    break;
+                }
+            }
+        } finally {
+            source.destroy();
+        }
+
+        let body = Buffer.concat(chunks).subarray(0, this.maxBodySize);
+        // sitemap.xml.gzのようにファイル自体がgzipの場合は展開する
+        if (body[0] === 0x1f && body[1] === 0x8b) {
+            body = zlib.gunzipSync(body, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: this.maxBodySize });
+        }
+        return body.toString('utf8');
+    }
+
+    /**
+     * requestsPerSecondを超えないよう、取得の開始を待つ
+     * @param {Object} job ジョブ
+     */
+    async throttle(job) {
+        if (!this.requestsPerSecond) {
+            return;
+        }
+        const now = Date.now();
+        const startAt = Math.max(now, job.nextRequestAt);
+        job.nextRequestAt = startAt + 1000 / this.requestsPerSecond;
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+
+    /**
+     * 取得の失敗を記録
+     * @param {Object} job ジョブ
+     * @param {string|null} url 失敗したURL
+     * @param {string} error 失敗の理由
+     * @param {number} line URLリストの行番号（URLリストの不正な行の場合）
+     */
+    recordFailure(job, url, error, line = null) {
+        job.failed++;
+        job.failures.push(line === null ? { url, error } : { line, error });
+        if (job.failures.length > MAX_FAILURES) {
+            job.failures.shift();
+        }
+        this.logger.debug(`[ウォームアップ] 取得に失敗: ${line === null ? url : `${line}行目`} (${error})`);
+    }
+
+    /**
+     * 実行中のジョブを中止（取得中のURLは完了を待つ）
+     * @param {number} id ジョブID
+     * @returns {Object|null} ジョブ（存在しない場合はnull）
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        if (job.state === 'running') {
+            job.state = 'cancelled';
+            this.pump(job);
+        }
+        return job;
+    }
+
+    /**
+     * 保持する件数を超えた完了済みのジョブを古いものから削除
+     */
+    removeFinishedJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * ジョブの進捗を取得
+     * @param {Object} job ジョブ
+     * @returns {Object} 進捗
+     */
+    toJSON(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            source: job.source,
+            depth: job.depth,
+            state: job.state,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            error: job.error,
+            discovered: job.seen.size,
+            queued: job.queue.length,
+            active: job.active,
+            fetched: job.fetched,
+            stored: job.stored,
+            hits: job.hits,
+            notStored: job.notStored,
+            failed: job.failed,
+            skipped: job.skipped,
+            failures: job.failures
+        };
+    }
+
+    /**
+     * すべてのジョブの進捗を取得
+     * @returns {Object[]} 進捗（新しい順）
+     */
+    getJobs() {
+        return [...this.jobs.values()].reverse().map(job => this.toJSON(job));
+    }
+}
+
+module.exports = CacheWarmer;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+
+/**
+ * キャッシュ書き込みストリーム - オリジンのボディを一時ファイルに書き出し、完了後にキャッシュとして確定する
+ */
+class CacheWriter extends Writable {
+    /**
+     * CacheWriter コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {string} cacheFile URLのキャッシュファイルパス
+     * @param {string} tempFile 書き込み先の一時ファイルパス
+     */
+    constructor(cacheManager, cacheFile, tempFile) {
+        super();
+        this.cacheManager = cacheManager;
+        this.logger = cacheManager.logger;
+        this.cacheFile = cacheFile;
+        this.tempFile = tempFile;
+        // ボディの読み込み元（確定後は保存先のボディファイル）
+        this.bodyFile = tempFile;
+        this.handle = null;
+        this.size = 0;
+        // 保存時にファイルを読み直さないよう、書き込みながらボディのダイジェストを計算する
+        this.hash = crypto.createHash('sha256');
+        this.failed = false;
+        this.committed = false;
+
+        // 書き込みエラーはcommitで保存しないことで扱い、元のレスポンスの転送は止めない
+        this.on('error', (err) => {
+            this.failed = true;
+            this.logger.error(`キャッシュ書き込みエラー: ${this.tempFile}`, err.message);
+        });
+    }
+
+    _construct(callback) {
+        fs.promises.mkdir(path.dirname(this.tempFile), { recursive: true })
+            .then(() => fs.promises.open(this.tempFile, 'w', 0o666))
+            .then(handle => {
+                this.handle = handle;
+                callback();
+            }, callback);
+    }
+
+    _write(chunk, encoding, callback) {
+        this.handle.write(chunk).then(() => {
+            this.size += chunk.length;
+            this.hash.update(chunk);
+            callback();
+        }, callback);
+    }
+
+    _final(callback) {
+        this.handle.close().then(() => {
+            this.handle = null;
+            callback();
+        }, callback);
+    }
+
+    _destroy(err, callback) {
+        if (!this.handle) {
+            callback(err);
+            return;
+        }
+        this.handle.close().catch(() => {}).then(() => {
+            this.handle = null;
+            callback(err);
+        });
+    }
+
+    /**
+     * 書き込みの完了を待つ
+     * @returns {Promise<boolean>} すべてのデータを書き込めた場合はtrue
+     */
+    async waitForFinish() {
+        try {
+            await finished(this);
+        } catch (err) {
+            this.failed = true;
+        }
+        return !this.failed;
+    }
+
+    /**
+     * 書き込んだボディをキャッシュとして確定
+     * @param {Object} cacheHeader キャッシュヘッダー情報
+     * @param {Object|null} requestHeaders リクエストヘッダー（Varyのバリアント選択に使用）
+     * @returns {Promise<boolean>} 保存に成功したらtrue（失敗した場合も一時ファイルはdiscardするまで残る）
+     */
+    async commit(cacheHeader, requestHeaders = null) {
+        if (!await this.waitForFinish()) {
+            return false;
+        }
+        const bodyFile = await this.cacheManager.saveCacheFromFile(this.cacheFile, cacheHeader, this.tempFile, requestHeaders, this.hash.digest('hex'));
+        if (!bodyFile) {
+            return false;
+        }
+        this.bodyFile = bodyFile;
+        this.committed = true;
+        return true;
+    }
+
+    /**
+     * 書き込みを中止して一時ファイルを削除（確定済みの場合は何もしない）
+     */
+    async discard() {
+        if (this.committed) {
+            return;
+        }
+        if (!this.destroyed) {
+            this.destroy();
+            await finished(this).catch(() => {});
+        }
+        await fs.promises.unlink(this.tempFile).catch(() => {});
+    }
+}
+
+module.exports = CacheWriter;
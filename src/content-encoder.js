@@ -0,0 +1,228 @@
+const zlib = require('zlib');
+
+// オリジンに要求するコンテンツコーディング（いずれも展開できるもの）
+const ORIGIN_ACCEPT_ENCODING = 'br, gzip, deflate';
+
+// 展開できるコンテンツコーディング（切り詰められたボディや空のボディでもエラーにしない）
+const DECODERS = {
+    gzip: () => zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }),
+    'x-gzip': () => zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }),
+    deflate: () => zlib.createInflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH }),
+    br: () => zlib.createBrotliDecompress({ finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH })
+};
+
+// 応答時に圧縮できるコンテンツコーディング
+const ENCODERS = {
+    br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }),
+    gzip: () => zlib.createGzip()
+};
+
+/**
+ * コンテンツコーディング変換クラス - 保存済みの表現とクライアントのAccept-Encodingから応答するコーディングを決定する
+ */
+class ContentEncoder {
+    /**
+     * ContentEncoder コンストラクタ
+     * @param {Object} options 圧縮設定（config.cache.compression）
+     * @param {boolean} options.enabled 圧縮されていないレスポンスを応答時に圧縮する
+     * @param {string[]} options.encodings 圧縮に使うコーディング（優先順、br・gzip）
+     * @param {number} options.minSize 圧縮するボディの最小サイズ（バイト）
+     * @param {string[]} options.contentTypes 圧縮するContent-Type（「text/」に続けて「*」を付けるとサブタイプを問わない）
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} policy キャッシュポリシー（ヘッダーの参照に使用）
+     */
+    constructor(options = {}, logger, policy) {
+        this.logger = logger;
+        this.policy = policy;
+        this.enabled = options.enabled === true;
+        this.encodings = (options.encodings || ['br', 'gzip']).filter(coding => {
+            if (ENCODERS[coding]) return true;
+            logger.warn(`未対応の圧縮方式を無視します: ${coding}`);
+            return false;
+        });
+        this.minSize = options.minSize ?? 1024;
+        this.contentTypes = options.contentTypes || [
+            'text/*',
+            'application/javascript',
+            'application/json',
+            'application/xml',
+            'image/svg+xml'
+        ];
+    }
+
+    /**
+     * キャッシュするレスポンスの取得時にオリジンへ送るAccept-Encodingの値
+     * @returns {string} Accept-Encodingの値
+     */
+    getOriginAcceptEncoding() {
+        return ORIGIN_ACCEPT_ENCODING;
+    }
+
+    /**
+     * Accept-Encodingを解析
+     * @param {string} value Accept-Encodingの値
+     * @returns {Map<string, number>} コーディング名（小文字）→ q値
+     */
+    parseAcceptEncoding(value) {
+        const codings = new Map();
+        value.split(',').forEach(part => {
+            const [name, ...params] = part.trim().split(';');
+            if (!name) return;
+            const qParam = params.map(param => param.trim().split('=')).find(([key]) => key.toLowerCase() === 'q');
+            const q = qParam ? parseFloat(qParam[1]) : 1;
+            codings.set(name.trim().toLowerCase(), isNaN(q) ? 0 : q);
+        });
+        return codings;
+    }
+
+    /**
+     * クライアントがコンテンツコーディングを受け入れるか判定
+     * Accept-Encodingがないクライアントは圧縮を扱えないものとして、identityのみ受け入れるとみなす
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {string} coding コンテンツコーディング名（小文字）
+     * @returns {boolean} 受け入れる場合はtrue
+     */
+    accepts(requestHeaders, coding) {
+        const value = this.policy.getHeader(requestHeaders, 'accept-encoding');
+        if (value === undefined) {
+            return coding === 'identity';
+        }
+        const codings = this.parseAcceptEncoding(value);
+        const name = coding === 'x-gzip' ? 'gzip' : coding;
+        if (codings.has(name)) {
+            return codings.get(name) > 0;
+        }
+        if (name === 'gzip' && codings.has('x-gzip')) {
+            return codings.get('x-gzip') > 0;
+        }
+        if (codings.has('*')) {
+            return codings.get('*') > 0;
+        }
+        // identityは明示的に拒否されない限り受け入れる
+        return name === 'identity';
+    }
+
+    /**
+     * 応答時に圧縮する対象のレスポンスか判定
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers レスポンスヘッダー
+     * @param {number|null} size ボディのサイズ（不明な場合はnull）
+     * @returns {boolean} 圧縮する対象ならtrue
+     */
+    isCompressible(statusCode, headers, size) {
+        if (!this.enabled || this.encodings.length === 0 || statusCode !== 200) {
+            return false;
+        }
+        if (size !== null && size < this.minSize) {
+            return false;
+        }
+        // no-transformが指定されたレスポンスは変換しない
+        if (this.policy.parseCacheControl(headers)['no-transform']) {
+            return false;
+        }
+        return this.policy.matchesContentType(this.policy.getHeader(headers, 'content-type'), this.contentTypes);
+    }
+
+    /**
+     * 保存済みのレスポンスをクライアントのAccept-Encodingに合わせて応答する方法を決定
+     * 変換する場合は長さとRangeの関係が変わるため、Content-Lengthを外して全体を応答する
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @param {number} statusCode ステータスコード
+     * @param {Object} headers 保存済みのレスポンスヘッダー
+     * @param {number|null} size ボディのサイズ（不明な場合はnull）
+     * @returns {{headers: Object, createTransform: Function|null}} 応答ヘッダーと変換ストリームを作成する関数（変換しない場合はnull）
+     */
+    negotiate(requestHeaders, statusCode, headers, size = null) {
+        const passThrough = { headers, createTransform: null };
+        // ボディのないレスポンスは変換しない
+        if (statusCode === 204 || statusCode === 304 || size === 0) {
+            return passThrough;
+        }
+
+        const stored = (this.policy.getHeader(headers, 'content-encoding') || 'identity').trim().toLowerCase();
+        if (stored !== 'identity') {
+            // 複数のコーディングを重ねたものや未対応のコーディングはそのまま送る
+            if (!DECODERS[stored]) {
+                return passThrough;
+            }
+            const varied = this.addVaryAcceptEncoding(headers);
+            if (this.accepts(requestHeaders, stored)) {
+                return { headers: varied, createTransform: null };
+            }
+            this.logger.debug(`クライアントが受け入れないため展開して応答: ${stored}`);
+            return {
+                headers: this.getTransformedHeaders(varied, null),
+                createTransform: DECODERS[stored]
+            };
+        }
+
+        if (!this.isCompressible(statusCode, headers, size)) {
+            return passThrough;
+        }
+        const varied = this.addVaryAcceptEncoding(headers);
+        // Rangeリクエストには圧縮せずに要求範囲を返す
+        if (this.policy.getHeader(requestHeaders, 'range')) {
+            return { headers: varied, createTransform: null };
+        }
+        const coding = this.encodings.find(name => this.accepts(requestHeaders, name));
+        if (!coding) {
+            return { headers: varied, createTransform: null };
+        }
+        return {
+            headers: this.getTransformedHeaders(varied, coding),
+            createTransform: ENCODERS[coding]
+        };
+    }
+
+    /**
+     * Varyにaccept-encodingを追加したヘッダーを作成
+     * @param {Object} headers レスポンスヘッダー
+     * @returns {Object} 新しいヘッダーオブジェクト
+     */
+    addVaryAcceptEncoding(headers) {
+        const vary = this.policy.getVaryHeaderNames(headers);
+        if (vary.includes('*') || vary.includes('accept-encoding')) {
+            return headers;
+        }
+        const result = this.omitHeaders(headers, ['vary']);
+        result['vary'] = [...vary, 'accept-encoding'].join(', ');
+        return result;
+    }
+
+    /**
+     * コーディングを変換して応答する場合のヘッダーを作成
+     * @param {Object} headers レスポンスヘッダー
+     * @param {string|null} coding 応答するコーディング（展開して応答する場合はnull）
+     * @returns {Object} 新しいヘッダーオブジェクト
+     */
+    getTransformedHeaders(headers, coding) {
+        const result = this.omitHeaders(headers, ['content-encoding', 'content-length', 'content-range', 'accept-ranges', 'etag']);
+        if (coding) {
+            result['content-encoding'] = coding;
+        }
+        // 表現が変わるので強いETagは弱いETagにする
+        const etag = this.policy.getHeader(headers, 'etag');
+        if (etag) {
+            result['etag'] = etag.startsWith('W/') ? etag : `W/${etag}`;
+        }
+        return result;
+    }
+
+    /**
+     * 指定したヘッダーを除いたヘッダーを作成（大文字小文字を区別しない）
+     * @param {Object} headers ヘッダーオブジェクト
+     * @param {string[]} names 除くヘッダー名（小文字）
+     * @returns {Object} 新しいヘッダーオブジェクト
+     */
+    omitHeaders(headers, names) {
+        const result = {};
+        Object.entries(headers || {}).forEach(([key, value]) => {
+            if (!names.includes(key.toLowerCase())) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = ContentEncoder;
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * APIで指定されたファイルの読み込み先を制限するクラス - 設定したディレクトリ内のファイルだけを読み込めるようにする
+ */
+class FileDirectory {
+    /**
+     * FileDirectory コンストラクタ
+     * @param {string} dir ファイルを置くディレクトリ（省略した場合はファイルを指定できない）
+     * @param {string} settingName ディレクトリの設定項目の名前（エラーメッセージに使用）
+     */
+    constructor(dir, settingName) {
+        this.dir = dir ? path.resolve(dir) : null;
+        this.settingName = settingName;
+    }
+
+    /**
+     * ディレクトリからの相対パスをファイルのパスに変換
+     * @param {string} file ディレクトリからの相対パス
+     * @returns {string} ファイルのパス（ディレクトリが設定されていない場合や外を指す場合はTypeError）
+     */
+    resolve(file) {
+        if (!this.dir) {
+            throw new TypeError(`ファイルを指定するには${this.settingName}を設定してください`);
+        }
+        const resolved = path.resolve(this.dir, file);
+        if (this.isOutside(resolved, this.dir)) {
+            throw new TypeError(`ファイルは${this.settingName}のディレクトリ内に置いてください`);
+        }
+        return resolved;
+    }
+
+    /**
+     * ファイルの実際のパスを取得（シンボリックリンクでディレクトリの外を指していないかも確かめる）
+     * @param {string} file ディレクトリからの相対パス
+     * @returns {Promise<string>} ファイルの実際のパス（外を指す場合はTypeError）
+     */
+    async realpath(file) {
+        const real = await fs.promises.realpath(this.resolve(file));
+        if (this.isOutside(real, await fs.promises.realpath(this.dir))) {
+            throw new TypeError(`ファイルは${this.settingName}のディレクトリ内に置いてください`);
+        }
+        return real;
+    }
+
+    /**
+     * パスがディレクトリの外を指しているか判定
+     * @param {string} file ファイルのパス
+     * @param {string} dir ディレクトリのパス
+     * @returns {boolean} ディレクトリの外（またはディレクトリ自体）の場合はtrue
+     */
+    isOutside(file, dir) {
+        const relative = path.relative(dir, file);
+        return !relative || relative.startsWith('..') || path.isAbsolute(relative);
+    }
+}
+
+module.exports = FileDirectory;
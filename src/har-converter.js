@@ -0,0 +1,270 @@
+const http = require('http');
+const { pipeline } = require('stream');
+
+// HARのcontent.textをテキストのまま書き出すContent-Type（それ以外はBase64で書き出す）
+const TEXT_CONTENT_TYPES = [
+    'text/*',
+    'application/json',
+    'application/javascript',
+    'application/xml',
+    'application/xhtml+xml',
+    'image/svg+xml'
+];
+
+// HARから読み込むときに除くレスポンスヘッダー（ボディは展開済みのため、転送制御とコーディングのヘッダーは使えない）
+const IGNORED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+/**
+ * HAR変換クラス - ブラウザで記録したHAR（HTTP Archive 1.2）のレスポンスをキャッシュに読み込み、
+ * ホストのキャッシュをHARとして書き出す
+ */
+class HarConverter {
+    /**
+     * HarConverter コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} hooks 外部の処理
+     * @param {Function} hooks.getRule URLのホワイトリストのルールを返す関数（キャッシュキーの生成と保存の可否の判定に使用）
+     * @param {Function} hooks.isAllowed URLをキャッシュに読み込んでよいか判定する関数（ホワイトリスト）
+     * @param {string} hooks.version HARのcreatorに記録するバージョン
+     */
+    constructor(cacheManager, logger, hooks = {}) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.getRule = hooks.getRule || (() => null);
+        this.isAllowed = hooks.isAllowed || (() => true);
+        this.version = hooks.version || '';
+    }
+
+    /**
+     * HARのJSON文字列を解析（JSON.parseのメッセージには入力の一部が含まれるため、固定のメッセージにする）
+     * @param {string} text HARのJSON文字列
+     * @returns {Object} 解析したHAR（JSONとして解析できない場合はSyntaxError）
+     */
+    parseHar(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new SyntaxError('HARをJSONとして解析できません');
+        }
+    }
+
+    /**
+     * HARのレスポンスをキャッシュに読み込む（ホワイトリスト対象のURLへのGETで、キャッシュに保存できるレスポンスのみ）
+     * @param {string|Object} har HARのJSON文字列または解析済みのオブジェクト
+     * @returns {Promise<{entries: number, skipped: number, bytes: number}>} 保存したエントリ数、保存しなかった数、保存したボディの合計バイト数
+     */
+    async importHar(har) {
+        const data = typeof har === 'string' ? this.parseHar(har) : har;
+        if (!data || !data.log || !Array.isArray(data.log.entries)) {
+            throw new SyntaxError('HARにlog.entriesがありません');
+        }
+
+        const result = { entries: 0, skipped: 0, bytes: 0 };
+        for (const entry of data.log.entries) {
+            const size = await this.importEntry(entry);
+            if (size === null) {
+                result.skipped++;
+            } else {
+                result.entries++;
+                result.bytes += size;
+            }
+        }
+        this.logger.info(`HARを読み込みました: ${result.entries}件（${this.cacheManager.formatBytes(result.bytes)}）、スキップ: ${result.skipped}件`);
+        return result;
+    }
+
+    /**
+     * HARのエントリ1件をキャッシュに保存
+     * @param {Object} entry HARのエントリ
+     * @returns {Promise<number|null>} 保存したボディのバイト数（保存しなかった場合はnull）
+     */
+    async importEntry(entry) {
+        const request = entry && entry.request;
+        const response = entry && entry.response;
+        // data:やblob:のURLなど、プロキシを通らないリクエストは対象外
+        if (!request || !response || request.method !== 'GET' || !/^https?:\/\//i.test(request.url)) {
+            return null;
+        }
+        if (!this.isAllowed(request.url)) {
+            this.logger.debug(`ホワイトリスト対象外のため読み込みません: ${request.url}`);
+            return null;
+        }
+
+        let url;
+        try {
+            const rule = this.getRule(request.url);
+            // プロキシが保存するときと同じ形式（フラグメントを除き、ホスト名は小文字）のURLで保存する
+            url = this.cacheManager.normalizeUrl(request.url, {}, rule, false);
+            const content = response.content || {};
+            if (typeof content.text !== 'string' && (content.size || 0) > 0) {
+                this.logger.debug(`HARにボディが記録されていません: ${url}`);
+                return null;
+            }
+            const body = Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8');
+            const headers = this.toHeaderObject(response.headers, IGNORED_RESPONSE_HEADERS);
+            const requestHeaders = this.toHeaderObject(request.headers);
+            // プロキシを通ったときと同じく、保存できないレスポンスや資格情報付きのリクエストへのレスポンスは保存しない
+            if (!this.cacheManager.isStorable(response.status, headers, 'GET', rule, body.length)
+                || !this.cacheManager.isStorableForRequest(requestHeaders, headers)) {
+                this.logger.debug(`キャッシュ非対象のレスポンスのため読み込みません: ${url} (${response.status})`);
+                return null;
+            }
+            headers['content-length'] = String(body.length);
+
+            // 記録した時刻を保存時刻とし、鮮度は記録時点から数える
+            const startedAt = Date.parse(entry.startedDateTime);
+            const storedAt = isNaN(startedAt) ? Date.now() : startedAt + Math.max(0, entry.time || 0);
+            const saved = await this.cacheManager.saveCache(this.cacheManager.getCacheFileName(url, {}, rule), {
+                url,
+                statusCode: response.status,
+                headers,
+                storedAt
+            }, body, requestHeaders);
+            return saved ? body.length : null;
+        } catch (err) {
+            this.logger.error(`HARのエントリを読み込めません: ${url || request.url}`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * HARのヘッダー配列をヘッダーオブジェクトに変換（名前は小文字、同名のヘッダーは配列にまとめる）
+     * @param {Array<{name: string, value: string}>} harHeaders HARのヘッダー
+     * @param {string[]} ignored 除くヘッダー名
+     * @returns {Object} ヘッダーオブジェクト
+     */
+    toHeaderObject(harHeaders, ignored = []) {
+        const headers = {};
+        (Array.isArray(harHeaders) ? harHeaders : []).forEach(({ name, value }) => {
+            const key = String(name).toLowerCase();
+            // HTTP/2の疑似ヘッダー（:statusなど）は除く
+            if (key.startsWith(':') || ignored.includes(key)) {
+                return;
+            }
+            if (headers[key] === undefined) {
+                headers[key] = String(value);
+            } else {
+                headers[key] = [].concat(headers[key], String(value));
+            }
+        });
+        return headers;
+    }
+
+    /**
+     * ヘッダーオブジェクトをHARのヘッダー配列に変換
+     * @param {Object} headers ヘッダーオブジェクト
+     * @returns {Array<{name: string, value: string}>} HARのヘッダー
+     */
+    toHarHeaders(headers) {
+        return Object.entries(headers || {}).flatMap(([name, value]) => [].concat(value).map(v => ({ name, value: String(v) })));
+    }
+
+    /**
+     * ホストのキャッシュをHARとして書き出す
+     * @param {string} host ホスト名（ポートを省略した場合はすべてのポートが対象）
+     * @returns {Promise<Object>} HAR（HTTP Archive 1.2）
+     */
+    async exportHar(host) {
+        const target = String(host || '').trim().toLowerCase();
+        if (!target) {
+            throw new TypeError('host is required');
+        }
+
+        // ディレクトリを走査せず、エントリの索引からホストのエントリを選ぶ
+        const { cacheIndex } = this.cacheManager;
+        await cacheIndex.sync();
+        const entries = [];
+        for (const { cacheFile } of cacheIndex.query({ host: target, limit: Infinity }).entries) {
+            try {
+                const cache = await this.cacheManager.loadCache(cacheFile);
+                if (cache) {
+                    entries.push(await this.toHarEntry(cache));
+                }
+            } catch (err) {
+                this.logger.error(`HARに書き出せないエントリがあります: ${cacheFile}.cache`, err.message);
+            }
+        }
+        entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+        this.logger.info(`HARを書き出しました: ${target} ${entries.length}件`);
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'CachingEdgeProxy', version: this.version },
+                pages: [],
+                entries
+            }
+        };
+    }
+
+    /**
+     * キャッシュエントリをHARのエントリに変換（ボディは展開して記録する）
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @returns {Promise<Object>} HARのエントリ
+     */
+    async toHarEntry(cache) {
+        const body = await this.readDecodedBody(cache);
+        const mimeType = cache.headers['content-type'] || '';
+        const isText = this.cacheManager.policy.matchesContentType(mimeType, TEXT_CONTENT_TYPES)
+            || /\+(json|xml)(;|$)/i.test(mimeType.split(';')[0]);
+        const url = new URL(cache.url);
+
+        return {
+            startedDateTime: new Date(cache.storedAt).toISOString(),
+            time: 0,
+            request: {
+                method: 'GET',
+                url: cache.url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                // Varyのバリアントを選んだリクエストヘッダーを記録する
+                headers: this.toHarHeaders(cache.varyHeaders),
+                queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                headersSize: -1,
+                bodySize: 0
+            },
+            response: {
+                status: cache.statusCode,
+                statusText: http.STATUS_CODES[cache.statusCode] || '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: this.toHarHeaders(cache.headers),
+                content: {
+                    size: body.length,
+                    compression: body.length - cache.size,
+                    mimeType,
+                    ...(isText ? { text: body.toString('utf8') } : { text: body.toString('base64'), encoding: 'base64' })
+                },
+                redirectURL: cache.headers.location || '',
+                headersSize: -1,
+                bodySize: cache.size
+            },
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 }
+        };
+    }
+
+    /**
+     * キャッシュ済みボディをコンテンツコーディングを展開して読み込む
+     * @param {Object} cache loadCacheで取得したキャッシュ
+     * @returns {Promise<Buffer>} 展開したボディ
+     */
+    async readDecodedBody(cache) {
+        if (cache.size === 0) {
+            return Buffer.alloc(0);
+        }
+        // Accept-Encodingのないクライアントへの応答と同じく展開する
+        const encoding = this.cacheManager.negotiateContentEncoding({}, cache.statusCode, cache.headers);
+        const source = this.cacheManager.createBodyStream(cache);
+        // 読み込みエラーが展開ストリームにも伝わるようpipelineでつなぐ
+        const stream = encoding.createTransform ? pipeline(source, encoding.createTransform(), () => {}) : source;
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = HarConverter;
@@ -6,10 +6,20 @@ const path = require('path');
 const crypto = require('crypto');
 const tls = require('tls');
 const { URL } = require('url');
+const { PassThrough } = require('stream');
 const CertificateManager = require('./certificates');
 const { Logger, LOG_LEVEL } = require('./logger');
 const WhitelistManager = require('./whitelist-manager');
 const CacheManager = require('./cache-manager');
+const CacheLayout = require('./cache-layout');
+const CacheEvictor = require('./cache-evictor');
+const CachePurger = require('./cache-purger');
+const CacheWarmer = require('./cache-warmer');
+const OfflineMode = require('./offline-mode');
+const CacheBundle = require('./cache-bundle');
+const HarConverter = require('./har-converter');
+const FileDirectory = require('./file-directory');
+const RequestCoalescer = require('./request-coalescer');
 const StatisticsCollector = require('./statistics-collector');
 const ApiEndpoints = require('./api-endpoints');
 
@@ -32,7 +42,24 @@ whitelistManager.loadFromConfig(config);
 
 // キャッシュディレクトリのパスを設定
 const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const cacheManager = new CacheManager(CACHE_DIR, logger);
+const cacheManager = new CacheManager(CACHE_DIR, logger, config.cache);
+
+// 以前の形式のキャッシュキー（MD5など）で保存されたエントリの移行
+const cacheLayout = new CacheLayout(cacheManager, logger, {
+    getRule: url => getWhitelistRule(url)
+});
+
+// キャッシュ容量の上限管理（LRU削除）
+const cacheEvictor = new CacheEvictor(cacheManager, logger, config.cache);
+
+// URL・前方一致・ホスト・正規表現によるキャッシュの削除（パージ）
+const cachePurger = new CachePurger(cacheManager, logger, config.purge);
+
+// オフラインモード（--offline または OFFLINE=true で起動時から有効、管理APIで切り替え）
+const offlineMode = new OfflineMode(cacheManager, logger, OfflineMode.getEnabledFromArgs());
+
+// 同じURLへの同時のキャッシュミスをまとめる
+const requestCoalescer = new RequestCoalescer(logger);
 
 // 統計収集器の初期化
 const statsCollector = new StatisticsCollector(logger);
@@ -51,9 +78,14 @@ const initializeCacheDir = async () => {
     }
 };
 
-// 起動時にキャッシュディレクトリを初期化
+// 起動時にキャッシュディレクトリを初期化（ボディの参照数を数える）してキャッシュキーを現在の形式に移行し、
+// 書き込み途中の一時ファイルを片付け、タグの索引を作成してから容量管理を開始
 (async () => {
     await initializeCacheDir();
+    await cacheLayout.migrate();
+    await cacheManager.removeOrphanedTempFiles();
+    await cacheManager.rebuildTagIndex();
+    cacheEvictor.start();
 })().catch(err => {
     logger.error('初期化エラー:', err);
     process.exit(1);
@@ -81,40 +113,376 @@ const httpsOptions = {
     }
 })();
 
-// キャッシュのロード - エラー時にファイル削除を追加
-const loadCache = async (cacheFile) => {
-    return cacheManager.loadCache(cacheFile);
-};
-
-// キャッシュの保存
-const saveCache = async (cacheFile, cacheHeader, body) => {
-    return cacheManager.saveCache(cacheFile, cacheHeader, body);
-};
-
 // 定期的な統計情報のログ出力を開始
-statsCollector.startPeriodicLogging(CACHE_DIR);
+statsCollector.startPeriodicLogging(cacheManager);
 
 // 新しい接続が確立されたときにセットに追加
 function trackConnection(socket) {
     return statsCollector.trackConnection(socket);
 }
 
-// ホワイトリストの確認用ヘルパー関数は単純にwhitelistManagerに委譲
+// ホワイトリストの確認用ヘルパー関数は単純にwhitelistManagerに委譲（マッチしたルールを返す）
 const isHostWhitelisted = (host) => {
     return whitelistManager.isHostWhitelisted(host);
 };
 
+// URLのホストにマッチするホワイトリストのルールを取得するヘルパー関数
+const getWhitelistRule = (url) => {
+    return whitelistManager.getRuleForUrl(url);
+};
+
+// クライアント自身が条件付きリクエストを送っているか確認するヘルパー関数
+const hasClientConditional = (headers) => {
+    return Boolean(headers['if-none-match'] || headers['if-modified-since']);
+};
+
+// Range / If-Range ヘッダーを取り除く（オリジンからは全体を取得してキャッシュし、クライアントへは受信しながら要求範囲を切り出して返す）
+const stripRangeHeaders = (headers) => {
+    let stripped = false;
+    Object.keys(headers).forEach(name => {
+        if (['range', 'if-range'].includes(name.toLowerCase())) {
+            delete headers[name];
+            stripped = true;
+        }
+    });
+    return stripped;
+};
+
+// 直接HTTPSリクエストでオリジンに送らないクライアントのリクエストヘッダー
+// （接続ごとのヘッダー、URLから決まるHost、範囲の指定と、キャッシュ側で付け直す条件付きヘッダー）
+const DIRECT_REQUEST_IGNORED_HEADERS = [
+    'connection', 'proxy-connection', 'keep-alive', 'proxy-authorization', 'te', 'upgrade', 'transfer-encoding',
+    'content-length', 'host', 'range', 'if-range', 'if-none-match', 'if-modified-since'
+];
+
+// クライアントのリクエストヘッダーから直接HTTPSリクエストのヘッダーを作るヘルパー関数
+const getDirectRequestHeaders = (clientHeaders) => {
+    const headers = {};
+    Object.entries(clientHeaders).forEach(([name, value]) => {
+        if (!DIRECT_REQUEST_IGNORED_HEADERS.includes(name.toLowerCase())) {
+            headers[name] = value;
+        }
+    });
+    return headers;
+};
+
+// キャッシュ済みボディの指定範囲をストリームで書き込むヘルパー関数（endがfalseの場合は書き込み後も終了しない）
+// rangeにcreateTransformがある場合はコーディングを変換して書き込む
+const pipeCacheBody = (cache, range, destination, end = true) => {
+    return new Promise((resolve) => {
+        if (range.end < range.start) {
+            if (end) {
+                destination.end();
+            }
+            resolve();
+            return;
+        }
+        const bodyStream = cacheManager.createBodyStream(cache, range.start, range.end);
+        const transform = range.createTransform ? range.createTransform() : null;
+        const output = transform ? bodyStream.pipe(transform) : bodyStream;
+        const onError = (err) => {
+            logger.error(`キャッシュボディの読み込みエラー: ${cache.bodyFile}`, err.message);
+            bodyStream.destroy();
+            destination.destroy();
+            resolve();
+        };
+        bodyStream.on('error', onError);
+        transform?.on('error', onError);
+        output.on('end', resolve);
+        // 送信先が先に閉じられた場合は読み込みを中止する
+        destination.once('close', () => {
+            bodyStream.destroy();
+            transform?.destroy();
+            resolve();
+        });
+        output.pipe(destination, { end });
+    });
+};
+
+// オリジンのレスポンスボディをクライアントへ転送しつつキャッシュ書き込みストリームにも書き出すヘルパー関数
+// キャッシュには受信したままのボディを書き込み、クライアントへはtransformがあれば変換して送る
+// 戻り値はクライアントへの書き込みを終えた（または送信先が閉じられた）ときに解決する
+const teeResponseBody = (originRes, destination, cacheWriter, transform = null) => {
+    return new Promise((resolve) => {
+        if (cacheWriter) {
+            originRes.pipe(cacheWriter);
+            // 受信が続いている間は同じURLを待っているリクエストを待たせ続ける
+            originRes.on('data', () => requestCoalescer.progress(cacheWriter.cacheFile));
+        }
+        if (destination) {
+            const output = transform ? originRes.pipe(transform) : originRes;
+            output.pipe(destination, { end: false });
+            output.on('end', resolve);
+            transform?.on('error', (err) => {
+                logger.error('レスポンスボディの変換エラー:', err.message);
+                destination.destroy();
+                resolve();
+            });
+            // クライアントが先に切断してもキャッシュへの書き込みは続ける
+            destination.once('close', () => {
+                originRes.unpipe(transform || destination);
+                transform?.destroy();
+                resolve();
+            });
+        } else {
+            originRes.on('end', resolve);
+        }
+        if (!cacheWriter && !destination) {
+            originRes.resume();
+        }
+    });
+};
+
+// クライアントへ転送するボディの変換ストリームを作成するヘルパー関数（HEADにはボディがないので変換しない）
+const createBodyTransform = (method, encoding) => {
+    return method !== 'HEAD' && encoding.createTransform ? encoding.createTransform() : null;
+};
+
+// 書き込みの完了したボディをキャッシュとして確定するヘルパー関数（受信したサイズで保存の可否を再確認する）
+const commitCacheWriter = async (cacheWriter, cacheHeader, requestHeaders, whitelistRule) => {
+    if (!await cacheWriter.waitForFinish()) {
+        return false;
+    }
+    if (!cacheManager.isStorable(cacheHeader.statusCode, cacheHeader.headers, 'GET', whitelistRule, cacheWriter.size)) {
+        logger.debug(`キャッシュ非対象のサイズ: ${cacheHeader.url} (${cacheWriter.size}バイト)`);
+        return false;
+    }
+    return cacheWriter.commit(cacheHeader, requestHeaders);
+};
+
+// レスポンス送信後に接続を明示的に閉じるヘルパー関数
+const closeClientSocket = (clientReq) => {
+    if (clientReq.socket && !clientReq.socket.destroyed) {
+        setTimeout(() => {
+            try {
+                clientReq.socket.end();
+            } catch (err) {
+                logger.error('ソケット終了エラー:', err);
+            }
+        }, 100);
+    }
+};
+
+// 保存しないレスポンスへのRangeリクエストを、Rangeを付けたままオリジンへ送り直すヘルパー関数（全体の受信を待たずに要求範囲を返す）
+// requestはレスポンスのコールバックを受け取ってリクエストを作成する関数で、戻り値はレスポンスを受信し始めたときに解決する
+const requestRangeFromOrigin = (request) => {
+    return new Promise((resolve, reject) => {
+        const rangeReq = request(resolve);
+        rangeReq.on('error', reject);
+        rangeReq.setTimeout(25000, () => rangeReq.destroy(new Error('リクエストがタイムアウトしました')));
+        rangeReq.end();
+    });
+};
+
+// Rangeを付けて送り直したリクエストのレスポンスをそのままクライアントへ転送するヘルパー関数
+const forwardRangeRequest = async (clientReq, clientRes, request) => {
+    try {
+        const rangeRes = await requestRangeFromOrigin(request);
+        clientRes.writeHead(rangeRes.statusCode, { ...rangeRes.headers, 'X-Cache': 'MISS', 'Connection': 'close' });
+        rangeRes.pipe(clientRes);
+        rangeRes.on('end', () => closeClientSocket(clientReq));
+        rangeRes.on('error', () => clientRes.destroy());
+        clientRes.once('close', () => rangeRes.destroy());
+    } catch (err) {
+        logger.error(`Rangeリクエストの転送エラー: ${err.message}`);
+        clientRes.writeHead(502, { 'Content-Type': 'text/plain', 'Connection': 'close' });
+        clientRes.end(`Proxy Error: ${err.message}`);
+    }
+};
+
+// キャッシュの内容でクライアントに応答するヘルパー関数（HEADにはヘッダーのみ、Rangeには206を返し、Accept-Encodingに合わせてコーディングを変換する）
+const respondFromCache = async (clientReq, clientRes, cache, cacheStatus, extraHeaders = {}) => {
+    const response = cacheManager.getResponseHead(
+        clientReq.method, clientReq.headers, cache.statusCode, cache.headers, cache.size
+    );
+    clientRes.writeHead(response.statusCode, {
+        ...response.headers,
+        'X-Cache': cacheStatus,
+        'age': String(cacheManager.getFreshness(cache).age),
+        ...extraHeaders,
+        'Connection': 'close'
+    });
+    if (clientReq.method === 'HEAD') {
+        clientRes.end();
+    } else {
+        await pipeCacheBody(cache, response, clientRes);
+    }
+    closeClientSocket(clientReq);
+};
+
+// オフラインモード・only-if-cachedのリクエストにキャッシュ（期限切れを含む）だけで応答するヘルパー関数（キャッシュがなければ504を返す）
+const respondCacheOnly = async (clientReq, clientRes, url, cacheFile, whitelistRule, reason) => {
+    const result = await offlineMode.lookup(clientReq.method, clientReq.headers, cacheFile, whitelistRule, reason);
+    if (!result.cache) {
+        logger.info(`キャッシュがないため504で応答（${reason}）: ${url}`);
+        statsCollector.incrementHttpStat('cacheMisses');
+        const message = offlineMode.getMissMessage(reason, url);
+        clientRes.writeHead(504, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Content-Length': Buffer.byteLength(message),
+            'X-Cache': result.cacheStatus,
+            ...result.headers
+        });
+        clientRes.end(message);
+        return;
+    }
+    logger.info(`キャッシュのみで応答（${reason}）: ${url}`);
+    statsCollector.incrementHttpStat('cacheHits');
+    await respondFromCache(clientReq, clientRes, result.cache, result.cacheStatus, result.headers);
+};
+
+// オリジンからの取得を開始したことを登録するヘルパー関数（取得完了時に呼ぶ関数を返し、失敗した場合はtrueを渡して呼ぶ）
+const beginFetch = (cacheFile, method) => {
+    // キャッシュに保存されるのはGETのレスポンスのみなので、他のメソッドは待たせない
+    const release = method === 'GET' ? requestCoalescer.begin(cacheFile) : null;
+    return release || (() => {});
+};
+
+// 同じキャッシュキーの取得が実行中なら完了を待ち、保存されたキャッシュを取得するヘルパー関数
+const waitForInflightFetch = async (cacheFile, requestHeaders, whitelistRule) => {
+    if (!await requestCoalescer.wait(cacheFile)) {
+        return null;
+    }
+    const cache = await cacheManager.lookupCache(cacheFile, requestHeaders);
+    return cache && cacheManager.isFresh(cache, whitelistRule) ? cache : null;
+};
+
+// バックグラウンドで再検証中のキャッシュファイル
+const backgroundRevalidations = new Set();
+
+// 期限切れキャッシュをバックグラウンドで再検証・更新する（stale-while-revalidate）
+const revalidateInBackground = (url, cacheFile, staleCache) => {
+    // オフラインモードではオリジンに接続しない
+    if (offlineMode.enabled) {
+        return;
+    }
+    // 同じキャッシュ（Varyのバリアント単位）への再検証は1つだけ実行する
+    const revalidationKey = staleCache.varyHeaders
+        ? cacheManager.getVariantCacheFileName(cacheFile, staleCache.varyHeaders)
+        : cacheFile;
+    if (backgroundRevalidations.has(revalidationKey)) {
+        return;
+    }
+    backgroundRevalidations.add(revalidationKey);
+    logger.debug(`バックグラウンド再検証を開始: ${url}`);
+    
+    // Varyのバリアントは保存時と同じ選択ヘッダーで取得し直す
+    const requestHeaders = cacheManager.setOriginAcceptEncoding({
+        'User-Agent': 'Mozilla/5.0 ProxyAgent/1.0',
+        'Accept': '*/*',
+        ...staleCache.varyHeaders
+    });
+    const requestModule = url.startsWith('https://') ? https : http;
+    const options = {
+        method: 'GET',
+        headers: {
+            ...requestHeaders,
+            ...cacheManager.getConditionalHeaders(staleCache)
+        },
+        timeout: 30000,
+        rejectUnauthorized: false
+    };
+    
+    try {
+        const req = requestModule.request(url, options, (res) => {
+            const whitelistRule = getWhitelistRule(url);
+            const storable = res.statusCode !== 304
+                && cacheManager.isStorable(res.statusCode, res.headers, 'GET', whitelistRule)
+                && cacheManager.isStorableForRequest(requestHeaders, res.headers);
+            const cacheWriter = storable ? cacheManager.createCacheWriter(cacheFile) : null;
+            teeResponseBody(res, null, cacheWriter);
+            res.on('end', async () => {
+                try {
+                    if (res.statusCode === 304) {
+                        await cacheManager.refreshCache(cacheFile, staleCache, res.headers);
+                    } else if (cacheWriter) {
+                        await commitCacheWriter(cacheWriter, {
+                            url,
+                            statusCode: res.statusCode,
+                            headers: res.headers
+                        }, requestHeaders, whitelistRule);
+                    }
+                    logger.debug(`バックグラウンド再検証完了: ${url}, ステータス=${res.statusCode}`);
+                } catch (err) {
+                    logger.error('バックグラウンド再検証エラー:', err);
+                } finally {
+                    await cacheWriter?.discard();
+                    backgroundRevalidations.delete(revalidationKey);
+                }
+            });
+            res.on('error', (err) => {
+                logger.error(`バックグラウンド再検証レスポンスエラー: ${url}`, err.message);
+                cacheWriter?.discard();
+                backgroundRevalidations.delete(revalidationKey);
+            });
+        });
+        
+        req.on('error', (err) => {
+            logger.error(`バックグラウンド再検証リクエストエラー: ${url}`, err.message);
+            backgroundRevalidations.delete(revalidationKey);
+        });
+        
+        req.on('timeout', () => {
+            req.destroy(new Error('バックグラウンド再検証がタイムアウトしました'));
+        });
+        
+        req.end();
+    } catch (err) {
+        logger.error('バックグラウンド再検証リクエスト作成エラー:', err);
+        backgroundRevalidations.delete(revalidationKey);
+    }
+};
+
 // プロキシリクエストの処理の修正 - レスポンス完了時に接続を終了
-const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted, cacheFile, normalizedUrl, targetHost) => {
+const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted, cacheFile, normalizedUrl, targetHost, staleCache = null, whitelistRule = null) => {
     // プロトコルに応じたモジュール選択
     const isHttps = options.port === 443;
     const proxyModule = isHttps ? https : http;
     
     logger.info(`${isHttps ? 'HTTPS' : 'HTTP'}リクエスト転送: ${options.hostname}:${options.port}${options.path}`);
 
+    // Rangeを付けて送り直す場合に使うクライアントのリクエストヘッダー（以降の変更前に控えておく）
+    const forwardedHeaders = { ...options.headers };
+
+    // 期限切れのキャッシュがあれば条件付きリクエストで再検証する
+    const conditionalHeaders = staleCache && clientReq.method === 'GET' && !hasClientConditional(clientReq.headers)
+        ? cacheManager.getConditionalHeaders(staleCache)
+        : null;
+    if (conditionalHeaders) {
+        logger.debug(`条件付きリクエストで再検証: ${normalizedUrl}`);
+        Object.assign(options.headers, conditionalHeaders);
+    }
+
+    // キャッシュ対象のRangeリクエストは全体を取得し、要求範囲は受信しながら切り出して返す
+    const rangeRequested = isWhitelisted && clientReq.method === 'GET' && stripRangeHeaders(options.headers);
+
+    // キャッシュ対象のリクエストは圧縮された表現を取得し、クライアントのAccept-Encodingに合わせて変換して返す
+    const negotiateEncoding = isWhitelisted && cacheManager.isCacheableMethod(clientReq.method);
+    if (negotiateEncoding) {
+        cacheManager.setOriginAcceptEncoding(options.headers);
+    }
+
+    // 取得中は同じURLへの後続のリクエストを待たせる
+    const finishFetch = isWhitelisted ? beginFetch(cacheFile, clientReq.method) : () => {};
+
+    // オリジンのエラー時は期限切れキャッシュで応答する（stale-if-error）
+    const serveStaleOnError = async (reason) => {
+        if (!staleCache || clientRes.headersSent || !cacheManager.canServeStaleIfError(staleCache, whitelistRule)) {
+            return false;
+        }
+        logger.warn(`オリジンエラーのため期限切れキャッシュで応答: ${normalizedUrl} (${reason})`);
+        await respondFromCache(clientReq, clientRes, staleCache, 'STALE');
+        return true;
+    };
+
     // 接続タイムアウトを設定
-    const connectionTimeout = setTimeout(() => {
+    const connectionTimeout = setTimeout(async () => {
         logger.warn(`リクエストタイムアウト: ${normalizedUrl}`);
+        finishFetch(true);
+        if (await serveStaleOnError('タイムアウト')) {
+            proxyReq.destroy();
+            return;
+        }
         if (!clientRes.headersSent) {
             clientRes.writeHead(504, { 'Content-Type': 'text/plain', 'Connection': 'close' });
         }
@@ -127,7 +495,29 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
     }, 30000); // 30秒タイムアウト
 
     const proxyReq = proxyModule.request(options, async (proxyRes) => {
-        const chunks = [];
+        // レスポンスを受信し始めたら、以降は無通信のタイムアウトだけで打ち切る（大きなボディの受信中に中断しない）
+        clearTimeout(connectionTimeout);
+        
+        // 再検証で304が返った場合はキャッシュのボディで応答する
+        if (conditionalHeaders && proxyRes.statusCode === 304) {
+            proxyRes.resume();
+            
+            const cache = await cacheManager.refreshCache(cacheFile, staleCache, proxyRes.headers) || staleCache;
+            finishFetch();
+            logger.info('キャッシュ再検証成功:', normalizedUrl);
+            statsCollector.incrementHttpStat('cacheHits');
+            
+            await respondFromCache(clientReq, clientRes, cache, 'REVALIDATED');
+            return;
+        }
+        
+        // オリジンが5xxを返した場合も期限切れキャッシュで応答する
+        if (proxyRes.statusCode >= 500 && await serveStaleOnError(`ステータス ${proxyRes.statusCode}`)) {
+            finishFetch(true);
+            proxyRes.resume();
+            return;
+        }
+        
         const headers = { ...proxyRes.headers };
 
         // Connection: closeヘッダーを追加
@@ -138,27 +528,49 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
             logger.debug('ホワイトリスト対象でキャッシュミス:', normalizedUrl);
         }
         
-        clientRes.writeHead(proxyRes.statusCode, headers);
+        // 資格情報を含むリクエストへのレスポンスやSet-Cookieは利用者間で共有しない
+        const storable = isWhitelisted
+            && cacheManager.isStorable(proxyRes.statusCode, proxyRes.headers, clientReq.method, whitelistRule)
+            && cacheManager.isStorableForRequest(clientReq.headers, proxyRes.headers);
+
+        // 保存しない全体レスポンスを受信する必要はないので、Rangeを付けたままオリジンへ送り直す
+        if (rangeRequested && proxyRes.statusCode === 200 && !storable) {
+            proxyRes.destroy();
+            finishFetch();
+            logger.debug(`キャッシュ非対象のためRangeを付けて送り直し: ${normalizedUrl}`);
+            await forwardRangeRequest(clientReq, clientRes, callback => proxyModule.request({ ...options, headers: forwardedHeaders }, callback));
+            return;
+        }
 
-        proxyRes.on('data', (chunk) => {
-            chunks.push(chunk);
-            clientRes.write(chunk);
-        });
+        const cacheWriter = storable ? cacheManager.createCacheWriter(cacheFile) : null;
+        const encoding = negotiateEncoding
+            ? cacheManager.getStreamingResponseHead(clientReq.method, clientReq.headers, proxyRes.statusCode, headers)
+            : { statusCode: proxyRes.statusCode, headers, createTransform: null };
+        clientRes.writeHead(encoding.statusCode, encoding.headers);
+
+        // ボディはメモリに溜めずにクライアントとキャッシュの一時ファイルへ流す
+        const delivered = teeResponseBody(proxyRes, clientRes, cacheWriter, createBodyTransform(clientReq.method, encoding));
 
         proxyRes.on('end', async () => {
-            // タイムアウトをクリア
-            clearTimeout(connectionTimeout);
-            
-            // レスポンスを終了
+            // 変換中のボディを送り終えてからレスポンスを終了
+            await delivered;
             clientRes.end();
             
             logger.debug(`レスポンス完了: ${normalizedUrl}, ステータス:${proxyRes.statusCode}`);
 
+            // 安全でないメソッドが成功した場合は対象URLのキャッシュを無効化
+            if (isWhitelisted) {
+                await cacheManager.invalidateForUnsafeRequest(clientReq.method, normalizedUrl, proxyRes.statusCode, proxyRes.headers, whitelistRule);
+            }
+
+            // HEADの応答で期限切れキャッシュのメタデータを更新
+            if (staleCache && clientReq.method === 'HEAD') {
+                await cacheManager.freshenWithHeadResponse(cacheFile, staleCache, proxyRes.statusCode, proxyRes.headers);
+            }
+
             // キャッシュ処理
-            if (isWhitelisted && proxyRes.statusCode === 200) {
-                const responseData = Buffer.concat(chunks);
-                
-                logger.debug(`ホワイトリスト対象でキャッシュ予定: ${normalizedUrl}, データ長: ${responseData.length}バイト`);
+            if (storable) {
+                logger.debug(`ホワイトリスト対象でキャッシュ予定: ${normalizedUrl}`);
                 
                 const cacheHeader = {
                     url: normalizedUrl,
@@ -167,30 +579,23 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
                 };
 
                 try {
-                    // キャッシュを保存
-                    const cacheFile = getCacheFileName(normalizedUrl);
-                    await saveCache(cacheFile, cacheHeader, responseData);
-                    logger.debug('キャッシュ保存完了:', normalizedUrl);
-                    
-                    // キャッシュ保存カウンターを更新
-                    if (isHttps) {
-                        statsCollector.incrementHttpsStat('cacheSaves');
-                    }
-
-                    // ファイルの存在確認
-                    try {
-                        await fs.promises.access(cacheFile);
-                        const stats = await fs.promises.stat(cacheFile);
-                        logger.debug(`キャッシュファイル確認: ${cacheFile}, サイズ: ${stats.size}バイト`);
-                    } catch (accessErr) {
-                        logger.error('キャッシュファイル確認エラー:', accessErr);
+                    // 一時ファイルに書き込んだボディをキャッシュとして保存
+                    if (await commitCacheWriter(cacheWriter, cacheHeader, clientReq.headers, whitelistRule)) {
+                        logger.debug(`キャッシュ保存完了: ${cacheWriter.bodyFile}, サイズ: ${cacheWriter.size}バイト`);
+                        
+                        // キャッシュ保存カウンターを更新
+                        if (isHttps) {
+                            statsCollector.incrementHttpsStat('cacheSaves');
+                        }
                     }
                 } catch (err) {
                     logger.error('キャッシュ保存エラー:', err);
                 }
             } else {
-                logger.debug(`キャッシュ非対象: ホワイトリスト=${isWhitelisted}, ステータス=${proxyRes.statusCode}`);
+                logger.debug(`キャッシュ非対象: ホワイトリスト=${isWhitelisted}, メソッド=${clientReq.method}, ステータス=${proxyRes.statusCode}`);
             }
+            finishFetch();
+            await cacheWriter?.discard();
             
             // 接続を明示的に終了
             if (clientReq.socket && !clientReq.socket.destroyed) {
@@ -204,7 +609,8 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
         
         // エラーハンドラを追加
         proxyRes.on('error', (err) => {
-            clearTimeout(connectionTimeout);
+            cacheWriter?.discard();
+            finishFetch(true);
             logger.error(`プロキシレスポンスエラー: ${err.message}`);
             if (!clientRes.finished) {
                 clientRes.end();
@@ -221,8 +627,13 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
         });
     });
 
-    proxyReq.on('error', (err) => {
+    proxyReq.on('error', async (err) => {
         logger.error(`プロキシリクエストエラー(${isHttps ? 'HTTPS' : 'HTTP'}):`, err);
+        finishFetch(true);
+        if (await serveStaleOnError(err.message)) {
+            clearTimeout(connectionTimeout);
+            return;
+        }
         if (!clientRes.headersSent) {
             clientRes.writeHead(500, {
                 'Content-Type': 'text/plain',
@@ -236,9 +647,14 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
     });
 
     // タイムアウトの設定を修正
-    proxyReq.setTimeout(25000, () => {
+    proxyReq.setTimeout(25000, async () => {
         clearTimeout(connectionTimeout);
+        finishFetch(true);
         logger.error('プロキシリクエストがタイムアウトしました');
+        if (await serveStaleOnError('タイムアウト')) {
+            proxyReq.destroy();
+            return;
+        }
         if (!clientRes.headersSent) {
             clientRes.writeHead(504, {
                 'Content-Type': 'text/plain',
@@ -270,10 +686,8 @@ const handleProxyRequest = async (clientReq, clientRes, options, isWhitelisted,
 };
 
 // HTTPプロキシモード設定を一箇所にまとめ、重複宣言を削除
-const DIRECT_TUNNEL_MODE = false;   // トンネルモードを無効化
 const FORCE_DIRECT_HTTPS = true;    // 直接HTTPSを有効化
 const DIRECT_HTTPS_CACHE = true;    // HTTPSキャッシュを有効化
-const DEBUG_HTTP_PARSING = true;    // HTTPSリクエスト解析のデバッグフラグ
 const SIMPLIFIED_MODE = true;       // シンプルモードを有効化（より確実なキャッシュ）
 const USE_PREFETCH = true;          // ホワイトリストドメインのトップページを事前にキャッシュ
 const USE_MITM = false;             // Man-in-the-middle機能を無効化（トラブル対応）
@@ -281,2069 +695,951 @@ const USE_MITM = false;             // Man-in-the-middle機能を無効化（ト
 // SSL証明書検証の無効化設定を削除
 // process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 
-// HTTPSレスポンスをキャプチャしてキャッシュする - クエリパラメータを含める
-function setupHttpsResponseCapture(targetSocket, clientSocket, normalizedUrl) {
-    logger.debug(`HTTPSレスポンス保存設定開始: ${normalizedUrl}`);
-
-    // レスポンスデータを収集するためのバッファ
-    let responseBuffer = Buffer.alloc(0);
-    let headersParsed = false;
-    let headersEndPos = -1;
-    let statusCode = 0;
-    let responseHeaders = {};
-    let responseStarted = false;
-
-    // データ受信イベントのリスナーを追加
-    const originalDataListeners = targetSocket.listeners('data').slice();
-    targetSocket.removeAllListeners('data');
-
-    targetSocket.on('data', function(chunk) {
-        try {
-            if (!responseStarted) {
-                responseStarted = true;
-                logger.debug(`HTTPSレスポンス受信開始: ${normalizedUrl}, サイズ=${chunk.length}`);
-            }
-            
-            // レスポンスデータを蓄積
-            responseBuffer = Buffer.concat([responseBuffer, chunk]);
-            
-            // ヘッダー部分がまだ解析されていない場合
-            if (!headersParsed) {
-                const headerEndIndex = responseBuffer.indexOf('\r\n\r\n');
-                if (headerEndIndex !== -1) {
-                    // ヘッダー部分を取り出して解析
-                    const headerText = responseBuffer.slice(0, headerEndIndex).toString('utf8');
-                    
-                    // ステータスコードを取得
-                    const statusMatch = headerText.match(/^HTTP\/\d\.\d\s+(\d+)/);
-                    if (statusMatch) {
-                        statusCode = parseInt(statusMatch[1], 10);
-                    }
-                    
-                    // ヘッダーを解析
-                    const headerLines = headerText.split('\r\n');
-                    headerLines.slice(1).forEach(line => {
-                        const colonPos = line.indexOf(':');
-                        if (colonPos > 0) {
-                            const name = line.substring(0, colonPos).trim().toLowerCase();
-                            const value = line.substring(colonPos + 1).trim();
-                            responseHeaders[name] = value;
-                        }
-                    });
-                    
-                    logger.debug(`HTTPSレスポンスヘッダー解析完了: status=${statusCode}, content-type=${responseHeaders['content-type'] || '不明'}`);
-                    
-                    headersParsed = true;
-                    headersEndPos = headerEndIndex;
-                }
-            }
-            
-            // クライアントにデータを転送
-            if (clientSocket && !clientSocket.destroyed) {
-                clientSocket.write(chunk);
-            }
-        } catch (err) {
-            logger.error('HTTPSレスポンス解析エラー:', err);
+// プロキシサーバーの作成 - クエリパラメータへの対応を改善
+const server = http.createServer(async (clientReq, clientRes) => {
+    logger.debug('リクエスト受信:', clientReq.method, clientReq.url);
+    
+    // HTTPリクエストをカウント
+    statsCollector.incrementHttpStat('requests');
+
+    const requestedHost = clientReq.headers.host;
+    if (!requestedHost) {
+        logger.debug('ホストヘッダーが欠落しています');
+        clientRes.writeHead(400, { 'Content-Type': 'text/plain' });
+        clientRes.end('Host header is required');
+        return;
+    }
+
+    // 管理APIはプロキシとして転送せずに処理する（非同期に応答するAPIがプロキシのエラー応答に先を越されないよう最初に判定する）
+    if (apiEndpoints.handleRequest(clientReq, clientRes)) {
+        return;
+    }
+
+    const targetHost = requestedHost.split(':')[0];
+
+    try {
+        if (requestedHost.includes('localhost:8000')) {
+            logger.debug('直接アクセスを拒否:', requestedHost);
+            clientRes.writeHead(400, { 'Content-Type': 'text/plain' });
+            clientRes.end('直接のローカルホストへのリクエストは許可されていません');
+            return;
         }
-    });
 
-    // レスポンス完了時の処理を追加
-    const endListeners = targetSocket.listeners('end').slice();
-    targetSocket.removeAllListeners('end');
-    
-    targetSocket.on('end', async function() {
-        if (headersEndPos > 0 && statusCode === 200) {
+        // ホワイトリストチェック（マッチしたルールのキャッシュポリシーを適用する）
+        const whitelistRule = isHostWhitelisted(targetHost);
+        const isWhitelisted = Boolean(whitelistRule);
+        
+        // URLを完全に正規化 - クエリパラメータを含める
+        const isHttps = clientReq.url.startsWith('https://');
+        let normalizedUrl;
+        
+        // 完全なURLでなければ構築する
+        if (clientReq.url.startsWith('http://') || clientReq.url.startsWith('https://')) {
+            normalizedUrl = clientReq.url;
+        } else {
+            normalizedUrl = `${isHttps ? 'https' : 'http'}://${requestedHost}${clientReq.url}`;
+        }
+        
+        // URLを解析してクエリパラメータも保持
+        const parsedUrl = new URL(normalizedUrl);
+        normalizedUrl = `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}${parsedUrl.search}`;
+        
+        const cacheFile = getCacheFileName(normalizedUrl);
+        
+        logger.debug(`URL: ${normalizedUrl}, ホワイトリスト: ${isWhitelisted ? 'はい' : 'いいえ'}`);
+
+        // PURGEはオリジンに転送せず、対象URLのキャッシュを削除する
+        if (clientReq.method === 'PURGE') {
+            const purge = await purgeForRequest(normalizedUrl, clientReq.socket.remoteAddress);
+            clientRes.writeHead(purge.statusCode, { 'Content-Type': 'application/json' });
+            clientRes.end(purge.body);
+            return;
+        }
+
+        // オフラインモード・only-if-cachedではオリジンに接続せず、キャッシュだけで応答する
+        const cacheOnlyReason = offlineMode.getCacheOnlyReason(clientReq.headers);
+        if (cacheOnlyReason) {
+            await respondCacheOnly(clientReq, clientRes, normalizedUrl, cacheFile, whitelistRule, cacheOnlyReason);
+            return;
+        }
+
+        // 強制的に直接HTTPSリクエストを使用する場合（GETで取得するためGET/HEADのみ）
+        if (FORCE_DIRECT_HTTPS && isHttps && isWhitelisted && cacheManager.isCacheableMethod(clientReq.method)) {
+            logger.debug('直接HTTPSリクエストモードを使用: ' + normalizedUrl);
             try {
-                // ボディ部分を抽出
-                const bodyBuffer = responseBuffer.slice(headersEndPos + 4);
-                logger.debug(`HTTPSレスポンス完了: ステータス=${statusCode}, データサイズ=${bodyBuffer.length}バイト`);
+                // 直接HTTPSリクエストを実行（Varyのバリアントはクライアントのリクエストヘッダーで選ぶ）
+                const response = await directHttpsRequest(normalizedUrl, clientReq.headers);
                 
-                // キャッシュデータを作成
-                const cacheHeader = {
-                    url: normalizedUrl,
-                    statusCode: 200,
-                    headers: responseHeaders,
+                // キャッシュからのレスポンスには独自のヘッダーを追加
+                const proxyHeaders = {
+                    'X-Cache': response.cacheStatus,
+                    'X-Proxy': 'Node-Proxy/1.0',
+                    'X-Cache-Source': response.fromCache ? 'cache' : 'direct'
                 };
                 
-                // キャッシュを保存
-                const cacheFile = getCacheFileName(normalizedUrl);
-                
-                try {
-                    await saveCache(cacheFile, cacheHeader, bodyBuffer);
-                    logger.debug(`HTTPSレスポンスをキャッシュしました: ${normalizedUrl}, サイズ=${bodyBuffer.length}バイト`);
-                    statsCollector.incrementHttpsStat('cacheSaves');
-                } catch (cacheErr) {
-                    logger.error('HTTPSキャッシュ保存エラー:', cacheErr);
+                if (response.stream) {
+                    // オリジンから取得したレスポンスは受信しながら、Accept-Encodingに合わせた変換とRangeの切り出しをして転送する
+                    // （Rangeを付けて送り直したレスポンスはそのまま転送する）
+                    const encoding = response.rangeForwarded
+                        ? { statusCode: response.statusCode, headers: response.headers, createTransform: null }
+                        : cacheManager.getStreamingResponseHead(clientReq.method, clientReq.headers, response.statusCode, response.headers);
+                    const transform = createBodyTransform(clientReq.method, encoding);
+                    clientRes.writeHead(encoding.statusCode, { ...encoding.headers, ...proxyHeaders });
+                    response.stream.on('error', () => clientRes.destroy());
+                    // クライアントが先に切断してもキャッシュへの書き込みは続ける
+                    clientRes.on('close', () => response.stream.destroy());
+                    transform?.on('error', () => clientRes.destroy());
+                    if (clientReq.method === 'HEAD') {
+                        response.stream.resume();
+                        clientRes.end();
+                    } else {
+                        // 受信中のボディを送り終えてから接続を閉じる
+                        const sent = new Promise(resolve => {
+                            clientRes.once('finish', resolve);
+                            clientRes.once('close', resolve);
+                        });
+                        (transform ? response.stream.pipe(transform) : response.stream).pipe(clientRes);
+                        await sent;
+                    }
+                    logger.debug(`直接リクエスト応答: ${normalizedUrl}`);
+                } else {
+                    // 全体を取得済みなのでRangeリクエストには要求範囲だけを返す
+                    const rangeResponse = cacheManager.getResponseHead(
+                        clientReq.method, clientReq.headers, response.statusCode, response.headers, response.size
+                    );
+                    clientRes.writeHead(rangeResponse.statusCode, { ...rangeResponse.headers, ...proxyHeaders });
+                    if (clientReq.method === 'HEAD') {
+                        clientRes.end();
+                    } else {
+                        await pipeCacheBody(response, rangeResponse, clientRes);
+                    }
+                    logger.debug(`${response.fromCache ? 'キャッシュ' : '直接リクエスト'}応答: ${normalizedUrl} (${response.size}バイト)`);
                 }
+                
+                // レスポンス送信後に接続を明示的に閉じる
+                closeClientSocket(clientReq);
+                
+                return;
             } catch (err) {
-                logger.error('HTTPSレスポンス処理エラー:', err);
+                logger.error('直接HTTPSリクエスト処理エラー:', err);
+                // エラーが発生した場合は通常のプロキシ処理にフォールバック
+                logger.debug('通常のプロキシ処理にフォールバック');
             }
-        } else {
-            logger.debug(`HTTPSレスポンスはキャッシュされません: ステータス=${statusCode}, ヘッダー解析=${headersParsed}`);
         }
-        
-        // 元のエンドリスナーを呼び出す
-        for (const listener of endListeners) {
+
+        // キャッシュをチェック（GET/HEADのみ、HEADにはGETのキャッシュから応答する）
+        let staleCache = null;
+        if (isWhitelisted && cacheManager.isCacheableMethod(clientReq.method)) {
             try {
-                listener.call(targetSocket);
-            } catch (err) {
-                logger.error('元のendリスナー呼び出しエラー:', err);
-            }
-        }
-    });
-}
-
-// HTTPSリクエストのキャッシュ処理 - クエリパラメータ対応
-const handleHttpsCache = async (clientSocket, targetSocket, requestInfo) => {
-    const { host, path, method } = requestInfo;
-    
-    if (method !== 'GET') {
-        logger.debug(`キャッシュ対象外メソッド: ${method}`);
-        return false;
-    }
-    
-    if (!isHostWhitelisted(host)) {
-        logger.debug(`キャッシュ対象外ホスト: ${host}`);
-        return false;
-    }
-    
-    try {
-        // キャッシュキーを生成 - pathにはクエリパラメータも含まれる
-        const normalizedUrl = `https://${host}${path}`;
-        logger.debug(`HTTPSキャッシュをチェック: ${normalizedUrl}`);
-        
-        // キャッシュファイル名を取得
-        const cacheFile = getCacheFileName(normalizedUrl, { host });
-        
-        try {
-            // キャッシュファイルの存在をチェック
-            const cacheExists = await fileExists(cacheFile);
-            
-            if (cacheExists) {
-                logger.debug(`HTTPSキャッシュが存在します: ${cacheFile}`);
-                
-                const cache = await loadCache(cacheFile);
-                if (cache && cache.data) {
-                    logger.info(`HTTPSキャッシュヒット: ${normalizedUrl}`);
-                    statsCollector.incrementHttpsStat('cacheHits');
+                // Varyのあるエントリはリクエストヘッダーに一致するバリアントを選ぶ
+                const cache = await cacheManager.lookupCache(cacheFile, clientReq.headers);
+                if (cache && cacheManager.isFresh(cache, whitelistRule)) {
+                    logger.info('キャッシュヒット:', normalizedUrl);
+                    statsCollector.incrementHttpStat('cacheHits'); // キャッシュヒットをカウント
+                    if (isHttps) {
+                        statsCollector.incrementHttpsStat('cacheHits');
+                    }
                     
-                    try {
-                        // キャッシュからレスポンスを構築
-                        const responseData = Buffer.from(cache.data, 'base64');
-                        const response = Buffer.concat([
-                            Buffer.from(`HTTP/1.1 ${cache.statusCode} OK\r\n`),
-                            Buffer.from(`Content-Type: ${cache.headers['content-type'] || 'text/html'}\r\n`),
-                            Buffer.from(`Content-Length: ${responseData.length}\r\n`),
-                            Buffer.from('X-Cache: HIT\r\n'),
-                            Buffer.from('Connection: close\r\n\r\n'),
-                            responseData
-                        ]);
-                        
-                        // レスポンスをクライアントに送信
-                        clientSocket.write(response);
-                        
-                        logger.debug(`キャッシュからのレスポンス送信完了: ${normalizedUrl}`);
-                        
-                        // レスポンス送信後に接続を終了 (少し遅延させる)
-                        setTimeout(() => {
-                            try {
-                                if (!clientSocket.destroyed) {
-                                    clientSocket.end();
-                                }
-                            } catch (endErr) {
-                                logger.error('ソケット終了エラー:', endErr);
-                            }
-                        }, 100);
-                        
-                        return true;
-                    } catch (writeErr) {
-                        logger.error('キャッシュレスポンス送信エラー:', writeErr);
+                    // Range / If-Range にはキャッシュ済みボディから206で応答する
+                    await respondFromCache(clientReq, clientRes, cache, 'HIT', {
+                        'Content-Type': cache.headers['content-type'] || 'text/html'
+                    });
+                    
+                    return;
+                }
+                // 猶予期間内なら期限切れキャッシュで即座に応答し、裏で更新する
+                if (cache && cacheManager.canServeStaleWhileRevalidate(cache, whitelistRule)) {
+                    logger.info('期限切れキャッシュで応答（バックグラウンド更新）:', normalizedUrl);
+                    statsCollector.incrementHttpStat('cacheHits');
+                    if (isHttps) {
+                        statsCollector.incrementHttpsStat('cacheHits');
                     }
-                } else {
-                    logger.debug(`HTTPSキャッシュ内容が無効: ${normalizedUrl}`);
+                    await respondFromCache(clientReq, clientRes, cache, 'STALE');
+                    revalidateInBackground(normalizedUrl, cacheFile, cache);
+                    return;
+                }
+                
+                // 同じURLの取得が実行中なら完了を待ち、保存された結果で応答する
+                const coalescedCache = await waitForInflightFetch(cacheFile, clientReq.headers, whitelistRule);
+                if (coalescedCache) {
+                    logger.info('実行中の取得の結果で応答:', normalizedUrl);
+                    statsCollector.incrementHttpStat('cacheHits');
+                    statsCollector.incrementHttpStat('coalesced');
+                    if (isHttps) {
+                        statsCollector.incrementHttpsStat('cacheHits');
+                        statsCollector.incrementHttpsStat('coalesced');
+                    }
+                    await respondFromCache(clientReq, clientRes, coalescedCache, 'HIT');
+                    return;
+                }
+                
+                // 期限切れのキャッシュはキャッシュミスとして扱い、再検証に使う
+                if (cache) {
+                    staleCache = cache;
+                }
+                statsCollector.incrementHttpStat('cacheMisses');
+                if (isHttps) {
+                    statsCollector.incrementHttpsStat('cacheMisses');
+                }
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    logger.error('キャッシュアクセスエラー:', err);
                     
-                    // 無効なキャッシュファイルを削除
+                    // キャッシュファイルが存在するがアクセスに問題がある場合は削除を試行
                     try {
-                        logger.warn(`無効なキャッシュファイルを削除: ${cacheFile}`);
+                        logger.warn(`問題のあるキャッシュファイルを削除: ${cacheFile}`);
                         await fs.promises.unlink(cacheFile);
                     } catch (unlinkErr) {
                         logger.error('キャッシュファイル削除エラー:', unlinkErr);
                     }
                 }
-            } else {
-                logger.debug(`HTTPSキャッシュミス: ${normalizedUrl}`);
-                statsCollector.incrementHttpsStat('cacheMisses');
-            }
-        } catch (err) {
-            logger.error('HTTPSキャッシュチェックエラー:', err);
-            
-            // エラーが発生した場合もキャッシュファイルの削除を試行
-            try {
-                await fs.promises.unlink(cacheFile);
-                logger.warn(`エラーが発生したキャッシュファイルを削除: ${cacheFile}`);
-            } catch (unlinkErr) {
-                // 削除に失敗した場合は無視（ファイルが存在しない可能性もある）
+                statsCollector.incrementHttpStat('cacheMisses'); // キャッシュミスをカウント
+                if (isHttps) {
+                    statsCollector.incrementHttpsStat('cacheMisses');
+                }
             }
         }
+
+        logger.info('プロキシ転送:', targetHost);
         
-        // キャッシュにヒットしなかった場合、レスポンスキャプチャを設定
-        logger.debug(`HTTPSキャッシュミス - レスポンスキャプチャを設定: ${normalizedUrl}`);
-        setupHttpsResponseCapture(targetSocket, clientSocket, normalizedUrl);
+        // HTTPSリクエストかどうか判定
+        const isHttpsRequest = clientReq.url.startsWith('https://');
+        
+        // リクエストオプション構築
+        const options = {
+            hostname: targetHost,
+            port: isHttpsRequest ? 443 : 80,
+            path: clientReq.url,
+            method: clientReq.method,
+            headers: {
+                ...clientReq.headers,
+                host: targetHost
+            }
+        };
         
+        // URLがhttpから始まる場合は適切に処理
+        if (clientReq.url.startsWith('http://') || clientReq.url.startsWith('https://')) {
+            const parsedUrl = new URL(clientReq.url);
+            options.hostname = parsedUrl.hostname;
+            options.port = parsedUrl.port || (isHttpsRequest ? 443 : 80);
+            options.path = parsedUrl.pathname + parsedUrl.search; // クエリパラメータを含める
+        }
+
+        logger.debug(`リクエスト: ${options.method} ${options.hostname}:${options.port}${options.path}`);
+
+        await handleProxyRequest(clientReq, clientRes, options, isWhitelisted, cacheFile, normalizedUrl, targetHost, staleCache, whitelistRule);
     } catch (err) {
-        logger.error('HTTPSキャッシュ処理エラー:', err);
+        logger.error('リクエスト処理エラー:', err);
+        clientRes.writeHead(500, { 'Content-Type': 'text/plain' });
+        clientRes.end('内部エラーが発生しました');
     }
-    
-    return false;
-};
+});
 
-// 最もシンプルな実装のTLSトンネルを使用
-function simpleProxyTunnel(clientSocket, targetSocket, head) {
-    logger.log('シンプルな直接トンネルモードを使用しますが、HTTPSデータを解析してキャッシュします');
+// CONNECTリクエストのハンドリング（TLS終端とキャッシュを改善）
+server.on('connect', (req, clientSocket, head) => {
+    logger.info('CONNECT要求を受信:', req.url);
     
-    // HTTPSリクエストのカウントを増やす
-    statsCollector.incrementHttpsStat('connections');
+    // HTTPSリクエストをカウント
+    statsCollector.incrementHttpsStat('requests');
+
+    const [targetHost, targetPort] = req.url.split(':');
+    const targetPortNum = parseInt(targetPort, 10) || 443;
     
-    // 効率的なデータ転送のための設定
-    clientSocket.setTimeout(0);
-    targetSocket.setTimeout(0);
-    clientSocket.setNoDelay(true);
-    targetSocket.setNoDelay(true);
+    // ホワイトリストチェックログを追加
+    const isTargetWhitelisted = isHostWhitelisted(targetHost);
+    logger.info(`CONNECT ホワイトリストチェック: ${targetHost} - ${isTargetWhitelisted ? 'キャッシュ対象' : 'キャッシュ対象外'}`);
     
-    let clientClosed = false;
-    let targetClosed = false;
-    let headSent = false;
-    let isHttpsRequestProcessed = false;
+    // キャッシュ対象の場合、トップページを事前キャッシュ（非同期で実行、オフラインモードではオリジンに接続しない）
+    if (isTargetWhitelisted && USE_PREFETCH && !offlineMode.enabled) {
+        prefetchDomainContent(targetHost)
+            .then(result => {
+                if (result) {
+                    logger.info(`[事前キャッシュ] ${targetHost} の取得に成功しました`);
+                }
+            })
+            .catch(err => {
+                logger.error(`[事前キャッシュ] ${targetHost} の取得に失敗しました:`, err);
+            });
+    }
     
-    // HTTPリクエスト解析のための変数
-    let requestBuffer = Buffer.alloc(0);
-    let requestInfo = {
-        host: null,
-        path: null,
-        method: null
-    };
+    // オフラインモードではキャッシュのないホワイトリスト対象外のホストへのトンネルを作らない
+    if (!isTargetWhitelisted && offlineMode.enabled) {
+        logger.info(`オフラインモードのため透過トンネルを作成しません: ${targetHost}`);
+        clientSocket.end(buildRawResponseHead(504, { 'Content-Length': 0, ...offlineMode.getMissHeaders('offline') }));
+        return;
+    }
     
-    // クリーンアップ関数
-    function cleanup() {
-        if (clientClosed && targetClosed) return; // 既にクリーンアップ済み
-        
-        try {
-            if (!clientClosed && clientSocket && !clientSocket.destroyed) {
-                clientClosed = true;
-                clientSocket.end();
-            }
-        } catch (e) {
-            logger.error('クライアントソケット終了エラー:', e.message || e);
+    try {
+        if (isTargetWhitelisted) {
+            logger.info(`ホワイトリスト対象のためTLS終端処理: ${targetHost}`);
+            handleHTTPSProxy(clientSocket, targetHost, targetPortNum, head);
+        } else {
+            logger.info(`ホワイトリスト対象外のため透過トンネル: ${targetHost}`);
+            createTransparentTunnel(clientSocket, targetHost, targetPortNum, head);
         }
-        
-        try {
-            if (!targetClosed && targetSocket && !targetSocket.destroyed) {
-                targetClosed = true;
-                targetSocket.end();
-            }
-        } catch (e) {
-            logger.error('ターゲットソケット終了エラー:', e.message || e);
+    } catch (err) {
+        logger.error('CONNECT処理エラー:', err);
+        if (!clientSocket.destroyed) {
+            clientSocket.write('HTTP/1.1 500 Connection Error\r\n\r\n');
+            clientSocket.end();
         }
     }
+});
+
+// HTTPリクエスト用の直接レスポンス処理
+function handleDirectHttpsRequest(req, res) {
+    // PURGEは通常の処理でキャッシュを削除する
+    if (!req.url.startsWith('https://') || req.method === 'PURGE') {
+        return false;
+    }
     
-    // エラーハンドラ
-    function handleError(side) {
-        return (err) => {
-            if (err.code === 'ECONNRESET') {
-                logger.log(`${side}の接続がリセットされましたが、通常の終了として処理します`);
-            } else {
-                logger.error(`${side}エラー:`, err.message || err);
-            }
-            cleanup();
-        };
+    // オフラインモード・only-if-cachedのリクエストはcreateServerのハンドラがキャッシュだけで応答する
+    if (offlineMode.getCacheOnlyReason(req.headers)) {
+        return true;
     }
     
-    // データ転送イベントリスナーの設定
-    clientSocket.on('data', (chunk) => {
-        try {
-            // HTTPSリクエストの解析試行（初回のみ）
-            if (!isHttpsRequestProcessed && chunk.length > 0) {
-                // データをバッファに追加
-                requestBuffer = Buffer.concat([requestBuffer, chunk]);
-                
-                // リクエストテキストに変換
-                const requestText = requestBuffer.toString('utf8', 0, Math.min(requestBuffer.length, 4096));
-                
-                // ログを詳細化
-                if (DEBUG_HTTP_PARSING) {
-                    logger.log(`HTTPSリクエスト解析中: バイト数=${chunk.length}`);
-                    
-                    // テキストとしてパースできるか試みる
-                    try {
-                        const firstLine = requestText.split('\r\n')[0];
-                        if (firstLine && firstLine.length > 0) {
-                            logger.log(`HTTPSリクエスト最初の行: ${firstLine.substring(0, 80)}${firstLine.length > 80 ? '...' : ''}`);
-                        }
-                    } catch (e) {
-                        logger.log('HTTPSリクエスト解析: テキスト解析失敗 (バイナリデータの可能性あり)');
-                    }
-                }
-                
-                // HTTP/1.1リクエスト形式かどうかチェック
-                if (requestText.includes('\r\n\r\n') || requestText.includes('\r\n')) {
-                    // リクエスト行を解析
-                    const requestLines = requestText.split('\r\n');
-                    const firstLine = requestLines[0];
+    logger.log(`直接HTTPSリクエスト処理: ${req.url}`);
+    
+    try {
+        const url = new URL(req.url);
+        const host = url.hostname;
+        
+        // ホワイトリストチェック（マッチしたルールのキャッシュポリシーを適用する）
+        const whitelistRule = isHostWhitelisted(host);
+        if (!whitelistRule) {
+            logger.info(`ホワイトリスト対象外: ${host} - 通常処理にフォールバック`);
+            return false;
+        }
+        
+        logger.info(`ホワイトリスト対象: ${host} - 直接処理`);
+        
+        // キャッシュファイル名
+        const cacheFile = getCacheFileName(req.url);
+        
+        // GET/HEAD以外はキャッシュを参照せずに転送する
+        if (!cacheManager.isCacheableMethod(req.method)) {
+            sendDirectRequest(req, res, req.url, cacheFile, null, whitelistRule);
+            return true;
+        }
+        
+        // キャッシュをチェック（非同期、Varyのあるエントリは一致するバリアントを選ぶ）
+        cacheManager.lookupCache(cacheFile, req.headers)
+            .then(async cache => {
+                if (cache && cacheManager.isFresh(cache, whitelistRule)) {
+                    logger.info(`キャッシュヒット: ${req.url}`);
+                    statsCollector.incrementHttpStat('cacheHits');
                     
-                    logger.log(`HTTPSリクエスト解析: ${firstLine}`);
+                    // Range / If-Range にはキャッシュ済みボディから206で応答する
+                    const response = cacheManager.getResponseHead(req.method, req.headers, cache.statusCode, cache.headers, cache.size);
+                    const headers = {
+                        ...response.headers,
+                        'X-Cache': 'HIT',
+                        'age': String(cacheManager.getFreshness(cache).age)
+                    };
                     
-                    // HTTP GETリクエストの形式に合致するか確認
-                    const match = firstLine.match(/^(GET|POST|PUT|DELETE|HEAD|OPTIONS) (.*) HTTP\/\d\.\d$/);
-                    if (match) {
-                        requestInfo.method = match[1];
-                        requestInfo.path = match[2];
-                        
-                        // Hostヘッダーを探す
-                        for (let i = 1; i < requestLines.length; i++) {
-                            if (requestLines[i].toLowerCase().startsWith('host:')) {
-                                requestInfo.host = requestLines[i].substring(5).trim();
-                                break;
-                            }
-                        }
-                        
-                        // 解析結果をログ出力
-                        if (requestInfo.host) {
-                            logger.log('HTTPS解析データ:', {
-                                method: requestInfo.method,
-                                host: requestInfo.host,
-                                path: requestInfo.path
-                            });
-                            
-                            // ホワイトリストに含まれるかチェック
-                            if (isHostWhitelisted(requestInfo.host)) {
-                                logger.log('HTTPSホワイトリスト一致:', requestInfo.host);
-                                
-                                // リクエスト処理済みフラグを設定
-                                isHttpsRequestProcessed = true;
-                                
-                                // キャッシュチェック処理を非同期で実行
-                                handleHttpsCache(clientSocket, targetSocket, requestInfo)
-                                    .then(cached => {
-                                        if (cached) {
-                                            logger.log('HTTPSキャッシュからデータ提供完了:', requestInfo.host + requestInfo.path);
-                                        } else {
-                                            logger.log('HTTPSキャッシュなし - 通常リクエストを実行:', requestInfo.host + requestInfo.path);
-                                        }
-                                    })
-                                    .catch(err => {
-                                        logger.error('HTTPSキャッシュエラー:', err);
-                                    });
-                            } else {
-                                logger.log('HTTPSホワイトリスト対象外:', requestInfo.host);
-                                isHttpsRequestProcessed = true;
-                            }
-                        } else {
-                            logger.log('Hostヘッダーが見つかりません');
-                        }
+                    res.writeHead(response.statusCode, headers);
+                    if (req.method === 'HEAD') {
+                        res.end();
                     } else {
-                        // HTTPリクエスト形式でない場合もリクエスト処理済みとマーク
-                        isHttpsRequestProcessed = true;
-                        logger.log('HTTP形式のリクエストではありません');
+                        await pipeCacheBody(cache, response, res);
                     }
-                }
-            }
-            
-            // ターゲットソケットが書き込み可能であれば転送
-            if (targetSocket && targetSocket.writable) {
-                const flushed = targetSocket.write(chunk);
-                
-                // バックプレッシャー処理
-                if (!flushed) {
-                    clientSocket.pause();
-                    targetSocket.once('drain', () => {
-                        if (clientSocket.readable) {
-                            clientSocket.resume();
-                        }
-                    });
-                }
-            } else {
-                logger.log('ターゲットソケットに書き込めません：', targetSocket ? 'writable=false' : 'socket=null');
-            }
-        } catch (parseError) {
-            logger.error('HTTPSリクエスト解析エラー:', parseError);
-        }
-    });
-    
-    targetSocket.on('data', (chunk) => {
-        // クライアントソケットが書き込み可能か確認
-        if (clientSocket.writable) {
-            // データ書き込み
-            const flushed = clientSocket.write(chunk);
-            
-            // バックプレッシャーの管理
-            if (!flushed) {
-                targetSocket.pause();
-                clientSocket.once('drain', () => {
-                    // ソケットがまだ有効であれば再開
-                    if (targetSocket.readable) {
-                        targetSocket.resume();
+                } else if (cache && cacheManager.canServeStaleWhileRevalidate(cache, whitelistRule)) {
+                    // 猶予期間内なら期限切れキャッシュで即座に応答し、裏で更新する
+                    logger.info(`期限切れキャッシュで応答（バックグラウンド更新）: ${req.url}`);
+                    statsCollector.incrementHttpStat('cacheHits');
+                    await respondFromCache(req, res, cache, 'STALE');
+                    revalidateInBackground(req.url, cacheFile, cache);
+                } else {
+                    // 同じURLの取得が実行中なら完了を待ち、保存された結果で応答する
+                    const coalescedCache = await waitForInflightFetch(cacheFile, req.headers, whitelistRule);
+                    if (coalescedCache) {
+                        logger.info(`実行中の取得の結果で応答: ${req.url}`);
+                        statsCollector.incrementHttpStat('cacheHits');
+                        statsCollector.incrementHttpStat('coalesced');
+                        await respondFromCache(req, res, coalescedCache, 'HIT');
+                        return;
                     }
-                });
-            }
-        }
-    });
+                    // キャッシュがない場合は直接リクエスト（期限切れのキャッシュは再検証に使う）
+                    sendDirectRequest(req, res, req.url, cacheFile, cache, whitelistRule);
+                }
+            })
+            .catch(err => {
+                logger.error('キャッシュ読み込みエラー:', err);
+                sendDirectRequest(req, res, req.url, cacheFile, null, whitelistRule);
+            });
+        
+        return true;
+    } catch (err) {
+        logger.error('直接HTTPSリクエスト処理エラー:', err);
+        return false;
+    }
+}
+
+// 直接HTTPSリクエストの送信
+function sendDirectRequest(clientReq, clientRes, url, cacheFile, staleCache = null, whitelistRule = null) {
+    logger.info(`キャッシュミス - 直接リクエスト: ${url}`);
+    statsCollector.incrementHttpStat('cacheMisses');
     
-    // 接続終了イベントの処理
-    clientSocket.on('end', () => {
-        logger.info('クライアント接続が終了しました');
-        clientClosed = true;
-        if (!targetClosed && targetSocket.writable) {
-            targetSocket.end();
-        }
-    });
+    // 期限切れのキャッシュがあれば条件付きリクエストで再検証する
+    const conditionalHeaders = staleCache && clientReq.method === 'GET' && !hasClientConditional(clientReq.headers)
+        ? cacheManager.getConditionalHeaders(staleCache)
+        : null;
     
-    targetSocket.on('end', () => {
-        logger.info('ターゲット接続が終了しました');
-        targetClosed = true;
-        if (!clientClosed && clientSocket.writable) {
-            clientSocket.end();
-        }
-    });
+    const options = {
+        headers: { ...clientReq.headers, ...conditionalHeaders },
+        method: clientReq.method
+    };
     
-    // エラーイベントの処理
-    clientSocket.on('error', handleError('クライアント'));
-    targetSocket.on('error', handleError('ターゲット'));
+    // Rangeリクエストは全体を取得し、要求範囲は受信しながら切り出して返す
+    const rangeRequested = clientReq.method === 'GET' && stripRangeHeaders(options.headers);
     
-    // クローズイベントの処理
-    clientSocket.on('close', () => {
-        logger.info('クライアント接続がクローズされました');
-        clientClosed = true;
-        cleanup();
-    });
+    // キャッシュ対象のリクエストは圧縮された表現を取得し、クライアントのAccept-Encodingに合わせて変換して返す
+    const negotiateEncoding = cacheManager.isCacheableMethod(clientReq.method);
+    if (negotiateEncoding) {
+        cacheManager.setOriginAcceptEncoding(options.headers);
+    }
     
-    targetSocket.on('close', () => {
-        logger.info('ターゲット接続がクローズされました');
-        targetClosed = true;
-        cleanup();
-    });
+    // 取得中は同じURLへの後続のリクエストを待たせる
+    const finishFetch = beginFetch(cacheFile, clientReq.method);
     
-    // ヘッダデータがあれば転送
-    if (head && head.length > 0 && !headSent) {
-        headSent = true;
-        targetSocket.write(head);
-    }
-}
-
-// HTTPSトンネルの設定
-const setupHttpsTunnel = (clientSocket, targetSocket, head) => {
-    // 直接トンネルモードの場合は、シンプルな実装を使用
-    if (DIRECT_TUNNEL_MODE) {
-        return simpleProxyTunnel(clientSocket, targetSocket, head);
-    }
+    // オリジンのエラー時は期限切れキャッシュで応答する（stale-if-error）
+    const serveStaleOnError = async (reason) => {
+        if (!staleCache || clientRes.headersSent || !cacheManager.canServeStaleIfError(staleCache, whitelistRule)) {
+            return false;
+        }
+        logger.warn(`オリジンエラーのため期限切れキャッシュで応答: ${url} (${reason})`);
+        await respondFromCache(clientReq, clientRes, staleCache, 'STALE');
+        return true;
+    };
     
-    // ... existing code for TLS interception mode ...
-};
-
-// 直接HTTPSリクエストを実行してキャッシュする関数
-async function directHttpsRequest(url) {
-    return new Promise((resolve, reject) => {
-        logger.debug(`直接HTTPSリクエスト: ${url}`);
+    const proxyReq = https.request(url, options, async (proxyRes) => {
+        // 再検証で304が返った場合はキャッシュのボディで応答する
+        if (conditionalHeaders && proxyRes.statusCode === 304) {
+            proxyRes.resume();
+            const cache = await cacheManager.refreshCache(cacheFile, staleCache, proxyRes.headers) || staleCache;
+            finishFetch();
+            logger.info(`キャッシュ再検証成功: ${url}`);
+            
+            await respondFromCache(clientReq, clientRes, cache, 'REVALIDATED');
+            return;
+        }
         
-        // キャッシュキーを生成（クエリパラメータを含む）
-        const cacheFile = getCacheFileName(url);
+        // オリジンが5xxを返した場合も期限切れキャッシュで応答する
+        if (proxyRes.statusCode >= 500 && await serveStaleOnError(`ステータス ${proxyRes.statusCode}`)) {
+            finishFetch(true);
+            proxyRes.resume();
+            return;
+        }
         
-        // キャッシュが存在するか確認
-        fs.access(cacheFile, async (err) => {
-            if (!err) {
-                // キャッシュが存在する場合
-                try {
-                    const cache = await loadCache(cacheFile);
-                    if (cache && cache.data) {
-                        logger.info(`キャッシュヒット: ${url}`);
-                        statsCollector.incrementHttpsStat('cacheHits');
-                        return resolve({
-                            fromCache: true,
-                            data: Buffer.from(cache.data, 'base64'),
-                            headers: cache.headers,
-                            statusCode: cache.statusCode
-                        });
-                    }
-                    
-                    // キャッシュデータがない場合はキャッシュファイルを削除
-                    logger.warn(`不完全なキャッシュファイルを削除: ${cacheFile}`);
-                    await fs.promises.unlink(cacheFile).catch(e => logger.error('キャッシュ削除エラー:', e));
-                    
-                } catch (cacheErr) {
-                    logger.error('キャッシュ読み込みエラー:', cacheErr);
-                    
-                    // キャッシュエラーの場合はファイルを削除
-                    try {
-                        logger.warn(`エラーが発生したキャッシュファイルを削除: ${cacheFile}`);
-                        await fs.promises.unlink(cacheFile);
-                    } catch (unlinkErr) {
-                        logger.error('キャッシュファイル削除エラー:', unlinkErr);
-                    }
-                }
-            }
+        const headers = { 
+            ...proxyRes.headers, 
+            'X-Cache': 'MISS',
+            'Connection': 'close'  // 明示的に接続を閉じるヘッダーを追加
+        };
+        
+        // 資格情報を含むリクエストへのレスポンスやSet-Cookieは利用者間で共有しない
+        const storable = cacheManager.isStorable(proxyRes.statusCode, proxyRes.headers, clientReq.method, whitelistRule)
+            && cacheManager.isStorableForRequest(clientReq.headers, proxyRes.headers);
+        
+        // 保存しない全体レスポンスを受信する必要はないので、Rangeを付けたままオリジンへ送り直す
+        if (rangeRequested && proxyRes.statusCode === 200 && !storable) {
+            proxyRes.destroy();
+            finishFetch();
+            logger.debug(`キャッシュ非対象のためRangeを付けて送り直し: ${url}`);
+            await forwardRangeRequest(clientReq, clientRes, callback => https.request(url, { method: 'GET', headers: clientReq.headers }, callback));
+            return;
+        }
+        
+        const cacheWriter = storable ? cacheManager.createCacheWriter(cacheFile) : null;
+        const encoding = negotiateEncoding
+            ? cacheManager.getStreamingResponseHead(clientReq.method, clientReq.headers, proxyRes.statusCode, headers)
+            : { statusCode: proxyRes.statusCode, headers, createTransform: null };
+        clientRes.writeHead(encoding.statusCode, encoding.headers);
+        
+        // ボディはメモリに溜めずにクライアントとキャッシュの一時ファイルへ流す
+        const delivered = teeResponseBody(proxyRes, clientRes, cacheWriter, createBodyTransform(clientReq.method, encoding));
+        
+        proxyRes.on('end', async () => {
+            // 変換中のボディを送り終えてからレスポンスを終了
+            await delivered;
+            clientRes.end();
             
-            // キャッシュがない場合またはエラーが発生した場合は直接リクエスト
-            statsCollector.incrementHttpsStat('cacheMisses');
-            logger.debug(`キャッシュミス - 直接リクエスト: ${url}`);
+            // レスポンス送信完了後に接続を閉じる
+            closeClientSocket(clientReq);
             
-            // HTTPSリクエストのオプション設定
-            const options = {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 ProxyAgent/1.0',
-                    'Accept': '*/*',
-                    'Accept-Encoding': 'identity'
-                },
-                timeout: 30000,
-                method: 'GET',
-                rejectUnauthorized: false  // 自己署名証明書も許可
-            };
+            // 安全でないメソッドが成功した場合は対象URLのキャッシュを無効化
+            await cacheManager.invalidateForUnsafeRequest(clientReq.method, url, proxyRes.statusCode, proxyRes.headers, whitelistRule);
             
-            try {
-                const req = https.request(url, options, (res) => {
-                    const chunks = [];
-                    
-                    res.on('data', (chunk) => {
-                        chunks.push(chunk);
-                    });
+            // HEADの応答で期限切れキャッシュのメタデータを更新
+            if (staleCache && clientReq.method === 'HEAD') {
+                await cacheManager.freshenWithHeadResponse(cacheFile, staleCache, proxyRes.statusCode, proxyRes.headers);
+            }
+            
+            // キャッシュ可能なレスポンスのみ保存
+            if (storable) {
+                try {
+                    const cacheHeader = {
+                        url: url,
+                        statusCode: proxyRes.statusCode,
+                        headers: proxyRes.headers,
+                    };
                     
-                    res.on('end', async () => {
-                        try {
-                            const responseData = Buffer.concat(chunks);
-                            logger.debug(`直接HTTPSリクエスト完了: ${url}, ステータス=${res.statusCode}, サイズ=${responseData.length}バイト`);
-                            
-                            // 成功レスポンスの場合だけキャッシュに保存
-                            if (res.statusCode === 200) {
-                                // キャッシュデータを作成
-                                const cacheHeader = {
-                                    url: url,
-                                    statusCode: res.statusCode,
-                                    headers: res.headers,
-                                };
-                                
-                                // 非同期でキャッシュを保存
-                                try {
-                                    await saveCache(cacheFile, cacheHeader, responseData);
-                                    statsCollector.incrementHttpsStat('cacheSaves');
-                                    logger.debug(`HTTPSレスポンスをキャッシュしました: ${url}`);
-                                } catch (err) {
-                                    logger.error('キャッシュ保存エラー:', err);
-                                }
-                            }
-                            
-                            resolve({
-                                fromCache: false,
-                                data: responseData,
-                                headers: res.headers,
-                                statusCode: res.statusCode
-                            });
-                        } catch (processErr) {
-                            logger.error('レスポンス処理エラー:', processErr);
-                            reject(processErr);
-                        }
-                    });
-                });
-                
-                req.on('error', (err) => {
-                    logger.error('直接HTTPSリクエストエラー:', err);
-                    reject(err);
-                });
-                
-                req.on('timeout', () => {
-                    logger.error('直接HTTPSリクエストタイムアウト:', url);
-                    req.destroy();
-                    reject(new Error("リクエストがタイムアウトしました"));
-                });
-                
-                req.end();
-            } catch (reqError) {
-                logger.error('HTTPSリクエスト作成エラー:', reqError);
-                reject(reqError);
+                    if (await commitCacheWriter(cacheWriter, cacheHeader, clientReq.headers, whitelistRule)) {
+                        statsCollector.incrementHttpsStat('cacheSaves');
+                        logger.info(`HTTPSレスポンスをキャッシュしました: ${url}, サイズ=${cacheWriter.size}バイト`);
+                    }
+                } catch (err) {
+                    logger.error('キャッシュ保存エラー:', err);
+                }
             }
+            finishFetch();
+            await cacheWriter?.discard();
+        });
+        
+        proxyRes.on('error', (err) => {
+            logger.error(`HTTPSプロキシレスポンスエラー: ${err.message}`);
+            cacheWriter?.discard();
+            finishFetch(true);
         });
     });
-}
-
-// シンプルなHTTPSプロキシリクエストハンドラ（プロキシとして受け取ったHTTPSリクエストをキャッシュ対象に）
-async function handleSimplifiedHttpsRequest(req, res, targetHost) {
-    // URLを構築（クエリパラメータを含む）
-    const parsedUrl = new URL(req.url);
-    const path = parsedUrl.pathname + parsedUrl.search; // クエリを含める
-    const httpsUrl = `https://${targetHost}${path}`;
     
-    logger.debug(`HTTPSリクエスト処理: ${httpsUrl}`);
-
-    try {
-        // 直接HTTPSリクエスト実行（キャッシュ確認含む）
-        const response = await directHttpsRequest(httpsUrl);
-        
-        // ヘッダー設定（Connection: closeを追加）
-        const headers = {
-            ...response.headers,
-            'X-Cache': response.fromCache ? 'HIT' : 'MISS',
-            'X-Proxy': 'Node-Proxy/1.0',
-            'Connection': 'close'
-        };
-        
-        // レスポンス送信
-        res.writeHead(response.statusCode, headers);
-        res.end(response.data);
-        
-        logger.debug(`レスポンス送信完了: ${httpsUrl}`);
-        
-        // 接続を明示的に終了
-        if (req.socket && !req.socket.destroyed) {
-            try {
-                req.socket.end();
-            } catch (err) {
-                logger.error('ソケット終了エラー:', err);
-            }
+    proxyReq.on('error', async (err) => {
+        logger.error('HTTPSプロキシエラー:', err);
+        finishFetch(true);
+        if (await serveStaleOnError(err.message)) {
+            return;
         }
-        
-        return true;
-    } catch (err) {
-        logger.error(`HTTPSリクエストエラー: ${err.message}`);
-        if (!res.headersSent) {
-            res.writeHead(502, { 
+        if (!clientRes.headersSent) {
+            clientRes.writeHead(502, { 
                 'Content-Type': 'text/plain',
-                'Connection': 'close' 
+                'Connection': 'close'
             });
-            res.end(`Proxy Error: ${err.message}`);
+            clientRes.end(`Proxy Error: ${err.message}`);
         }
         
-        // エラー時も接続を終了
-        if (req.socket && !req.socket.destroyed) {
-            try {
-                req.socket.end();
-            } catch (err) {
-                logger.error('ソケット終了エラー:', err);
-            }
+        // エラー時も接続を閉じる
+        if (clientReq.socket && !clientReq.socket.destroyed) {
+            setTimeout(() => {
+                try {
+                    clientReq.socket.end();
+                } catch (endErr) {
+                    logger.error('ソケット終了エラー:', endErr);
+                }
+            }, 100);
         }
-        
-        return false;
+    });
+    
+    // リクエストボディ転送
+    if (clientReq.method === 'POST' || clientReq.method === 'PUT') {
+        clientReq.pipe(proxyReq);
+    } else {
+        proxyReq.end();
     }
 }
 
-// プロキシサーバーの作成 - クエリパラメータへの対応を改善
-const server = http.createServer(async (clientReq, clientRes) => {
-    logger.debug('リクエスト受信:', clientReq.method, clientReq.url);
+// HTTPハンドラ
+server.on('request', (req, res) => {
+    logger.info(`受信したHTTPリクエスト: ${req.method} ${req.url}`);
     
-    // HTTPリクエストをカウント
-    statsCollector.incrementHttpStat('requests');
-
-    const requestedHost = clientReq.headers.host;
-    if (!requestedHost) {
-        logger.debug('ホストヘッダーが欠落しています');
-        clientRes.writeHead(400, { 'Content-Type': 'text/plain' });
-        clientRes.end('Host header is required');
-        return;
+    // HTTPSリクエストの直接処理を試行
+    if (req.url.startsWith('https://')) {
+        if (handleDirectHttpsRequest(req, res)) {
+            return;
+        }
     }
+    
+    // 既存の処理を継続
+    // ...existing code...
+});
 
-    const targetHost = requestedHost.split(':')[0];
+// 引数からポートを取得するよう修正
 
-    try {
-        if (requestedHost.includes('localhost:8000')) {
-            logger.debug('直接アクセスを拒否:', requestedHost);
-            clientRes.writeHead(400, { 'Content-Type': 'text/plain' });
-            clientRes.end('直接のローカルホストへのリクエストは許可されていません');
-            return;
-        }
+// コマンドライン引数からポートを取得
+function getPortFromArgs() {
+  const args = process.argv.slice(2);
+  for (const arg of args) {
+    if (arg.startsWith('--port=')) {
+      const port = parseInt(arg.split('=')[1], 10);
+      if (!isNaN(port) && port > 0 && port < 65536) {
+        return port;
+      }
+    }
+  }
+  // 環境変数からも取得を試みる
+  if (process.env.PORT) {
+    const port = parseInt(process.env.PORT, 10);
+    if (!isNaN(port) && port > 0 && port < 65536) {
+      return port;
+    }
+  }
+  // デフォルト値
+  return 8000;
+}
 
-        // ホワイトリストチェック
-        const isWhitelisted = isHostWhitelisted(targetHost);
-        
-        // URLを完全に正規化 - クエリパラメータを含める
-        const isHttps = clientReq.url.startsWith('https://');
-        let normalizedUrl;
-        
-        // 完全なURLでなければ構築する
-        if (clientReq.url.startsWith('http://') || clientReq.url.startsWith('https://')) {
-            normalizedUrl = clientReq.url;
-        } else {
-            normalizedUrl = `${isHttps ? 'https' : 'http'}://${requestedHost}${clientReq.url}`;
-        }
-        
-        // URLを解析してクエリパラメータも保持
-        const parsedUrl = new URL(normalizedUrl);
-        normalizedUrl = `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}${parsedUrl.search}`;
-        
-        const cacheFile = getCacheFileName(normalizedUrl);
-        
-        logger.debug(`URL: ${normalizedUrl}, ホワイトリスト: ${isWhitelisted ? 'はい' : 'いいえ'}`);
+// サーバー起動時のポート設定
+const PORT = getPortFromArgs();
 
-        // 強制的に直接HTTPSリクエストを使用する場合
-        if (FORCE_DIRECT_HTTPS && isHttps && isWhitelisted) {
-            logger.debug('直接HTTPSリクエストモードを使用: ' + normalizedUrl);
+server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+        logger.error(`ポート ${PORT} は既に使用中です`);
+    } else {
+        logger.error('サーバーエラー:', err);
+    }
+    process.exit(1);
+});
+
+// 強化されたクリーンアップ関数
+const cleanup = () => {
+    logger.log('シャットダウンを開始します...');
+    
+    // シャットダウン開始時間を記録
+    const shutdownStart = Date.now();
+    
+    // キャッシュの定期削除を停止
+    cacheEvictor.stop();
+    
+    // 新しい接続を受け付けない
+    server.close(() => {
+        logger.log('サーバーがすべての新規接続を拒否しています');
+    });
+    
+    // アクティブな接続数をログに記録
+    logger.log(`アクティブな接続数: ${statsCollector.activeConnections.size}`);
+    
+    // すべてのアクティブな接続を終了
+    if (statsCollector.activeConnections.size > 0) {
+        logger.log('すべてのアクティブな接続を終了しています...');
+        statsCollector.activeConnections.forEach(socket => {
             try {
-                // 直接HTTPSリクエストを実行
-                const response = await directHttpsRequest(normalizedUrl);
-                
-                // キャッシュからのレスポンスには独自のヘッダーを追加
-                const headers = { 
-                    ...response.headers,
-                    'X-Cache': response.fromCache ? 'HIT' : 'MISS',
-                    'X-Proxy': 'Node-Proxy/1.0',
-                    'X-Cache-Source': response.fromCache ? 'cache' : 'direct'
-                };
-                
-                clientRes.writeHead(response.statusCode, headers);
-                clientRes.end(response.data);
-                logger.debug(`${response.fromCache ? 'キャッシュ' : '直接リクエスト'}応答: ${normalizedUrl} (${response.data.length}バイト)`);
-                
-                // レスポンス送信後に接続を明示的に閉じる
-                if (clientReq.socket && !clientReq.socket.destroyed) {
+                // コネクション終了シグナルを送信
+                if (!socket.destroyed) {
+                    socket.end();
+                    // 少し待っても終了しない場合は強制終了
                     setTimeout(() => {
-                        try {
-                            clientReq.socket.end();
-                        } catch (err) {
-                            logger.error('ソケット終了エラー:', err);
-                        }
-                    }, 100);
-                }
-                
-                return;
-            } catch (err) {
-                logger.error('直接HTTPSリクエスト処理エラー:', err);
-                // エラーが発生した場合は通常のプロキシ処理にフォールバック
-                logger.debug('通常のプロキシ処理にフォールバック');
-            }
-        }
-
-        // キャッシュをチェック
-        if (isWhitelisted) {
-            try {
-                await fs.promises.access(cacheFile);
-                const cache = await loadCache(cacheFile);
-                if (cache) {
-                    logger.info('キャッシュヒット:', normalizedUrl);
-                    statsCollector.incrementHttpStat('cacheHits'); // キャッシュヒットをカウント
-                    if (isHttps) {
-                        statsCollector.incrementHttpsStat('cacheHits');
-                    }
-                    
-                    const headers = {
-                        ...cache.headers,
-                        'X-Cache': 'HIT',
-                        'Content-Type': cache.headers['content-type'] || 'text/html',
-                        'Connection': 'close'
-                    };
-                    clientRes.writeHead(cache.statusCode, headers);
-                    clientRes.end(Buffer.from(cache.data, 'base64'));
-                    
-                    // レスポンス送信後に接続を明示的に閉じる
-                    if (clientReq.socket && !clientReq.socket.destroyed) {
-                        setTimeout(() => {
-                            try {
-                                clientReq.socket.end();
-                            } catch (err) {
-                                logger.error('ソケット終了エラー:', err);
-                            }
-                        }, 100);
-                    }
-                    
-                    return;
-                }
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    logger.error('キャッシュアクセスエラー:', err);
-                    
-                    // キャッシュファイルが存在するがアクセスに問題がある場合は削除を試行
-                    try {
-                        logger.warn(`問題のあるキャッシュファイルを削除: ${cacheFile}`);
-                        await fs.promises.unlink(cacheFile);
-                    } catch (unlinkErr) {
-                        logger.error('キャッシュファイル削除エラー:', unlinkErr);
-                    }
-                }
-                statsCollector.incrementHttpStat('cacheMisses'); // キャッシュミスをカウント
-                if (isHttps) {
-                    statsCollector.incrementHttpsStat('cacheMisses');
-                }
-            }
-        }
-
-        logger.info('プロキシ転送:', targetHost);
-        
-        // HTTPSリクエストかどうか判定
-        const isHttpsRequest = clientReq.url.startsWith('https://');
-        
-        // リクエストオプション構築
-        const options = {
-            hostname: targetHost,
-            port: isHttpsRequest ? 443 : 80,
-            path: clientReq.url,
-            method: clientReq.method,
-            headers: {
-                ...clientReq.headers,
-                host: targetHost
-            }
-        };
-        
-        // URLがhttpから始まる場合は適切に処理
-        if (clientReq.url.startsWith('http://') || clientReq.url.startsWith('https://')) {
-            const parsedUrl = new URL(clientReq.url);
-            options.hostname = parsedUrl.hostname;
-            options.port = parsedUrl.port || (isHttpsRequest ? 443 : 80);
-            options.path = parsedUrl.pathname + parsedUrl.search; // クエリパラメータを含める
-        }
-
-        logger.debug(`リクエスト: ${options.method} ${options.hostname}:${options.port}${options.path}`);
-
-        await handleProxyRequest(clientReq, clientRes, options, isWhitelisted, cacheFile, normalizedUrl, targetHost);
-    } catch (err) {
-        logger.error('リクエスト処理エラー:', err);
-        clientRes.writeHead(500, { 'Content-Type': 'text/plain' });
-        clientRes.end('内部エラーが発生しました');
-    }
-});
-
-// CONNECTリクエストのハンドリング（TLS終端とキャッシュを改善）
-server.on('connect', (req, clientSocket, head) => {
-    logger.info('CONNECT要求を受信:', req.url);
-    
-    // HTTPSリクエストをカウント
-    statsCollector.incrementHttpsStat('requests');
-
-    const [targetHost, targetPort] = req.url.split(':');
-    const targetPortNum = parseInt(targetPort, 10) || 443;
-    
-    // ホワイトリストチェックログを追加
-    const isTargetWhitelisted = isHostWhitelisted(targetHost);
-    logger.info(`CONNECT ホワイトリストチェック: ${targetHost} - ${isTargetWhitelisted ? 'キャッシュ対象' : 'キャッシュ対象外'}`);
-    
-    // キャッシュ対象の場合、トップページを事前キャッシュ（非同期で実行）
-    if (isTargetWhitelisted && USE_PREFETCH) {
-        prefetchDomainContent(targetHost)
-            .then(result => {
-                if (result) {
-                    logger.info(`[事前キャッシュ] ${targetHost} の取得に成功しました`);
-                }
-            })
-            .catch(err => {
-                logger.error(`[事前キャッシュ] ${targetHost} の取得に失敗しました:`, err);
-            });
-    }
-    
-    try {
-        if (isTargetWhitelisted) {
-            logger.info(`ホワイトリスト対象のためTLS終端処理: ${targetHost}`);
-            handleHTTPSProxy(clientSocket, targetHost, targetPortNum, head);
-        } else {
-            logger.info(`ホワイトリスト対象外のため透過トンネル: ${targetHost}`);
-            createTransparentTunnel(clientSocket, targetHost, targetPortNum, head);
-        }
-    } catch (err) {
-        logger.error('CONNECT処理エラー:', err);
-        if (!clientSocket.destroyed) {
-            clientSocket.write('HTTP/1.1 500 Connection Error\r\n\r\n');
-            clientSocket.end();
-        }
-    }
-});
-
-// キャッシュからのリクエスト処理
-async function handleCachedRequest(host, path, clientSocket, targetSocket, originalChunk) {
-    logger.info(`キャッシュ利用可能か確認: ${host}${path}`);
-    
-    // URLとキャッシュファイル名を生成
-    const url = `https://${host}${path}`;
-    
-    const cacheFile = getCacheFileName(url);
-    
-    try {
-        // キャッシュが存在するか確認
-        const exists = await fileExists(cacheFile);
-        if (exists) {
-            const cache = await loadCache(cacheFile);
-            if (cache && cache.data) {
-                logger.info(`キャッシュヒット: ${url}`);
-                statsCollector.incrementHttpsStat('cacheHits');
-                
-                // Base64デコード
-                const data = Buffer.from(cache.data, 'base64');
-                
-                // HTTPレスポンス構築
-                const response = [
-                    `HTTP/1.1 ${cache.statusCode || 200} OK`,
-                    `Content-Type: ${cache.headers['content-type'] || 'text/html'}`,
-                    `Content-Length: ${data.length}`,
-                    `X-Cache: HIT`,
-                    `Date: ${new Date().toUTCString()}`,
-                    `Connection: close`,
-                    '',
-                    ''
-                ].join('\r\n');
-                
-                // レスポンス送信
-                clientSocket.write(response);
-                clientSocket.write(data);
-                
-                logger.info(`キャッシュからのレスポンス送信完了: ${url} (${data.length}バイト)`);
-                return true;
-            }
-        }
-        logger.info(`キャッシュミス: ${url}`);
-        statsCollector.incrementHttpsStat('cacheMisses');
-        return false;
-    } catch (err) {
-        logger.error('キャッシュチェックエラー:', err);
-        return false;
-    }
-}
-
-// レスポンスキャプチャ設定
-function setupDataCapture(targetSocket, clientSocket, url) {
-    logger.log(`レスポンスキャプチャ設定: ${url}`);
-
-    // レスポンス収集用
-    let responseChunks = [];
-    let responseHeaders = null;
-    let statusCode = 200;
-    let isHeadersParsed = false;
-
-    // 元のデータハンドラを保持
-    const originalDataHandlers = targetSocket.listeners('data');
-    targetSocket.removeAllListeners('data');
-    
-    // 新しいデータハンドラを設定
-    targetSocket.on('data', (chunk) => {
-        // データ蓄積
-        responseChunks.push(chunk);
-        
-        // ヘッダー解析（初回チャンクのみ）
-        if (!isHeadersParsed) {
-            try {
-                const headerText = chunk.toString('utf8', 0, Math.min(chunk.length, 1024));
-                const match = headerText.match(/^HTTP\/\d\.\d (\d+)/i);
-                if (match) {
-                    statusCode = parseInt(match[1], 10);
-                    
-                    // ヘッダーの抽出
-                    const headerEndPos = headerText.indexOf('\r\n\r\n');
-                    if (headerEndPos > 0) {
-                        const headers = {};
-                        const headerLines = headerText.substring(0, headerEndPos).split('\r\n');
-                        
-                        headerLines.slice(1).forEach(line => {
-                            const colonPos = line.indexOf(':');
-                            if (colonPos > 0) {
-                                const name = line.substring(0, colonPos).trim().toLowerCase();
-                                const value = line.substring(colonPos + 1).trim();
-                                headers[name] = value;
-                            }
-                        });
-                        
-                        responseHeaders = headers;
-                        isHeadersParsed = true;
-                        logger.log(`ヘッダー解析完了: ${url}, ステータス=${statusCode}`);
-                    }
-                }
-            } catch (err) {
-                logger.error('ヘッダー解析エラー:', err);
-            }
-        }
-        
-        // クライアントにデータを転送
-        if (clientSocket.writable) {
-            clientSocket.write(chunk);
-        }
-    });
-    
-    // 元のendイベントを保持して新しいものを設定
-    const originalEndHandlers = targetSocket.listeners('end').slice();
-    targetSocket.removeAllListeners('end');
-    
-    targetSocket.on('end', async () => {
-        logger.info(`レスポンス受信完了: ${url}`);
-        
-        // キャッシュ保存の条件: 成功レスポンスでヘッダーが解析できている
-        if (statusCode === 200 && responseHeaders && isHeadersParsed) {
-            try {
-                const responseData = Buffer.concat(responseChunks);
-                
-                // キャッシュデータを作成
-                const cacheHeader = {
-                    url: url,
-                    statusCode: statusCode,
-                    headers: responseHeaders,
-                    data: responseData.toString('base64')
-                };
-                
-                // キャッシュ保存
-                const cacheFile = getCacheFileName(url);
-                await saveCache(cacheFile, cacheHeader, responseData);
-                statsCollector.incrementHttpsStat('cacheSaves');
-                
-                logger.info(`レスポンスをキャッシュしました: ${url}, サイズ=${responseData.length}バイト`);
-            } catch (err) {
-                logger.error('キャッシュ保存エラー:', err);
-            }
-        } else {
-            logger.info(`キャッシュ非対象レスポンス: ${url}, ステータス=${statusCode}, ヘッダー解析=${isHeadersParsed}`);
-        }
-        
-        // レスポンス処理完了後に接続を閉じる
-        setTimeout(() => {
-            try {
-                // クライアントソケットを閉じる
-                if (clientSocket && !clientSocket.destroyed) {
-                    clientSocket.end();
-                }
-            } catch (endErr) {
-                logger.error('クライアントソケット終了エラー:', endErr);
-            }
-        }, 100);
-        
-        // 元のendハンドラを実行
-        for (const handler of originalEndHandlers) {
-            handler.call(targetSocket);
-        }
-    });
-}
-
-// HTTPリクエスト用の直接レスポンス処理
-function handleDirectHttpsRequest(req, res) {
-    if (!req.url.startsWith('https://')) {
-        return false;
-    }
-    
-    logger.log(`直接HTTPSリクエスト処理: ${req.url}`);
-    
-    try {
-        const url = new URL(req.url);
-        const host = url.hostname;
-        
-        // ホワイトリストチェック
-        const isWhitelisted = isHostWhitelisted(host);
-        if (!isWhitelisted) {
-            logger.info(`ホワイトリスト対象外: ${host} - 通常処理にフォールバック`);
-            return false;
-        }
-        
-        logger.info(`ホワイトリスト対象: ${host} - 直接処理`);
-        
-        // キャッシュファイル名
-        const cacheFile = getCacheFileName(req.url);
-        
-        // キャッシュをチェック（非同期）
-        fs.access(cacheFile, (err) => {
-            if (!err) {
-                // キャッシュが存在する場合
-                loadCache(cacheFile)
-                    .then(cache => {
-                        if (cache && cache.data) {
-                            logger.info(`キャッシュヒット: ${req.url}`);
-                            statsCollector.incrementHttpStat('cacheHits');
-                            
-                            const headers = { ...cache.headers, 'X-Cache': 'HIT' };
-                            const data = Buffer.from(cache.data, 'base64');
-                            
-                            res.writeHead(cache.statusCode, headers);
-                            res.end(data);
-                        } else {
-                            sendDirectRequest(req, res, req.url, cacheFile);
-                        }
-                    })
-                    .catch(err => {
-                        logger.error('キャッシュ読み込みエラー:', err);
-                        sendDirectRequest(req, res, req.url, cacheFile);
-                    });
-            } else {
-                // キャッシュがない場合は直接リクエスト
-                sendDirectRequest(req, res, req.url, cacheFile);
-            }
-        });
-        
-        return true;
-    } catch (err) {
-        logger.error('直接HTTPSリクエスト処理エラー:', err);
-        return false;
-    }
-}
-
-// 直接HTTPSリクエストの送信
-function sendDirectRequest(clientReq, clientRes, url, cacheFile) {
-    logger.info(`キャッシュミス - 直接リクエスト: ${url}`);
-    statsCollector.incrementHttpStat('cacheMisses');
-    
-    const options = {
-        headers: { ...clientReq.headers },
-        method: clientReq.method
-    };
-    
-    const proxyReq = https.request(url, options, (proxyRes) => {
-        const chunks = [];
-        const headers = { 
-            ...proxyRes.headers, 
-            'X-Cache': 'MISS',
-            'Connection': 'close'  // 明示的に接続を閉じるヘッダーを追加
-        };
-        
-        clientRes.writeHead(proxyRes.statusCode, headers);
-        
-        proxyRes.on('data', (chunk) => {
-            chunks.push(chunk);
-            clientRes.write(chunk);
-        });
-        
-        proxyRes.on('end', async () => {
-            clientRes.end();
-            
-            // レスポンス送信完了後に接続を閉じる
-            if (clientReq.socket && !clientReq.socket.destroyed) {
-                setTimeout(() => {
-                    try {
-                        clientReq.socket.end();
-                    } catch (err) {
-                        logger.error('ソケット終了エラー:', err);
-                    }
-                }, 100);
-            }
-            
-            // 成功レスポンスのみキャッシュ
-            if (proxyRes.statusCode === 200) {
-                try {
-                    const responseData = Buffer.concat(chunks);
-                    
-                    const cacheHeader = {
-                        url: url,
-                        statusCode: proxyRes.statusCode,
-                        headers: proxyRes.headers,
-                    };
-                    
-                    await saveCache(cacheFile, cacheHeader, responseData);
-                    statsCollector.incrementHttpsStat('cacheSaves');
-                    
-                    logger.info(`HTTPSレスポンスをキャッシュしました: ${url}, サイズ=${responseData.length}バイト`);
-                } catch (err) {
-                    logger.error('キャッシュ保存エラー:', err);
-                }
-            }
-        });
-    });
-    
-    proxyReq.on('error', (err) => {
-        logger.error('HTTPSプロキシエラー:', err);
-        if (!clientRes.headersSent) {
-            clientRes.writeHead(502, { 
-                'Content-Type': 'text/plain',
-                'Connection': 'close'
-            });
-            clientRes.end(`Proxy Error: ${err.message}`);
-        }
-        
-        // エラー時も接続を閉じる
-        if (clientReq.socket && !clientReq.socket.destroyed) {
-            setTimeout(() => {
-                try {
-                    clientReq.socket.end();
-                } catch (endErr) {
-                    logger.error('ソケット終了エラー:', endErr);
-                }
-            }, 100);
-        }
-    });
-    
-    // リクエストボディ転送
-    if (clientReq.method === 'POST' || clientReq.method === 'PUT') {
-        clientReq.pipe(proxyReq);
-    } else {
-        proxyReq.end();
-    }
-}
-
-// HTTPハンドラ
-server.on('request', (req, res) => {
-    logger.info(`受信したHTTPリクエスト: ${req.method} ${req.url}`);
-    
-    // HTTPSリクエストの直接処理を試行
-    if (req.url.startsWith('https://')) {
-        if (handleDirectHttpsRequest(req, res)) {
-            return;
-        }
-    }
-    
-    // 既存の処理を継続
-    // ...existing code...
-});
-
-// 引数からポートを取得するよう修正
-
-// コマンドライン引数からポートを取得
-function getPortFromArgs() {
-  const args = process.argv.slice(2);
-  for (const arg of args) {
-    if (arg.startsWith('--port=')) {
-      const port = parseInt(arg.split('=')[1], 10);
-      if (!isNaN(port) && port > 0 && port < 65536) {
-        return port;
-      }
-    }
-  }
-  // 環境変数からも取得を試みる
-  if (process.env.PORT) {
-    const port = parseInt(process.env.PORT, 10);
-    if (!isNaN(port) && port > 0 && port < 65536) {
-      return port;
-    }
-  }
-  // デフォルト値
-  return 8000;
-}
-
-// サーバー起動時のポート設定
-const PORT = getPortFromArgs();
-
-server.on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-        logger.error(`ポート ${PORT} は既に使用中です`);
-    } else {
-        logger.error('サーバーエラー:', err);
-    }
-    process.exit(1);
-});
-
-// 強化されたクリーンアップ関数
-const cleanup = () => {
-    logger.log('シャットダウンを開始します...');
-    
-    // シャットダウン開始時間を記録
-    const shutdownStart = Date.now();
-    
-    // 新しい接続を受け付けない
-    server.close(() => {
-        logger.log('サーバーがすべての新規接続を拒否しています');
-    });
-    
-    // アクティブな接続数をログに記録
-    logger.log(`アクティブな接続数: ${statsCollector.activeConnections.size}`);
-    
-    // すべてのアクティブな接続を終了
-    if (statsCollector.activeConnections.size > 0) {
-        logger.log('すべてのアクティブな接続を終了しています...');
-        statsCollector.activeConnections.forEach(socket => {
-            try {
-                // コネクション終了シグナルを送信
-                if (!socket.destroyed) {
-                    socket.end();
-                    // 少し待っても終了しない場合は強制終了
-                    setTimeout(() => {
-                        if (!socket.destroyed) {
-                            logger.log('ソケットを強制終了します');
-                            socket.destroy();
-                        }
-                    }, 1000);
-                }
-            } catch (e) {
-                logger.error('ソケット終了エラー:', e.message);
-                // エラーが発生しても強制終了を試みる
-                try {
-                    socket.destroy();
-                } catch (ignored) {
-                    // 無視
-                }
-            }
-        });
-    }
-
-    // すべての接続が終了するまで待つか、タイムアウトしたら強制終了
-    const forcedExitTimeout = setTimeout(() => {
-        logger.log(`強制終了: ${Date.now() - shutdownStart}ms経過後もプロセスが終了しませんでした`);
-        process.exit(1); // 強制終了コード
-    }, 5000); // 5秒のタイムアウト
-
-    // 定期的にアクティブ接続をチェック
-    const intervalCheck = setInterval(() => {
-        if (statsCollector.activeConnections.size === 0) {
-            clearInterval(intervalCheck);
-            clearTimeout(forcedExitTimeout);
-            logger.log(`正常終了: すべての接続が閉じられました (${Date.now() - shutdownStart}ms)`);
-            process.exit(0);
-        } else {
-            logger.log(`まだ ${statsCollector.activeConnections.size} 個の接続が残っています...`);
-            // 残存接続を強制終了
-            statsCollector.activeConnections.forEach(socket => {
-                try {
-                    if (!socket.destroyed) {
-                        socket.destroy();
-                    }
-                } catch (ignored) {
-                    // 無視
-                }
-            });
-        }
-    }, 1000); // 1秒ごとにチェック
-};
-
-process.on('SIGTERM', cleanup);
-process.on('SIGINT', cleanup);
-
-server.listen(PORT, () => {
-    logger.log(`プロキシサーバーが起動しました - ポート ${PORT}`);
-});
-
-// APIエンドポイントハンドラーを初期化
-const apiEndpoints = new ApiEndpoints({
-    logger,
-    statsCollector,
-    whitelistManager,
-    cacheManager,
-    cacheDir: CACHE_DIR,
-    directHttpsRequest
-});
-
-// 既存のサーバーリクエストハンドラを置き換え
-server.on('request', (req, res) => {
-    // APIエンドポイントの処理を試みる
-    if (apiEndpoints.handleRequest(req, res)) {
-        // APIエンドポイントとして処理された場合は終了
-        return;
-    }
-
-    // ここから下は通常のプロキシリクエスト処理
-    logger.info(`受信したHTTPリクエスト: ${req.method} ${req.url}`);
-    
-    // HTTPSリクエストの直接処理を試行
-    if (req.url.startsWith('https://')) {
-        if (handleDirectHttpsRequest(req, res)) {
-            return;
-        }
-    }
-    
-    // 既存の処理を継続（通常のプロキシ処理）
-    // ...existing code...
-});
-
-// パッシブTLS分析をやめて単純に事前キャッシュを行う
-async function prefetchDomainContent(domain) {
-    if (!whitelistedDomains.has(domain)) {
-        return null; // ホワイトリスト対象外はスキップ
-    }
-
-    const url = `https://${domain}/`;
-    logger.info(`[事前キャッシュ] ${domain}のトップページを取得します: ${url}`);
-    
-    try {
-        const response = await directHttpsRequest(url);
-        logger.info(`[事前キャッシュ] ${domain}のトップページ取得完了: ${response.fromCache ? 'キャッシュから取得' : '新規取得'} (${response.data.length}バイト)`);
-        return response;
-    } catch (err) {
-        logger.error(`[事前キャッシュ] ${domain}のトップページ取得に失敗: ${err.message}`);
-        return null;
-    }
-}
-
-// 適切にTLS対応した中継サーバーを生成
-function createTlsRelayServer(clientSocket, targetHost, targetPort) {
-    logger.info(`TLS中継サーバーを作成: ${targetHost}:${targetPort}`);
-    
-    try {
-        // TLSサーバーオプションを設定
-        const tlsOptions = {
-            key: certManager.getPrivateKey(),
-            cert: certManager.getCertificate(),
-            requestCert: false,
-            rejectUnauthorized: false
-        };
-        
-        // TLSサーバーを作成
-        const tlsServer = tls.createServer(tlsOptions, (tlsSocket) => {
-            logger.info(`TLS接続確立: ${targetHost}`);
-            
-            // リクエスト情報
-            let currentRequest = null;
-            
-            // HTTP解析
-            tlsSocket.on('data', async (data) => {
-                try {
-                    const requestText = data.toString('utf8');
-                    
-                    // HTTP/HTTPS リクエストを解析
-                    if (requestText.match(/^(GET|POST|PUT|DELETE|HEAD|OPTIONS) .* HTTP\/\d\.\d/)) {
-                        // リクエスト行とヘッダーを分離
-                        const headersEndPos = requestText.indexOf('\r\n\r\n');
-                        if (headersEndPos !== -1) {
-                            const headerText = requestText.substring(0, headersEndPos);
-                            const headerLines = headerText.split('\r\n');
-                            const [method, path] = headerLines[0].split(' ');
-                            
-                            // ホストヘッダーを取得
-                            let host = targetHost;
-                            for (let i = 1; i < headerLines.length; i++) {
-                                if (headerLines[i].toLowerCase().startsWith('host:')) {
-                                    host = headerLines[i].substring(5).trim();
-                                    break;
-                                }
-                            }
-                            
-                            currentRequest = { method, path, host };
-                            logger.info(`TLS経由リクエスト: ${method} ${host}${path}`);
-                            
-                            // GETリクエスト + ホワイトリスト対象の場合、キャッシュを確認
-                            if (method === 'GET' && isHostWhitelisted(host)) {
-                                const fullUrl = `https://${host}${path}`;
-                                
-                                const cacheFile = getCacheFileName(fullUrl);
-                                
-                                try {
-                                    // キャッシュを確認
-                                    if (await fileExists(cacheFile)) {
-                                        const cache = await loadCache(cacheFile);
-                                        if (cache && cache.data) {
-                                            logger.info(`キャッシュヒット: ${fullUrl}`);
-                                            statsCollector.incrementHttpsStat('cacheHits');
-                                            
-                                            // キャッシュからのレスポンスを構築
-                                            const responseData = Buffer.from(cache.data, 'base64');
-                                            const responseHeaders = [];
-                                            
-                                            // レスポンスヘッダーを構築
-                                            responseHeaders.push(`HTTP/1.1 ${cache.statusCode || 200} OK`);
-                                            
-                                            if (cache.headers) {
-                                                Object.entries(cache.headers).forEach(([key, value]) => {
-                                                    // 特定のヘッダーは除外（転送エンコーディングなど）
-                                                    if (!['transfer-encoding', 'connection'].includes(key.toLowerCase())) {
-                                                        responseHeaders.push(`${key}: ${value}`);
-                                                    }
-                                                });
-                                            }
-                                            
-                                            responseHeaders.push('X-Cache: HIT');
-                                            responseHeaders.push(`Content-Length: ${responseData.length}`);
-                                            responseHeaders.push('Connection: close');
-                                            responseHeaders.push('');
-                                            responseHeaders.push('');
-                                            
-                                            // キャッシュからのレスポンスを送信
-                                            tlsSocket.write(responseHeaders.join('\r\n'));
-                                            tlsSocket.write(responseData);
-                                            
-                                            logger.info(`キャッシュからのレスポンス送信完了: ${fullUrl}`);
-                                            
-                                            // ソケットを閉じる
-                                            setTimeout(() => {
-                                                try {
-                                                    if (!tlsSocket.destroyed) {
-                                                        tlsSocket.end();
-                                                    }
-                                                } catch (endErr) {
-                                                    logger.error('TLSソケット終了エラー:', endErr);
-                                                }
-                                            }, 100);
-                                            
-                                            return;
-                                        }
-                                    }
-                                } catch (err) {
-                                    logger.error('キャッシュ確認エラー:', err);
-                                }
-                            }
-                            
-                            // キャッシュミスか対象外の場合、実際のリクエストを実行
-                            const targetOptions = {
-                                hostname: host,
-                                port: targetPort,
-                                path: path,
-                                method: method,
-                                headers: {},
-                                rejectUnauthorized: false
-                            };
-                            
-                            // ヘッダーをコピー
-                            for (let i = 1; i < headerLines.length; i++) {
-                                const colonPos = headerLines[i].indexOf(':');
-                                if (colonPos > 0) {
-                                    const name = headerLines[i].substring(0, colonPos).trim();
-                                    const value = headerLines[i].substring(colonPos + 1).trim();
-                                    targetOptions.headers[name] = value;
-                                }
-                            }
-                            
-                            // リクエストの実行
-                            const request = https.request(targetOptions, (response) => {
-                                logger.info(`リモートサーバーからのレスポンス: ${host}${path}, ステータス=${response.statusCode}`);
-                                
-                                // ヘッダー送信
-                                let responseText = `HTTP/1.1 ${response.statusCode} ${response.statusMessage}\r\n`;
-                                Object.entries(response.headers).forEach(([key, value]) => {
-                                    if (!['transfer-encoding', 'connection'].includes(key.toLowerCase())) {
-                                        responseText += `${key}: ${value}\r\n`;
-                                    }
-                                });
-                                responseText += 'X-Cache: MISS\r\n';
-                                responseText += 'Connection: close\r\n\r\n';
-                                
-                                tlsSocket.write(responseText);
-                                
-                                // キャッシュ用のデータ収集
-                                const chunks = [];
-                                
-                                response.on('data', (chunk) => {
-                                    chunks.push(chunk);
-                                    tlsSocket.write(chunk);
-                                });
-                                
-                                response.on('end', async () => {
-                                    // 成功レスポンスのみキャッシュ
-                                    if (method === 'GET' && isHostWhitelisted(host) && response.statusCode === 200) {
-                                        try {
-                                            const responseData = Buffer.concat(chunks);
-                                            
-                                            // キャッシュデータを作成
-                                            const cacheHeader = {
-                                                url: fullUrl,
-                                                statusCode: response.statusCode,
-                                                headers: response.headers,
-                                            };
-                                            
-                                            // キャッシュを保存
-                                            const cacheFile = getCacheFileName(fullUrl);
-                                            await saveCache(cacheFile, cacheHeader, responseData);
-                                            statsCollector.incrementHttpsStat('cacheSaves');
-                                            
-                                            logger.info(`HTTPSレスポンスをキャッシュしました: ${fullUrl}, サイズ=${responseData.length}バイト`);
-                                        } catch (err) {
-                                            logger.error('キャッシュ保存エラー:', err);
-                                        }
-                                    }
-                                    
-                                    // レスポンス完了後にソケットを閉じる
-                                    setTimeout(() => {
-                                        try {
-                                            if (!tlsSocket.destroyed) {
-                                                tlsSocket.end();
-                                            }
-                                        } catch (endErr) {
-                                            logger.error('TLSソケット終了エラー:', endErr);
-                                        }
-                                    }, 100);
-                                });
-                            });
-                            
-                            request.on('error', (err) => {
-                                logger.error(`リモートサーバーリクエストエラー: ${err}`);
-                                
-                                const errorResponse = [
-                                    'HTTP/1.1 502 Bad Gateway',
-                                    'Content-Type: text/plain',
-                                    `Content-Length: ${err.message.length + 16}`,
-                                    'Connection: close',
-                                    '',
-                                    `エラー発生: ${err.message}`
-                                ].join('\r\n');
-                                
-                                tlsSocket.write(errorResponse);
-                                tlsSocket.end();
-                            });
-                            
-                            // リクエストボディがある場合は転送
-                            if (headersEndPos + 4 < requestText.length) {
-                                const body = requestText.substring(headersEndPos + 4);
-                                request.write(body);
-                            }
-                            
-                            request.end();
-                        }
-                    }
-                } catch (err) {
-                    logger.error('リクエスト処理エラー:', err);
-                }
-            });
-            
-            // エラーハンドリング
-            tlsSocket.on('error', (err) => {
-                logger.error('TLSソケットエラー:', err.message);
-            });
-            
-            tlsSocket.on('end', () => {
-                logger.info('TLSコネクション終了');
-            });
-        });
-        
-        // TLSサーバーエラーハンドリング
-        tlsServer.on('error', (err) => {
-            logger.error(`TLSサーバーエラー: ${err.message}`);
-            clientSocket.end();
-        });
-        
-        // TLSサーバーを一時的なポートにバインド
-        tlsServer.listen(0, 'localhost', () => {
-            const tlsServerPort = tlsServer.address().port;
-            logger.info(`TLSサーバーをポート ${tlsServerPort} で起動しました`);
-            
-            // 確立された接続をそのTLSサーバーに接続
-            clientSocket.write('HTTP/1.1 200 Connection Established\r\n' +
-                          'Connection: keep-alive\r\n' +
-                          'Proxy-Agent: Node-Proxy/1.0\r\n\r\n', () => {
-                logger.info('クライアントに接続成功を通知しました');
-                
-                // TLSサーバーへの接続
-                const localSocket = net.connect({
-                    host: 'localhost',
-                    port: tlsServerPort
-                }, () => {
-                    logger.info(`ローカルTLSサーバーに接続しました: localhost:${tlsServerPort}`);
-                    
-                    // 双方向のデータ転送をセットアップ
-                    clientSocket.pipe(localSocket);
-                    localSocket.pipe(clientSocket);
-                    
-                    // クリーンアップ処理
-                    localSocket.on('end', () => {
-                        clientSocket.end();
-                    });
-                    
-                    clientSocket.on('end', () => {
-                        localSocket.end();
-                    });
-                    
-                    localSocket.on('error', (err) => {
-                        logger.error('ローカルソケットエラー:', err);
-                        clientSocket.end();
-                    });
-                    
-                    clientSocket.on('error', (err) => {
-                        logger.error('クライアントソケットエラー:', err);
-                        localSocket.end();
-                    });
-                    
-                    localSocket.on('close', () => {
-                        if (!clientSocket.destroyed) {
-                            clientSocket.end();
-                        }
-                    });
-                    
-                    clientSocket.on('close', () => {
-                        if (!localSocket.destroyed) {
-                            localSocket.end();
-                        }
-                    });
-                });
-                
-                localSocket.on('error', (err) => {
-                    logger.error(`ローカルTLSサーバー接続エラー: ${err.message}`);
-                    clientSocket.end();
-                });
-            });
-        });
-    } catch (err) {
-        logger.error(`TLS中継サーバー作成エラー: ${err.message}`);
-        clientSocket.destroy();
-    }
-}
-
-// HTTPS用の単純化した透過プロキシ - よりシンプルな実装
-function createSimpleTunnel(clientSocket, targetHost, targetPort, head) {
-    logger.info(`単純トンネル作成: ${targetHost}:${targetPort}`);
-    
-    const targetSocket = net.connect(targetPort, targetHost, () => {
-        logger.info(`ターゲット接続確立: ${targetHost}:${targetPort}`);
-        
-        // クライアントに接続成功を通知
-        clientSocket.write('HTTP/1.1 200 Connection Established\r\n' +
-                        'Connection: keep-alive\r\n' +
-                        'Proxy-Agent: Node-Proxy/1.0\r\n\r\n');
-        
-        // HTTPSリクエストのカウントを増やす
-        statsCollector.incrementHttpsStat('connections');
-        
-        // 効率的なデータ転送のための設定
-        clientSocket.setTimeout(0);
-        targetSocket.setTimeout(0);
-        clientSocket.setNoDelay(true);
-        targetSocket.setNoDelay(true);
-        
-        let clientClosed = false;
-        let targetClosed = false;
-        let headSent = false;
-        let isHttpsRequestProcessed = false;
-        
-        // HTTPリクエスト解析のための変数
-        let requestBuffer = Buffer.alloc(0);
-        let requestInfo = {
-            host: null,
-            path: null,
-            method: null
-        };
-        
-        // クリーンアップ関数
-        function cleanup() {
-            if (clientClosed && targetClosed) return; // 既にクリーンアップ済み
-            
-            try {
-                if (!clientClosed && clientSocket && !clientSocket.destroyed) {
-                    clientClosed = true;
-                    clientSocket.end();
-                }
-            } catch (e) {
-                logger.error('クライアントソケット終了エラー:', e.message || e);
-            }
-            
-            try {
-                if (!targetClosed && targetSocket && !targetSocket.destroyed) {
-                    targetClosed = true;
-                    targetSocket.end();
-                }
-            } catch (e) {
-                logger.error('ターゲットソケット終了エラー:', e.message || e);
-            }
-        }
-        
-        // データ転送イベントリスナーの設定
-        clientSocket.on('data', (chunk) => {
-            try {
-                // HTTPSリクエストの解析試行
-                requestBuffer = Buffer.concat([requestBuffer, chunk]);
-                
-                // リクエストテキストに変換して解析
-                const requestText = requestBuffer.toString('utf8', 0, Math.min(requestBuffer.length, 4096));
-                
-                // 現在のリクエストが完了したら、次のリクエストの解析のためにバッファをリセット
-                if (requestText.includes('\r\n\r\n')) {
-                    // リクエスト行を解析
-                    const requestLines = requestText.split('\r\n');
-                    const firstLine = requestLines[0];
-                    
-                    logger.log(`HTTPSリクエスト解析: ${firstLine}`);
-                    
-                    // HTTP GETリクエストの形式に合致するか確認
-                    const match = firstLine.match(/^(GET|POST|PUT|DELETE|HEAD|OPTIONS) (.*) HTTP\/\d\.\d$/);
-                    if (match) {
-                        requestInfo = {
-                            method: match[1],
-                            path: match[2],
-                            host: targetHost // デフォルトとしてCONNECTで指定されたホスト名を使用
-                        };
-                        
-                        // Hostヘッダーを探して上書き
-                        for (let i = 1; i < requestLines.length; i++) {
-                            if (requestLines[i].toLowerCase().startsWith('host:')) {
-                                requestInfo.host = requestLines[i].substring(5).trim();
-                                break;
-                            }
-                        }
-                        
-                        // パスの正規化
-                        if (requestInfo.path !== '/') {
-                            logger.log(`HTTPS: ${requestInfo.method} ${requestInfo.host}${requestInfo.path}`);
-                            
-                            // ホワイトリストに含まれるかチェック
-                            if (isHostWhitelisted(requestInfo.host)) {
-                                logger.log('HTTPSホワイトリスト一致:', requestInfo.host + requestInfo.path);
-                                
-                                // キャッシュチェック処理
-                                (async () => {
-                                    const cacheUrl = `https://${requestInfo.host}${requestInfo.path}`;
-                                                                        
-                                    const cacheFile = getCacheFileName(cacheUrl);
-                                    
-                                    try {
-                                        // キャッシュファイルの存在確認
-                                        if (await fileExists(cacheFile)) {
-                                            const cache = await loadCache(cacheFile);
-                                            if (cache && cache.data) {
-                                                logger.log(`HTTPSキャッシュヒット: ${cacheUrl}`);
-                                                statsCollector.incrementHttpsStat('cacheHits');
-                                                // ここではキャッシュを提供しない
-                                                // (すでにターゲットにリクエストが送信されている)
-                                            }
-                                        } else {
-                                            logger.log(`HTTPSキャッシュミス: ${cacheUrl}`);
-                                            statsCollector.incrementHttpsStat('cacheMisses');
-                                            
-                                            // レスポンスをキャプチャするリスナーを設置
-                                            setupResponseCapture(targetSocket, clientSocket, cacheUrl);
-                                        }
-                                    } catch (err) {
-                                        logger.error('HTTPSキャッシュチェックエラー:', err);
-                                    }
-                                })();
-                            }
-                        }
-                        
-                        // リクエスト完了後、バッファリセット
-                        requestBuffer = Buffer.alloc(0);
-                    }
-                }
-                
-                // ターゲットソケットが書き込み可能であれば転送
-                if (targetSocket && targetSocket.writable) {
-                    const flushed = targetSocket.write(chunk);
-                    
-                    // バックプレッシャー処理
-                    if (!flushed) {
-                        clientSocket.pause();
-                        targetSocket.once('drain', () => {
-                            if (clientSocket.readable) {
-                                clientSocket.resume();
-                            }
-                        });
-                    }
-                }
-            } catch (parseError) {
-                logger.error('HTTPSリクエスト解析エラー:', parseError);
-                
-                // エラー時もデータは転送する
-                if (targetSocket && targetSocket.writable) {
-                    targetSocket.write(chunk);
-                }
-            }
-        });
-        
-        // ヘッドデータがあれば転送
-        if (head && head.length > 0 && !headSent) {
-            headSent = true;
-            targetSocket.write(head);
-        }
-        
-        // レスポンスキャプチャ用の関数
-        function setupResponseCapture(socket, clientSocket, url) {
-            logger.log(`レスポンスキャプチャ設定: ${url}`);
-            
-            // レスポンス収集用の変数
-            let responseBuffer = Buffer.alloc(0);
-            let headersParsed = false;
-            let headersEndPos = -1;
-            let statusCode = 0;
-            let responseHeaders = {};
-            
-            // オリジナルのデータリスナー
-            const originalDataHandler = function(chunk) {
-                // データを転送
-                if (clientSocket && !clientSocket.destroyed) {
-                    clientSocket.write(chunk);
-                }
-            };
-            
-            // データイベントハンドラ
-            const captureDataHandler = function(chunk) {
-                try {
-                    // レスポンスデータを蓄積
-                    responseBuffer = Buffer.concat([responseBuffer, chunk]);
-                    
-                    // ヘッダー部分が解析されていない場合
-                    if (!headersParsed) {
-                        const headerEndIndex = responseBuffer.indexOf('\r\n\r\n');
-                        if (headerEndIndex !== -1) {
-                            // ヘッダー部分を解析
-                            const headerText = responseBuffer.slice(0, headerEndIndex).toString('utf8');
-                            
-                            // ステータスコードを取得
-                            const statusMatch = headerText.match(/^HTTP\/\d\.\d\s+(\d+)/);
-                            if (statusMatch) {
-                                statusCode = parseInt(statusMatch[1], 10);
-                            }
-                            
-                            // ヘッダーを解析
-                            const headerLines = headerText.split('\r\n');
-                            headerLines.slice(1).forEach(line => {
-                                const colonPos = line.indexOf(':');
-                                if (colonPos > 0) {
-                                    const name = line.substring(0, colonPos).trim().toLowerCase();
-                                    const value = line.substring(colonPos + 1).trim();
-                                    responseHeaders[name] = value;
-                                }
-                            });
-                            
-                            headersParsed = true;
-                            headersEndPos = headerEndIndex;
-                            logger.log(`レスポンスヘッダー解析完了: status=${statusCode}, content-type=${responseHeaders['content-type'] || '不明'}`);
-                        }
-                    }
-                    
-                    // クライアントにデータを転送
-                    originalDataHandler(chunk);
-                } catch (err) {
-                    logger.error('レスポンス解析エラー:', err);
-                    originalDataHandler(chunk);
-                }
-            };
-            
-            // endイベントハンドラ
-            const captureEndHandler = async function() {
-                // ヘッダーとステータスコードが正常に解析され、成功レスポンスの場合
-                if (headersParsed && headersEndPos > 0 && (statusCode === 200)) {
-                    try {
-                        // レスポンスの本体部分を抽出
-                        const bodyData = responseBuffer.slice(headersEndPos + 4);
-                        
-                        logger.log(`レスポンス受信完了: ${url}, ステータス=${statusCode}, サイズ=${bodyData.length}バイト`);
-                        
-                        // キャッシュデータを作成
-                        const cacheHeader = {
-                            url: url,
-                            statusCode: statusCode,
-                            headers: responseHeaders,
-                        };
-                        
-                        // キャッシュファイル名を取得
-                        const cacheFile = getCacheFileName(url);
-                        
-                        // キャッシュを保存
-                        await saveCache(cacheFile, cacheHeader, bodyData);
-                        statsCollector.incrementHttpsStat('cacheSaves');
-                        logger.log(`HTTPSレスポンスをキャッシュしました: ${url}, サイズ=${bodyData.length}バイト`);
-                    } catch (err) {
-                        logger.error('キャッシュ保存エラー:', err);
-                    }
-                }
-                
-                // 元のリスナーを削除
-                socket.removeListener('data', captureDataHandler);
-                
-                // データハンドラとendハンドラを元に戻す
-                socket.on('data', originalDataHandler);
-            };
-            
-            // 現在のデータハンドラを保存
-            const currentDataHandlers = socket.listeners('data').slice();
-            socket.removeAllListeners('data');
-            
-            // 新しいキャプチャハンドラを設定
-            socket.on('data', captureDataHandler);
-            
-            // レスポンス終了時の処理
-            socket.once('end', captureEndHandler);
-        }
-        
-        // レスポンス処理
-        targetSocket.on('data', (chunk) => {
-            // クライアントソケットが書き込み可能か確認
-            if (clientSocket && clientSocket.writable) {
-                // データ書き込み
-                const flushed = clientSocket.write(chunk);
-                
-                // バックプレッシャーの管理
-                if (!flushed) {
-                    targetSocket.pause();
-                    clientSocket.once('drain', () => {
-                        // ソケットがまだ有効であれば再開
-                        if (targetSocket.readable) {
-                            targetSocket.resume();
+                        if (!socket.destroyed) {
+                            logger.log('ソケットを強制終了します');
+                            socket.destroy();
                         }
-                    });
+                    }, 1000);
                 }
-            }
-        });
-        
-        // 接続終了イベントの処理
-        clientSocket.on('end', () => {
-            logger.info('クライアント接続が終了しました');
-            clientClosed = true;
-            if (!targetClosed && targetSocket && targetSocket.writable) {
-                targetSocket.end();
-            }
-        });
-        
-        targetSocket.on('end', () => {
-            logger.info('ターゲット接続が終了しました');
-            targetClosed = true;
-            if (!clientClosed && clientSocket && clientSocket.writable) {
-                clientSocket.end();
-            }
-        });
-        
-        // エラーイベントの処理
-        clientSocket.on('error', (err) => {
-            logger.error(`クライアントソケットエラー: ${err.message}`);
-            if (!targetClosed && targetSocket && !targetSocket.destroyed) {
-                targetSocket.end();
-            }
-            cleanup();
-        });
-        
-        targetSocket.on('error', (err) => {
-            logger.error(`ターゲットソケットエラー: ${err.message}`);
-            if (!clientClosed && clientSocket && !clientSocket.destroyed) {
-                clientSocket.end();
-            }
-            cleanup();
-        });
-        
-        // クローズイベントの処理
-        clientSocket.on('close', () => {
-            logger.info('クライアント接続がクローズされました');
-            clientClosed = true;
-            cleanup();
-        });
-        
-        targetSocket.on('close', () => {
-            logger.info('ターゲット接続がクローズされました');
-            targetClosed = true;
-            cleanup();
+            } catch (e) {
+                logger.error('ソケット終了エラー:', e.message);
+                // エラーが発生しても強制終了を試みる
+                try {
+                    socket.destroy();
+                } catch (ignored) {
+                    // 無視
+                }
+            }
         });
-    });
+    }
+
+    // すべての接続が終了するまで待つか、タイムアウトしたら強制終了
+    const forcedExitTimeout = setTimeout(() => {
+        logger.log(`強制終了: ${Date.now() - shutdownStart}ms経過後もプロセスが終了しませんでした`);
+        // 強制終了でもキャッシュの索引は書き出す（書き出しが終わらない場合は1秒で終了する）
+        setTimeout(() => process.exit(1), 1000);
+        cacheManager.close().finally(() => process.exit(1)); // 強制終了コード
+    }, 5000); // 5秒のタイムアウト
+
+    // 定期的にアクティブ接続をチェック
+    const intervalCheck = setInterval(() => {
+        if (statsCollector.activeConnections.size === 0) {
+            clearInterval(intervalCheck);
+            clearTimeout(forcedExitTimeout);
+            logger.log(`正常終了: すべての接続が閉じられました (${Date.now() - shutdownStart}ms)`);
+            // 次回の起動時にディスクを走査しないよう、キャッシュの索引を書き出してから終了する
+            cacheManager.close().finally(() => process.exit(0));
+        } else {
+            logger.log(`まだ ${statsCollector.activeConnections.size} 個の接続が残っています...`);
+            // 残存接続を強制終了
+            statsCollector.activeConnections.forEach(socket => {
+                try {
+                    if (!socket.destroyed) {
+                        socket.destroy();
+                    }
+                } catch (ignored) {
+                    // 無視
+                }
+            });
+        }
+    }, 1000); // 1秒ごとにチェック
+};
+
+process.on('SIGTERM', cleanup);
+process.on('SIGINT', cleanup);
+
+server.listen(PORT, () => {
+    logger.log(`プロキシサーバーが起動しました - ポート ${PORT}`);
+});
+
+// サイトマップ・URLリスト・クロールによるキャッシュのウォームアップ（通常のキャッシュミスと同じ経路で取得する）
+const cacheWarmer = new CacheWarmer(cacheManager, logger, config.warmup, {
+    fetch: directHttpsRequest,
+    isAllowed: url => Boolean(getWhitelistRule(url)),
+    isOffline: () => offlineMode.enabled
+});
+
+// 別のプロキシへ持ち運ぶためのキャッシュの書き出し・読み込み（読み込み時のキャッシュキーはURLから生成し直す）
+const cacheBundle = new CacheBundle(cacheManager, logger, {
+    getRule: url => getWhitelistRule(url)
+});
+
+// ブラウザで記録したHARの読み込みとホスト単位のHARの書き出し
+const harConverter = new HarConverter(cacheManager, logger, {
+    getRule: url => getWhitelistRule(url),
+    isAllowed: url => Boolean(getWhitelistRule(url)),
+    version: require('../package.json').version
+});
+
+// APIエンドポイントハンドラーを初期化
+const apiEndpoints = new ApiEndpoints({
+    logger,
+    statsCollector,
+    whitelistManager,
+    cacheManager,
+    cacheEvictor,
+    cachePurger,
+    cacheWarmer,
+    offlineMode,
+    cacheBundle,
+    bundleFiles: new FileDirectory(config.bundle?.fileDir, 'bundle.fileDir'),
+    harConverter,
+    harFiles: new FileDirectory(config.har?.fileDir, 'har.fileDir'),
+    cacheDir: CACHE_DIR,
+    directHttpsRequest
+});
+
+// 既存のサーバーリクエストハンドラを置き換え
+server.on('request', (req, res) => {
+    // APIエンドポイントはcreateServerのハンドラで処理済み
+    if (res.headersSent || res.writableEnded) {
+        return;
+    }
+
+    // ここから下は通常のプロキシリクエスト処理
+    logger.info(`受信したHTTPリクエスト: ${req.method} ${req.url}`);
     
-    targetSocket.on('error', (err) => {
-        logger.error(`ターゲット接続エラー: ${err.message}`);
-        if (!clientSocket.destroyed) {
-            clientSocket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n');
-            clientSocket.end();
+    // HTTPSリクエストの直接処理を試行
+    if (req.url.startsWith('https://')) {
+        if (handleDirectHttpsRequest(req, res)) {
+            return;
         }
-    });
-}
+    }
+    
+    // 既存の処理を継続（通常のプロキシ処理）
+    // ...existing code...
+});
 
 // 直接HTTPSリクエストを実行してキャッシュする関数（完全パスでキャッシュするよう修正）
-async function directHttpsRequest(url) {
+// クライアントのリクエストを取得する場合はclientHeadersを渡し、Varyのバリアント選択とオリジンへのリクエストに使う
+async function directHttpsRequest(url, clientHeaders = null) {
     return new Promise((resolve, reject) => {
         logger.debug(`直接HTTPSリクエスト: ${url}`);
         
 
         // キャッシュキーを生成（クエリパラメータを含む）
         const cacheFile = getCacheFileName(url);
+        const whitelistRule = getWhitelistRule(url);
+        
+        // オリジンへのリクエストヘッダー（Varyのバリアント選択にも使う）
+        const requestHeaders = cacheManager.setOriginAcceptEncoding(clientHeaders ? getDirectRequestHeaders(clientHeaders) : {
+            'User-Agent': 'Mozilla/5.0 ProxyAgent/1.0',
+            'Accept': '*/*'
+        });
         
         // キャッシュが存在するか確認
-        fs.access(cacheFile, async (err) => {
-            if (!err) {
+        cacheManager.lookupCache(cacheFile, requestHeaders).then(async (cache) => {
+            let staleCache = null;
+            if (cache) {
                 // キャッシュが存在する場合
                 try {
-                    const cache = await loadCache(cacheFile);
-                    if (cache && cache.data) {
+                    if (cacheManager.isFresh(cache, whitelistRule)) {
                         logger.info(`キャッシュヒット: ${url}`);
                         statsCollector.incrementHttpsStat('cacheHits');
                         return resolve({
                             fromCache: true,
-                            data: Buffer.from(cache.data, 'base64'),
-                            headers: cache.headers,
+                            cacheStatus: 'HIT',
+                            bodyFile: cache.bodyFile,
+                            size: cache.size,
+                            headers: { ...cache.headers, age: String(cacheManager.getFreshness(cache).age) },
+                            statusCode: cache.statusCode
+                        });
+                    }
+                    // 猶予期間内なら期限切れキャッシュを返し、裏で更新する（オフラインモードでは更新しない）
+                    if (!offlineMode.enabled && cacheManager.canServeStaleWhileRevalidate(cache, whitelistRule)) {
+                        logger.info(`期限切れキャッシュで応答（バックグラウンド更新）: ${url}`);
+                        statsCollector.incrementHttpsStat('cacheHits');
+                        revalidateInBackground(url, cacheFile, cache);
+                        return resolve({
+                            fromCache: true,
+                            cacheStatus: 'STALE',
+                            bodyFile: cache.bodyFile,
+                            size: cache.size,
+                            headers: { ...cache.headers, age: String(cacheManager.getFreshness(cache).age) },
                             statusCode: cache.statusCode
                         });
                     }
+                    // 期限切れのキャッシュは再検証に使う
+                    staleCache = cache;
                 } catch (cacheErr) {
                     logger.error('キャッシュ読み込みエラー:', cacheErr);
                     // キャッシュエラーの場合は直接リクエストにフォールバック
                 }
             }
             
+            // オフラインモードではオリジンに接続せず、期限切れのキャッシュを返す
+            if (offlineMode.enabled) {
+                if (!staleCache) {
+                    return reject(new Error(`オフラインモードのためオリジンに接続できません: ${url}`));
+                }
+                logger.info(`オフラインモードのため期限切れキャッシュで応答: ${url}`);
+                statsCollector.incrementHttpsStat('cacheHits');
+                return resolve({
+                    fromCache: true,
+                    cacheStatus: 'STALE',
+                    bodyFile: staleCache.bodyFile,
+                    size: staleCache.size,
+                    headers: { ...staleCache.headers, age: String(cacheManager.getFreshness(staleCache).age) },
+                    statusCode: staleCache.statusCode
+                });
+            }
+            
+            // 同じURLの取得が実行中なら完了を待ち、保存された結果を返す
+            const coalescedCache = await waitForInflightFetch(cacheFile, requestHeaders, whitelistRule);
+            if (coalescedCache) {
+                logger.info(`実行中の取得の結果で応答: ${url}`);
+                statsCollector.incrementHttpsStat('cacheHits');
+                statsCollector.incrementHttpsStat('coalesced');
+                return resolve({
+                    fromCache: true,
+                    cacheStatus: 'HIT',
+                    bodyFile: coalescedCache.bodyFile,
+                    size: coalescedCache.size,
+                    headers: { ...coalescedCache.headers, age: String(cacheManager.getFreshness(coalescedCache).age) },
+                    statusCode: coalescedCache.statusCode
+                });
+            }
+            
             // キャッシュがない場合またはエラーが発生した場合は直接リクエスト
             statsCollector.incrementHttpsStat('cacheMisses');
             logger.debug(`キャッシュミス - 直接リクエスト: ${url}`);
             
+            // 取得中は同じURLへの後続のリクエストを待たせる
+            const finishFetch = beginFetch(cacheFile, 'GET');
+            
+            // 期限切れのキャッシュがあれば条件付きリクエストで再検証する
+            const conditionalHeaders = staleCache ? cacheManager.getConditionalHeaders(staleCache) : null;
+            
             // HTTPSリクエストのオプション設定
             const options = {
                 headers: {
-                    'User-Agent': 'Mozilla/5.0 ProxyAgent/1.0',
-                    'Accept': '*/*',
-                    'Accept-Encoding': 'identity'
+                    ...requestHeaders,
+                    ...conditionalHeaders
                 },
                 timeout: 30000,
                 method: 'GET',
                 rejectUnauthorized: false  // 自己署名証明書も許可
             };
             
+            // オリジンのエラー時は期限切れキャッシュを返す（stale-if-error）
+            const resolveStaleOnError = (reason) => {
+                if (!staleCache || !cacheManager.canServeStaleIfError(staleCache, whitelistRule)) {
+                    return false;
+                }
+                logger.warn(`オリジンエラーのため期限切れキャッシュで応答: ${url} (${reason})`);
+                resolve({
+                    fromCache: true,
+                    cacheStatus: 'STALE',
+                    bodyFile: staleCache.bodyFile,
+                    size: staleCache.size,
+                    headers: { ...staleCache.headers, age: String(cacheManager.getFreshness(staleCache).age) },
+                    statusCode: staleCache.statusCode
+                });
+                return true;
+            };
+            
             try {
-                const req = https.request(url, options, (res) => {
-                    const chunks = [];
+                // ウォームアップではhttp://のURLも同じ経路で取得する
+                const transport = new URL(url).protocol === 'http:' ? http : https;
+                const req = transport.request(url, options, (res) => {
+                    // 再検証で304が返った場合はメタデータのみ更新してキャッシュを返す
+                    if (conditionalHeaders && res.statusCode === 304) {
+                        res.resume();
+                        res.on('end', async () => {
+                            const cache = await cacheManager.refreshCache(cacheFile, staleCache, res.headers) || staleCache;
+                            finishFetch();
+                            logger.info(`キャッシュ再検証成功: ${url}`);
+                            resolve({
+                                fromCache: true,
+                                cacheStatus: 'REVALIDATED',
+                                bodyFile: cache.bodyFile,
+                                size: cache.size,
+                                headers: { ...cache.headers, age: String(cacheManager.getFreshness(cache).age) },
+                                statusCode: cache.statusCode
+                            });
+                        });
+                        return;
+                    }
                     
-                    res.on('data', (chunk) => {
-                        chunks.push(chunk);
+                    // オリジンが5xxを返した場合も期限切れキャッシュを返す
+                    if (res.statusCode >= 500 && resolveStaleOnError(`ステータス ${res.statusCode}`)) {
+                        finishFetch(true);
+                        res.resume();
+                        return;
+                    }
+                    
+                    // キャッシュ可能なレスポンスの場合だけボディを一時ファイルに書き出して保存
+                    if (!cacheManager.isStorable(res.statusCode, res.headers, 'GET', whitelistRule)
+                        || !cacheManager.isStorableForRequest(requestHeaders, res.headers)) {
+                        logger.debug(`キャッシュ非対象レスポンス: ${url}, ステータス=${res.statusCode}`);
+                        
+                        // 保存しない全体レスポンスを受信する必要はないので、Rangeを付けたままオリジンへ送り直す
+                        if (clientHeaders?.range && res.statusCode === 200) {
+                            res.destroy();
+                            finishFetch();
+                            const rangeHeaders = { ...getDirectRequestHeaders(clientHeaders), range: clientHeaders.range };
+                            if (clientHeaders['if-range']) {
+                                rangeHeaders['if-range'] = clientHeaders['if-range'];
+                            }
+                            requestRangeFromOrigin(callback => transport.request(url, { ...options, headers: rangeHeaders }, callback))
+                                .then(rangeRes => resolve({
+                                    fromCache: false,
+                                    cacheStatus: 'MISS',
+                                    stream: rangeRes,
+                                    headers: rangeRes.headers,
+                                    statusCode: rangeRes.statusCode,
+                                    rangeForwarded: true
+                                }), reject);
+                            return;
+                        }
+                        
+                        res.on('end', finishFetch);
+                        res.on('error', finishFetch);
+                        // ボディは読み込まずにストリームのまま返す
+                        resolve({
+                            fromCache: false,
+                            cacheStatus: 'MISS',
+                            stream: res,
+                            headers: res.headers,
+                            statusCode: res.statusCode
+                        });
+                        return;
+                    }
+                    
+                    // 受信しながら呼び出し元へ渡し、同時にキャッシュへも書き込む
+                    const cacheWriter = cacheManager.createCacheWriter(cacheFile);
+                    const stream = new PassThrough();
+                    teeResponseBody(res, stream, cacheWriter).then(() => {
+                        if (!stream.destroyed) {
+                            stream.end();
+                        }
                     });
                     
-                    res.on('end', async () => {
-                        try {
-                            const responseData = Buffer.concat(chunks);
-                            logger.debug(`直接HTTPSリクエスト完了: ${url}, ステータス=${res.statusCode}, サイズ=${responseData.length}バイト`);
-                            
-                            // 成功レスポンスの場合だけキャッシュに保存
-                            if (res.statusCode === 200) {
+                    // 保存の結果（保存したボディファイルとサイズ、保存しなかった場合はnull）
+                    const stored = new Promise((resolveStored) => {
+                        res.on('end', async () => {
+                            try {
                                 // キャッシュデータを作成
                                 const cacheHeader = {
                                     url: url,
@@ -2351,46 +1647,67 @@ async function directHttpsRequest(url) {
                                     headers: res.headers,
                                 };
                                 
-                                // 非同期でキャッシュを保存
-                                try {
-                                    await saveCache(cacheFile, cacheHeader, responseData);
+                                const saved = await commitCacheWriter(cacheWriter, cacheHeader, requestHeaders, whitelistRule);
+                                logger.debug(`直接HTTPSリクエスト完了: ${url}, ステータス=${res.statusCode}, サイズ=${cacheWriter.size}バイト`);
+                                if (saved) {
                                     statsCollector.incrementHttpsStat('cacheSaves');
                                     logger.debug(`HTTPSレスポンスをキャッシュしました: ${url}`);
-                                } catch (err) {
-                                    logger.error('キャッシュ保存エラー:', err);
+                                } else {
+                                    await cacheWriter.discard();
                                 }
+                                finishFetch();
+                                resolveStored(saved ? { bodyFile: cacheWriter.bodyFile, size: cacheWriter.size } : null);
+                            } catch (processErr) {
+                                logger.error('レスポンス処理エラー:', processErr);
+                                await cacheWriter.discard();
+                                finishFetch(true);
+                                resolveStored(null);
                             }
-                            
-                            resolve({
-                                fromCache: false,
-                                data: responseData,
-                                headers: res.headers,
-                                statusCode: res.statusCode
-                            });
-                        } catch (processErr) {
-                            logger.error('レスポンス処理エラー:', processErr);
-                            reject(processErr);
-                        }
+                        });
+                        
+                        res.on('error', (err) => {
+                            logger.error(`直接HTTPSレスポンスエラー: ${url}`, err.message);
+                            cacheWriter.discard();
+                            finishFetch(true);
+                            stream.destroy(err);
+                            resolveStored(null);
+                        });
+                    });
+                    
+                    resolve({
+                        fromCache: false,
+                        cacheStatus: 'MISS',
+                        stream,
+                        stored,
+                        headers: res.headers,
+                        statusCode: res.statusCode
                     });
                 });
                 
                 req.on('error', (err) => {
                     logger.error('直接HTTPSリクエストエラー:', err);
-                    reject(err);
+                    finishFetch(true);
+                    if (!resolveStaleOnError(err.message)) {
+                        reject(err);
+                    }
                 });
                 
                 req.on('timeout', () => {
                     logger.error('直接HTTPSリクエストタイムアウト:', url);
                     req.destroy();
-                    reject(new Error("リクエストがタイムアウトしました"));
+                    finishFetch(true);
+                    if (!resolveStaleOnError('タイムアウト')) {
+                        reject(new Error("リクエストがタイムアウトしました"));
+                    }
                 });
                 
                 req.end();
             } catch (reqError) {
                 logger.error('HTTPSリクエスト作成エラー:', reqError);
+                finishFetch(true);
                 reject(reqError);
             }
-        });
+        }).catch(reject);
     });
 }
 
@@ -2405,7 +1722,18 @@ async function prefetchDomainContent(domain) {
     
     try {
         const response = await directHttpsRequest(url);
-        logger.info(`[事前キャッシュ] ${domain}のトップページ取得完了: ${response.fromCache ? 'キャッシュから取得' : '新規取得'} (${response.data.length}バイト)`);
+        if (response.stream) {
+            // ボディは読み捨て、キャッシュへの保存を待つ
+            response.stream.resume();
+            const stored = await response.stored;
+            if (!stored) {
+                logger.info(`[事前キャッシュ] ${domain}のトップページはキャッシュ対象外です`);
+                return response;
+            }
+            logger.info(`[事前キャッシュ] ${domain}のトップページ取得完了: 新規取得 (${stored.size}バイト)`);
+            return response;
+        }
+        logger.info(`[事前キャッシュ] ${domain}のトップページ取得完了: ${response.fromCache ? 'キャッシュから取得' : '新規取得'} (${response.size}バイト)`);
         return response;
     } catch (err) {
         logger.error(`[事前キャッシュ] ${domain}のトップページ取得に失敗: ${err.message}`);
@@ -2442,7 +1770,7 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                     const requestText = data.toString('utf8');
                     
                     // HTTPリクエスト形式の確認
-                    if (requestText.match(/^(GET|POST|PUT|DELETE|HEAD|OPTIONS) .* HTTP\/\d\.\d/)) {
+                    if (requestText.match(/^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|PURGE) .* HTTP\/\d\.\d/)) {
                         // リクエスト行とヘッダーを分離
                         const headersEndPos = requestText.indexOf('\r\n\r\n');
                         if (headersEndPos !== -1) {
@@ -2465,42 +1793,66 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                             const fullUrl = `https://${host}${path}`; // pathにはクエリパラメータも含まれる
                                                          
                             const cacheFile = getCacheFileName(fullUrl);
+                            const whitelistRule = getWhitelistRule(fullUrl);
+                            
+                            // リクエストヘッダーを解析（Varyのバリアント選択にも使う）
+                            const requestHeaders = {};
+                            for (let i = 1; i < headerLines.length; i++) {
+                                const colonPos = headerLines[i].indexOf(':');
+                                if (colonPos > 0) {
+                                    const name = headerLines[i].substring(0, colonPos).trim();
+                                    const value = headerLines[i].substring(colonPos + 1).trim();
+                                    requestHeaders[name] = value;
+                                }
+                            }
+                            
+                            // PURGEはオリジンに転送せず、対象URLのキャッシュを削除する
+                            if (method === 'PURGE') {
+                                const purge = await purgeForRequest(fullUrl, clientSocket.remoteAddress);
+                                tlsSocket.write(buildRawResponseHead(purge.statusCode, {
+                                    'Content-Type': 'application/json',
+                                    'Content-Length': Buffer.byteLength(purge.body)
+                                }));
+                                tlsSocket.end(purge.body);
+                                return;
+                            }
+                            
+                            // オフラインモード・only-if-cachedではオリジンに接続せず、キャッシュ（期限切れを含む）だけで応答する
+                            const cacheOnlyReason = offlineMode.getCacheOnlyReason(requestHeaders);
+                            if (cacheOnlyReason) {
+                                const result = await offlineMode.lookup(method, requestHeaders, cacheFile, whitelistRule, cacheOnlyReason);
+                                if (result.cache) {
+                                    logger.info(`キャッシュのみで応答（${cacheOnlyReason}）: ${fullUrl}`);
+                                    statsCollector.incrementHttpsStat('cacheHits');
+                                    await sendCachedResponse(tlsSocket, result.cache, result.cacheStatus, method, requestHeaders, result.headers);
+                                    tlsSocket.end();
+                                } else {
+                                    logger.info(`キャッシュがないため504で応答（${cacheOnlyReason}）: ${fullUrl}`);
+                                    statsCollector.incrementHttpsStat('cacheMisses');
+                                    const message = offlineMode.getMissMessage(cacheOnlyReason, fullUrl);
+                                    tlsSocket.write(buildRawResponseHead(504, {
+                                        'Content-Type': 'text/plain; charset=utf-8',
+                                        'Content-Length': Buffer.byteLength(message)
+                                    }, { 'X-Cache': result.cacheStatus, ...result.headers }));
+                                    tlsSocket.end(message);
+                                }
+                                return;
+                            }
                             
                             // キャッシュの確認
                             try {
-                                const exists = await fileExists(cacheFile);
-                                if (exists) {
-                                    const cache = await loadCache(cacheFile);
-                                    if (cache && cache.data) {
+                                let staleCache = null;
+                                // GET/HEAD以外はキャッシュを参照しない（HEADにはGETのキャッシュから応答する）
+                                const cache = cacheManager.isCacheableMethod(method)
+                                    ? await cacheManager.lookupCache(cacheFile, requestHeaders)
+                                    : null;
+                                if (cache) {
+                                    if (cacheManager.isFresh(cache, whitelistRule)) {
                                         logger.info(`キャッシュヒット: ${fullUrl}`);
                                         statsCollector.incrementHttpsStat('cacheHits');
                                         
-                                        // キャッシュからレスポンスを構築
-                                        const responseData = Buffer.from(cache.data, 'base64');
-                                        const headers = [];
-                                        
-                                        // レスポンスヘッダー構築
-                                        headers.push(`HTTP/1.1 ${cache.statusCode} ${getStatusMessage(cache.statusCode)}`);
-                                        
-                                        // ヘッダー追加
-                                        if (cache.headers) {
-                                            Object.entries(cache.headers).forEach(([key, value]) => {
-                                                if (!['transfer-encoding', 'connection'].includes(key.toLowerCase())) {
-                                                    headers.push(`${key}: ${value}`);
-                                                }
-                                            });
-                                        }
-                                        
-                                        // 追加ヘッダー
-                                        headers.push('X-Cache: HIT');
-                                        headers.push(`Content-Length: ${responseData.length}`);
-                                        headers.push('Connection: close');
-                                        headers.push('');
-                                        headers.push('');
-                                        
-                                        // レスポンス送信
-                                        tlsSocket.write(headers.join('\r\n'));
-                                        tlsSocket.write(responseData);
+                                        // キャッシュからレスポンスを送信
+                                        await sendCachedResponse(tlsSocket, cache, 'HIT', method, requestHeaders);
                                         
                                         logger.debug(`キャッシュレスポンス: ${fullUrl}`);
                                         
@@ -2517,6 +1869,47 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                                         
                                         return;
                                     }
+                                    // 猶予期間内なら期限切れキャッシュで即座に応答し、裏で更新する
+                                    if (cacheManager.canServeStaleWhileRevalidate(cache, whitelistRule)) {
+                                        logger.info(`期限切れキャッシュで応答（バックグラウンド更新）: ${fullUrl}`);
+                                        statsCollector.incrementHttpsStat('cacheHits');
+                                        revalidateInBackground(fullUrl, cacheFile, cache);
+                                        await sendCachedResponse(tlsSocket, cache, 'STALE', method, requestHeaders);
+                                        
+                                        setTimeout(() => {
+                                            try {
+                                                if (!tlsSocket.destroyed) {
+                                                    tlsSocket.end();
+                                                }
+                                            } catch (endErr) {
+                                                logger.error('TLSソケット終了エラー:', endErr);
+                                            }
+                                        }, 100);
+                                        return;
+                                    }
+                                    // 期限切れのキャッシュは再検証に使う
+                                    staleCache = cache;
+                                }
+                                
+                                // 同じURLの取得が実行中なら完了を待ち、保存された結果で応答する
+                                const coalescedCache = cacheManager.isCacheableMethod(method)
+                                    ? await waitForInflightFetch(cacheFile, requestHeaders, whitelistRule)
+                                    : null;
+                                if (coalescedCache) {
+                                    logger.info(`実行中の取得の結果で応答: ${fullUrl}`);
+                                    statsCollector.incrementHttpsStat('cacheHits');
+                                    statsCollector.incrementHttpsStat('coalesced');
+                                    await sendCachedResponse(tlsSocket, coalescedCache, 'HIT', method, requestHeaders);
+                                    setTimeout(() => {
+                                        try {
+                                            if (!tlsSocket.destroyed) {
+                                                tlsSocket.end();
+                                            }
+                                        } catch (endErr) {
+                                            logger.error('TLSソケット終了エラー:', endErr);
+                                        }
+                                    }, 100);
+                                    return;
                                 }
                                 
                                 // キャッシュが無い場合は直接リクエスト
@@ -2529,27 +1922,119 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                                     port: targetPort,
                                     path: path,
                                     method: method,
-                                    headers: {},
+                                    headers: { ...requestHeaders },
                                     rejectUnauthorized: false
                                 };
                                 
-                                // リクエストヘッダー設定
-                                for (let i = 1; i < headerLines.length; i++) {
-                                    const colonPos = headerLines[i].indexOf(':');
-                                    if (colonPos > 0) {
-                                        const name = headerLines[i].substring(0, colonPos).trim();
-                                        const value = headerLines[i].substring(colonPos + 1).trim();
-                                        options.headers[name] = value;
-                                    }
+                                // 期限切れのキャッシュがあれば条件付きリクエストで再検証する
+                                const clientHeaders = Object.fromEntries(
+                                    Object.entries(options.headers).map(([name, value]) => [name.toLowerCase(), value])
+                                );
+                                const conditionalHeaders = staleCache && method === 'GET' && !hasClientConditional(clientHeaders)
+                                    ? cacheManager.getConditionalHeaders(staleCache)
+                                    : null;
+                                if (conditionalHeaders) {
+                                    Object.assign(options.headers, conditionalHeaders);
+                                }
+                                
+                                // Rangeリクエストは全体を取得し、要求範囲は受信しながら切り出して返す
+                                const rangeRequested = method === 'GET' && stripRangeHeaders(options.headers);
+                                
+                                // キャッシュ対象のリクエストは圧縮された表現を取得し、クライアントのAccept-Encodingに合わせて変換して返す
+                                const negotiateEncoding = cacheManager.isCacheableMethod(method);
+                                if (negotiateEncoding) {
+                                    cacheManager.setOriginAcceptEncoding(options.headers);
                                 }
                                 
+                                // 取得中は同じURLへの後続のリクエストを待たせる
+                                const finishFetch = beginFetch(cacheFile, method);
+                                
+                                // オリジンのエラー時は期限切れキャッシュで応答する（stale-if-error）
+                                const serveStaleOnError = (reason) => {
+                                    if (!staleCache || !cacheManager.canServeStaleIfError(staleCache, whitelistRule)) {
+                                        return false;
+                                    }
+                                    logger.warn(`オリジンエラーのため期限切れキャッシュで応答: ${fullUrl} (${reason})`);
+                                    sendCachedResponse(tlsSocket, staleCache, 'STALE', method, requestHeaders).then(() => {
+                                        setTimeout(() => {
+                                            try {
+                                                if (!tlsSocket.destroyed) {
+                                                    tlsSocket.end();
+                                                }
+                                            } catch (endErr) {
+                                                logger.error('TLSソケット終了エラー:', endErr);
+                                            }
+                                        }, 100);
+                                    });
+                                    return true;
+                                };
+                                
                                 // リクエスト実行
-                                const request = https.request(options, (response) => {
+                                const request = https.request(options, async (response) => {
                                     logger.debug(`外部サーバーレスポンス: ${fullUrl}, ステータス=${response.statusCode}`);
                                     
-                                    // レスポンスヘッダー送信
-                                    let responseText = `HTTP/1.1 ${response.statusCode} ${response.statusMessage || getStatusMessage(response.statusCode)}\r\n`;
-                                    Object.entries(response.headers).forEach(([key, value]) => {
+                                    // 再検証で304が返った場合はキャッシュのボディで応答する
+                                    if (conditionalHeaders && response.statusCode === 304) {
+                                        response.resume();
+                                        const cache = await cacheManager.refreshCache(cacheFile, staleCache, response.headers) || staleCache;
+                                        finishFetch();
+                                        logger.info(`キャッシュ再検証成功: ${fullUrl}`);
+                                        statsCollector.incrementHttpsStat('cacheHits');
+                                        
+                                        await sendCachedResponse(tlsSocket, cache, 'REVALIDATED', method, requestHeaders);
+                                        
+                                        setTimeout(() => {
+                                            try {
+                                                if (!tlsSocket.destroyed) {
+                                                    tlsSocket.end();
+                                                }
+                                            } catch (endErr) {
+                                                logger.error('TLSソケット終了エラー:', endErr);
+                                            }
+                                        }, 100);
+                                        return;
+                                    }
+                                    
+                                    // オリジンが5xxを返した場合も期限切れキャッシュで応答する
+                                    if (response.statusCode >= 500 && serveStaleOnError(`ステータス ${response.statusCode}`)) {
+                                        finishFetch(true);
+                                        response.resume();
+                                        return;
+                                    }
+                                    
+                                    // 資格情報を含むリクエストへのレスポンスやSet-Cookieは利用者間で共有しない
+                                    const storable = cacheManager.isStorable(response.statusCode, response.headers, method, whitelistRule)
+                                        && cacheManager.isStorableForRequest(requestHeaders, response.headers);
+                                    
+                                    // 保存しない全体レスポンスを受信する必要はないので、Rangeを付けたままオリジンへ送り直す
+                                    if (rangeRequested && response.statusCode === 200 && !storable) {
+                                        response.destroy();
+                                        finishFetch();
+                                        logger.debug(`キャッシュ非対象のためRangeを付けて送り直し: ${fullUrl}`);
+                                        try {
+                                            const rangeRes = await requestRangeFromOrigin(
+                                                callback => https.request({ ...options, headers: { ...requestHeaders } }, callback)
+                                            );
+                                            tlsSocket.write(buildRawResponseHead(rangeRes.statusCode, rangeRes.headers, { 'X-Cache': 'MISS' }));
+                                            rangeRes.pipe(tlsSocket);
+                                            rangeRes.on('error', () => tlsSocket.destroy());
+                                            tlsSocket.once('close', () => rangeRes.destroy());
+                                        } catch (err) {
+                                            logger.error(`Rangeリクエストの転送エラー: ${err.message}`);
+                                            sendErrorResponse(tlsSocket, 502, `エラー発生: ${err.message}`);
+                                        }
+                                        return;
+                                    }
+                                    
+                                    const cacheWriter = storable ? cacheManager.createCacheWriter(cacheFile) : null;
+                                    const encoding = negotiateEncoding
+                                        ? cacheManager.getStreamingResponseHead(method, requestHeaders, response.statusCode, response.headers)
+                                        : { statusCode: response.statusCode, headers: response.headers, createTransform: null };
+                                    
+                                    // レスポンスヘッダー送信（Rangeの要求範囲を切り出す場合はオリジンのステータスメッセージを使わない）
+                                    const statusMessage = encoding.statusCode === response.statusCode ? response.statusMessage : null;
+                                    let responseText = `HTTP/1.1 ${encoding.statusCode} ${statusMessage || getStatusMessage(encoding.statusCode)}\r\n`;
+                                    Object.entries(encoding.headers).forEach(([key, value]) => {
                                         if (!['transfer-encoding', 'connection'].includes(key.toLowerCase())) {
                                             responseText += `${key}: ${value}\r\n`;
                                         }
@@ -2560,47 +2045,52 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                                     // ヘッダーを送信
                                     tlsSocket.write(responseText);
                                     
-                                    // レスポンス本文取得用
-                                    const chunks = [];
-                                    
-                                    response.on('data', (chunk) => {
-                                        chunks.push(chunk);
-                                        try {
-                                            tlsSocket.write(chunk);
-                                        } catch (err) {
-                                            logger.error('レスポンスチャンク書き込みエラー:', err);
-                                            // 書き込みエラーは無視して続行（接続が既に閉じられている可能性）
-                                        }
-                                    });
+                                    // ボディはメモリに溜めずにクライアントとキャッシュの一時ファイルへ流す
+                                    const delivered = teeResponseBody(response, tlsSocket, cacheWriter, createBodyTransform(method, encoding));
                                     
                                     response.on('end', async () => {
                                         try {
-                                            const responseData = Buffer.concat(chunks);
-                                            logger.debug(`レスポンス完了: ${fullUrl}, ステータス=${response.statusCode}, サイズ=${responseData.length}バイト`);
+                                            logger.debug(`レスポンス完了: ${fullUrl}, ステータス=${response.statusCode}`);
                                             
-                                            // すべてのステータスコードをキャッシュ
-                                            logger.info(`レスポンスキャッシュ対象: ${fullUrl}, ステータス=${response.statusCode}`);
+                                            // 安全でないメソッドが成功した場合は対象URLのキャッシュを無効化
+                                            await cacheManager.invalidateForUnsafeRequest(method, fullUrl, response.statusCode, response.headers, whitelistRule);
                                             
-                                            // キャッシュデータ作成
-                                            const cacheHeader = {
-                                                url: fullUrl,
-                                                statusCode: response.statusCode,
-                                                headers: response.headers,
-                                            };
+                                            // HEADの応答で期限切れキャッシュのメタデータを更新
+                                            if (staleCache && method === 'HEAD') {
+                                                await cacheManager.freshenWithHeadResponse(cacheFile, staleCache, response.statusCode, response.headers);
+                                            }
                                             
-                                            // 非同期でキャッシュ保存
-                                            try {
-                                                await saveCache(cacheFile, cacheHeader, responseData);
-                                                statsCollector.incrementHttpsStat('cacheSaves');
-                                                logger.debug(`HTTPSレスポンスをキャッシュしました: ${fullUrl}`);
-                                            } catch (err) {
-                                                logger.error('キャッシュ保存エラー:', err);
+                                            // キャッシュ可能なレスポンスのみ保存
+                                            if (storable) {
+                                                logger.info(`レスポンスキャッシュ対象: ${fullUrl}, ステータス=${response.statusCode}`);
+                                                
+                                                // キャッシュデータ作成
+                                                const cacheHeader = {
+                                                    url: fullUrl,
+                                                    statusCode: response.statusCode,
+                                                    headers: response.headers,
+                                                };
+                                                
+                                                // 一時ファイルに書き込んだボディをキャッシュとして保存
+                                                try {
+                                                    if (await commitCacheWriter(cacheWriter, cacheHeader, requestHeaders, whitelistRule)) {
+                                                        statsCollector.incrementHttpsStat('cacheSaves');
+                                                        logger.debug(`HTTPSレスポンスをキャッシュしました: ${fullUrl}, サイズ=${cacheWriter.size}バイト`);
+                                                    }
+                                                } catch (err) {
+                                                    logger.error('キャッシュ保存エラー:', err);
+                                                }
+                                            } else {
+                                                logger.debug(`キャッシュ非対象レスポンス: ${fullUrl}, ステータス=${response.statusCode}`);
                                             }
                                         } catch (err) {
                                             logger.error('レスポンス処理エラー:', err);
                                         }
+                                        finishFetch();
+                                        await cacheWriter?.discard();
                                         
-                                        // レスポンス完了後にソケットを閉じる
+                                        // 変換中のボディを送り終えてからソケットを閉じる
+                                        await delivered;
                                         setTimeout(() => {
                                             try {
                                                 if (!tlsSocket.destroyed) {
@@ -2614,12 +2104,18 @@ function handleHTTPSProxy(clientSocket, targetHost, targetPort, head) {
                                     
                                     response.on('error', (err) => {
                                         logger.error(`レスポンスエラー: ${err.message}`);
+                                        cacheWriter?.discard();
+                                        finishFetch(true);
                                         // エラーが発生してもソケットを閉じない
                                     });
                                 });
                                 
                                 request.on('error', (err) => {
                                     logger.error(`外部サーバーリクエストエラー: ${err.message}`);
+                                    finishFetch(true);
+                                    if (serveStaleOnError(err.message)) {
+                                        return;
+                                    }
                                     
                                     const errorResponse = [
                                         'HTTP/1.1 502 Bad Gateway',
@@ -2895,15 +2391,23 @@ function getStatusMessage(statusCode) {
         200: 'OK',
         201: 'Created',
         202: 'Accepted',
+        203: 'Non-Authoritative Information',
         204: 'No Content',
+        206: 'Partial Content',
+        300: 'Multiple Choices',
         301: 'Moved Permanently',
         302: 'Found',
         304: 'Not Modified',
+        307: 'Temporary Redirect',
+        308: 'Permanent Redirect',
         400: 'Bad Request',
         401: 'Unauthorized',
         403: 'Forbidden',
         404: 'Not Found',
         405: 'Method Not Allowed',
+        410: 'Gone',
+        414: 'URI Too Long',
+        416: 'Range Not Satisfiable',
         500: 'Internal Server Error',
         501: 'Not Implemented',
         502: 'Bad Gateway',
@@ -2914,6 +2418,61 @@ function getStatusMessage(statusCode) {
     return statusMessages[statusCode] || 'Unknown';
 }
 
+// キャッシュからレスポンスを組み立ててソケットに送信するヘルパー関数（ボディの送信完了で解決する）
+async function sendCachedResponse(socket, cache, cacheStatus, method = 'GET', requestHeaders = {}, extraHeaders = {}) {
+    if (!socket || socket.destroyed) return;
+    
+    // Range / If-Range にはキャッシュ済みボディから206で応答し、Accept-Encodingに合わせてコーディングを変換する
+    const response = cacheManager.getResponseHead(
+        method, requestHeaders, cache.statusCode, cache.headers, cache.size
+    );
+    socket.write(buildRawResponseHead(response.statusCode, response.headers, {
+        'X-Cache': cacheStatus,
+        'Age': cacheManager.getFreshness(cache).age,
+        ...extraHeaders
+    }));
+    // HEADリクエストにはボディを送らない（Content-LengthはGETと同じ値を返す）
+    if (method !== 'HEAD') {
+        await pipeCacheBody(cache, response, socket, false);
+    }
+}
+
+// PURGEメソッドで指定されたURLのキャッシュを削除し、応答のステータスコードとJSONボディを返す
+async function purgeForRequest(url, clientAddress) {
+    // 誰でもキャッシュを消せないよう、ループバックと設定したクライアントだけに許可する
+    if (!cachePurger.isAllowedClient(clientAddress)) {
+        logger.warn(`許可されていないクライアントからのPURGEを拒否しました: ${clientAddress} ${url}`);
+        return {
+            statusCode: 403,
+            body: JSON.stringify({ error: 'PURGE is not allowed from this client', url })
+        };
+    }
+    const result = await cachePurger.purgeUrl(url, getWhitelistRule(url));
+    // 削除するキャッシュがなかった場合は404を返す
+    return {
+        statusCode: result.entries > 0 ? 200 : 404,
+        body: JSON.stringify({ url, ...result })
+    };
+}
+
+// TLSソケットに直接書き込むレスポンスのステータス行とヘッダーを組み立てる
+function buildRawResponseHead(statusCode, headers, extraHeaders = {}) {
+    const lines = [`HTTP/1.1 ${statusCode} ${getStatusMessage(statusCode)}`];
+    
+    // 転送制御に関わるヘッダーは除外して再構築
+    Object.entries(headers || {}).forEach(([key, value]) => {
+        if (!['transfer-encoding', 'connection', 'age'].includes(key.toLowerCase())) {
+            [].concat(value).forEach(v => lines.push(`${key}: ${v}`));
+        }
+    });
+    
+    Object.entries(extraHeaders).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+    lines.push('Connection: close');
+    lines.push('');
+    lines.push('');
+    return lines.join('\r\n');
+}
+
 // エラーレスポンスを送信するヘルパー関数
 function sendErrorResponse(socket, statusCode, message) {
     if (!socket || socket.destroyed) return;
@@ -3060,10 +2619,6 @@ function createTransparentTunnel(clientSocket, targetHost, targetPort, head) {
 
 // URLからキャッシュファイル名を生成する関数をローカルではなく、グローバルにする
 const getCacheFileName = (requestUrl, headers = {}) => {
-    return cacheManager.getCacheFileName(requestUrl, headers);
-};
-
-// ファイルが存在するか確認するヘルパー関数
-const fileExists = async (filePath) => {
-    return cacheManager.fileExists(filePath);
+    // ルールのクエリ文字列の扱いをキャッシュキーに反映する
+    return cacheManager.getCacheFileName(requestUrl, headers, getWhitelistRule(requestUrl));
 };
\ No newline at end of file
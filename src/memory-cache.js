@@ -0,0 +1,161 @@
+/**
+ * メモリキャッシュクラス - 小さなエントリのメタデータとボディをメモリに保持し、ディスクキャッシュの前段で応答する（LRU）
+ */
+class MemoryCache {
+    /**
+     * MemoryCache コンストラクタ
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} options メモリキャッシュ設定（config.cache.memory）
+     * @param {number} options.maxSize メモリに保持するボディの合計サイズの上限（バイト、0は無効）
+     * @param {number} options.maxObjectSize メモリに保持するエントリのボディの最大サイズ（バイト）
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.maxSize = options.maxSize ?? 0;
+        this.maxObjectSize = options.maxObjectSize ?? 262144;
+        // エントリのキャッシュファイル → エントリ（Mapの挿入順を最終アクセス順として使う）
+        this.entries = new Map();
+        // URLのキャッシュファイル → Varyのヘッダー名（Varyがない場合は空配列）と保持しているエントリ
+        this.urls = new Map();
+        this.size = 0;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * メモリキャッシュが有効か
+     * @returns {boolean} 有効ならtrue
+     */
+    isEnabled() {
+        return this.maxSize > 0;
+    }
+
+    /**
+     * メモリに保持できる大きさのボディか
+     * @param {number} size ボディのサイズ
+     * @returns {boolean} 保持できればtrue
+     */
+    accepts(size) {
+        return this.isEnabled() && size <= this.maxObjectSize && size <= this.maxSize;
+    }
+
+    /**
+     * URLのエントリを検索
+     * @param {string} urlKey URLのキャッシュファイルパス
+     * @param {Function} selectEntryKey Varyのヘッダー名からエントリのキャッシュファイルパスを求める関数
+     * @returns {Object|null} エントリ（{urlKey, entryKey, cache, body, lastRecordedAt}）またはnull
+     */
+    lookup(urlKey, selectEntryKey) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+        const url = this.urls.get(urlKey);
+        const entryKey = url ? selectEntryKey(url.varyHeaderNames) : null;
+        const entry = entryKey ? this.entries.get(entryKey) : null;
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        // 最近使われたエントリとして末尾に移動する
+        this.entries.delete(entryKey);
+        this.entries.set(entryKey, entry);
+        this.stats.hits++;
+        return entry;
+    }
+
+    /**
+     * エントリを保存（上限を超えた分は最終アクセスの古いエントリから削除する）
+     * @param {string} urlKey URLのキャッシュファイルパス
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @param {string[]} varyHeaderNames Varyのヘッダー名（Varyがない場合は空配列）
+     * @param {Object} cache キャッシュのメタデータ
+     * @param {Buffer} body ボディ
+     * @returns {boolean} 保存したらtrue
+     */
+    set(urlKey, entryKey, varyHeaderNames, cache, body) {
+        if (!this.accepts(body.length)) {
+            return false;
+        }
+        this.delete(entryKey);
+        const url = this.urls.get(urlKey);
+        if (url) {
+            url.varyHeaderNames = varyHeaderNames;
+            url.entryKeys.add(entryKey);
+        } else {
+            this.urls.set(urlKey, { varyHeaderNames, entryKeys: new Set([entryKey]) });
+        }
+        this.entries.set(entryKey, { urlKey, entryKey, cache, body, lastRecordedAt: Date.now() });
+        this.size += body.length;
+
+        for (const key of this.entries.keys()) {
+            if (this.size <= this.maxSize) {
+                break;
+            }
+            this.delete(key);
+            this.stats.evictions++;
+            this.logger.debug(`メモリキャッシュから削除: ${key}`);
+        }
+        return true;
+    }
+
+    /**
+     * エントリを削除
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     */
+    delete(entryKey) {
+        const entry = this.entries.get(entryKey);
+        if (!entry) {
+            return;
+        }
+        this.entries.delete(entryKey);
+        this.size -= entry.body.length;
+
+        // エントリがなくなったURLのVary情報も削除する
+        const url = this.urls.get(entry.urlKey);
+        url.entryKeys.delete(entryKey);
+        if (url.entryKeys.size === 0) {
+            this.urls.delete(entry.urlKey);
+        }
+    }
+
+    /**
+     * URLのエントリ（Varyのバリアントを含む）を削除
+     * @param {string} urlKey URLのキャッシュファイルパス
+     */
+    deleteUrl(urlKey) {
+        const url = this.urls.get(urlKey);
+        if (url) {
+            [...url.entryKeys].forEach(entryKey => this.delete(entryKey));
+        }
+    }
+
+    /**
+     * すべてのエントリを削除
+     */
+    clear() {
+        this.entries.clear();
+        this.urls.clear();
+        this.size = 0;
+    }
+
+    /**
+     * メモリキャッシュの統計情報を取得
+     * @returns {Object} 統計情報
+     */
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            maxSize: this.maxSize,
+            maxObjectSize: this.maxObjectSize,
+            size: this.size,
+            entries: this.entries.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MemoryCache;
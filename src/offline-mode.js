@@ -0,0 +1,138 @@
+/**
+ * オフラインモードクラス - オリジンに接続せず、キャッシュ（期限切れを含む）だけで応答するかを判定する
+ * オフラインモードでは全リクエストを、Cache-Control: only-if-cachedのリクエストはそのリクエストだけをキャッシュのみで処理する
+ */
+class OfflineMode {
+    /**
+     * OfflineMode コンストラクタ
+     * @param {Object} cacheManager キャッシュマネージャー
+     * @param {Object} logger ロガーインスタンス
+     * @param {boolean} enabled 起動時にオフラインモードにするか
+     */
+    constructor(cacheManager, logger, enabled = false) {
+        this.cacheManager = cacheManager;
+        this.logger = logger;
+        this.enabled = enabled;
+        this.changedAt = enabled ? new Date().toISOString() : null;
+        this.served = 0;
+        this.staleServed = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * オフラインモードを切り替え
+     * @param {boolean} enabled オフラインモードにするか
+     * @returns {boolean} 切り替え後の状態
+     */
+    setEnabled(enabled) {
+        if (this.enabled !== enabled) {
+            this.enabled = enabled;
+            this.changedAt = new Date().toISOString();
+            this.logger.info(enabled
+                ? 'オフラインモードを開始しました（オリジンに接続せずキャッシュのみで応答します）'
+                : 'オフラインモードを終了しました');
+        }
+        return this.enabled;
+    }
+
+    /**
+     * リクエストをキャッシュのみで処理する理由を取得
+     * @param {Object} requestHeaders リクエストヘッダー
+     * @returns {string|null} 'offline'・'only-if-cached'（オリジンに接続してよい場合はnull）
+     */
+    getCacheOnlyReason(requestHeaders) {
+        if (this.enabled) {
+            return 'offline';
+        }
+        return this.cacheManager.isOnlyIfCached(requestHeaders) ? 'only-if-cached' : null;
+    }
+
+    /**
+     * キャッシュのみで応答するためのエントリを取得（期限切れのエントリも返す）
+     * @param {string} method リクエストメソッド
+     * @param {Object} requestHeaders リクエストヘッダー（Varyのバリアント選択に使う）
+     * @param {string} cacheFile キャッシュファイルのパス
+     * @param {Object} rule ホワイトリストのルール（ホワイトリスト対象外の場合はnull）
+     * @param {string} reason キャッシュのみで処理する理由
+     * @returns {Promise<{cache: Object|null, cacheStatus: string, headers: Object}>} キャッシュ（ない場合はnull）と応答に付けるヘッダー
+     */
+    async lookup(method, requestHeaders, cacheFile, rule, reason) {
+        let cache = null;
+        if (rule && this.cacheManager.isCacheableMethod(method)) {
+            try {
+                cache = await this.cacheManager.lookupCache(cacheFile, requestHeaders);
+            } catch (err) {
+                this.logger.error(`キャッシュ読み込みエラー: ${cacheFile}`, err);
+            }
+        }
+
+        if (!cache) {
+            this.misses++;
+            return { cache: null, cacheStatus: 'MISS', headers: this.getMissHeaders(reason) };
+        }
+
+        // Cache-Statusのttlは残りの鮮度（期限切れの場合は負の値）
+        const freshness = this.cacheManager.getFreshness(cache, rule);
+        this.served++;
+        if (!freshness.fresh) {
+            this.staleServed++;
+        }
+        return {
+            cache,
+            cacheStatus: freshness.fresh ? 'HIT' : 'STALE',
+            headers: {
+                'Cache-Status': `CachingEdgeProxy; hit; ttl=${freshness.lifetime - freshness.age}; detail=${reason}`
+            }
+        };
+    }
+
+    /**
+     * キャッシュがない場合の504応答のヘッダーを取得
+     * @param {string} reason キャッシュのみで処理する理由
+     * @returns {Object} Cache-Statusを含むヘッダー
+     */
+    getMissHeaders(reason) {
+        return {
+            'Cache-Status': `CachingEdgeProxy; detail="${reason === 'offline' ? 'not cached (offline mode)' : 'not cached (only-if-cached)'}"`
+        };
+    }
+
+    /**
+     * キャッシュがない場合の504応答のボディを取得
+     * @param {string} reason キャッシュのみで処理する理由
+     * @param {string} url リクエストURL
+     * @returns {string} 応答のボディ
+     */
+    getMissMessage(reason, url) {
+        return reason === 'offline'
+            ? `オフラインモードのためオリジンに接続できません（キャッシュなし）: ${url}`
+            : `only-if-cachedが指定されましたがキャッシュがありません: ${url}`;
+    }
+
+    /**
+     * オフラインモードの状態と統計情報を取得
+     * @returns {{enabled: boolean, changedAt: string|null, served: number, staleServed: number, misses: number}} 状態と統計情報
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            changedAt: this.changedAt,
+            served: this.served,
+            staleServed: this.staleServed,
+            misses: this.misses
+        };
+    }
+
+    /**
+     * コマンドライン引数または環境変数からオフラインモードで起動するかを取得
+     * @returns {boolean} --offline または OFFLINE=true（1）が指定されていればtrue
+     */
+    static getEnabledFromArgs() {
+        if (process.argv.slice(2).includes('--offline')) {
+            return true;
+        }
+        return ['true', '1'].includes((process.env.OFFLINE || '').toLowerCase());
+    }
+}
+
+module.exports = OfflineMode;
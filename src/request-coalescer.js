@@ -0,0 +1,146 @@
+/**
+ * リクエスト集約クラス - 同じキャッシュキーへのオリジン取得を1つにまとめ、後続のリクエストは完了を待たせる
+ */
+class RequestCoalescer {
+    /**
+     * RequestCoalescer コンストラクタ
+     * @param {Object} logger ロガーインスタンス
+     * @param {Object} options 設定
+     * @param {number} options.maxWait 取得が進まないまま待つ最大時間（ミリ秒）
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.maxWait = options.maxWait ?? 30000;
+        this.pending = new Map();
+    }
+
+    /**
+     * キーの取得を開始する（取得が進まないため引き継ぎを待っている場合は、その取得を引き継ぐ）
+     * @param {string} key キャッシュキー（キャッシュファイルパス）
+     * @returns {Function|null} 取得完了時に呼び出す関数（失敗した場合はtrueを渡す。既に同じキーの取得が実行中の場合はnull）
+     */
+    begin(key) {
+        let entry = this.pending.get(key);
+        if (entry && !entry.handoff) {
+            return null;
+        }
+        if (entry) {
+            entry.handoff = false;
+            entry.progressAt = Date.now();
+        } else {
+            entry = this.createEntry(key);
+        }
+        return (failed = false) => failed ? this.handOff(key, entry, '取得に失敗した') : this.release(key, entry);
+    }
+
+    /**
+     * 実行中の取得が進んだことを記録する（記録がある間は待機中のリクエストを待たせ続ける）
+     * @param {string} key キャッシュキー（キャッシュファイルパス）
+     */
+    progress(key) {
+        const entry = this.pending.get(key);
+        if (entry) {
+            entry.progressAt = Date.now();
+        }
+    }
+
+    /**
+     * キーの取得が実行中であれば完了を待つ
+     * @param {string} key キャッシュキー（キャッシュファイルパス）
+     * @returns {Promise<boolean>} 実行中の取得を待った場合はtrue
+     */
+    async wait(key) {
+        const entry = this.pending.get(key);
+        if (!entry) {
+            return false;
+        }
+        this.logger.debug(`実行中の取得の完了を待機: ${key}`);
+        return new Promise(resolve => entry.waiters.push(resolve));
+    }
+
+    /**
+     * 実行中の取得の数を取得
+     * @returns {number} 実行中の取得数
+     */
+    getPendingCount() {
+        return this.pending.size;
+    }
+
+    /**
+     * 実行中の取得を登録し、進まなくなったら引き継ぐよう監視する
+     * @param {string} key キャッシュキー
+     * @returns {Object} 登録した取得
+     */
+    createEntry(key) {
+        const entry = { waiters: [], progressAt: Date.now(), handoff: false, released: false, successor: null, timer: null };
+        this.pending.set(key, entry);
+        this.watch(key, entry);
+        return entry;
+    }
+
+    /**
+     * 最後に取得が進んでからmaxWaitが経過したら引き継ぐ
+     * @param {string} key キャッシュキー
+     * @param {Object} entry 実行中の取得
+     */
+    watch(key, entry) {
+        entry.timer = setTimeout(() => {
+            if (Date.now() - entry.progressAt < this.maxWait) {
+                this.watch(key, entry);
+                return;
+            }
+            this.handOff(key, entry, '取得が進まない');
+        }, Math.max(entry.progressAt + this.maxWait - Date.now(), 0));
+        entry.timer.unref();
+    }
+
+    /**
+     * 進まなくなった（または失敗した）取得を待機中のリクエストの1つに引き継ぎ、残りはその取得を待たせる
+     * @param {string} key キャッシュキー
+     * @param {Object} entry 進まなくなった取得
+     * @param {string} reason 引き継ぐ理由（ログに使用）
+     */
+    handOff(key, entry, reason) {
+        if (entry.released) {
+            return;
+        }
+        entry.released = true;
+        clearTimeout(entry.timer);
+        if (this.pending.get(key) === entry) {
+            this.pending.delete(key);
+        }
+        const [next, ...rest] = entry.waiters;
+        if (!next) {
+            return;
+        }
+        this.logger.warn(`${reason}ため、待機中のリクエストの1つが取得し直します: ${key}`);
+        // 起こしたリクエストがbeginを呼ぶと取得を引き継ぐ（呼ばない場合は次のmaxWaitで次のリクエストを起こす）
+        entry.successor = this.createEntry(key);
+        entry.successor.handoff = true;
+        entry.successor.waiters = rest;
+        next(true);
+    }
+
+    /**
+     * 取得の完了を通知し、待機中のリクエストを解放する
+     * @param {string} key キャッシュキー
+     * @param {Object} entry 完了した取得
+     */
+    release(key, entry) {
+        if (entry.released) {
+            // 引き継ぎ後に元の取得が完了した場合は、まだ引き継がれていない待機も解放する
+            if (entry.successor?.handoff) {
+                this.release(key, entry.successor);
+            }
+            return;
+        }
+        entry.released = true;
+        clearTimeout(entry.timer);
+        if (this.pending.get(key) === entry) {
+            this.pending.delete(key);
+        }
+        entry.waiters.forEach(resolve => resolve(true));
+    }
+}
+
+module.exports = RequestCoalescer;
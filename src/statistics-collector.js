@@ -1,5 +1,3 @@
-const fs = require('fs');
-
 /**
  * プロキシの統計情報を収集するクラス
  */
@@ -13,7 +11,8 @@ class StatisticsCollector {
         this.http = {
             requests: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            coalesced: 0
         };
         
         this.https = {
@@ -21,7 +20,8 @@ class StatisticsCollector {
             requests: 0,
             cacheHits: 0,
             cacheMisses: 0,
-            cacheSaves: 0
+            cacheSaves: 0,
+            coalesced: 0
         };
         
         this.activeConnections = new Set();
@@ -46,7 +46,7 @@ class StatisticsCollector {
     
     /**
      * HTTP統計情報の更新
-     * @param {string} type 統計タイプ (requests|cacheHits|cacheMisses)
+     * @param {string} type 統計タイプ (requests|cacheHits|cacheMisses|coalesced)
      * @param {number} value 増加量 (デフォルト: 1)
      */
     incrementHttpStat(type, value = 1) {
@@ -57,7 +57,7 @@ class StatisticsCollector {
     
     /**
      * HTTPS統計情報の更新
-     * @param {string} type 統計タイプ (connections|requests|cacheHits|cacheMisses|cacheSaves)
+     * @param {string} type 統計タイプ (connections|requests|cacheHits|cacheMisses|cacheSaves|coalesced)
      * @param {number} value 増加量 (デフォルト: 1)
      */
     incrementHttpsStat(type, value = 1) {
@@ -86,8 +86,8 @@ class StatisticsCollector {
      */
     logStats() {
         this.logger.info('==== キャッシュ利用状況 ====');
-        this.logger.info(`HTTP キャッシュヒット: ${this.http.cacheHits}, ミス: ${this.http.cacheMisses}`);
-        this.logger.info(`HTTPS キャッシュヒット: ${this.https.cacheHits}, ミス: ${this.https.cacheMisses}, 保存: ${this.https.cacheSaves}`);
+        this.logger.info(`HTTP キャッシュヒット: ${this.http.cacheHits}, ミス: ${this.http.cacheMisses}, 集約: ${this.http.coalesced}`);
+        this.logger.info(`HTTPS キャッシュヒット: ${this.https.cacheHits}, ミス: ${this.https.cacheMisses}, 保存: ${this.https.cacheSaves}, 集約: ${this.https.coalesced}`);
         this.logger.info(`アクティブ接続数: ${this.activeConnections.size}`);
         
         this.logger.info('==== プロキシ統計情報 ====');
@@ -96,27 +96,27 @@ class StatisticsCollector {
     }
     
     /**
-     * キャッシュファイル数をログに出力
-     * @param {string} cacheDir キャッシュディレクトリパス
+     * キャッシュのエントリ数・ファイル数をログに出力（エントリの索引から集計する）
+     * @param {Object} cacheManager キャッシュマネージャー
      */
-    async logCacheFileCount(cacheDir) {
+    async logCacheFileCount(cacheManager) {
         try {
-            const files = await fs.promises.readdir(cacheDir);
-            this.logger.info(`キャッシュファイル数: ${files.length}`);
+            const stats = await cacheManager.getCacheStats();
+            this.logger.info(`キャッシュエントリ数: ${stats.entries}, ファイル数: ${stats.totalFiles} (${stats.formattedSize})`);
         } catch (err) {
-            this.logger.error('キャッシュディレクトリ読み取りエラー:', err);
+            this.logger.error('キャッシュ統計情報取得エラー:', err);
         }
     }
     
     /**
      * 定期的なログ出力を開始
-     * @param {string} cacheDir キャッシュディレクトリパス
+     * @param {Object} cacheManager キャッシュマネージャー
      */
-    startPeriodicLogging(cacheDir) {
+    startPeriodicLogging(cacheManager) {
         // キャッシュ統計情報の定期出力（30秒ごと）
         setInterval(() => {
             this.logStats();
-            this.logCacheFileCount(cacheDir);
+            this.logCacheFileCount(cacheManager);
         }, 30000);
     }
 }
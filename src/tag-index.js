@@ -0,0 +1,82 @@
+/**
+ * キャッシュタグの索引クラス - Surrogate-Key / Cache-Tagのタグからキャッシュエントリを引く
+ */
+class TagIndex {
+    /**
+     * TagIndex コンストラクタ
+     */
+    constructor() {
+        // タグ → エントリのキャッシュファイルパスの集合
+        this.tags = new Map();
+        // エントリのキャッシュファイルパス → タグの集合
+        this.entries = new Map();
+    }
+
+    /**
+     * エントリのタグを登録（以前のタグは置き換える）
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     * @param {string[]} tags タグ（空の場合は登録を削除）
+     */
+    set(entryKey, tags) {
+        this.delete(entryKey);
+        if (tags.length === 0) {
+            return;
+        }
+        this.entries.set(entryKey, new Set(tags));
+        tags.forEach(tag => {
+            if (!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(entryKey);
+        });
+    }
+
+    /**
+     * エントリの登録を削除
+     * @param {string} entryKey エントリのキャッシュファイルパス
+     */
+    delete(entryKey) {
+        const tags = this.entries.get(entryKey);
+        if (!tags) {
+            return;
+        }
+        this.entries.delete(entryKey);
+        tags.forEach(tag => {
+            const entryKeys = this.tags.get(tag);
+            entryKeys.delete(entryKey);
+            if (entryKeys.size === 0) {
+                this.tags.delete(tag);
+            }
+        });
+    }
+
+    /**
+     * タグが付いたエントリを取得
+     * @param {string} tag タグ
+     * @returns {string[]} エントリのキャッシュファイルパス
+     */
+    get(tag) {
+        return [...(this.tags.get(tag) || [])];
+    }
+
+    /**
+     * すべての登録を削除
+     */
+    clear() {
+        this.tags.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * 索引の統計情報を取得
+     * @returns {{tags: number, entries: number}} タグの数とタグが付いたエントリの数
+     */
+    getStats() {
+        return {
+            tags: this.tags.size,
+            entries: this.entries.size
+        };
+    }
+}
+
+module.exports = TagIndex;
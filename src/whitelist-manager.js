@@ -1,3 +1,5 @@
+const CachePolicy = require('./cache-policy');
+
 /**
  * ホワイトリスト管理クラス - ドメインとパターンの管理
  */
@@ -10,6 +12,9 @@ class WhitelistManager {
         this.logger = logger;
         this.domains = new Set();
         this.regexPatterns = [];
+        // ドメイン名・正規表現ごとのルール（キャッシュポリシーの上書き設定）
+        this.domainRules = new Map();
+        this.regexRules = [];
     }
 
     /**
@@ -18,13 +23,19 @@ class WhitelistManager {
      */
     loadFromConfig(config) {
         if (Array.isArray(config.whitelistedDomains)) {
-            config.whitelistedDomains.forEach(domain => {
+            config.whitelistedDomains.forEach(entry => {
+                // 文字列の場合はポリシーの上書きなしのルールとして扱う
+                const rule = this.createRule(typeof entry === 'string' ? { domain: entry } : entry);
+                if (!rule) return;
+
+                const domain = rule.domain;
                 if (domain.startsWith('regex:')) {
                     // 正規表現パターンの場合
                     const pattern = domain.substring(6); // 'regex:' を除去
                     try {
                         const regex = new RegExp(pattern, 'i'); // 大文字小文字を区別しない
                         this.regexPatterns.push(regex);
+                        this.regexRules.push({ ...rule, regex });
                         this.logger.log(`正規表現パターンをホワイトリストに追加: ${pattern}`);
                     } catch (err) {
                         this.logger.error(`無効な正規表現パターン: ${pattern}`, err);
@@ -32,37 +43,92 @@ class WhitelistManager {
                 } else {
                     // 通常のドメイン名の場合
                     this.domains.add(domain);
+                    this.domainRules.set(domain, rule);
                     this.logger.log(`ドメインをホワイトリストに追加: ${domain}`);
                 }
             });
         }
     }
 
+    /**
+     * 設定のエントリからルールを作成
+     * @param {Object} entry ホワイトリストのエントリ
+     * @param {string} entry.domain ドメイン名（'regex:'で始まる場合は正規表現）
+     * @param {number} [entry.ttl] 鮮度情報がないレスポンスの有効期間（秒、cache.defaultTtlを上書き）
+     * @param {number} [entry.staleWhileRevalidate] stale-while-revalidateの猶予期間（秒）
+     * @param {number} [entry.staleIfError] stale-if-errorの猶予期間（秒）
+     * @param {number} [entry.maxObjectSize] キャッシュするレスポンスの最大サイズ（バイト）
+     * @param {number[]} [entry.cacheableStatuses] キャッシュするステータスコード
+     * @param {Object} [entry.statusTtls] ステータスコードごとの鮮度情報がない場合の有効期間（秒、cache.statusTtlsを上書き）
+     * @param {boolean} [entry.ignoreQuery] クエリ文字列をキャッシュキーに含めない
+     * @param {string[]} [entry.contentTypes] キャッシュするContent-Type（「image/」に続けて「*」を付けるとサブタイプを問わない）
+     * @returns {Object|null} ルール（不正なエントリの場合はnull）
+     */
+    createRule(entry) {
+        if (!entry || typeof entry.domain !== 'string' || entry.domain === '') {
+            this.logger.error('無効なホワイトリストのエントリ:', JSON.stringify(entry));
+            return null;
+        }
+
+        const rule = { domain: entry.domain };
+        ['ttl', 'staleWhileRevalidate', 'staleIfError', 'maxObjectSize'].forEach(key => {
+            if (typeof entry[key] === 'number' && entry[key] >= 0) {
+                rule[key] = entry[key];
+            }
+        });
+        if (Array.isArray(entry.cacheableStatuses)) {
+            rule.cacheableStatuses = entry.cacheableStatuses.map(Number).filter(status => !isNaN(status));
+        }
+        if (entry.statusTtls && typeof entry.statusTtls === 'object') {
+            rule.statusTtls = CachePolicy.normalizeStatusTtls(entry.statusTtls, this.logger);
+        }
+        if (Array.isArray(entry.contentTypes)) {
+            rule.contentTypes = entry.contentTypes.map(type => String(type).toLowerCase());
+        }
+        if (entry.ignoreQuery === true) {
+            rule.ignoreQuery = true;
+        }
+        return rule;
+    }
+
     /**
      * ホストがホワイトリストに含まれるかチェック
      * @param {string} host ホスト名
-     * @returns {boolean} ホワイトリストに含まれる場合はtrue
+     * @returns {Object|null} マッチしたルール（ホワイトリストに含まれない場合はnull）
      */
     isHostWhitelisted(host) {
-        if (!host) return false;
+        if (!host) return null;
         
         // ホスト名からポート部分を削除
         const cleanHost = host.split(':')[0];
         
         // 通常のホワイトリストをチェック
-        if (this.domains.has(cleanHost)) {
-            return true;
+        if (this.domainRules.has(cleanHost)) {
+            return this.domainRules.get(cleanHost);
         }
         
         // 正規表現パターンをチェック
-        for (const regex of this.regexPatterns) {
-            if (regex.test(cleanHost)) {
-                this.logger.info(`正規表現パターンにマッチしました: ${cleanHost} -> ${regex}`);
-                return true;
+        for (const rule of this.regexRules) {
+            if (rule.regex.test(cleanHost)) {
+                this.logger.info(`正規表現パターンにマッチしました: ${cleanHost} -> ${rule.regex}`);
+                return rule;
             }
         }
         
-        return false;
+        return null;
+    }
+
+    /**
+     * URLのホストにマッチするルールを取得
+     * @param {string} url URL
+     * @returns {Object|null} マッチしたルール（ホワイトリスト対象外または不正なURLの場合はnull）
+     */
+    getRuleForUrl(url) {
+        try {
+            return this.isHostWhitelisted(new URL(url).host);
+        } catch (err) {
+            return null;
+        }
     }
     
     /**